@@ -29,6 +29,7 @@ import {
   type InspectEvidenceCoverageResult,
 } from "./inspectEvidenceCoverage.ts";
 import { validateEvidencePack } from "./validateEvidencePack.ts";
+import type { EvidenceFileIntegrityResult } from "./verifyEvidenceFiles.ts";
 
 export type GenerateGovernanceReportResult =
   | { ok: true; report: GovernanceReportModel; warnings: GuardValidationWarning[] }
@@ -38,6 +39,11 @@ export type GenerateGovernanceReportResult =
       warnings: GuardValidationWarning[];
     };
 
+export interface GenerateGovernanceReportOptions {
+  /** Opt-in on-disk integrity results from `verifyEvidenceFiles`. */
+  fileIntegrity?: EvidenceFileIntegrityResult | null;
+}
+
 type UnknownRecord = Record<string, unknown>;
 
 const REPORT_SERVICE_GENERATOR = "guard-core-report-service";
@@ -517,6 +523,7 @@ function buildNextActions(
         GUARD_REASON_CODES.MANIFEST_INCOMPLETE,
         GUARD_REASON_CODES.ARTIFACT_HASH_MISSING,
         GUARD_REASON_CODES.ARTIFACT_REF_UNRESOLVED,
+        GUARD_REASON_CODES.ARTIFACT_HASH_MISMATCH,
         GUARD_REASON_CODES.PRODUCER_IDENTITY_UNKNOWN,
       ].includes(code),
     )
@@ -524,11 +531,13 @@ function buildNextActions(
     addAction(
       "next:provenance",
       "provide_provenance",
-      hasReasonCode(reasonCodes, GUARD_REASON_CODES.ARTIFACT_REF_UNRESOLVED)
-        ? GUARD_REASON_CODES.ARTIFACT_REF_UNRESOLVED
-        : hasReasonCode(reasonCodes, GUARD_REASON_CODES.ARTIFACT_HASH_MISSING)
-          ? GUARD_REASON_CODES.ARTIFACT_HASH_MISSING
-          : GUARD_REASON_CODES.MANIFEST_INCOMPLETE,
+      hasReasonCode(reasonCodes, GUARD_REASON_CODES.ARTIFACT_HASH_MISMATCH)
+        ? GUARD_REASON_CODES.ARTIFACT_HASH_MISMATCH
+        : hasReasonCode(reasonCodes, GUARD_REASON_CODES.ARTIFACT_REF_UNRESOLVED)
+          ? GUARD_REASON_CODES.ARTIFACT_REF_UNRESOLVED
+          : hasReasonCode(reasonCodes, GUARD_REASON_CODES.ARTIFACT_HASH_MISSING)
+            ? GUARD_REASON_CODES.ARTIFACT_HASH_MISSING
+            : GUARD_REASON_CODES.MANIFEST_INCOMPLETE,
       "operator",
       REPORT_PRIORITY_VALUES.MEDIUM,
       "Align the manifest, artifact, and provenance material with the report input.",
@@ -596,6 +605,10 @@ function buildVerdict(
     addUnique(verdictReasonCodes, GUARD_REASON_CODES.MISSING_AUTHORITY);
   }
 
+  if (hasReasonCode(coverage.reason_codes, GUARD_REASON_CODES.ARTIFACT_HASH_MISMATCH)) {
+    addUnique(verdictReasonCodes, GUARD_REASON_CODES.ARTIFACT_HASH_MISMATCH);
+  }
+
   if (
     highRiskWorkflowTypes.has(workflowType) &&
     hasReasonCode(coverage.reason_codes, GUARD_REASON_CODES.OWNER_MISSING)
@@ -671,6 +684,7 @@ function buildVerdict(
 
 export function generateGovernanceReport(
   input: string | Buffer | unknown,
+  options: GenerateGovernanceReportOptions = {},
 ): GenerateGovernanceReportResult {
   const parsed = parseEvidencePack(input);
   if (!parsed.ok) {
@@ -697,7 +711,8 @@ export function generateGovernanceReport(
   const provenance = asRecord(pack.provenance);
   const verificationItems = asArray<UnknownRecord>(pack.verification);
 
-  const coverage = inspectEvidenceCoverage(pack);
+  const fileIntegrity = options.fileIntegrity ?? null;
+  const coverage = inspectEvidenceCoverage(pack, { fileIntegrity });
   const blockedItems = buildBlockedActionSummaryItems(pack);
   const reviewRequirements = buildHumanReviewRequirements(pack, coverage);
   const nextActions = buildNextActions(coverage, reviewRequirements);
@@ -785,6 +800,16 @@ export function generateGovernanceReport(
           GUARD_REASON_CODE_DEFINITIONS[reasonCode]?.category ?? "",
         ),
       ),
+      ...(fileIntegrity
+        ? {
+            file_integrity: {
+              checked_count: fileIntegrity.checked_count,
+              verified_count: fileIntegrity.verified_count,
+              unresolved_refs: fileIntegrity.unresolved_refs,
+              mismatched_refs: fileIntegrity.mismatched_refs,
+            },
+          }
+        : {}),
     },
     risk_summary: {
       max_severity: maxSeverity(allReasonCodes),
@@ -6,3 +6,4 @@ export * from "./parseEvidencePack.ts";
 export * from "./reasonCodes.ts";
 export * from "./reportModel.ts";
 export * from "./validateEvidencePack.ts";
+export * from "./verifyEvidenceFiles.ts";
@@ -5,6 +5,7 @@ import {
   type GuardReasonSeverityHint,
 } from "./reasonCodes.ts";
 import type { EvidencePackV1 } from "./parseEvidencePack.ts";
+import type { EvidenceFileIntegrityResult } from "./verifyEvidenceFiles.ts";
 import {
   REPORT_COMPLETENESS_VALUES,
   type MissingEvidenceCategory,
@@ -25,6 +26,11 @@ export interface InspectEvidenceCoverageResult {
   reason_codes: GuardReasonCode[];
 }
 
+export interface InspectEvidenceCoverageOptions {
+  /** Opt-in on-disk integrity results from `verifyEvidenceFiles`. */
+  fileIntegrity?: EvidenceFileIntegrityResult | null;
+}
+
 type UnknownRecord = Record<string, unknown>;
 
 function asRecord(value: unknown): UnknownRecord {
@@ -168,6 +174,7 @@ function computeOverallCompleteness(
 
 export function inspectEvidenceCoverage(
   pack: EvidencePackV1,
+  options: InspectEvidenceCoverageOptions = {},
 ): InspectEvidenceCoverageResult {
   const authority = asRecord(pack.authority);
   const workflow = asRecord(pack.workflow);
@@ -596,6 +603,29 @@ export function inspectEvidenceCoverage(
     );
   }
 
+  const fileIntegrity = options.fileIntegrity;
+  if (fileIntegrity && fileIntegrity.unresolved_refs.length > 0) {
+    addCoverageFinding(
+      missingEvidence,
+      reasonCodes,
+      GUARD_REASON_CODES.ARTIFACT_REF_UNRESOLVED,
+      "artifact",
+      fileIntegrity.unresolved_refs,
+      "Ship the referenced artifact files alongside the pack.",
+    );
+  }
+
+  if (fileIntegrity && fileIntegrity.mismatched_refs.length > 0) {
+    addCoverageFinding(
+      missingEvidence,
+      reasonCodes,
+      GUARD_REASON_CODES.ARTIFACT_HASH_MISMATCH,
+      "artifact",
+      fileIntegrity.mismatched_refs,
+      "Regenerate the pack so recorded hashes match the produced artifacts.",
+    );
+  }
+
   if (
     !asString(producer.producer_id) ||
     !asString(producer.producer_name) ||
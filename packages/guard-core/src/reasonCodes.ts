@@ -79,6 +79,7 @@ export const GUARD_REASON_CODES = {
   ARTIFACT_MISSING: "ARTIFACT_MISSING",
   ARTIFACT_HASH_MISSING: "ARTIFACT_HASH_MISSING",
   ARTIFACT_REF_UNRESOLVED: "ARTIFACT_REF_UNRESOLVED",
+  ARTIFACT_HASH_MISMATCH: "ARTIFACT_HASH_MISMATCH",
   PROVENANCE_MISSING: "PROVENANCE_MISSING",
   PRODUCER_IDENTITY_UNKNOWN: "PRODUCER_IDENTITY_UNKNOWN",
   NON_DETERMINISTIC_PRODUCER: "NON_DETERMINISTIC_PRODUCER",
@@ -448,6 +449,13 @@ export const GUARD_REASON_CODE_DEFINITIONS: Record<
     "An artifact reference cannot be resolved within submitted evidence.",
     COVERAGE_AND_REPORTING,
   ),
+  ARTIFACT_HASH_MISMATCH: defineReasonCode(
+    GUARD_REASON_CODES.ARTIFACT_HASH_MISMATCH,
+    GUARD_REASON_CATEGORIES.EVIDENCE_INTEGRITY,
+    GUARD_REASON_SEVERITY_HINTS.HIGH,
+    "A referenced file on disk does not match the hash or size recorded in submitted evidence.",
+    COVERAGE_AND_REPORTING,
+  ),
   PROVENANCE_MISSING: defineReasonCode(
     GUARD_REASON_CODES.PROVENANCE_MISSING,
     GUARD_REASON_CATEGORIES.EVIDENCE_INTEGRITY,
@@ -197,6 +197,14 @@ export interface EvidenceCoverageSummary {
   blocked_action_count: number;
   missing_evidence_count: number;
   reason_codes: GuardReasonCode[];
+  file_integrity?: FileIntegritySummary;
+}
+
+export interface FileIntegritySummary {
+  checked_count: number;
+  verified_count: number;
+  unresolved_refs: string[];
+  mismatched_refs: string[];
 }
 
 export interface RiskSummary {
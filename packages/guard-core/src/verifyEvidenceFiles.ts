@@ -0,0 +1,155 @@
+import type { EvidencePackV1 } from "./parseEvidencePack.ts";
+
+export const EVIDENCE_FILE_CHECK_STATUSES = {
+  VERIFIED: "verified",
+  UNRESOLVED: "unresolved",
+  MISMATCH: "mismatch",
+  SKIPPED: "skipped",
+} as const;
+
+export type EvidenceFileCheckStatus =
+  (typeof EVIDENCE_FILE_CHECK_STATUSES)[keyof typeof EVIDENCE_FILE_CHECK_STATUSES];
+
+export interface EvidenceFileDigest {
+  sha256: string;
+  size_bytes: number;
+}
+
+/**
+ * Resolves a pack-relative path to the digest of the file on disk, or null when the
+ * file cannot be found. Guard Core never reads files itself; callers supply the reader.
+ */
+export type EvidenceFileReader = (relativePath: string) => EvidenceFileDigest | null;
+
+export interface EvidenceFileCheck {
+  source: "artifact" | "manifest";
+  ref: string;
+  path: string;
+  status: EvidenceFileCheckStatus;
+  expected_sha256: string | null;
+  actual_sha256: string | null;
+  expected_size_bytes: number | null;
+  actual_size_bytes: number | null;
+}
+
+export interface EvidenceFileIntegrityResult {
+  checked_count: number;
+  verified_count: number;
+  unresolved_refs: string[];
+  mismatched_refs: string[];
+  checks: EvidenceFileCheck[];
+}
+
+export interface VerifyEvidenceFilesOptions {
+  /** Pack-relative path of the pack file itself; its manifest entry cannot hash itself. */
+  selfPath?: string | null;
+}
+
+type UnknownRecord = Record<string, unknown>;
+
+function asRecord(value: unknown): UnknownRecord {
+  return value && typeof value === "object" && !Array.isArray(value)
+    ? (value as UnknownRecord)
+    : {};
+}
+
+function asArray<T = unknown>(value: unknown): T[] {
+  return Array.isArray(value) ? (value as T[]) : [];
+}
+
+function asString(value: unknown): string | null {
+  return typeof value === "string" && value.trim().length > 0 ? value : null;
+}
+
+function asSize(value: unknown): number | null {
+  return typeof value === "number" && Number.isInteger(value) ? value : null;
+}
+
+function normalizeRelativePath(value: string): string {
+  return value.replace(/\\/g, "/").replace(/^\.\//, "");
+}
+
+function checkEntry(
+  source: EvidenceFileCheck["source"],
+  ref: string,
+  entry: UnknownRecord,
+  readFile: EvidenceFileReader,
+  selfPath: string | null,
+): EvidenceFileCheck | null {
+  const entryPath = asString(entry.path);
+  if (!entryPath) {
+    return null;
+  }
+
+  const expectedSha256 = asString(entry.sha256)?.toLowerCase() ?? null;
+  const expectedSize = asSize(entry.size_bytes);
+  const check: EvidenceFileCheck = {
+    source,
+    ref,
+    path: entryPath,
+    status: EVIDENCE_FILE_CHECK_STATUSES.SKIPPED,
+    expected_sha256: expectedSha256,
+    actual_sha256: null,
+    expected_size_bytes: expectedSize,
+    actual_size_bytes: null,
+  };
+
+  if (selfPath && normalizeRelativePath(entryPath) === selfPath) {
+    return check;
+  }
+
+  const digest = readFile(entryPath);
+  if (!digest) {
+    check.status = EVIDENCE_FILE_CHECK_STATUSES.UNRESOLVED;
+    return check;
+  }
+
+  check.actual_sha256 = digest.sha256.toLowerCase();
+  check.actual_size_bytes = digest.size_bytes;
+
+  const hashMatches = expectedSha256 === null || expectedSha256 === check.actual_sha256;
+  const sizeMatches = expectedSize === null || expectedSize === check.actual_size_bytes;
+  check.status = hashMatches && sizeMatches
+    ? EVIDENCE_FILE_CHECK_STATUSES.VERIFIED
+    : EVIDENCE_FILE_CHECK_STATUSES.MISMATCH;
+
+  return check;
+}
+
+export function verifyEvidenceFiles(
+  pack: EvidencePackV1,
+  readFile: EvidenceFileReader,
+  options: VerifyEvidenceFilesOptions = {},
+): EvidenceFileIntegrityResult {
+  const selfPath = options.selfPath ? normalizeRelativePath(options.selfPath) : null;
+  const checks: EvidenceFileCheck[] = [];
+
+  asArray<UnknownRecord>(pack.artifacts).forEach((artifact, index) => {
+    const ref = asString(artifact.artifact_id) ?? `artifacts[${index}]`;
+    const check = checkEntry("artifact", ref, artifact, readFile, selfPath);
+    if (check) {
+      checks.push(check);
+    }
+  });
+
+  asArray<UnknownRecord>(asRecord(pack.manifest).files).forEach((file) => {
+    const ref = `manifest:${asString(file.path) ?? "unknown"}`;
+    const check = checkEntry("manifest", ref, file, readFile, selfPath);
+    if (check) {
+      checks.push(check);
+    }
+  });
+
+  const refsWithStatus = (status: EvidenceFileCheckStatus): string[] =>
+    checks.filter((check) => check.status === status).map((check) => check.ref);
+
+  return {
+    checked_count: checks.filter(
+      (check) => check.status !== EVIDENCE_FILE_CHECK_STATUSES.SKIPPED,
+    ).length,
+    verified_count: refsWithStatus(EVIDENCE_FILE_CHECK_STATUSES.VERIFIED).length,
+    unresolved_refs: refsWithStatus(EVIDENCE_FILE_CHECK_STATUSES.UNRESOLVED),
+    mismatched_refs: refsWithStatus(EVIDENCE_FILE_CHECK_STATUSES.MISMATCH),
+    checks,
+  };
+}
@@ -1,7 +1,21 @@
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { execSync } from "node:child_process";
 
+import { canonicalJSONStringify } from "./product/canonical_json.mjs";
+import { signCanonicalPayload, verifyCanonicalSignature } from "./product/license_verify.mjs";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const ACK_VERSION = 3;
+export const ACK_DEFAULT_TTL_MS = 7 * DAY_MS;
+export const ACK_MAX_TTL_MS = 90 * DAY_MS;
+
+// Verification statuses, most serious first; an ack is honoured only when "valid".
+export const ACK_STATUSES = ["tampered", "out_of_scope", "unknown_key", "unsigned", "expired", "valid"];
+
 function repoRoot() {
   return process.cwd();
 }
@@ -56,16 +70,16 @@ export function getStagedTreeHash() {
   }
 }
 
-function acksBaseDir() {
-  return path.join(repoRoot(), ".mindforge", "acks");
+function acksBaseDir(root = repoRoot()) {
+  return path.join(root, ".mindforge", "acks");
 }
 
-function ackMonthDir() {
-  return path.join(acksBaseDir(), yyyymm());
+function ackMonthDir(root = repoRoot()) {
+  return path.join(acksBaseDir(root), yyyymm());
 }
 
-function listAckFilesAllMonths() {
-  const base = acksBaseDir();
+function listAckFilesAllMonths(root = repoRoot()) {
+  const base = acksBaseDir(root);
   if (!fs.existsSync(base)) return [];
 
   const months = fs
@@ -89,39 +103,177 @@ function listAckFilesAllMonths() {
   return files;
 }
 
-export function hasAckForTree(tree) {
-  if (!tree) return false;
+/**
+ * Reviewer keys: .mindforge/ack-keys.json
+ *   { "require_signature": true, "keys": { "<key_id>": { "publicKey": "<PEM>", "reviewer": "..." } } }
+ * Acks loosen the gate, so an unreadable file fails closed (signatures required, no keys).
+ */
+export function loadAckKeys(root = repoRoot()) {
+  const file = path.join(root, ".mindforge", "ack-keys.json");
+  if (!fs.existsSync(file)) return { requireSignature: false, keys: {} };
+  const j = readJsonSafe(file);
+  if (!j || typeof j !== "object") return { requireSignature: true, keys: {}, error: "ack-keys.json invalid json" };
+  return { requireSignature: Boolean(j.require_signature), keys: j.keys && typeof j.keys === "object" ? j.keys : {} };
+}
 
-  for (const f of listAckFilesAllMonths()) {
-    const j = readJsonSafe(f);
-    if (j && j.kind === "staged_ack" && j.staged_tree === tree) {
-      return true;
+/**
+ * Expiry from "<n>h", "<n>d" or an ISO timestamp; default ACK_DEFAULT_TTL_MS, at most ACK_MAX_TTL_MS ahead.
+ * @returns {{expires_at:string}|{error:string}}
+ */
+export function resolveAckExpiry(spec, now = Date.now()) {
+  let at = now + ACK_DEFAULT_TTL_MS;
+  if (spec) {
+    const relative = /^(\d+)([hd])$/.exec(spec);
+    at = relative ? now + Number(relative[1]) * (relative[2] === "h" ? HOUR_MS : DAY_MS) : Date.parse(spec);
+  }
+  if (!Number.isFinite(at)) return { error: "--expires must be <n>h, <n>d or an ISO timestamp" };
+  if (at <= now) return { error: "--expires must be in the future" };
+  if (at - now > ACK_MAX_TTL_MS) return { error: "--expires must be at most 90d ahead" };
+  return { expires_at: new Date(at).toISOString() };
+}
+
+/**
+ * sha256 over the canonical JSON of the record without content_hash and signature.
+ */
+export function ackContentHash(record) {
+  const { content_hash, signature, ...body } = record;
+  return `sha256:${crypto.createHash("sha256").update(canonicalJSONStringify(body), "utf8").digest("hex")}`;
+}
+
+/**
+ * Ed25519 signature over the record without signature, signed with the license helpers
+ * ({ alg: "ed25519", sig } plus the reviewer key_id).
+ */
+export function signAck(record, { privateKeyPem, key_id }) {
+  const { signature, ...unsigned } = record;
+  return { ...unsigned, signature: { ...signCanonicalPayload(unsigned, privateKeyPem), key_id } };
+}
+
+function ackSignatureProblem(record, keys) {
+  const { signature, ...unsigned } = record;
+  if (signature.alg !== "ed25519" || !signature.sig) return { status: "tampered", message: "malformed signature" };
+  const entry = keys[signature.key_id];
+  const publicKey = typeof entry === "string" ? entry : entry?.publicKey;
+  if (!publicKey) return { status: "unknown_key", message: `key ${signature.key_id} is not in ack-keys.json` };
+  const { key_id, ...sig } = signature;
+  const verified = verifyCanonicalSignature({ payload: unsigned, signature: sig, publicKeyPem: publicKey });
+  return verified.ok ? null : { status: "tampered", message: verified.reason };
+}
+
+/**
+ * Verify one raw ack record: { status, problems: [{ status, message }] }.
+ * ruleIds (optional): policy rule ids; acknowledged codes outside them are out of scope.
+ */
+export function verifyAck(record, { now = Date.now(), keys = {}, requireSignature = false, ruleIds = null } = {}) {
+  const problems = [];
+  const add = (status, message) => problems.push({ status, message });
+
+  if (!(record.v >= ACK_VERSION)) {
+    add("out_of_scope", `legacy v${record.v ?? 1} ack has no expiry, codes binding or content hash`);
+  } else {
+    if (record.content_hash !== ackContentHash(record)) add("tampered", "content hash mismatch");
+    if (record.scope !== "git.staged" || !record.staged_tree) add("out_of_scope", "not bound to a staged tree");
+    if (!Array.isArray(record.codes) || !record.codes.length) add("out_of_scope", "not bound to reason codes");
+    const unknown = Array.isArray(ruleIds) && Array.isArray(record.codes)
+      ? record.codes.filter((code) => !ruleIds.includes(code))
+      : [];
+    if (unknown.length) add("out_of_scope", `codes not in the policy: ${unknown.join(", ")}`);
+    const expiresAt = Date.parse(record.expires_at);
+    if (!Number.isFinite(expiresAt)) add("out_of_scope", "no expiry");
+    else if (expiresAt <= now) add("expired", `expired at ${record.expires_at}`);
+    if (record.signature) {
+      const problem = ackSignatureProblem(record, keys);
+      if (problem) problems.push(problem);
+    } else if (requireSignature) {
+      add("unsigned", "signature required by ack-keys.json");
     }
   }
 
-  return false;
+  const status = ACK_STATUSES.find((s) => problems.some((p) => p.status === s)) || "valid";
+  return { status, problems };
 }
 
-export function writeAckForTree(tree, reason = "") {
-  const dir = ackMonthDir();
+export function hasAckForTree(tree, root = repoRoot()) {
+  if (!tree) return false;
+  return listAcks({ root }).some((ack) => ack.staged_tree === tree && ack.verification.status === "valid");
+}
+
+/**
+ * Write a v3 staged_ack record for a staged tree.
+ * codes: the soft-block reason codes acknowledged; identity: resolveActor() result;
+ * audit_id: run id of the audit that raised the codes; expires_at: from resolveAckExpiry();
+ * signingKey: { privateKeyPem, key_id } to Ed25519-sign the record.
+ */
+export function writeAckForTree(
+  tree,
+  reason = "",
+  { codes, identity = null, audit_id = null, expires_at, signingKey = null, root } = {}
+) {
+  if (!Array.isArray(codes) || !codes.length) throw new Error("an ack must name the reason codes it acknowledges");
+  const dir = ackMonthDir(root);
   ensureDir(dir);
 
   const ts = nowIso();
-  const file = path.join(
-    dir,
-    `ack_${ts.replace(/[:.]/g, "-")}.json`
-  );
+  const ackId = `ack_${ts.replace(/[:.]/g, "-")}`;
+  const file = path.join(dir, `${ackId}.json`);
 
-  const payload = {
+  const record = {
     kind: "staged_ack",
+    v: ACK_VERSION,
+    ack_id: ackId,
     ts,
-    actor: "local",
+    expires_at: expires_at || new Date(Date.parse(ts) + ACK_DEFAULT_TTL_MS).toISOString(),
+    actor: identity?.agent || identity?.actor || "local",
+    identity: identity
+      ? { actor: identity.actor ?? null, agent: identity.agent ?? null, kind: identity.kind ?? null }
+      : null,
     scope: "git.staged",
     staged_tree: tree,
     reason: String(reason || ""),
+    codes: [...new Set(codes)].sort(),
+    audit_id,
   };
+  record.content_hash = ackContentHash(record);
+  const payload = signingKey ? signAck(record, signingKey) : record;
 
   fs.writeFileSync(file, stableStringify(payload) + "\n", "utf8");
 
   return { file, payload };
 }
+
+/**
+ * All staged_ack records, newest first, each with its file and verification.
+ * Legacy records get their ack_id from the file name.
+ */
+export function listAcks({ root = repoRoot(), now = Date.now(), ruleIds = null } = {}) {
+  const { keys, requireSignature } = loadAckKeys(root);
+  const acks = [];
+  for (const f of listAckFilesAllMonths(root)) {
+    const j = readJsonSafe(f);
+    if (!j || j.kind !== "staged_ack") continue;
+    const verification = verifyAck(j, { now, keys, requireSignature, ruleIds });
+    acks.push({ ...j, ack_id: j.ack_id || path.basename(f, ".json"), file: f, verification });
+  }
+  return acks.sort((a, b) => String(b.ts).localeCompare(String(a.ts)));
+}
+
+/**
+ * Ack decision for a staged tree and its soft-block codes:
+ *   acknowledged - a valid ack covers every code
+ *   not_covered  - valid acks exist, none covers every code (newest reported)
+ *   rejected     - only invalid acks (expired, tampered, ...; newest reported)
+ * null when the tree has no ack at all.
+ * @returns {{state:string, ack:object, missing_codes:string[]}|null}
+ */
+export function findAckForTree(tree, codes = [], { root = repoRoot(), now = Date.now(), ruleIds = null } = {}) {
+  if (!tree) return null;
+  const forTree = listAcks({ root, now, ruleIds }).filter((ack) => ack.staged_tree === tree);
+  if (!forTree.length) return null;
+
+  const missingOf = (ack) => codes.filter((code) => !(Array.isArray(ack.codes) && ack.codes.includes(code)));
+  const valid = forTree.filter((ack) => ack.verification.status === "valid");
+  const covering = valid.find((ack) => missingOf(ack).length === 0);
+  if (covering) return { state: "acknowledged", ack: covering, missing_codes: [] };
+  const ack = valid[0] || forTree[0];
+  return { state: valid.length ? "not_covered" : "rejected", ack, missing_codes: missingOf(ack) };
+}
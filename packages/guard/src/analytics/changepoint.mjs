@@ -0,0 +1,113 @@
+// Change-point and anomaly detection over a numeric series (pure; deterministic).
+
+function median(xs) {
+  if (!xs.length) return 0;
+  const s = xs.slice().sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function mean(xs) {
+  if (!xs.length) return 0;
+  return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+function round2(x) {
+  return Number(x.toFixed(2));
+}
+
+// 1.4826 * MAD estimates sigma for normal data.
+function robustSigma(xs, minSigma) {
+  const m = median(xs);
+  const mad = median(xs.map((x) => Math.abs(x - m)));
+  return Math.max(minSigma, 1.4826 * mad);
+}
+
+export const CUSUM_DEFAULTS = { warmup: 5, k: 0.5, h: 4, min_sigma: 2 };
+
+/**
+ * Two-sided tabular CUSUM (k, h in sigma units) against a robust baseline
+ * (median / MAD of the first `warmup` points of each segment).
+ * On an alarm the change is placed after the last point where the alarming
+ * sum was zero, the baseline is re-estimated from the new segment, and
+ * scanning resumes after the alarm.
+ */
+export function detectChangePoints(values, options = {}) {
+  const { warmup, k, h, min_sigma } = { ...CUSUM_DEFAULTS, ...options };
+  const xs = values.map(Number);
+  const changes = [];
+  if (xs.length < warmup + 1) return changes;
+
+  let segmentStart = 0;
+  let base = xs.slice(0, warmup);
+  let mu = median(base);
+  let sigma = robustSigma(base, min_sigma);
+  let up = 0;
+  let down = 0;
+  let upStart = 0;
+  let downStart = 0;
+
+  for (let i = 0; i < xs.length; i++) {
+    const z = (xs[i] - mu) / sigma;
+    up = Math.max(0, up + z - k);
+    down = Math.max(0, down - z - k);
+    if (up === 0) upStart = i + 1;
+    if (down === 0) downStart = i + 1;
+
+    const direction = up > h ? "up" : down > h ? "down" : null;
+    if (!direction) continue;
+
+    const at = Math.max(segmentStart + 1, direction === "up" ? upStart : downStart);
+    changes.push({ index: at, alarm_index: i, direction });
+
+    segmentStart = at;
+    base = xs.slice(at, Math.min(xs.length, at + warmup));
+    mu = median(base);
+    sigma = robustSigma(base, min_sigma);
+    up = 0;
+    down = 0;
+    upStart = i + 1;
+    downStart = i + 1;
+  }
+
+  // Segment means on either side of each change.
+  const bounds = [0, ...changes.map((c) => c.index), xs.length];
+  return changes.map((c, n) => {
+    const before = mean(xs.slice(bounds[n], bounds[n + 1]));
+    const after = mean(xs.slice(bounds[n + 1], bounds[n + 2]));
+    return {
+      ...c,
+      mean_before: round2(before),
+      mean_after: round2(after),
+      magnitude: round2(after - before),
+    };
+  });
+}
+
+export const ANOMALY_Z_THRESHOLD = 3.5;
+
+/**
+ * Robust (modified) z-scores: 0.6745 * (x - median) / MAD.
+ * Falls back to the mean absolute deviation when MAD is 0; a constant
+ * series yields all-zero scores.
+ */
+export function robustZScores(values) {
+  const xs = values.map(Number);
+  const m = median(xs);
+  const mad = median(xs.map((x) => Math.abs(x - m)));
+  if (mad > 0) return xs.map((x) => (0.6745 * (x - m)) / mad);
+
+  const meanAd = mean(xs.map((x) => Math.abs(x - m)));
+  if (meanAd > 0) return xs.map((x) => (x - m) / (1.253314 * meanAd));
+  return xs.map(() => 0);
+}
+
+export function detectAnomalies(values, { threshold = ANOMALY_Z_THRESHOLD } = {}) {
+  const z = robustZScores(values);
+  const out = [];
+  z.forEach((score, index) => {
+    if (Math.abs(score) < threshold) return;
+    out.push({ index, value: Number(values[index]), z: round2(score), direction: score > 0 ? "high" : "low" });
+  });
+  return out;
+}
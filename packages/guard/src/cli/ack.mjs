@@ -0,0 +1,314 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import {
+  ACK_STATUSES,
+  getStagedTreeHash,
+  listAcks,
+  loadAckKeys,
+  resolveAckExpiry,
+  verifyAck,
+  writeAckForTree,
+} from "../ackManager.mjs";
+import { getRepoRoot, loadPolicy } from "../kernelCompat.mjs";
+import { resolveActor } from "../runtime/actor.mjs";
+
+const EXIT_ERROR_DEFAULT = 30;
+
+function renderAckHelp() {
+  return [
+    "Usage:",
+    "  guard ack --reason \"<text>\" [--codes <code,code>] [--expires <n>d|<n>h|<ISO>]",
+    "            [--sign-key <ed25519 private key PEM> --key-id <id>]",
+    "  guard ack list [--format text|json] [--policy <file>]",
+    "  guard ack verify [--format text|json] [--file <ack.json>] [--policy <file>]",
+    "",
+    "Acknowledges the soft_block reason codes of the last `guard audit . --staged`",
+    "for the current staged tree. A later staged audit of the same tree whose",
+    "codes are all acknowledged exits as allow and is recorded as acknowledged.",
+    "--codes acknowledges the given codes instead. hard_block is never acknowledged.",
+    "",
+    "Acks expire (default 7d, at most 90d) and are content-hashed. With --sign-key the",
+    "reviewer signs the ack; keys are listed in .mindforge/ack-keys.json, which can",
+    "also require signatures. Only valid acks are honoured.",
+    "",
+    "verify reports tampered, out_of_scope, unknown_key, unsigned and expired acks;",
+    "it exits 30 when any ack other than an expired one is invalid. list and verify",
+    "check scope against the rule ids of the audit policy (.mindforge/config/policy.json",
+    "unless --policy is given) and fail when it cannot be loaded.",
+    "",
+  ].join("\n");
+}
+
+function buildErrorJson({ kind, message }) {
+  return JSON.stringify({ ok: false, error: { kind, message } }, null, 2) + "\n";
+}
+
+function readOptionValue(args, name) {
+  const prefix = `--${name}=`;
+  const inline = args.find((value) => value.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const index = args.indexOf(`--${name}`);
+  if (index >= 0 && args[index + 1] && !args[index + 1].startsWith("--")) return args[index + 1];
+  return null;
+}
+
+function gitOrNull(args) {
+  try {
+    return execFileSync("git", args, { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function getAuditJsonlPath(repoRoot) {
+  return path.join(repoRoot, ".mindforge", "artifacts", "guard", "audit.jsonl");
+}
+
+function invalidOption(message) {
+  return { exitCode: 2, stdout: buildErrorJson({ kind: "invalid_ack_option", message }) };
+}
+
+function toRelative(repoRoot, file) {
+  return path.relative(repoRoot, file).split(path.sep).join("/");
+}
+
+// Rule ids of the policy guard audit checks acks against; same loader, same default path.
+async function loadPolicyRuleIds(args, repoRoot) {
+  const policyOption = readOptionValue(args, "policy");
+  const policyPath = path.resolve(policyOption || path.join(repoRoot, ".mindforge", "config", "policy.json"));
+  try {
+    const policy = await loadPolicy({ policyPath, repoRoot });
+    return { ruleIds: (policy.rules || []).map((rule) => rule.id) };
+  } catch (err) {
+    const message = `policy could not be loaded from ${policyPath}: ${err?.message || String(err)}`;
+    return { error: { exitCode: EXIT_ERROR_DEFAULT, stdout: buildErrorJson({ kind: "ack_failed", message }) } };
+  }
+}
+
+// --sign-key/--key-id: an ed25519 private key whose public half is registered under key_id.
+function readSigningKey(args, keys) {
+  const keyFile = readOptionValue(args, "sign-key");
+  const keyId = readOptionValue(args, "key-id");
+  if (!keyFile && !keyId) return { signingKey: null };
+  if (!keyFile || !keyId) return { error: "--sign-key and --key-id must be given together" };
+
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(fs.readFileSync(path.resolve(keyFile), "utf8"));
+  } catch (err) {
+    return { error: `--sign-key could not be read: ${err?.message || String(err)}` };
+  }
+  if (privateKey.asymmetricKeyType !== "ed25519") return { error: "--sign-key must be an ed25519 private key" };
+
+  const entry = keys[keyId];
+  const publicKey = typeof entry === "string" ? entry : entry?.publicKey;
+  if (!publicKey) return { error: `key ${keyId} is not listed in .mindforge/ack-keys.json` };
+  const derived = crypto.createPublicKey(privateKey).export({ type: "spki", format: "pem" });
+  let registered;
+  try {
+    registered = crypto.createPublicKey(publicKey).export({ type: "spki", format: "pem" });
+  } catch {
+    return { error: `key ${keyId} in .mindforge/ack-keys.json is not a valid public key` };
+  }
+  if (derived !== registered) return { error: `--sign-key does not match the public key of ${keyId}` };
+
+  return { signingKey: { privateKeyPem: privateKey.export({ type: "pkcs8", format: "pem" }), key_id: keyId } };
+}
+
+function notApplicable(message) {
+  return { exitCode: 2, stdout: buildErrorJson({ kind: "ack_not_applicable", message }) };
+}
+
+// Newest audit.jsonl line recorded for this staged tree.
+function lastStagedAudit(jsonlPath, tree) {
+  if (!fs.existsSync(jsonlPath)) return null;
+  const lines = fs.readFileSync(jsonlPath, "utf8").split("\n");
+  for (let i = lines.length - 1; i >= 0; i -= 1) {
+    if (!lines[i].trim()) continue;
+    try {
+      const row = JSON.parse(lines[i]);
+      if (row?.git?.staged_tree === tree) return row;
+    } catch {
+      // skip malformed lines
+    }
+  }
+  return null;
+}
+
+function createAck(args, repoRoot) {
+  const reason = (readOptionValue(args, "reason") || "").trim();
+  if (!reason) {
+    const message = "guard ack requires --reason \"<text>\".";
+    return { exitCode: 2, stdout: buildErrorJson({ kind: "missing_required_input", message }) };
+  }
+
+  const tree = getStagedTreeHash();
+  if (!tree) {
+    const message = "could not hash the staged tree (git write-tree failed).";
+    return { exitCode: EXIT_ERROR_DEFAULT, stdout: buildErrorJson({ kind: "ack_failed", message }) };
+  }
+  if (tree === gitOrNull(["rev-parse", "HEAD^{tree}"])) return notApplicable("nothing is staged.");
+
+  const last = lastStagedAudit(getAuditJsonlPath(repoRoot), tree);
+  const codesOption = readOptionValue(args, "codes");
+  let codes;
+  if (codesOption) {
+    codes = codesOption.split(",").map((code) => code.trim()).filter(Boolean);
+    if (!codes.length) return notApplicable("--codes must list at least one reason code.");
+  } else if (!last) {
+    return notApplicable("no staged audit recorded for this tree; run `guard audit . --staged` first or pass --codes.");
+  } else if (last.verdict === "hard_block") {
+    return notApplicable("hard_block cannot be acknowledged.");
+  } else if (last.verdict !== "soft_block") {
+    return notApplicable(`the last staged audit of this tree is ${last.verdict}; nothing to acknowledge.`);
+  } else if (!Array.isArray(last.reason_codes)) {
+    return notApplicable("the last staged audit of this tree has no reason codes; pass --codes.");
+  } else {
+    codes = last.reason_codes;
+  }
+
+  const expiry = resolveAckExpiry(readOptionValue(args, "expires"));
+  if (expiry.error) return invalidOption(expiry.error);
+  const { keys, requireSignature, error: keysError } = loadAckKeys(repoRoot);
+  if (keysError) return notApplicable(`${keysError}; fix it before acknowledging.`);
+  const { signingKey, error: keyError } = readSigningKey(args, keys);
+  if (keyError) return invalidOption(keyError);
+  if (requireSignature && !signingKey) {
+    return notApplicable("ack-keys.json requires signed acks; pass --sign-key and --key-id.");
+  }
+
+  const identity = resolveActor({ author: gitOrNull(["config", "user.name"]) });
+  const { file, payload } = writeAckForTree(tree, reason, {
+    codes,
+    identity,
+    audit_id: last?.run_id ?? null,
+    expires_at: expiry.expires_at,
+    signingKey,
+    root: repoRoot,
+  });
+  const relative = toRelative(repoRoot, file);
+  return { exitCode: 0, stdout: JSON.stringify({ ok: true, ack: payload, file: relative }, null, 2) + "\n" };
+}
+
+function renderAckListText(list) {
+  const lines = [`Acks (${list.acks.length})`];
+  if (!list.acks.length) lines.push("  none recorded");
+  for (const ack of list.acks) {
+    const mark = ack.current ? "*" : " ";
+    const codes = Array.isArray(ack.codes) ? ack.codes.join(",") : "any";
+    const tree = String(ack.staged_tree || "").slice(0, 12);
+    const reason = JSON.stringify(ack.reason);
+    const status = ack.verification.status;
+    lines.push(`${mark} ${ack.ack_id}  ${status}  tree=${tree}  actor=${ack.actor}  codes=${codes}  ${reason}`);
+  }
+  if (list.acks.some((ack) => ack.current)) lines.push("* = current staged tree");
+  lines.push("");
+  return lines.join("\n");
+}
+
+async function listAckRecords(args, repoRoot) {
+  const format = readOptionValue(args, "format") || "text";
+  if (format !== "text" && format !== "json") return invalidOption("--format must be text or json");
+  const { ruleIds, error } = await loadPolicyRuleIds(args, repoRoot);
+  if (error) return error;
+
+  const stagedTree = getStagedTreeHash() || null;
+  const list = {
+    kind: "ack_list",
+    v: 1,
+    staged_tree: stagedTree,
+    acks: listAcks({ root: repoRoot, ruleIds }).map(({ file, ...ack }) => ({
+      ...ack,
+      file: toRelative(repoRoot, file),
+      current: Boolean(stagedTree) && ack.staged_tree === stagedTree,
+    })),
+  };
+  if (format === "json") return { exitCode: 0, stdout: JSON.stringify(list, null, 2) + "\n" };
+  return { exitCode: 0, stdout: renderAckListText(list) };
+}
+
+function renderAckVerifyText(report) {
+  const counts = ACK_STATUSES.map((status) => `${status}=${report.totals[status]}`).join(" ");
+  const state = report.healthy ? "healthy" : "problems found";
+  const lines = [`Ack verify: ${state} (${report.totals.acks} acks; ${counts})`];
+  for (const ack of report.acks) {
+    lines.push(`  ${ack.status.padEnd(12)} ${ack.ack_id}  ${ack.file}`);
+    for (const problem of ack.problems) lines.push(`      - ${problem.message}`);
+  }
+  lines.push("");
+  return lines.join("\n");
+}
+
+async function verifyAckRecords(args, repoRoot) {
+  const format = readOptionValue(args, "format") || "text";
+  if (format !== "text" && format !== "json") return invalidOption("--format must be text or json");
+
+  const { ruleIds, error } = await loadPolicyRuleIds(args, repoRoot);
+  if (error) return error;
+  const { keys, requireSignature } = loadAckKeys(repoRoot);
+  const fileOption = readOptionValue(args, "file");
+  let checked;
+  if (fileOption) {
+    const filePath = path.resolve(fileOption);
+    let record;
+    try {
+      record = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      return invalidOption(`--file could not be read: ${err?.message || String(err)}`);
+    }
+    const verification = verifyAck(record, { keys, requireSignature, ruleIds });
+    checked = [{ ack_id: record.ack_id || path.basename(filePath, ".json"), file: filePath, verification }];
+  } else {
+    checked = listAcks({ root: repoRoot, ruleIds });
+  }
+
+  const acks = checked.map(({ ack_id, file, verification }) => ({
+    ack_id,
+    file: toRelative(repoRoot, file),
+    status: verification.status,
+    problems: verification.problems,
+  }));
+  const totals = { acks: acks.length };
+  for (const status of ACK_STATUSES) totals[status] = acks.filter((ack) => ack.status === status).length;
+  // Expired acks are simply no longer honoured; anything else needs attention.
+  const healthy = acks.every((ack) => ack.status === "valid" || ack.status === "expired");
+  const report = {
+    kind: "ack_verify",
+    v: 1,
+    generated_at: new Date().toISOString(),
+    healthy,
+    require_signature: requireSignature,
+    totals,
+    acks,
+  };
+
+  const exitCode = healthy ? 0 : EXIT_ERROR_DEFAULT;
+  if (format === "json") return { exitCode, stdout: JSON.stringify(report, null, 2) + "\n" };
+  return { exitCode, stdout: renderAckVerifyText(report) };
+}
+
+export async function handleAckSubcommand(args) {
+  const sub = args[0] || "";
+  if (sub === "--help" || sub === "-h" || sub === "help") return { exitCode: 0, stdout: renderAckHelp() };
+  if (!sub) return { exitCode: 2, stderr: renderAckHelp() };
+
+  let repoRoot;
+  try {
+    repoRoot = getRepoRoot();
+  } catch {
+    const message = "not a git repository.";
+    return { exitCode: EXIT_ERROR_DEFAULT, stdout: buildErrorJson({ kind: "ack_failed", message }) };
+  }
+  if (sub === "list") return listAckRecords(args.slice(1), repoRoot);
+  if (sub === "verify") return verifyAckRecords(args.slice(1), repoRoot);
+  if (!sub.startsWith("--")) {
+    return {
+      exitCode: 2,
+      stderr: `Unknown ack command: ${sub}\n\n${renderAckHelp()}\n`,
+    };
+  }
+  return createAck(args, repoRoot);
+}
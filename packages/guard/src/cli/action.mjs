@@ -1,35 +1,252 @@
+import fs from "node:fs";
+import path from "node:path";
+
 import {
+  BUILTIN_RULE_SET,
+  buildActionRuleSet,
   classifyAction,
   hashAction,
+  validateActionsConfig,
   validateCanonicalActionArtifact,
 } from "../runtime/actions/index.mjs";
 
+const EXIT_ERROR_DEFAULT = 30;
+
 function renderActionHelp() {
   return [
     "Usage:",
     "  guard action classify --text \"<string>\"",
+    "  guard action classify --jsonl <file>",
+    "  guard action classify --pack <evidence-pack.json>",
     "",
     "Options:",
-    "  --text <string>  Input text to classify",
-    "  --help, -h       Show help",
+    "  --text <string>   Input text to classify",
+    "  --jsonl <file>    Classify one entry per line ({\"id\"?, \"text\"} object or JSON string)",
+    "  --pack <file>     Classify the tool_calls of an Evidence Pack",
+    "  --config <file>   Action rules config (default: .mindforge/config/actions.json when present)",
+    "  --help, -h        Show help",
     "",
   ].join("\n");
 }
 
+function buildErrorJson({ kind, message, details = {} }) {
+  return (
+    JSON.stringify(
+      {
+        ok: false,
+        error: {
+          kind,
+          message,
+          ...details,
+        },
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+function failure(kind, message, details = {}) {
+  return {
+    exitCode: EXIT_ERROR_DEFAULT,
+    stdout: buildErrorJson({ kind, message, details }),
+  };
+}
+
 function parseActionArgs(args) {
-  const parsed = { help: false, text: null };
+  const parsed = { help: false, text: null, jsonl: null, pack: null, config: null };
+  const valueOptions = { "--text": "text", "--jsonl": "jsonl", "--pack": "pack", "--config": "config" };
   for (let i = 0; i < args.length; i += 1) {
     const arg = args[i];
+    const [name, inlineValue] = arg.startsWith("--") && arg.includes("=")
+      ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)]
+      : [arg, null];
     if (arg === "--help" || arg === "-h") parsed.help = true;
-    else if (arg.startsWith("--text=")) parsed.text = arg.slice("--text=".length);
-    else if (arg === "--text" && args[i + 1]) {
-      parsed.text = args[i + 1];
+    else if (valueOptions[name] && inlineValue !== null) parsed[valueOptions[name]] = inlineValue;
+    else if (valueOptions[name] && args[i + 1]) {
+      parsed[valueOptions[name]] = args[i + 1];
       i += 1;
     }
   }
   return parsed;
 }
 
+function getActionsConfigPath(repoRoot) {
+  return path.join(repoRoot, ".mindforge", "config", "actions.json");
+}
+
+function loadRuleSet(configOption) {
+  const configPath = configOption
+    ? path.resolve(process.cwd(), configOption)
+    : getActionsConfigPath(process.cwd());
+  if (!fs.existsSync(configPath)) {
+    if (configOption) {
+      return { error: failure("action_rules_config_missing", "Action rules config not found.", { path: configPath }) };
+    }
+    return { ruleSet: BUILTIN_RULE_SET, configFile: null };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch {
+    return {
+      error: failure("action_rules_config_invalid_json", "Action rules config is not valid JSON.", { path: configPath }),
+    };
+  }
+
+  const validation = validateActionsConfig(config);
+  if (!validation.ok) {
+    return {
+      error: failure("action_rules_config_invalid", "Action rules config failed local validation.", {
+        path: configPath,
+        schema_id: validation.schemaId,
+        issues: validation.errors,
+      }),
+    };
+  }
+  const configFile = path.relative(process.cwd(), configPath).split(path.sep).join("/");
+  return { ruleSet: buildActionRuleSet(config), configFile };
+}
+
+function buildCanonicalActionArtifact(classified) {
+  return {
+    kind: "canonical_action",
+    version: "v1",
+    input: {
+      text: classified.input.text,
+    },
+    action: classified.action,
+    canonical_action_hash: hashAction(classified.action),
+    deterministic: true,
+    side_effect_free: true,
+  };
+}
+
+function contractFailure(validation, details = {}) {
+  return failure("canonical_action_contract_invalid", "canonical_action artifact failed local validation", {
+    ...details,
+    schema_id: validation.schemaId,
+    issues: validation.errors,
+  });
+}
+
+function readJsonlEntries(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { error: failure("action_batch_missing", "JSONL input file not found.", { path: filePath }) };
+  }
+
+  const entries = [];
+  const lines = fs.readFileSync(filePath, "utf8").split(/\r?\n/);
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index].trim();
+    if (!line) continue;
+
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch {
+      return {
+        error: failure("action_batch_invalid_line", `JSONL line ${index + 1} is not valid JSON.`, {
+          path: filePath,
+          line: index + 1,
+        }),
+      };
+    }
+
+    const text = typeof value === "string" ? value : value?.text;
+    if (typeof text !== "string" || !text.trim()) {
+      return {
+        error: failure("action_batch_invalid_line", `JSONL line ${index + 1} must be a string or an object with text.`, {
+          path: filePath,
+          line: index + 1,
+        }),
+      };
+    }
+    const id = typeof value?.id === "string" && value.id ? value.id : `line:${index + 1}`;
+    entries.push({ id, text });
+  }
+  return { entries };
+}
+
+function readPackEntries(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { error: failure("action_pack_missing", "Evidence Pack file not found.", { path: filePath }) };
+  }
+
+  let pack;
+  try {
+    pack = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return { error: failure("action_pack_invalid_json", "Evidence Pack is not valid JSON.", { path: filePath }) };
+  }
+  if (!pack || typeof pack !== "object" || Array.isArray(pack) || !Array.isArray(pack.tool_calls)) {
+    return {
+      error: failure("action_pack_invalid", "Evidence Pack must be a JSON object with a tool_calls array.", {
+        path: filePath,
+      }),
+    };
+  }
+
+  const entries = [];
+  pack.tool_calls.forEach((toolCall, index) => {
+    const text = [toolCall?.input_summary, toolCall?.tool_name].find(
+      (value) => typeof value === "string" && value.trim()
+    );
+    if (!text) return;
+    const id = typeof toolCall.tool_call_id === "string" && toolCall.tool_call_id
+      ? toolCall.tool_call_id
+      : `tool_calls[${index}]`;
+    entries.push({ id, text, tool_name: typeof toolCall.tool_name === "string" ? toolCall.tool_name : null });
+  });
+  return { entries, packId: typeof pack.pack_id === "string" ? pack.pack_id : null };
+}
+
+function classifyBatch(entries, ruleSet, source, configFile) {
+  const items = [];
+  const byClass = {};
+  for (const entry of entries) {
+    const classified = classifyAction({ text: entry.text }, { ruleSet });
+    const artifact = buildCanonicalActionArtifact(classified);
+    const validation = validateCanonicalActionArtifact(artifact);
+    if (!validation.ok) return { error: contractFailure(validation, { item_id: entry.id }) };
+
+    const actionClass = artifact.action.action_class;
+    byClass[actionClass] = (byClass[actionClass] || 0) + 1;
+    items.push({
+      id: entry.id,
+      ...(entry.tool_name !== undefined ? { tool_name: entry.tool_name } : {}),
+      rule_id: classified.rule ? classified.rule.rule_id : null,
+      rule_source: classified.rule ? classified.rule.source : null,
+      artifact,
+    });
+  }
+
+  const unknown = byClass.unknown || 0;
+  return {
+    batch: {
+      kind: "canonical_action_batch",
+      version: "v1",
+      source,
+      rule_pack: {
+        rule_pack_id: ruleSet.rule_pack_id,
+        rule_pack_version: ruleSet.rule_pack_version,
+        config_file: configFile,
+        rule_count: ruleSet.rules.length,
+      },
+      summary: {
+        total: items.length,
+        classified: items.length - unknown,
+        unknown,
+        by_class: Object.fromEntries(Object.entries(byClass).sort(([left], [right]) => left.localeCompare(right))),
+      },
+      items,
+      deterministic: true,
+      side_effect_free: true,
+    },
+  };
+}
+
 export function handleActionSubcommand(args) {
   const sub = args[0] || "";
   if (!sub || sub === "--help" || sub === "-h" || sub === "help") {
@@ -45,46 +262,42 @@ export function handleActionSubcommand(args) {
 
   const parsed = parseActionArgs(args.slice(1));
   if (parsed.help) return { exitCode: 0, stdout: renderActionHelp() + "\n" };
-  if (!parsed.text) {
+  const inputs = [parsed.text, parsed.jsonl, parsed.pack].filter(Boolean);
+  if (inputs.length === 0) {
     return {
       exitCode: 2,
-      stderr: "Missing required option: --text\n",
+      stderr: "Missing required option: --text (or --jsonl, --pack)\n",
     };
   }
-
-  const action = classifyAction({ text: parsed.text });
-  const artifact = {
-    kind: "canonical_action",
-    version: "v1",
-    input: {
-      text: action.input.text,
-    },
-    action: action.action,
-    canonical_action_hash: hashAction(action.action),
-    deterministic: true,
-    side_effect_free: true,
-  };
-
-  const validation = validateCanonicalActionArtifact(artifact);
-  if (!validation.ok) {
+  if (inputs.length > 1) {
     return {
-      exitCode: 30,
-      stdout:
-        JSON.stringify(
-          {
-            ok: false,
-            error: {
-              kind: "canonical_action_contract_invalid",
-              message: "canonical_action artifact failed local validation",
-              schema_id: validation.schemaId,
-              issues: validation.errors,
-            },
-          },
-          null,
-          2
-        ) + "\n",
+      exitCode: 2,
+      stderr: "Options --text, --jsonl and --pack are mutually exclusive.\n",
     };
   }
 
+  const loaded = loadRuleSet(parsed.config);
+  if (loaded.error) return loaded.error;
+  const { ruleSet, configFile } = loaded;
+
+  if (parsed.jsonl || parsed.pack) {
+    const inputFile = parsed.jsonl || parsed.pack;
+    const read = parsed.jsonl
+      ? readJsonlEntries(path.resolve(process.cwd(), inputFile))
+      : readPackEntries(path.resolve(process.cwd(), inputFile));
+    if (read.error) return read.error;
+
+    const source = parsed.jsonl
+      ? { kind: "jsonl", file: inputFile }
+      : { kind: "evidence_pack", file: inputFile, pack_id: read.packId };
+    const result = classifyBatch(read.entries, ruleSet, source, configFile);
+    if (result.error) return result.error;
+    return { exitCode: 0, stdout: JSON.stringify(result.batch, null, 2) + "\n" };
+  }
+
+  const artifact = buildCanonicalActionArtifact(classifyAction({ text: parsed.text }, { ruleSet }));
+  const validation = validateCanonicalActionArtifact(artifact);
+  if (!validation.ok) return contractFailure(validation);
+
   return { exitCode: 0, stdout: JSON.stringify(artifact, null, 2) + "\n" };
 }
@@ -3,6 +3,8 @@ import crypto from "node:crypto";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 
+import { deriveAuthorityFactsFromPack } from "./authority_pack.mjs";
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const repoRoot = path.resolve(__dirname, "..", "..", "..", "..");
@@ -42,12 +44,14 @@ const FORBIDDEN_FIELDS = [
 const AUTHORITY_CHECK_USAGE = "guard authority check --preview --json --fixture-file <file>";
 const AUTHORITY_EXPLAIN_USAGE = "guard authority explain --preview --json --fixture-file <file>";
 const AUTHORITY_DRIFT_USAGE = "guard authority drift --preview --json --fixture-file <file>";
+const AUTHORITY_PACK_USAGE = "guard authority check|explain|drift --preview --json --pack <evidence-pack.json>";
 const AUTHORITY_EXPLAIN_SCHEMA_VERSION = "guard.authority_explain_preview.v6_15";
 const AUTHORITY_DRIFT_SCHEMA_VERSION = "guard.authority_drift_preview.v6_18";
 const CONSTRUCTIBLE_CURRENT_STATE_SCHEMA_VERSION = "guard.constructible_current_state.v1";
 const BIND_TIME_VALIDITY_SCHEMA_VERSION = "guard.bind_time_validity.v1";
 const ADMISSIBILITY_RESULT_RESERVED_SCHEMA_VERSION = "guard.admissibility_result.reserved.v1";
 const COMMITMENT_CANDIDATE_RESERVED_SCHEMA_VERSION = "guard.commitment_candidate.reserved.v1";
+const CONSTRUCTIBLE_STATE_SOURCES = ["fixture", "evidence_pack"];
 const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 const DETERMINISTIC_TIME_BASE_MS = Date.parse("2026-01-01T00:00:00.000Z");
 const REQUIRED_AUTHORITY_DRIFT_FLAGS = [
@@ -125,11 +129,14 @@ function renderAuthorityHelp() {
     `  ${AUTHORITY_CHECK_USAGE}`,
     `  ${AUTHORITY_EXPLAIN_USAGE}`,
     `  ${AUTHORITY_DRIFT_USAGE}`,
+    `  ${AUTHORITY_PACK_USAGE}`,
     "",
     "Options:",
     "  --preview             Required explicit preview opt-in",
     "  --json                Required JSON output mode",
-    "  --fixture-file <file> Required authority boundary fixture input",
+    "  --fixture-file <file> Authority boundary fixture input",
+    "  --pack <file>         Evidence Pack input; decisions are derived from its authority,",
+    "                        scope, actions and tool_calls sections",
     "  --help, -h            Show help",
     "",
   ].join("\n");
@@ -172,6 +179,7 @@ function parseAuthorityArgs(args) {
     preview: false,
     json: false,
     fixtureFile: null,
+    packFile: null,
   };
 
   for (let i = 0; i < args.length; i += 1) {
@@ -187,6 +195,11 @@ function parseAuthorityArgs(args) {
     } else if (arg === "--fixture-file" && args[i + 1]) {
       parsed.fixtureFile = args[i + 1];
       i += 1;
+    } else if (arg.startsWith("--pack=")) {
+      parsed.packFile = arg.slice("--pack=".length);
+    } else if (arg === "--pack" && args[i + 1]) {
+      parsed.packFile = args[i + 1];
+      i += 1;
     }
   }
 
@@ -199,10 +212,10 @@ function findUnexpectedAuthorityArg(args) {
     if (arg === "--help" || arg === "-h" || arg === "--preview" || arg === "--json") {
       continue;
     }
-    if (arg.startsWith("--fixture-file=")) {
+    if (arg.startsWith("--fixture-file=") || arg.startsWith("--pack=")) {
       continue;
     }
-    if (arg === "--fixture-file") {
+    if (arg === "--fixture-file" || arg === "--pack") {
       const next = args[i + 1];
       if (next && !next.startsWith("--")) {
         i += 1;
@@ -663,8 +676,11 @@ function validateRequiredPreviewArgs(args, usage, options = {}) {
   if (parsed.help) return { response: { exitCode: 0, stdout: renderAuthorityHelp() + "\n" } };
   if (!parsed.preview) return { response: usageError("Missing required option: --preview", usage) };
   if (!parsed.json) return { response: usageError("Missing required option: --json", usage) };
-  if (!parsed.fixtureFile) {
-    return { response: usageError("Missing required option: --fixture-file", usage) };
+  if (parsed.fixtureFile && parsed.packFile) {
+    return { response: usageError("Options --fixture-file and --pack are mutually exclusive", usage) };
+  }
+  if (!parsed.fixtureFile && !parsed.packFile) {
+    return { response: usageError("Missing required option: --fixture-file (or --pack)", usage) };
   }
   return { parsed };
 }
@@ -710,10 +726,10 @@ function loadValidatedAuthorityFixture(parsed, errorKinds) {
   return { fixturePath, fixture: fixtureRead.value };
 }
 
-function buildConstructibleCurrentState(fixture) {
+function buildConstructibleCurrentState(fixture, source = "fixture") {
   return {
     schema_version: CONSTRUCTIBLE_CURRENT_STATE_SCHEMA_VERSION,
-    constructed_from: "fixture",
+    constructed_from: source,
     current_authority_state: {
       actor: fixture.actor,
       decision: fixture.decision,
@@ -748,7 +764,7 @@ function buildConstructibleCurrentState(fixture) {
       summary: fixture.authority_receipt.summary,
       recommended_next_step: fixture.authority_receipt.recommended_next_step,
       machine_verifiable: fixture.authority_receipt.machine_verifiable,
-      evidence_source: "fixture",
+      evidence_source: source,
     },
     current_execution_context: {
       repository: fixture.context_snapshot.repository,
@@ -829,7 +845,7 @@ function buildStateValidityAssessment(fixture, constructibleCurrentState) {
     marker_detected: staleDeclared,
   });
 
-  const constructible = constructibleCurrentState.constructed_from === "fixture";
+  const constructible = CONSTRUCTIBLE_STATE_SOURCES.includes(constructibleCurrentState.constructed_from);
   checks.push({
     name: "constructible_current_state_available",
     ok: constructible,
@@ -902,8 +918,9 @@ function buildStateValidityAssessment(fixture, constructibleCurrentState) {
   };
 }
 
-function buildAuthorityExplainResult(fixture) {
-  const constructibleCurrentState = buildConstructibleCurrentState(fixture);
+function buildAuthorityExplainResult(fixture, source = "fixture") {
+  const fixtureBacked = source === "fixture";
+  const constructibleCurrentState = buildConstructibleCurrentState(fixture, source);
   const stateValidityAtBindTime = buildStateValidityAssessment(
     fixture,
     constructibleCurrentState
@@ -937,7 +954,7 @@ function buildAuthorityExplainResult(fixture) {
         status: "implemented",
         implemented_as: "constructible_current_state",
         explanation_only: true,
-        fixture_backed: true,
+        fixture_backed: fixtureBacked,
         derived_only: true,
       },
       bind_time_validity_v1: {
@@ -945,7 +962,7 @@ function buildAuthorityExplainResult(fixture) {
         implemented_as: "state_validity_at_bind_time",
         enforced: false,
         explanation_only: true,
-        fixture_backed: true,
+        fixture_backed: fixtureBacked,
         derived_only: true,
       },
       commitment_candidate_v1: {
@@ -968,9 +985,9 @@ function buildAuthorityExplainResult(fixture) {
     state_validity_at_bind_time: stateValidityAtBindTime,
     authority_explanation: {
       schema_version: "guard.authority_explanation.v1",
-      summary: `Constructible current state derived from fixture with bind-time validity verdict ${stateValidityAtBindTime.verdict}.`,
+      summary: `Constructible current state derived from ${fixtureBacked ? "fixture" : "Evidence Pack"} with bind-time validity verdict ${stateValidityAtBindTime.verdict}.`,
       derived_only: true,
-      fixture_backed: true,
+      fixture_backed: fixtureBacked,
       explanation_only: true,
       no_live_repo_scan: true,
       no_actor_auto_detection: true,
@@ -1079,11 +1096,11 @@ function normalizeInputPath(rawFixtureFile) {
   return `external-fixture/${path.basename(absolutePath)}`;
 }
 
-function buildAuthorityDriftBoundary(fixture) {
+function buildAuthorityDriftBoundary(fixture, inputRef) {
   return {
     name: "v6.18_authority_drift_execution_time_authority_validity_preview_boundary",
     preview_only: fixture.v6_18_preview,
-    fixture_backed: fixture.fixture_backed,
+    fixture_backed: fixture.fixture_backed && inputRef.fixture_backed,
     derived_only: fixture.derived_only,
     explanation_only: fixture.explanation_only,
     recommendation_only: fixture.recommendation_only,
@@ -1147,9 +1164,8 @@ function buildAuthorityDriftNonEnforcementBoundary() {
   };
 }
 
-function buildAuthorityDriftResult(fixturePath, fixture) {
-  const boundary = buildAuthorityDriftBoundary(fixture);
-  const inputRef = buildAuthorityDriftInputRef(fixturePath, fixture);
+function buildAuthorityDriftResult(inputRef, fixture, extra = {}) {
+  const boundary = buildAuthorityDriftBoundary(fixture, inputRef);
   const sourceAuthorityContext = buildSourceAuthorityContext(fixture);
   const executionContext = buildExecutionContext(fixture);
   const authorityDrift = buildAuthorityDriftDetails(fixture);
@@ -1171,6 +1187,7 @@ function buildAuthorityDriftResult(fixturePath, fixture) {
     blocking_effect: false,
     execution_authority_granted: false,
     non_enforcement_boundary: nonEnforcementBoundary,
+    ...extra,
   };
 
   return {
@@ -1179,6 +1196,274 @@ function buildAuthorityDriftResult(fixturePath, fixture) {
   };
 }
 
+function buildPackReceiptSummary(facts) {
+  const parts = [
+    `Derived from Evidence Pack ${facts.pack_id || "(unnamed)"}:`,
+    `${facts.resources.length} resource(s) checked against the declared scope,`,
+    `${facts.out_of_scope_resources.length} out of scope,`,
+    `${facts.undeclared_resources.length} undeclared,`,
+    `${facts.drifted_actors.length} undeclared actor(s).`,
+  ];
+  if (facts.evidence_freshness === "expired") {
+    parts.push("Authority evidence is stale: recorded activity falls outside the authority time window.");
+  }
+  return parts.join(" ");
+}
+
+function buildPackScopeSummary(facts) {
+  if (!facts.authority_present) {
+    return "The Evidence Pack does not carry an authority grant, so recorded actions are not authority-scoped.";
+  }
+  if (facts.out_of_scope_resources.length > 0 || facts.undeclared_resources.length > 0) {
+    return `Recorded actions reach outside the declared scope: ${uniqueStrings([
+      ...facts.out_of_scope_resources,
+      ...facts.undeclared_resources,
+    ]).join(", ")}.`;
+  }
+  return `Recorded actions stay inside the declared scope of ${facts.in_scope.length} entr${facts.in_scope.length === 1 ? "y" : "ies"}.`;
+}
+
+function uniqueStrings(values) {
+  return [...new Set(values)].sort();
+}
+
+function buildAuthorityFixtureFromPack(pack, facts) {
+  const runtime = isPlainObject(pack.runtime) ? pack.runtime : {};
+  const intent = isPlainObject(pack.intent) ? pack.intent : {};
+  const repository = isPlainObject(pack.workflow?.repository) ? pack.workflow.repository : {};
+  const protectedPaths = uniqueStrings([...facts.out_of_scope_resources, ...facts.undeclared_resources]);
+  const protectedTouched = protectedPaths.length > 0;
+  const receiptId = `${facts.pack_id || "evidence-pack"}:authority`;
+
+  return {
+    schema_version: pack.schema_version,
+    ...Object.fromEntries(REQUIRED_POSTURE_FLAGS.map((flag) => [flag, true])),
+    decision: facts.decision,
+    actor: {
+      actor_type: runtime.runtime_type || "agent_runtime",
+      display_name: runtime.runtime_name || facts.observed_actors[0] || "unknown",
+      initiated_by: facts.requested_by || "unknown",
+    },
+    intent: {
+      summary: intent.agent_task || intent.user_goal || `Recorded actions in Evidence Pack ${facts.pack_id}`,
+      change_kind: facts.pack_type || "evidence_pack",
+      target_paths: facts.resources,
+      protected_surfaces_touched: protectedTouched,
+    },
+    context_snapshot: {
+      repository: repository.repo_name || null,
+      branch: repository.branch || repository.head_ref || null,
+      current_release_line: pack.schema_version,
+      protected_surface_paths: protectedPaths,
+      protected_surfaces_touched: protectedTouched,
+    },
+    authority_scope: {
+      requested_operation: protectedTouched ? "touch_protected_surface" : "evidence_pack_recorded_actions",
+      boundary_summary: buildPackScopeSummary(facts),
+      execution_authority_granted: false,
+      blocking_implied: false,
+    },
+    authority_receipt: {
+      receipt_id: receiptId,
+      summary: buildPackReceiptSummary(facts),
+      recommendation_only: true,
+      non_executing: true,
+      default_off: true,
+      machine_verifiable: true,
+      execution_authority_granted: false,
+      enforcement_action: "none",
+      blocking_effect: false,
+      recommended_next_step:
+        facts.decision === "inside_scope"
+          ? "Proceed only through normal review; the recorded actions stay inside the declared authority."
+          : "Route the Evidence Pack to a human reviewer before relying on its recorded authority.",
+    },
+  };
+}
+
+function buildAuthorityDriftFixtureFromPack(pack, facts, authorityFixture) {
+  const receiptId = authorityFixture.authority_receipt.receipt_id;
+  const limitations = [
+    "This preview does not enforce a deny or block.",
+    "This preview does not grant execution authority.",
+    "This preview remains explanation-only and derived from Evidence Pack sections.",
+  ];
+  const base = {
+    schema_version: pack.schema_version,
+    ...Object.fromEntries(REQUIRED_AUTHORITY_DRIFT_FLAGS.map((flag) => [flag, true])),
+  };
+  const executionActorRef = facts.observed_actors.join(",") || "unknown";
+
+  if (!facts.authority_present) {
+    return {
+      ...base,
+      source_authority_context: {
+        authority_explain_receipt_ref: `${receiptId}:authority-explain:v6_15`,
+        bind_time_validity_ref: `bind-time-validity:${receiptId}`,
+        prior_execution_validity: "not_applicable",
+        requested_operation: authorityFixture.authority_scope.requested_operation,
+        summary: "The Evidence Pack does not declare an authority grant for its recorded actions.",
+      },
+      execution_context: {
+        execution_actor_ref: executionActorRef,
+        execution_scope_state: "not_authority_scoped",
+        evidence_freshness_state: "not_applicable",
+        actor_alignment_state: "not_applicable",
+        summary: buildPackScopeSummary(facts),
+      },
+      authority_drift: {
+        status: "not_applicable",
+        execution_time_validity: "not_applicable",
+        drift_factors: ["outside_scope_non_authority_request"],
+        reason_codes: ["outside_scope_non_authority_request"],
+        summary: "Authority drift is not applicable because no authority grant was recorded.",
+        limitations,
+      },
+    };
+  }
+
+  const scopeDrifted =
+    facts.out_of_scope_resources.length > 0 ||
+    facts.undeclared_resources.length > 0 ||
+    facts.undeclared_tools.length > 0;
+  const actorDrifted = facts.drifted_actors.length > 0;
+  let freshness = facts.evidence_freshness;
+  if (freshness === "expired" && (scopeDrifted || actorDrifted)) {
+    freshness = "degraded";
+    limitations.push("The authority time window also expired; scope or actor drift already invalidates execution-time authority.");
+  }
+  if (facts.in_scope.length === 0) {
+    limitations.push("The Evidence Pack declares no in-scope resources, so scope drift could not be evaluated.");
+  }
+
+  const driftFactors = [];
+  const reasonCodes = [];
+  if (scopeDrifted) {
+    driftFactors.push("scope_drift");
+    reasonCodes.push("scope_drift_invalidates_execution_time_authority");
+  }
+  if (actorDrifted) {
+    driftFactors.push("actor_drift");
+    reasonCodes.push("actor_drift_invalidates_execution_time_authority");
+  }
+  if (freshness === "expired") {
+    driftFactors.push("evidence_decay");
+    reasonCodes.push("evidence_decay_execution_time_validity_unknown");
+  }
+
+  let status = "stable";
+  let executionTimeValidity = "valid";
+  let summary = "Recorded execution stays within the authority declared in the Evidence Pack.";
+  if (scopeDrifted || actorDrifted) {
+    status = "drift_detected";
+    executionTimeValidity = "invalid";
+    summary = `${driftFactors.join(" and ").replace(/_/g, " ")} invalidates the declared authority at execution time.`;
+  } else if (freshness === "expired") {
+    status = "unknown";
+    executionTimeValidity = "unknown";
+    summary = "Recorded activity falls outside the authority time window, so execution-time validity is unknown.";
+  }
+
+  return {
+    ...base,
+    source_authority_context: {
+      authority_explain_receipt_ref: `${receiptId}:authority-explain:v6_15`,
+      bind_time_validity_ref: `bind-time-validity:${receiptId}`,
+      prior_execution_validity: "valid",
+      requested_operation: authorityFixture.authority_scope.requested_operation,
+      summary: `Authority was ${facts.authorization_status} by ${facts.requested_by || "an unnamed requester"} for ${facts.in_scope.length} in-scope resource(s).`,
+    },
+    execution_context: {
+      execution_actor_ref: executionActorRef,
+      execution_scope_state: scopeDrifted ? "scope_drifted" : "aligned",
+      evidence_freshness_state: freshness,
+      actor_alignment_state: actorDrifted ? "drifted" : "aligned",
+      summary: buildPackScopeSummary(facts),
+    },
+    authority_drift: {
+      status,
+      execution_time_validity: executionTimeValidity,
+      drift_factors: driftFactors.length > 0 ? driftFactors : ["none_detected"],
+      reason_codes: reasonCodes.length > 0 ? reasonCodes : ["authority_stable_at_execution_time"],
+      summary: summary.charAt(0).toUpperCase() + summary.slice(1),
+      limitations,
+    },
+  };
+}
+
+function buildPackDerivation(facts) {
+  return {
+    pack_id: facts.pack_id,
+    decision: facts.decision,
+    authorization_status: facts.authorization_status,
+    evidence_freshness: facts.evidence_freshness,
+    time_window: facts.time_window,
+    activity: facts.activity,
+    resources_checked: facts.resources.length,
+    out_of_scope_resources: facts.out_of_scope_resources,
+    undeclared_resources: facts.undeclared_resources,
+    observed_actors: facts.observed_actors,
+    drifted_actors: facts.drifted_actors,
+    undeclared_tools: facts.undeclared_tools,
+    blocked_action_count: facts.blocked_action_count,
+  };
+}
+
+function handleAuthorityPackMode(sub, parsed) {
+  const schemaFile = sub === "drift" ? authorityDriftSchemaPath : schemaPath;
+  const schemaRead = readJson(schemaFile, "authority_pack_schema_missing", "authority_pack_schema_invalid_json");
+  if (schemaRead.error) return schemaRead.error;
+  const schemaIssues =
+    sub === "drift" ? validateAuthorityDriftSchema(schemaRead.value) : validateSchema(schemaRead.value);
+  if (schemaIssues.length > 0) {
+    return failure("authority_pack_schema_invalid", "Authority preview schema contract is invalid.", {
+      path: schemaFile,
+      issues: schemaIssues,
+    });
+  }
+
+  const packPath = path.resolve(process.cwd(), parsed.packFile);
+  const packRead = readJson(packPath, "authority_pack_missing", "authority_pack_invalid_json");
+  if (packRead.error) return packRead.error;
+  if (!isPlainObject(packRead.value)) {
+    return failure("authority_pack_invalid", "Evidence Pack must be a JSON object.", { path: packPath });
+  }
+
+  const pack = packRead.value;
+  const facts = deriveAuthorityFactsFromPack(pack);
+  const authorityFixture = buildAuthorityFixtureFromPack(pack, facts);
+  const driftFixture = sub === "drift" ? buildAuthorityDriftFixtureFromPack(pack, facts, authorityFixture) : null;
+  const issues = driftFixture ? validateAuthorityDriftFixture(driftFixture) : validateFixture(authorityFixture);
+  if (issues.length > 0) {
+    return failure(
+      "authority_pack_contract_invalid",
+      "Authority preview derived from the Evidence Pack failed contract validation.",
+      { path: packPath, issues }
+    );
+  }
+
+  const packDerivation = buildPackDerivation(facts);
+  let result;
+  if (sub === "drift") {
+    const inputRef = {
+      kind: "evidence_pack",
+      pack_file: normalizeInputPath(packPath),
+      pack_schema_version: pack.schema_version ?? null,
+      fixture_backed: false,
+    };
+    result = buildAuthorityDriftResult(inputRef, driftFixture, { pack_derivation: packDerivation });
+  } else if (sub === "explain") {
+    result = { ...buildAuthorityExplainResult(authorityFixture, "evidence_pack"), pack_derivation: packDerivation };
+  } else {
+    result = { ...buildPreviewResult(authorityFixture), pack_derivation: packDerivation };
+  }
+
+  return {
+    exitCode: 0,
+    stdout: JSON.stringify(result, null, 2) + "\n",
+  };
+}
+
 export function handleAuthoritySubcommand(args) {
   const sub = args[0] || "";
   if (!sub || sub === "--help" || sub === "-h" || sub === "help") {
@@ -1203,13 +1488,18 @@ export function handleAuthoritySubcommand(args) {
   });
   if (argsResult.response) return argsResult.response;
 
+  if (argsResult.parsed.packFile) {
+    return handleAuthorityPackMode(sub, argsResult.parsed);
+  }
+
   if (sub === "drift") {
     const loaded = loadValidatedAuthorityDriftFixture(argsResult.parsed);
     if (loaded.error) return loaded.error;
 
+    const inputRef = buildAuthorityDriftInputRef(loaded.fixturePath, loaded.fixture);
     return {
       exitCode: 0,
-      stdout: JSON.stringify(buildAuthorityDriftResult(loaded.fixturePath, loaded.fixture), null, 2) + "\n",
+      stdout: JSON.stringify(buildAuthorityDriftResult(inputRef, loaded.fixture), null, 2) + "\n",
     };
   }
 
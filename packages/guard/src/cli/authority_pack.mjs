@@ -0,0 +1,153 @@
+// Derives authority facts from an Evidence Pack's authority, scope, actions and tool_calls
+// sections. The authority CLI turns these facts into the same fixture-shaped documents
+// that --fixture-file mode validates, so both modes share one output contract.
+
+import { globToRegExp } from "../kernelCompat.mjs";
+
+const ABSENT_AUTHORIZATION_STATUSES = ["", "missing", "none", "unknown"];
+
+function asRecord(value) {
+  return value && typeof value === "object" && !Array.isArray(value) ? value : {};
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function asString(value) {
+  return typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+}
+
+function uniqueSorted(values) {
+  return [...new Set(values.filter((value) => typeof value === "string" && value.length > 0))].sort();
+}
+
+function normalizeResource(value) {
+  return value.replace(/\\/g, "/").replace(/^\.\//, "");
+}
+
+function matchesScopeEntry(resource, entry) {
+  const normalizedEntry = normalizeResource(entry);
+  if (resource === normalizedEntry) return true;
+  if (normalizedEntry.includes("*")) return globToRegExp(normalizedEntry).test(resource);
+  const directory = normalizedEntry.endsWith("/") ? normalizedEntry : `${normalizedEntry}/`;
+  return resource.startsWith(directory);
+}
+
+function parseTimestamp(value) {
+  const parsed = typeof value === "string" ? Date.parse(value) : Number.NaN;
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function collectResources(scope, actions) {
+  const actionTargets = actions.map((action) => asString(asRecord(action.target).path));
+  return uniqueSorted(
+    [...asArray(scope.touched_resources), ...asArray(scope.changed_files), ...actionTargets]
+      .map(asString)
+      .filter(Boolean)
+      .map(normalizeResource)
+  );
+}
+
+function deriveActivityWindow(actions, toolCalls) {
+  const timestamps = [...actions, ...toolCalls]
+    .map((entry) => parseTimestamp(entry.timestamp))
+    .filter((value) => value !== null)
+    .sort((left, right) => left - right);
+  if (timestamps.length === 0) return { first_at: null, last_at: null };
+  return {
+    first_at: new Date(timestamps[0]).toISOString(),
+    last_at: new Date(timestamps[timestamps.length - 1]).toISOString(),
+  };
+}
+
+function deriveFreshness(authorizationStatus, timeWindow, activity) {
+  const startAt = parseTimestamp(timeWindow.start_at);
+  const endAt = parseTimestamp(timeWindow.end_at);
+  const firstAt = parseTimestamp(activity.first_at);
+  const lastAt = parseTimestamp(activity.last_at);
+
+  if (startAt !== null && firstAt !== null && firstAt < startAt) return "expired";
+  if (endAt !== null && lastAt !== null && lastAt > endAt) return "expired";
+  if (startAt === null || endAt === null || authorizationStatus === "declared") return "degraded";
+  return "fresh";
+}
+
+function deriveDecision(facts) {
+  if (!facts.authority_present || facts.in_scope.length === 0 || facts.action_count === 0) {
+    return "insufficient_context";
+  }
+  if (facts.out_of_scope_resources.length > 0 || facts.undeclared_resources.length > 0) {
+    return "outside_scope";
+  }
+  if (
+    facts.drifted_actors.length > 0 ||
+    facts.undeclared_tools.length > 0 ||
+    facts.blocked_action_count > 0 ||
+    facts.evidence_freshness !== "fresh"
+  ) {
+    return "needs_review";
+  }
+  return "inside_scope";
+}
+
+/**
+ * Derive scope, actor and freshness facts plus an authority decision from an Evidence Pack.
+ */
+export function deriveAuthorityFactsFromPack(pack) {
+  const authority = asRecord(pack.authority);
+  const scope = asRecord(pack.scope);
+  const runtime = asRecord(pack.runtime);
+  const actions = asArray(pack.actions).map(asRecord);
+  const toolCalls = asArray(pack.tool_calls).map(asRecord);
+  const timeWindow = asRecord(authority.time_window);
+
+  const authorizationStatus = asString(authority.authorization_status);
+  const inScope = uniqueSorted(asArray(scope.in_scope).map(asString));
+  const outOfScope = uniqueSorted(asArray(scope.out_of_scope).map(asString));
+  const resources = collectResources(scope, actions);
+  const declaredActors = uniqueSorted([asString(runtime.runtime_name), asString(runtime.runtime_id)]);
+  const observedActors = uniqueSorted(actions.map((action) => asString(action.actor)));
+  const declaredTools = uniqueSorted(asArray(runtime.tools).map((tool) => asString(asRecord(tool).tool_name)));
+  const observedTools = uniqueSorted(toolCalls.map((toolCall) => asString(toolCall.tool_name)));
+  const activity = deriveActivityWindow(actions, toolCalls);
+
+  const facts = {
+    pack_id: asString(pack.pack_id),
+    pack_type: asString(pack.pack_type),
+    authority_present:
+      Object.keys(authority).length > 0 &&
+      authorizationStatus !== null &&
+      !ABSENT_AUTHORIZATION_STATUSES.includes(authorizationStatus.toLowerCase()),
+    authorization_status: authorizationStatus,
+    requested_by: asString(authority.requested_by),
+    in_scope: inScope,
+    out_of_scope: outOfScope,
+    resources,
+    out_of_scope_resources: resources.filter((resource) =>
+      outOfScope.some((entry) => matchesScopeEntry(resource, entry))
+    ),
+    undeclared_resources:
+      inScope.length > 0
+        ? resources.filter((resource) => !inScope.some((entry) => matchesScopeEntry(resource, entry)))
+        : [],
+    declared_actors: declaredActors,
+    observed_actors: observedActors,
+    drifted_actors:
+      declaredActors.length > 0 ? observedActors.filter((actor) => !declaredActors.includes(actor)) : [],
+    declared_tools: declaredTools,
+    undeclared_tools:
+      declaredTools.length > 0 ? observedTools.filter((tool) => !declaredTools.includes(tool)) : [],
+    action_count: actions.length,
+    tool_call_count: toolCalls.length,
+    blocked_action_count: asArray(pack.blocked_actions).length,
+    time_window: {
+      start_at: asString(timeWindow.start_at),
+      end_at: asString(timeWindow.end_at),
+    },
+    activity,
+  };
+  facts.evidence_freshness = deriveFreshness(authorizationStatus, facts.time_window, activity);
+  facts.decision = deriveDecision(facts);
+  return facts;
+}
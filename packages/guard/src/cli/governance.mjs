@@ -0,0 +1,161 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { getRepoRoot, loadPolicy } from "../kernelCompat.mjs";
+import { applyTierGateToPolicy } from "../product/tier_gate.mjs";
+import {
+  GOVERNANCE_EMIT_ARTIFACT_SETS,
+  GOVERNANCE_PERMIT_CHAIN_ARTIFACTS,
+  buildGovernanceEmitManifest,
+  buildGovernancePermitChain,
+  serializeChainArtifact,
+} from "../runtime/governance/chain/index.mjs";
+
+const EXIT_ERROR_DEFAULT = 30;
+
+function renderGovernanceHelp() {
+  return [
+    "Usage:",
+    "  guard governance emit --from-audit <audit.json> --out-dir <dir> [--artifacts all|required]",
+    "                        [--policy <policy.json>]",
+    "",
+    "Builds the permit chain (permit_gate_result, governance_receipt, governance_decision_record,",
+    "governance_outcome_bundle, governance_application_record, governance_disposition,",
+    "governance_activation_record) from a saved `guard audit` JSON, validates each artifact and",
+    "writes <artifact_id>.json plus manifest.json to --out-dir. --artifacts required builds only",
+    "the artifacts the consumption profile marks required. The policy (default",
+    ".mindforge/config/policy.json) must be the one the audit was run with; tier gating",
+    "uses the edition recorded in the audit, not the license installed now.",
+    "",
+  ].join("\n");
+}
+
+function buildErrorJson({ kind, message }) {
+  return JSON.stringify({ ok: false, error: { kind, message } }, null, 2) + "\n";
+}
+
+function readOptionValue(args, name) {
+  const prefix = `--${name}=`;
+  const inline = args.find((value) => value.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const index = args.indexOf(`--${name}`);
+  if (index >= 0 && args[index + 1] && !args[index + 1].startsWith("--")) return args[index + 1];
+  return null;
+}
+
+function emitFailed(kind, message) {
+  return { exitCode: EXIT_ERROR_DEFAULT, stdout: buildErrorJson({ kind, message }) };
+}
+
+function resolveRepoRoot() {
+  try {
+    return getRepoRoot();
+  } catch {
+    return process.cwd();
+  }
+}
+
+function readSavedAudit(auditPath) {
+  let audit;
+  try {
+    audit = JSON.parse(fs.readFileSync(auditPath, "utf8"));
+  } catch (err) {
+    return { error: `audit could not be read: ${err?.message || String(err)}` };
+  }
+  if (!audit || typeof audit !== "object" || !audit.run || !audit.evaluation) {
+    return { error: "not a guard audit JSON (expected run and evaluation)." };
+  }
+  return { audit };
+}
+
+async function emitGovernance(args) {
+  const fromAudit = readOptionValue(args, "from-audit");
+  const outDir = readOptionValue(args, "out-dir");
+  if (!fromAudit || !outDir) {
+    const message = "guard governance emit requires --from-audit <audit.json> and --out-dir <dir>.";
+    return { exitCode: 2, stdout: buildErrorJson({ kind: "missing_required_input", message }) };
+  }
+  const artifacts = readOptionValue(args, "artifacts") || "all";
+  if (!GOVERNANCE_EMIT_ARTIFACT_SETS.includes(artifacts)) {
+    const message = `--artifacts must be one of ${GOVERNANCE_EMIT_ARTIFACT_SETS.join(", ")}`;
+    return { exitCode: 2, stdout: buildErrorJson({ kind: "invalid_governance_option", message }) };
+  }
+
+  const auditPath = path.resolve(fromAudit);
+  const { audit, error } = readSavedAudit(auditPath);
+  if (error) return emitFailed("governance_emit_failed", error);
+
+  const repoRoot = resolveRepoRoot();
+  const policyOption = readOptionValue(args, "policy");
+  const policyPath = path.resolve(policyOption || path.join(repoRoot, ".mindforge", "config", "policy.json"));
+  let policy;
+  try {
+    policy = await loadPolicy({ policyPath, repoRoot });
+  } catch (err) {
+    const message = `policy could not be loaded from ${policyPath}: ${err?.message || String(err)}`;
+    return emitFailed("governance_emit_failed", message);
+  }
+  const auditPolicyHash = audit.policy?.policy_hash ?? null;
+  if (auditPolicyHash && auditPolicyHash !== policy.__policy_hash) {
+    const message = `the audit was run with policy ${auditPolicyHash}, not ${policy.__policy_hash}; pass --policy.`;
+    return emitFailed("policy_hash_mismatch", message);
+  }
+
+  // Tier-gate with the edition the audit ran under, not whatever license is installed now.
+  const edition = audit.productization?.edition;
+  if (typeof edition !== "string" || !edition) {
+    return emitFailed("governance_emit_failed", "the audit does not record the edition it ran under (productization.edition).");
+  }
+  let chain;
+  try {
+    ({ chain } = buildGovernancePermitChain({
+      audit,
+      effectivePolicy: applyTierGateToPolicy(policy, edition),
+      artifacts,
+    }));
+  } catch (err) {
+    const message = `permit chain could not be built: ${err?.message || String(err)}`;
+    return emitFailed("governance_emit_failed", message);
+  }
+
+  // Nothing is written unless the whole selected chain validated.
+  const files = Object.fromEntries(GOVERNANCE_PERMIT_CHAIN_ARTIFACTS.map((id) => [id, `${id}.json`]));
+  const manifest = buildGovernanceEmitManifest({
+    chain,
+    files,
+    artifacts,
+    source: {
+      audit: path.relative(process.cwd(), auditPath).split(path.sep).join("/"),
+      run_id: audit.run?.run_id ?? null,
+      policy_hash: policy.__policy_hash,
+      edition,
+    },
+  });
+  const outPath = path.resolve(outDir);
+  try {
+    fs.mkdirSync(outPath, { recursive: true });
+    for (const entry of manifest.artifacts) {
+      if (!entry.produced) continue;
+      fs.writeFileSync(path.join(outPath, entry.file), serializeChainArtifact(chain[entry.artifact_id]), "utf8");
+    }
+    fs.writeFileSync(path.join(outPath, "manifest.json"), JSON.stringify(manifest, null, 2) + "\n", "utf8");
+  } catch (err) {
+    return emitFailed("governance_emit_failed", `--out-dir could not be written: ${err?.message || String(err)}`);
+  }
+
+  const produced = manifest.artifacts.filter((entry) => entry.produced).map((entry) => entry.artifact_id);
+  const summary = { ok: true, out_dir: outDir, manifest: "manifest.json", produced, permit_gate: manifest.permit_gate };
+  return { exitCode: 0, stdout: JSON.stringify(summary, null, 2) + "\n" };
+}
+
+export async function handleGovernanceSubcommand(args) {
+  const sub = args[0] || "";
+  if (sub === "--help" || sub === "-h" || sub === "help") return { exitCode: 0, stdout: renderGovernanceHelp() };
+  if (sub !== "emit") {
+    return {
+      exitCode: 2,
+      stderr: `${sub ? `Unknown governance command: ${sub}\n\n` : ""}${renderGovernanceHelp()}\n`,
+    };
+  }
+  return emitGovernance(args.slice(1));
+}
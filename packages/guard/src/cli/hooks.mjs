@@ -0,0 +1,261 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import {
+  GIT_HOOKS,
+  GIT_HOOK_MANAGERS,
+  gitHooksStatus,
+  installGitHooks,
+  runGitHook,
+  uninstallGitHooks,
+} from "../hooks/git_hooks.mjs";
+import { resolveEnvToken } from "../hooks/hook_config.mjs";
+import { MOCK_DEFAULT_PORT, startHookMockServer } from "../hooks/hook_mock_server.mjs";
+import { HOOK_STATUS, isValidHookStatus } from "../hooks/hook_types.mjs";
+import { getRepoRoot } from "../kernelCompat.mjs";
+
+const EXIT_ERROR_DEFAULT = 30;
+
+function renderHooksHelp() {
+  return [
+    "Usage:",
+    "  guard hooks install [--hook pre-commit|pre-push] [--manager auto|git|husky|lefthook] [--command <cmd>]",
+    "  guard hooks uninstall [--hook pre-commit|pre-push] [--manager auto|git|husky|lefthook]",
+    "  guard hooks status [--format text|json]",
+    "  guard hooks run pre-commit|pre-push [<remote> <url>]",
+    "  guard hooks serve-mock [--port <n>] [--host <addr>] [--status PASS|SOFT_OVERRIDE|BLOCK] [--reason <text>]",
+    "                         [--secret <s>|ENV:<VAR>] [--fail-first <n>] [--delay-ms <n>] [--max-requests <n>]",
+    "",
+    "install writes git pre-commit and pre-push hooks that run `guard hooks run`: pre-commit",
+    "audits the staged changes, pre-push audits each pushed range. The hook exits with the",
+    "policy's exit_codes value for the worst verdict. Installing again is a no-op; existing",
+    "hooks are chained (run first). husky repos get a block in .husky/<hook>; lefthook repos",
+    "get a config snippet to add. Without .mindforge/config/policy.json the hooks skip.",
+    "",
+    "Local receiver for the enterprise webhook (.mindforge/hooks.json). Answers every",
+    "POST with the given status, prints one JSON line per request and runs until",
+    "Ctrl-C or --max-requests. With --secret, unsigned or badly signed requests get 401.",
+    "",
+  ].join("\n");
+}
+
+function buildErrorJson({ kind, message }) {
+  return JSON.stringify({ ok: false, error: { kind, message } }, null, 2) + "\n";
+}
+
+function readOptionValue(args, name) {
+  const prefix = `--${name}=`;
+  const inline = args.find((value) => value.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const index = args.indexOf(`--${name}`);
+  if (index >= 0 && args[index + 1] && !args[index + 1].startsWith("--")) return args[index + 1];
+  return null;
+}
+
+function readIntOption(args, name, fallback, min, max) {
+  const value = readOptionValue(args, name);
+  if (value === null) return { value: fallback };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    return { error: `--${name} must be an integer between ${min} and ${max}` };
+  }
+  return { value: n };
+}
+
+function readServeMockOptions(args) {
+  const ints = {
+    port: readIntOption(args, "port", MOCK_DEFAULT_PORT, 0, 65535),
+    failFirst: readIntOption(args, "fail-first", 0, 0, 1000),
+    delayMs: readIntOption(args, "delay-ms", 0, 0, 60000),
+    maxRequests: readIntOption(args, "max-requests", 0, 0, 1000000),
+  };
+  const bad = Object.values(ints).find((option) => option.error);
+  if (bad) return { error: bad.error };
+
+  const status = (readOptionValue(args, "status") || HOOK_STATUS.PASS).toUpperCase();
+  if (!isValidHookStatus(status)) return { error: "--status must be one of PASS, SOFT_OVERRIDE, BLOCK" };
+
+  const secretSpec = readOptionValue(args, "secret");
+  const secret = secretSpec === null ? null : resolveEnvToken(secretSpec);
+  if (secretSpec !== null && !secret) return { error: `--secret ${secretSpec} resolves to an empty value` };
+
+  return {
+    host: readOptionValue(args, "host") || "127.0.0.1",
+    port: ints.port.value,
+    status,
+    reason: readOptionValue(args, "reason") || "mock",
+    secret,
+    failFirst: ints.failFirst.value,
+    delayMs: ints.delayMs.value,
+    maxRequests: ints.maxRequests.value,
+  };
+}
+
+function invalidOption(message) {
+  return { exitCode: 2, stdout: buildErrorJson({ kind: "invalid_hooks_option", message }) };
+}
+
+function hooksFailed(message) {
+  return { exitCode: EXIT_ERROR_DEFAULT, stdout: buildErrorJson({ kind: "hooks_install_failed", message }) };
+}
+
+function toRelative(repoRoot, file) {
+  if (!file) return file;
+  return path.relative(repoRoot, file).split(path.sep).join("/") || ".";
+}
+
+function readGitHookOptions(args) {
+  const hook = readOptionValue(args, "hook");
+  if (hook !== null && !GIT_HOOKS.includes(hook)) return { error: `--hook must be one of ${GIT_HOOKS.join(", ")}` };
+  const manager = readOptionValue(args, "manager") || "auto";
+  if (manager !== "auto" && !GIT_HOOK_MANAGERS.includes(manager)) {
+    return { error: `--manager must be one of auto, ${GIT_HOOK_MANAGERS.join(", ")}` };
+  }
+  return { hooks: hook ? [hook] : GIT_HOOKS, manager, command: readOptionValue(args, "command") };
+}
+
+function relativeResult(repoRoot, result) {
+  return {
+    ...result,
+    hooks_dir: toRelative(repoRoot, result.hooks_dir),
+    hooks: result.hooks?.map((hook) => ({ ...hook, path: toRelative(repoRoot, hook.path) })),
+  };
+}
+
+function installHooks(args, repoRoot) {
+  const options = readGitHookOptions(args);
+  if (options.error) return invalidOption(options.error);
+
+  const result = installGitHooks({ repoRoot, ...options });
+  if (result.error) {
+    return hooksFailed(result.error);
+  }
+  const conflicts = (result.hooks || []).filter((hook) => hook.error);
+  const body = { ok: conflicts.length === 0, ...relativeResult(repoRoot, result) };
+  if (result.manager === "lefthook") {
+    body.message = `lefthook manages this repo's hooks (${result.config}); add the snippet to it.`;
+  }
+  if (!fs.existsSync(path.join(repoRoot, ".mindforge", "config", "policy.json"))) {
+    body.warnings = ["no .mindforge/config/policy.json: the hooks skip every run until guard init creates one."];
+  }
+  return { exitCode: conflicts.length ? EXIT_ERROR_DEFAULT : 0, stdout: JSON.stringify(body, null, 2) + "\n" };
+}
+
+function uninstallHooks(args, repoRoot) {
+  const options = readGitHookOptions(args);
+  if (options.error) return invalidOption(options.error);
+
+  const result = uninstallGitHooks({ repoRoot, hooks: options.hooks, manager: options.manager });
+  if (result.error) {
+    return hooksFailed(result.error);
+  }
+  const body = { ok: true, ...relativeResult(repoRoot, result) };
+  if (result.manager === "lefthook") body.message = `remove the mindforge-guard commands from ${result.config}.`;
+  return { exitCode: 0, stdout: JSON.stringify(body, null, 2) + "\n" };
+}
+
+function renderHooksStatusText(status) {
+  const where = status.config || status.hooks_dir || "";
+  const lines = [`Git hooks (manager=${status.manager}${where ? `, ${where}` : ""})`];
+  for (const hook of status.hooks) {
+    const state = hook.installed ? (hook.chained ? "installed, chained" : "installed") : "not installed";
+    const other = !hook.installed && hook.other ? " (other hook present)" : "";
+    lines.push(`  ${hook.hook.padEnd(10)} ${state}${other}`);
+  }
+  lines.push("");
+  return lines.join("\n");
+}
+
+function hooksStatus(args, repoRoot) {
+  const format = readOptionValue(args, "format") || "text";
+  if (format !== "text" && format !== "json") return invalidOption("--format must be text or json");
+
+  const status = { kind: "git_hooks_status", v: 1, ...relativeResult(repoRoot, gitHooksStatus({ repoRoot })) };
+  if (format === "json") return { exitCode: 0, stdout: JSON.stringify(status, null, 2) + "\n" };
+  return { exitCode: 0, stdout: renderHooksStatusText(status) };
+}
+
+function readStdin() {
+  try {
+    return fs.readFileSync(0, "utf8");
+  } catch {
+    return "";
+  }
+}
+
+// Called by the installed hooks; output goes to stderr like any git hook.
+async function runHook(args, repoRoot) {
+  const hook = args[0] || "";
+  if (!GIT_HOOKS.includes(hook)) return invalidOption(`guard hooks run needs one of ${GIT_HOOKS.join(", ")}`);
+  const input = hook === "pre-push" ? readStdin() : "";
+  const { exitCode, lines } = await runGitHook({ hook, repoRoot, args: args.slice(1), input });
+  return { exitCode, stderr: lines.length ? lines.join("\n") + "\n" : "" };
+}
+
+// Long-running: request lines are written as they arrive, not collected into stdout.
+async function serveMock(options) {
+  const { maxRequests, ...serverOptions } = options;
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  let server;
+  try {
+    server = await startHookMockServer({
+      ...serverOptions,
+      onRequest: (entry) => {
+        process.stdout.write(JSON.stringify(entry) + "\n");
+        if (maxRequests && entry.n >= maxRequests) finish();
+      },
+    });
+  } catch (err) {
+    return {
+      exitCode: EXIT_ERROR_DEFAULT,
+      stdout: buildErrorJson({ kind: "hooks_mock_failed", message: err?.message || String(err) }),
+    };
+  }
+
+  const signed = options.secret ? ", signed" : "";
+  process.stdout.write(`hook mock listening on ${server.url} (status=${options.status}${signed})\n`);
+  process.once("SIGINT", finish);
+  process.once("SIGTERM", finish);
+  await done;
+  process.removeListener("SIGINT", finish);
+  process.removeListener("SIGTERM", finish);
+  await server.close();
+
+  return { exitCode: 0, stdout: `hook mock stopped after ${server.requests.length} request(s)\n` };
+}
+
+export async function handleHooksSubcommand(args) {
+  const sub = args[0] || "";
+  if (!sub || sub === "--help" || sub === "-h" || sub === "help") {
+    return { exitCode: 0, stdout: renderHooksHelp() };
+  }
+  if (["install", "uninstall", "status", "run"].includes(sub)) {
+    let repoRoot;
+    try {
+      repoRoot = getRepoRoot();
+    } catch {
+      return hooksFailed("not a git repository.");
+    }
+    const rest = args.slice(1);
+    if (sub === "install") return installHooks(rest, repoRoot);
+    if (sub === "uninstall") return uninstallHooks(rest, repoRoot);
+    if (sub === "status") return hooksStatus(rest, repoRoot);
+    return runHook(rest, repoRoot);
+  }
+  if (sub !== "serve-mock") {
+    return {
+      exitCode: 2,
+      stderr: `Unknown hooks command: ${sub}\n\n${renderHooksHelp()}\n`,
+    };
+  }
+
+  const options = readServeMockOptions(args.slice(1));
+  if (options.error) {
+    return { exitCode: 2, stdout: buildErrorJson({ kind: "invalid_hooks_option", message: options.error }) };
+  }
+  return serveMock(options);
+}
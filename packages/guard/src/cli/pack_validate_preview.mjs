@@ -101,6 +101,9 @@ function buildReviewFocus(summary) {
   if (summary.malformed_files.length > 0) {
     focus.push("repair malformed pack input before report preparation");
   }
+  if (summary.schema_errors.length > 0) {
+    focus.push("correct pack fields that do not match the preview schemas");
+  }
   if (summary.omissions.length > 0) {
     focus.push("address missing required evidence before report preparation");
   }
@@ -151,6 +154,7 @@ function buildOutput(summary) {
     omissions: summary.omissions,
     limitations: summary.limitations,
     parser_warnings: summary.parser_warnings,
+    schema_errors: summary.schema_errors,
     deterministic_pack_hash: summary.deterministic_pack_hash,
     files_checked: uniqueSorted([...summary.parsed_files, ...summary.missing_files]),
     required_fields_checked: REQUIRED_FIELDS_CHECKED,
@@ -196,6 +200,7 @@ export function handlePackValidatePreviewSubcommand(args) {
       omissions: [],
       limitations: [],
       parser_warnings: [message],
+      schema_errors: [],
       deterministic_pack_hash: "",
       files_checked: [],
       required_fields_checked: REQUIRED_FIELDS_CHECKED,
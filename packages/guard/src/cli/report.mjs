@@ -1,3 +1,4 @@
+import { handleReportEvidencePackSubcommand } from "./report_evidence_pack.mjs";
 import { handleReportSingleAgentPreviewSubcommand } from "./report_single_agent_preview.mjs";
 import { handleSingleAgentGovernanceReportSubcommand } from "./single_agent_governance_report.mjs";
 
@@ -7,6 +8,9 @@ function hasPackArg(args) {
 
 export function handleReportSubcommand(args) {
   const sub = args[0] || "";
+  if (sub === "evidence-pack") {
+    return handleReportEvidencePackSubcommand(args.slice(1));
+  }
   if (sub === "single-agent" && hasPackArg(args.slice(1))) {
     return handleReportSingleAgentPreviewSubcommand(args.slice(1));
   }
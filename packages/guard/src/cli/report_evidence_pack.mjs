@@ -0,0 +1,276 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+import { loadGuardCore } from "../guardCoreCompat.mjs";
+
+const REPORT_EVIDENCE_PACK_USAGE =
+  "guard report evidence-pack --pack <evidence-pack.json> --out <dir> [--format json|md|html|index] [--verify-files [--root <dir>]]";
+const EXIT_USAGE = 2;
+const EXIT_UNEXPECTED = 1;
+const EXIT_OK = 0;
+const EXIT_INVALID_PACK = 4;
+
+const REPORT_OUTPUT_FILES = {
+  json: "governance-report.json",
+  md: "governance-report.md",
+  html: "governance-report.html",
+  index: "evidence-index.json",
+};
+const REPORT_FORMATS = Object.keys(REPORT_OUTPUT_FILES);
+
+function renderReportEvidencePackHelp() {
+  return [
+    "Usage:",
+    `  ${REPORT_EVIDENCE_PACK_USAGE}`,
+    "",
+    "Validates an Evidence Pack, builds the governance report model and writes",
+    "the selected renderings plus the evidence index into --out.",
+    "",
+    "Options:",
+    "  --pack <file>     Required Evidence Pack JSON input",
+    "  --out <dir>       Required output directory",
+    "  --format <list>   json|md|html|index, repeatable or comma-separated (default: all)",
+    "  --verify-files    Recompute sha256/size_bytes of artifact and manifest files on disk",
+    "  --root <dir>      Directory artifact paths resolve against (default: the pack's directory)",
+    "  --help, -h        Show help",
+    "",
+    "Outputs:",
+    ...REPORT_FORMATS.map((format) => `  ${format.padEnd(6)} ${REPORT_OUTPUT_FILES[format]}`),
+    "",
+  ].join("\n");
+}
+
+function usageError(message) {
+  return {
+    exitCode: EXIT_USAGE,
+    stderr: `${message}\nUsage: ${REPORT_EVIDENCE_PACK_USAGE}\n`,
+  };
+}
+
+function buildErrorJson({ kind, message, details = {} }) {
+  return (
+    JSON.stringify(
+      {
+        ok: false,
+        error: {
+          kind,
+          message,
+          ...details,
+        },
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+function readOptionValue(args, index, name) {
+  const arg = args[index];
+  if (arg.startsWith(`${name}=`)) return { value: arg.slice(name.length + 1), next: index };
+  const value = args[index + 1];
+  if (!value || value.startsWith("--")) return { error: usageError(`Missing value for option: ${name}`) };
+  return { value, next: index + 1 };
+}
+
+function parseArgs(args) {
+  const parsed = {
+    help: false,
+    packPath: null,
+    outDir: null,
+    formats: [],
+    verifyFiles: false,
+    root: null,
+  };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    if (arg === "--help" || arg === "-h") {
+      parsed.help = true;
+      continue;
+    }
+    if (arg === "--verify-files") {
+      parsed.verifyFiles = true;
+      continue;
+    }
+
+    const name = ["--pack", "--out", "--format", "--root"].find(
+      (option) => arg === option || arg.startsWith(`${option}=`)
+    );
+    if (!name) {
+      return { error: usageError(arg.startsWith("--") ? `Unknown option: ${arg}` : `Unexpected argument: ${arg}`) };
+    }
+
+    const { value, next, error } = readOptionValue(args, index, name);
+    if (error) return { error };
+    index = next;
+
+    if (name === "--pack") parsed.packPath = value;
+    else if (name === "--out") parsed.outDir = value;
+    else if (name === "--root") parsed.root = value;
+    else {
+      for (const format of value.split(",").map((item) => item.trim()).filter(Boolean)) {
+        if (!REPORT_FORMATS.includes(format)) {
+          return { error: usageError(`Unsupported format: ${format}`) };
+        }
+        if (!parsed.formats.includes(format)) parsed.formats.push(format);
+      }
+    }
+  }
+
+  if (parsed.root && !parsed.verifyFiles) {
+    return { error: usageError("Option --root requires --verify-files") };
+  }
+  if (parsed.formats.length === 0) parsed.formats = [...REPORT_FORMATS];
+  return { parsed };
+}
+
+function invalidPack(packPath, kind, message, { errors = [], warnings = [] } = {}) {
+  return {
+    exitCode: EXIT_INVALID_PACK,
+    stdout: buildErrorJson({
+      kind,
+      message,
+      details: {
+        pack_path: packPath,
+        error_count: errors.length,
+        warning_count: warnings.length,
+        errors,
+        warnings,
+      },
+    }),
+  };
+}
+
+function createDiskFileReader(rootDir) {
+  return (relativePath) => {
+    const filePath = path.resolve(rootDir, relativePath);
+    const relativeToRoot = path.relative(rootDir, filePath);
+    if (relativeToRoot.startsWith("..") || path.isAbsolute(relativeToRoot)) return null;
+
+    let content;
+    try {
+      if (!fs.statSync(filePath).isFile()) return null;
+      content = fs.readFileSync(filePath);
+    } catch {
+      return null;
+    }
+    return {
+      sha256: crypto.createHash("sha256").update(content).digest("hex"),
+      size_bytes: content.length,
+    };
+  };
+}
+
+function renderOutput(format, report, core) {
+  if (format === "json") return JSON.stringify(report, null, 2) + "\n";
+  if (format === "md") return core.renderMarkdownReport(report);
+  if (format === "html") return core.renderHtmlReport(report);
+  return JSON.stringify(core.generateEvidenceIndex(report), null, 2) + "\n";
+}
+
+export async function handleReportEvidencePackSubcommand(args) {
+  const { error, parsed } = parseArgs(args);
+  if (error) return error;
+
+  if (parsed.help) {
+    return { exitCode: 0, stdout: renderReportEvidencePackHelp() };
+  }
+  if (!parsed.packPath) {
+    return usageError("Missing required option: --pack");
+  }
+  if (!parsed.outDir) {
+    return usageError("Missing required option: --out");
+  }
+
+  let input;
+  try {
+    input = fs.readFileSync(parsed.packPath, "utf8");
+  } catch (errorLike) {
+    return invalidPack(parsed.packPath, "evidence_pack_unreadable", "Evidence Pack file could not be read.", {
+      errors: [{ code: "PACK_UNREADABLE", path: "$", message: errorLike?.message || String(errorLike) }],
+    });
+  }
+
+  let core = null;
+  try {
+    core = await loadGuardCore();
+
+    const parseResult = core.parseEvidencePack(input);
+    if (!parseResult.ok) {
+      return invalidPack(parsed.packPath, "evidence_pack_invalid", "Evidence Pack input could not be parsed.", {
+        errors: parseResult.errors,
+      });
+    }
+
+    const validation = core.validateEvidencePack(parseResult.pack);
+    if (!validation.ok) {
+      return invalidPack(parsed.packPath, "evidence_pack_invalid", "Evidence Pack failed validation.", validation);
+    }
+
+    let fileIntegrity = null;
+    if (parsed.verifyFiles) {
+      const rootDir = path.resolve(parsed.root || path.dirname(parsed.packPath));
+      fileIntegrity = core.verifyEvidenceFiles(parseResult.pack, createDiskFileReader(rootDir), {
+        selfPath: path.relative(rootDir, path.resolve(parsed.packPath)),
+      });
+    }
+
+    const reportResult = core.generateGovernanceReport(parseResult.pack, { fileIntegrity });
+    if (!reportResult.ok) {
+      return invalidPack(
+        parsed.packPath,
+        "governance_report_failed",
+        "Governance report could not be generated from the Evidence Pack.",
+        reportResult
+      );
+    }
+
+    const report = reportResult.report;
+    fs.mkdirSync(parsed.outDir, { recursive: true });
+    const outputs = parsed.formats.map((format) => {
+      const filePath = path.join(parsed.outDir, REPORT_OUTPUT_FILES[format]);
+      fs.writeFileSync(filePath, renderOutput(format, report, core), "utf8");
+      return { format, path: filePath };
+    });
+
+    return {
+      exitCode: EXIT_OK,
+      stdout:
+        JSON.stringify(
+          {
+            ok: true,
+            pack_path: parsed.packPath,
+            out_dir: parsed.outDir,
+            report_id: report.report_id,
+            source_pack_id: report.source_pack_id,
+            verdict: report.verdict.value,
+            reason_codes: report.reason_codes,
+            validation: {
+              ok: true,
+              warning_count: reportResult.warnings.length,
+              warnings: reportResult.warnings,
+            },
+            file_integrity: fileIntegrity,
+            outputs,
+          },
+          null,
+          2
+        ) + "\n",
+    };
+  } catch (errorLike) {
+    return {
+      exitCode: EXIT_UNEXPECTED,
+      stdout: buildErrorJson({
+        kind:
+          errorLike?.code === "GUARD_CORE_UNAVAILABLE"
+            ? "guard_core_unavailable"
+            : "report_evidence_pack_unexpected_error",
+        message: "Evidence Pack report could not be generated.",
+        details: {
+          reason: errorLike?.message || String(errorLike),
+        },
+      }),
+    };
+  }
+}
@@ -0,0 +1,44 @@
+import fs from "node:fs";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+// Compiled .mjs copies of guard-core and the renderers (scripts/build_guard_core_vendor.mjs).
+const VENDOR_DIR = fileURLToPath(new URL("./vendor/", import.meta.url));
+const GUARD_CORE_PACKAGES = ["guard-core", "renderer-md", "renderer-html"];
+
+export class GuardCoreUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GuardCoreUnavailableError";
+    this.code = "GUARD_CORE_UNAVAILABLE";
+  }
+}
+
+/**
+ * Load guard-core and the Markdown/HTML renderers from their vendored builds.
+ */
+export async function loadGuardCore() {
+  const missing = GUARD_CORE_PACKAGES.filter(
+    (name) => !fs.existsSync(new URL(`./vendor/${name}/index.mjs`, import.meta.url))
+  );
+  if (missing.length > 0) {
+    throw new GuardCoreUnavailableError(
+      `guard-core build is not available: src/vendor/{${missing.join(",")}}/index.mjs missing (run scripts/build_guard_core_vendor.mjs).`
+    );
+  }
+
+  const importIndex = (name) => import(pathToFileURL(`${VENDOR_DIR}${name}/index.mjs`).href);
+  const guardCore = await importIndex("guard-core");
+  const rendererMd = await importIndex("renderer-md");
+  const rendererHtml = await importIndex("renderer-html");
+
+  return {
+    generateEvidenceIndex: guardCore.generateEvidenceIndex,
+    generateGovernanceReport: guardCore.generateGovernanceReport,
+    inspectEvidenceCoverage: guardCore.inspectEvidenceCoverage,
+    parseEvidencePack: guardCore.parseEvidencePack,
+    validateEvidencePack: guardCore.validateEvidencePack,
+    verifyEvidenceFiles: guardCore.verifyEvidenceFiles,
+    renderMarkdownReport: rendererMd.renderMarkdownReport,
+    renderHtmlReport: rendererHtml.renderHtmlReport,
+  };
+}
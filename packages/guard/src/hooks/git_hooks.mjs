@@ -0,0 +1,402 @@
+import fs from "node:fs";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+import { loadPolicy } from "../kernelCompat.mjs";
+
+export const GIT_HOOKS = ["pre-commit", "pre-push"];
+export const GIT_HOOK_MANAGERS = ["git", "husky", "lefthook"];
+
+// Whole-file marker for hooks written into the git hooks directory.
+const MANAGED_MARKER = "# mindforge-guard managed hook";
+// Block markers for hooks that belong to husky (.husky/<hook> is shared with other tools).
+const BLOCK_START = "# >>> mindforge-guard >>>";
+const BLOCK_END = "# <<< mindforge-guard <<<";
+// An existing hook is moved aside to <hook><CHAINED_SUFFIX> and run first.
+const CHAINED_SUFFIX = ".pre-mindforge";
+
+const LEFTHOOK_CONFIGS = [
+  "lefthook.yml",
+  "lefthook.yaml",
+  ".lefthook.yml",
+  ".lefthook.yaml",
+  "lefthook.json",
+  "lefthook.toml",
+];
+
+const GUARD_BIN = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../bin/guard.mjs");
+
+function git(repoRoot, args) {
+  try {
+    return execFileSync("git", args, { cwd: repoRoot, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function readTextOrNull(file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+function writeExecutable(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text, "utf8");
+  fs.chmodSync(file, 0o755);
+}
+
+/**
+ * Hooks directory git actually runs (honours core.hooksPath).
+ */
+export function resolveGitHooksDir(repoRoot) {
+  const out = git(repoRoot, ["rev-parse", "--git-path", "hooks"]);
+  return out ? path.resolve(repoRoot, out) : null;
+}
+
+/**
+ * Which hook manager owns the repo's hooks: lefthook config, husky (.husky/ or core.hooksPath
+ * into .husky), otherwise plain git.
+ */
+export function detectHookManager(repoRoot) {
+  const lefthook = LEFTHOOK_CONFIGS.find((name) => fs.existsSync(path.join(repoRoot, name)));
+  if (lefthook) return { manager: "lefthook", config: lefthook };
+
+  const hooksPath = git(repoRoot, ["config", "--get", "core.hooksPath"]) || "";
+  if (fs.existsSync(path.join(repoRoot, ".husky")) || hooksPath.startsWith(".husky")) {
+    return { manager: "husky", config: ".husky" };
+  }
+  return { manager: "git", config: null };
+}
+
+/**
+ * Command hooks use to call guard. Git hooks are local, so they pin this node and this guard;
+ * husky and lefthook files are committed, so they use the project's installed bin.
+ */
+export function defaultHookCommand(manager) {
+  if (manager === "git") return `${shellQuote(process.execPath)} ${shellQuote(GUARD_BIN)}`;
+  return "npx --no-install guard";
+}
+
+function renderGitHookScript(hook, command) {
+  const chained = `"$(dirname "$0")/${hook}${CHAINED_SUFFIX}"`;
+  const lines = [
+    "#!/bin/sh",
+    `${MANAGED_MARKER}: ${hook} (guard hooks install; remove with guard hooks uninstall)`,
+    `chained=${chained}`,
+  ];
+  if (hook === "pre-push") {
+    // pre-push reads the pushed refs on stdin; both hooks need them.
+    lines.push(
+      "input=$(cat)",
+      'if [ -x "$chained" ]; then',
+      '  printf \'%s\\n\' "$input" | "$chained" "$@" || exit $?',
+      "fi",
+      `printf '%s\\n' "$input" | ${command} hooks run pre-push "$@"`
+    );
+  } else {
+    lines.push(
+      'if [ -x "$chained" ]; then',
+      '  "$chained" "$@" || exit $?',
+      "fi",
+      `${command} hooks run ${hook} "$@"`
+    );
+  }
+  lines.push("");
+  return lines.join("\n");
+}
+
+function renderHuskyBlock(hook, command) {
+  return [BLOCK_START, `${command} hooks run ${hook} "$@"`, BLOCK_END].join("\n");
+}
+
+function stripHuskyBlock(text) {
+  const start = text.indexOf(BLOCK_START);
+  const end = text.indexOf(BLOCK_END);
+  if (start < 0 || end < start) return null;
+  return (text.slice(0, start) + text.slice(end + BLOCK_END.length)).replace(/\n{3,}/g, "\n\n");
+}
+
+/**
+ * lefthook config to add by hand; guard does not rewrite lefthook files.
+ */
+export function renderLefthookSnippet(command = defaultHookCommand("lefthook")) {
+  return [
+    "pre-commit:",
+    "  commands:",
+    "    mindforge-guard:",
+    `      run: ${command} hooks run pre-commit`,
+    "pre-push:",
+    "  commands:",
+    "    mindforge-guard:",
+    "      use_stdin: true",
+    `      run: ${command} hooks run pre-push {1} {2}`,
+    "",
+  ].join("\n");
+}
+
+function huskyHookPath(repoRoot, hook) {
+  return path.join(repoRoot, ".husky", hook);
+}
+
+function installGitHook(hooksDir, hook, command) {
+  const file = path.join(hooksDir, hook);
+  const chainedFile = `${file}${CHAINED_SUFFIX}`;
+  const script = renderGitHookScript(hook, command);
+  const current = readTextOrNull(file);
+
+  if (current !== null && !current.includes(MANAGED_MARKER)) {
+    if (fs.existsSync(chainedFile)) {
+      return { hook, path: file, error: `${hook} exists and ${path.basename(chainedFile)} is already taken` };
+    }
+    fs.renameSync(file, chainedFile);
+  }
+  if (current === script) return { hook, path: file, action: "unchanged", chained: fs.existsSync(chainedFile) };
+  writeExecutable(file, script);
+  return {
+    hook,
+    path: file,
+    action: current !== null && current.includes(MANAGED_MARKER) ? "updated" : "installed",
+    chained: fs.existsSync(chainedFile),
+  };
+}
+
+function installHuskyHook(repoRoot, hook, command) {
+  const file = huskyHookPath(repoRoot, hook);
+  const block = renderHuskyBlock(hook, command);
+  const current = readTextOrNull(file);
+  if (current === null) {
+    writeExecutable(file, `${block}\n`);
+    return { hook, path: file, action: "installed", chained: false };
+  }
+  if (current.includes(block)) return { hook, path: file, action: "unchanged", chained: true };
+
+  const rest = stripHuskyBlock(current);
+  const base = (rest ?? current).replace(/\s*$/, "");
+  writeExecutable(file, base ? `${base}\n\n${block}\n` : `${block}\n`);
+  return { hook, path: file, action: rest === null ? "installed" : "updated", chained: Boolean(base) };
+}
+
+function resolveManager(repoRoot, manager) {
+  const detected = detectHookManager(repoRoot);
+  if (!manager || manager === "auto") return detected;
+  return { manager, config: manager === detected.manager ? detected.config : null };
+}
+
+/**
+ * Install (idempotently) guard's pre-commit and pre-push hooks.
+ * git: managed scripts in the hooks directory, existing hooks chained;
+ * husky: a marked block appended to .husky/<hook>; lefthook: a snippet to add by hand.
+ */
+export function installGitHooks({ repoRoot, hooks = GIT_HOOKS, manager = "auto", command = null }) {
+  const resolved = resolveManager(repoRoot, manager);
+  const cmd = command || defaultHookCommand(resolved.manager);
+
+  if (resolved.manager === "lefthook") {
+    return { manager: "lefthook", config: resolved.config, written: false, snippet: renderLefthookSnippet(cmd) };
+  }
+  if (resolved.manager === "husky") {
+    const results = hooks.map((hook) => installHuskyHook(repoRoot, hook, cmd));
+    return { manager: "husky", config: ".husky", written: true, hooks: results };
+  }
+
+  const hooksDir = resolveGitHooksDir(repoRoot);
+  if (!hooksDir) return { manager: "git", error: "could not resolve the git hooks directory" };
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    return { manager: "git", error: `git hooks are disabled (core.hooksPath is ${hooksDir})` };
+  }
+  const results = hooks.map((hook) => installGitHook(hooksDir, hook, cmd));
+  return { manager: "git", hooks_dir: hooksDir, written: true, hooks: results };
+}
+
+/**
+ * Remove guard's hooks; chained hooks are restored and other husky content is kept.
+ */
+export function uninstallGitHooks({ repoRoot, hooks = GIT_HOOKS, manager = "auto" }) {
+  const resolved = resolveManager(repoRoot, manager);
+  if (resolved.manager === "lefthook") {
+    return { manager: "lefthook", config: resolved.config, written: false, hooks: [] };
+  }
+
+  if (resolved.manager === "husky") {
+    const results = hooks.map((hook) => {
+      const file = huskyHookPath(repoRoot, hook);
+      const rest = stripHuskyBlock(readTextOrNull(file) ?? "");
+      if (rest === null) return { hook, path: file, action: "not_installed" };
+      if (rest.replace(/^#!.*$/m, "").trim()) writeExecutable(file, `${rest.replace(/\s*$/, "")}\n`);
+      else fs.rmSync(file, { force: true });
+      return { hook, path: file, action: "removed" };
+    });
+    return { manager: "husky", config: ".husky", written: true, hooks: results };
+  }
+
+  const hooksDir = resolveGitHooksDir(repoRoot);
+  if (!hooksDir) return { manager: "git", error: "could not resolve the git hooks directory" };
+  const results = hooks.map((hook) => {
+    const file = path.join(hooksDir, hook);
+    const current = readTextOrNull(file);
+    if (current === null) return { hook, path: file, action: "not_installed" };
+    if (!current.includes(MANAGED_MARKER)) return { hook, path: file, action: "not_managed" };
+    fs.rmSync(file, { force: true });
+    const chainedFile = `${file}${CHAINED_SUFFIX}`;
+    const restored = fs.existsSync(chainedFile);
+    if (restored) fs.renameSync(chainedFile, file);
+    return { hook, path: file, action: "removed", restored };
+  });
+  return { manager: "git", hooks_dir: hooksDir, written: true, hooks: results };
+}
+
+/**
+ * Per hook: installed by guard, chained, or owned by something else.
+ */
+export function gitHooksStatus({ repoRoot }) {
+  const detected = detectHookManager(repoRoot);
+  const hooksDir = resolveGitHooksDir(repoRoot);
+  const lefthookText =
+    detected.manager === "lefthook" ? readTextOrNull(path.join(repoRoot, detected.config)) : null;
+
+  const hooks = GIT_HOOKS.map((hook) => {
+    if (detected.manager === "lefthook") {
+      const installed = new RegExp(`hooks run ${hook}\\b`).test(lefthookText || "");
+      return { hook, path: detected.config, installed, chained: false, other: false };
+    }
+    if (detected.manager === "husky") {
+      const file = huskyHookPath(repoRoot, hook);
+      const text = readTextOrNull(file);
+      const rest = text === null ? null : stripHuskyBlock(text);
+      const other = Boolean((rest ?? text ?? "").replace(/^#!.*$/m, "").trim());
+      return { hook, path: file, installed: rest !== null, chained: rest !== null && other, other };
+    }
+    const file = hooksDir ? path.join(hooksDir, hook) : null;
+    const text = file ? readTextOrNull(file) : null;
+    const installed = Boolean(text && text.includes(MANAGED_MARKER));
+    return {
+      hook,
+      path: file,
+      installed,
+      chained: installed && fs.existsSync(`${file}${CHAINED_SUFFIX}`),
+      other: text !== null && !installed,
+    };
+  });
+
+  return { manager: detected.manager, config: detected.config, hooks_dir: hooksDir, hooks };
+}
+
+const ZERO_SHA = /^0+$/;
+
+function hasCommit(repoRoot, sha) {
+  return git(repoRoot, ["cat-file", "-e", `${sha}^{commit}`]) !== null;
+}
+
+// Base for a remote sha that is not available locally (force-push over commits never fetched).
+function fallbackBase(repoRoot, remote, remoteRef, localSha) {
+  const branch = String(remoteRef || "").replace(/^refs\/heads\//, "");
+  for (const ref of [`refs/remotes/${remote}/${branch}`, `refs/remotes/${remote}/HEAD`]) {
+    if (!git(repoRoot, ["rev-parse", "--verify", "--quiet", ref])) continue;
+    const base = git(repoRoot, ["merge-base", localSha, ref]);
+    if (base) return base;
+  }
+  return null;
+}
+
+/**
+ * Audit ranges for pre-push stdin lines "<local ref> <local sha> <remote ref> <remote sha>".
+ * Deleted refs are skipped; new branches are audited against <remote>/HEAD when it is known.
+ * A remote sha missing locally falls back to the merge-base with <remote>/<branch> or <remote>/HEAD.
+ */
+export function parsePrePushInput(input, { repoRoot, remote = "origin" }) {
+  const ranges = [];
+  const skipped = [];
+  for (const line of String(input || "").split("\n")) {
+    const [localRef, localSha, remoteRef, remoteSha] = line.trim().split(/\s+/);
+    if (!localSha || ZERO_SHA.test(localSha)) continue;
+    let base;
+    if (remoteSha && !ZERO_SHA.test(remoteSha)) {
+      base = hasCommit(repoRoot, remoteSha) ? remoteSha : fallbackBase(repoRoot, remote, remoteRef, localSha);
+      if (!base) {
+        skipped.push({ ref: localRef, reason: `remote commit ${remoteSha.slice(0, 12)} is not available locally` });
+        continue;
+      }
+    } else {
+      base = git(repoRoot, ["rev-parse", "--verify", "--quiet", `refs/remotes/${remote}/HEAD`]);
+      if (!base) {
+        skipped.push({ ref: localRef, reason: `new branch and ${remote}/HEAD is unknown` });
+        continue;
+      }
+    }
+    ranges.push({ ref: localRef, remote_ref: remoteRef, base, head: localSha });
+  }
+  return { ranges, skipped };
+}
+
+function summarize(hook, label, result, policy) {
+  const audit = result.audit;
+  if (!audit) {
+    return `mindforge-guard ${hook}${label}: audit failed (exit ${result.exitCode}): ${result.message || ""}`;
+  }
+  const verdict = audit.evaluation?.verdict;
+  const codes = (audit.evaluation?.reasons || []).map((r) => r.code).join(", ");
+  const head = `mindforge-guard ${hook}${label}: ${verdict} (exit ${result.exitCode})`;
+  if (audit.ack?.state === "acknowledged") return `${head}, acknowledged by ${audit.ack.ack_id}`;
+  if (verdict === "soft_block" && result.exitCode !== policy.exit_codes.allow) {
+    return `${head}: ${codes}. Review, then acknowledge with: guard ack --reason "<text>"`;
+  }
+  return codes ? `${head}: ${codes}` : head;
+}
+
+// Worst result first: acknowledged soft blocks count as allow, a failed audit as error.
+const VERDICT_RANK = { allow: 0, soft_block: 1, hard_block: 2, error: 3 };
+
+function verdictOf(result) {
+  const audit = result.audit;
+  if (!audit) return "error";
+  if (audit.ack?.state === "acknowledged") return "allow";
+  return audit.evaluation?.verdict in VERDICT_RANK ? audit.evaluation.verdict : "error";
+}
+
+/**
+ * Run the audit for a git hook. The exit code is the policy's exit_codes value for the verdict
+ * (acknowledged soft blocks exit as allow); for several pushed refs the worst verdict's code wins.
+ * Without a policy (hooks installed before guard init) the hook is skipped.
+ */
+export async function runGitHook({ hook, repoRoot, args = [], input = "" }) {
+  const policyPath = path.join(repoRoot, ".mindforge", "config", "policy.json");
+  if (!fs.existsSync(policyPath)) {
+    const line = `mindforge-guard ${hook}: skipped (no .mindforge/config/policy.json; run guard init)`;
+    return { exitCode: 0, lines: [line] };
+  }
+  let policy;
+  try {
+    policy = await loadPolicy({ policyPath, repoRoot });
+  } catch (err) {
+    return { exitCode: 30, lines: [`mindforge-guard ${hook}: policy could not be loaded: ${err?.message || err}`] };
+  }
+
+  const { runAudit } = await import("../runAudit.mjs");
+  if (hook === "pre-commit") {
+    const result = await runAudit({ repoRoot, argv: ["--staged"], policy });
+    return { exitCode: result.exitCode, lines: [summarize(hook, "", result, policy)] };
+  }
+
+  const { ranges, skipped } = parsePrePushInput(input, { repoRoot, remote: args[0] || "origin" });
+  const lines = skipped.map((s) => `mindforge-guard ${hook} ${s.ref}: skipped (${s.reason})`);
+  let exitCode = policy.exit_codes.allow;
+  let worst = -1;
+  for (const range of ranges) {
+    const result = await runAudit({ repoRoot, argv: ["--base", range.base, "--head", range.head], policy });
+    lines.push(summarize(hook, ` ${range.ref}`, result, policy));
+    const rank = VERDICT_RANK[verdictOf(result)];
+    if (rank > worst) {
+      worst = rank;
+      exitCode = result.exitCode;
+    }
+  }
+  return { exitCode, lines };
+}
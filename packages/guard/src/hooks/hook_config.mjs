@@ -1,11 +1,16 @@
 import fs from "node:fs";
 import path from "node:path";
-import { DEFAULT_TIMEOUT_MS } from "./hook_types.mjs";
+import {
+  DEFAULT_RETRIES,
+  DEFAULT_RETRY_BACKOFF_MS,
+  DEFAULT_TIMEOUT_MS,
+  MAX_RETRIES,
+} from "./hook_types.mjs";
 
-function toAbsRepoPath(p) {
+function toAbsRepoPath(p, repoRoot = process.cwd()) {
   // guard 包一般在 packages/guard；config ?repo root ?.mindforge/hooks.json
   // ?process.cwd() 作为 repo root（你当前脚本基本都以 repo root 运行?
-  return path.resolve(process.cwd(), p);
+  return path.resolve(repoRoot, p);
 }
 
 function readJson(file) {
@@ -17,7 +22,7 @@ function readJson(file) {
   }
 }
 
-function resolveEnvToken(spec) {
+export function resolveEnvToken(spec) {
   // 支持 "ENV:XXX" ?直接 token
   if (!spec || typeof spec !== "string") return "";
   if (spec.startsWith("ENV:")) {
@@ -27,8 +32,35 @@ function resolveEnvToken(spec) {
   return spec;
 }
 
-export function loadHookConfig() {
-  const cfgPath = toAbsRepoPath(".mindforge/hooks.json");
+function clampInt(value, fallback, min, max) {
+  if (!Number.isFinite(value)) return fallback;
+  return Math.min(max, Math.max(min, Math.floor(value)));
+}
+
+function readAuth(auth) {
+  if (auth && auth.type === "bearer") return { type: "bearer", token: resolveEnvToken(auth.token) };
+  return null;
+}
+
+function readEndpoint(spec, defaults) {
+  return {
+    name: typeof spec.name === "string" && spec.name ? spec.name : spec.url,
+    url: spec.url,
+    timeout_ms: Number.isFinite(spec.timeout_ms) ? Math.max(1, spec.timeout_ms) : defaults.timeout_ms,
+    auth: spec.auth === undefined ? defaults.auth : readAuth(spec.auth),
+    // "secret" signs the request body (HMAC-SHA256); "ENV:XXX" like auth tokens.
+    secret: spec.secret === undefined ? defaults.secret : resolveEnvToken(spec.secret) || null,
+    retries: clampInt(spec.retries, defaults.retries, 0, MAX_RETRIES),
+    retry_backoff_ms: clampInt(spec.retry_backoff_ms, defaults.retry_backoff_ms, 0, 60000),
+  };
+}
+
+/**
+ * Read .mindforge/hooks.json. Either a single "url" or an "endpoints" array;
+ * top-level timeout_ms/auth/secret/retries/retry_backoff_ms are endpoint defaults.
+ */
+export function loadHookConfig({ repoRoot = process.cwd() } = {}) {
+  const cfgPath = toAbsRepoPath(".mindforge/hooks.json", repoRoot);
   if (!fs.existsSync(cfgPath)) {
     return { enabled: false, reason: "hooks.json missing" };
   }
@@ -40,21 +72,27 @@ export function loadHookConfig() {
   if (!enabled) return { enabled: false, reason: "hooks disabled" };
 
   if (json.type !== "webhook") return { enabled: false, reason: "unsupported hook type" };
-  if (!json.url || typeof json.url !== "string") return { enabled: false, reason: "missing url" };
 
-  const timeout_ms = Number.isFinite(json.timeout_ms) ? Math.max(1, json.timeout_ms) : DEFAULT_TIMEOUT_MS;
+  const specs = Array.isArray(json.endpoints) ? json.endpoints : json.url ? [{ url: json.url }] : [];
+  if (!specs.length) return { enabled: false, reason: "missing url" };
+  const badIndex = specs.findIndex((spec) => !spec || typeof spec.url !== "string" || !spec.url);
+  if (badIndex >= 0) return { enabled: false, reason: `endpoints[${badIndex}] missing url` };
 
-  let auth = null;
-  if (json.auth && json.auth.type === "bearer") {
-    const token = resolveEnvToken(json.auth.token);
-    auth = { type: "bearer", token };
-  }
+  const defaults = {
+    timeout_ms: Number.isFinite(json.timeout_ms) ? Math.max(1, json.timeout_ms) : DEFAULT_TIMEOUT_MS,
+    auth: readAuth(json.auth),
+    secret: resolveEnvToken(json.secret) || null,
+    retries: clampInt(json.retries, DEFAULT_RETRIES, 0, MAX_RETRIES),
+    retry_backoff_ms: clampInt(json.retry_backoff_ms, DEFAULT_RETRY_BACKOFF_MS, 0, 60000),
+  };
+  const endpoints = specs.map((spec) => readEndpoint(spec, defaults));
 
   return {
     enabled: true,
     type: "webhook",
-    url: json.url,
-    timeout_ms,
-    auth,
+    url: endpoints[0].url,
+    timeout_ms: defaults.timeout_ms,
+    auth: defaults.auth,
+    endpoints,
   };
 }
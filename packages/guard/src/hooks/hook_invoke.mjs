@@ -1,15 +1,23 @@
-import { HOOK_STATUS, DEFAULT_TIMEOUT_MS, isValidHookStatus } from "./hook_types.mjs";
+import crypto from "node:crypto";
+
+import { signHookBody } from "./hook_sign.mjs";
+import {
+  HOOK_STATUS,
+  HOOK_STATUS_PRECEDENCE,
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_RETRY_BACKOFF_MS,
+  HOOK_DELIVERY_HEADER,
+  HOOK_SIGNATURE_HEADER,
+  HOOK_TIMESTAMP_HEADER,
+  isValidHookStatus,
+} from "./hook_types.mjs";
 
 function nowMs() {
   return Date.now();
 }
 
-function withTimeout(promise, ms) {
-  let t;
-  const timeout = new Promise((_, reject) => {
-    t = setTimeout(() => reject(new Error("HOOK_TIMEOUT")), ms);
-  });
-  return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 function safeJson(x) {
@@ -24,15 +32,86 @@ function normalizeHookResponse(obj) {
   return { status, reason };
 }
 
+// Endpoints from loadHookConfig(); hand-built configs may only carry url/timeout_ms/auth.
+function endpointsOf(config) {
+  if (Array.isArray(config.endpoints) && config.endpoints.length) return config.endpoints;
+  const { url, timeout_ms, auth } = config;
+  return [{ name: url, url, timeout_ms, auth, secret: null, retries: 0 }];
+}
+
+// One POST. Network errors, timeouts, 429 and 5xx are retryable; every failure is fail-safe PASS.
+async function postOnce({ endpoint, headers, body }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), endpoint.timeout_ms || DEFAULT_TIMEOUT_MS);
+  try {
+    const res = await fetch(endpoint.url, { method: "POST", headers, body, signal: controller.signal });
+    const text = await res.text();
+
+    if (!res.ok) {
+      const retryable = res.status === 429 || res.status >= 500;
+      return { status: HOOK_STATUS.PASS, reason: `http_${res.status}`, http_status: res.status, retryable };
+    }
+
+    let parsed = null;
+    try { parsed = JSON.parse(text); } catch { parsed = null; }
+    return { ...normalizeHookResponse(parsed), http_status: res.status, retryable: false };
+  } catch (e) {
+    const error = controller.signal.aborted ? "HOOK_TIMEOUT" : e && e.message ? e.message : "hook_error";
+    return { status: HOOK_STATUS.PASS, reason: "hook_failed", error, retryable: true };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function invokeEndpoint({ endpoint, body, delivery }) {
+  const started = nowMs();
+  const headers = {
+    "content-type": "application/json",
+    "user-agent": "mindforge-guard/v0.24",
+    [HOOK_DELIVERY_HEADER]: delivery,
+  };
+  if (endpoint.auth && endpoint.auth.type === "bearer" && endpoint.auth.token) {
+    headers["authorization"] = `Bearer ${endpoint.auth.token}`;
+  }
+
+  const retries = endpoint.retries || 0;
+  const backoff = endpoint.retry_backoff_ms ?? DEFAULT_RETRY_BACKOFF_MS;
+  let attempts = 0;
+  let out;
+  for (;;) {
+    attempts += 1;
+    const attemptHeaders = { ...headers };
+    if (endpoint.secret) {
+      const timestamp = String(Math.floor(nowMs() / 1000));
+      attemptHeaders[HOOK_TIMESTAMP_HEADER] = timestamp;
+      attemptHeaders[HOOK_SIGNATURE_HEADER] = signHookBody({ body, timestamp, secret: endpoint.secret });
+    }
+    out = await postOnce({ endpoint, headers: attemptHeaders, body });
+    if (!out.retryable || attempts > retries) break;
+    await sleep(backoff * 2 ** (attempts - 1));
+  }
+
+  const { retryable, ...result } = out;
+  return {
+    name: endpoint.name || endpoint.url,
+    ...result,
+    attempts,
+    signed: Boolean(endpoint.secret),
+    latency_ms: nowMs() - started,
+  };
+}
+
 /**
  * Invoke enterprise hook (fail-safe).
+ * All endpoints are called in parallel with the same signed body; the most
+ * restrictive answer wins (BLOCK > SOFT_OVERRIDE > PASS).
  * @param {object} args
  * @param {string} args.edition - "community" | "pro" | "enterprise" ...
  * @param {object} args.snapshot - decision snapshot object (read-only)
  * @param {number} args.risk_score
  * @param {number} args.exit_intent
  * @param {object} args.config - from loadHookConfig()
- * @returns {Promise<{invoked:boolean,status:string,reason:string,latency_ms:number,error?:string}>}
+ * @returns {Promise<{invoked:boolean,status:string,reason:string,latency_ms:number,endpoints?:object[],error?:string}>}
  */
 export async function invokeEnterpriseHook({ edition, snapshot, risk_score, exit_intent, config }) {
   const started = nowMs();
@@ -42,57 +121,29 @@ export async function invokeEnterpriseHook({ edition, snapshot, risk_score, exit
     return { invoked: false, status: HOOK_STATUS.PASS, reason: "non-enterprise", latency_ms: 0 };
   }
   if (!config || !config.enabled) {
-    return { invoked: false, status: HOOK_STATUS.PASS, reason: "hook disabled", latency_ms: 0 };
+    return { invoked: false, status: HOOK_STATUS.PASS, reason: config?.reason || "hook disabled", latency_ms: 0 };
   }
 
-  const timeoutMs = config.timeout_ms || DEFAULT_TIMEOUT_MS;
-
-  const headers = {
-    "content-type": "application/json",
-    "user-agent": "mindforge-guard/v0.24",
-  };
-  if (config.auth && config.auth.type === "bearer" && config.auth.token) {
-    headers["authorization"] = `Bearer ${config.auth.token}`;
+  // Node 18+ should have fetch; if not, fail-safe PASS
+  if (typeof fetch !== "function") {
+    return { invoked: true, status: HOOK_STATUS.PASS, reason: "fetch_unavailable", latency_ms: 0, error: "NO_FETCH" };
   }
 
-  const body = {
-    snapshot,
-    risk_score,
-    exit_intent,
-  };
-
-  const doFetch = async () => {
-    const res = await fetch(config.url, {
-      method: "POST",
-      headers,
-      body: safeJson(body),
-    });
-    const text = await res.text();
+  const body = safeJson({ snapshot, risk_score, exit_intent });
+  const delivery = crypto.randomUUID();
+  const endpoints = await Promise.all(
+    endpointsOf(config).map((endpoint) => invokeEndpoint({ endpoint, body, delivery }))
+  );
 
-    if (!res.ok) {
-      // fail-safe
-      return { status: HOOK_STATUS.PASS, reason: `http_${res.status}` };
-    }
-
-    let parsed = null;
-    try { parsed = JSON.parse(text); } catch { parsed = null; }
-    return normalizeHookResponse(parsed);
+  const decisive = HOOK_STATUS_PRECEDENCE.map((status) => endpoints.find((e) => e.status === status)).find(Boolean);
+  const out = {
+    invoked: true,
+    status: decisive.status,
+    reason: decisive.reason || "",
+    latency_ms: nowMs() - started,
+    delivery,
+    endpoints,
   };
-
-  try {
-    // Node 18+ should have fetch; if not, fail-safe PASS
-    if (typeof fetch !== "function") {
-      const latency = nowMs() - started;
-      return { invoked: true, status: HOOK_STATUS.PASS, reason: "fetch_unavailable", latency_ms: latency, error: "NO_FETCH" };
-    }
-
-    const out = await withTimeout(doFetch(), timeoutMs);
-    const latency = nowMs() - started;
-    return { invoked: true, status: out.status, reason: out.reason || "", latency_ms: latency };
-  } catch (e) {
-    const latency = nowMs() - started;
-    const msg = e && e.message ? e.message : "hook_error";
-    // fail-safe PASS
-    return { invoked: true, status: HOOK_STATUS.PASS, reason: "hook_failed", latency_ms: latency, error: msg };
-  }
+  if (decisive.error) out.error = decisive.error;
+  return out;
 }
@@ -0,0 +1,100 @@
+import http from "node:http";
+
+import { verifyHookSignature } from "./hook_sign.mjs";
+import {
+  HOOK_STATUS,
+  HOOK_DELIVERY_HEADER,
+  HOOK_SIGNATURE_HEADER,
+  HOOK_TIMESTAMP_HEADER,
+} from "./hook_types.mjs";
+
+export const MOCK_DEFAULT_PORT = 8787;
+
+function parseJsonOrNull(text) {
+  try { return JSON.parse(text); } catch { return null; }
+}
+
+/**
+ * Local hook receiver for offline testing: answers every POST with { status, reason }.
+ * With a secret, unsigned or badly signed requests get 401. failFirst answers the
+ * first N accepted requests with 503 (exercises retries); delayMs delays every answer.
+ * onRequest(entry) is called once per request, after the answer is sent.
+ * @returns {Promise<{url:string, port:number, requests:object[], close:() => Promise<void>}>}
+ */
+export function startHookMockServer({
+  host = "127.0.0.1",
+  port = MOCK_DEFAULT_PORT,
+  status = HOOK_STATUS.PASS,
+  reason = "mock",
+  secret = null,
+  failFirst = 0,
+  delayMs = 0,
+  onRequest = () => {},
+} = {}) {
+  const requests = [];
+  let failed = 0;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const signatureHeader = req.headers[HOOK_SIGNATURE_HEADER] || null;
+      const check = secret
+        ? verifyHookSignature({
+            body,
+            timestamp: req.headers[HOOK_TIMESTAMP_HEADER],
+            signature: signatureHeader,
+            secret,
+          })
+        : null;
+
+      let code = 200;
+      let answer = { status, reason };
+      if (req.method !== "POST") {
+        code = 405;
+        answer = { error: "POST only" };
+      } else if (check && !check.ok) {
+        code = 401;
+        answer = { error: check.reason };
+      } else if (failed < failFirst) {
+        failed += 1;
+        code = 503;
+        answer = { error: "mock failure" };
+      }
+
+      const entry = {
+        n: requests.length + 1,
+        ts: new Date().toISOString(),
+        method: req.method,
+        path: req.url,
+        delivery: req.headers[HOOK_DELIVERY_HEADER] || null,
+        signature: check ? (check.ok ? "valid" : check.reason) : signatureHeader ? "unchecked" : "unsigned",
+        payload: parseJsonOrNull(body),
+        response: { code, ...answer },
+      };
+      requests.push(entry);
+
+      setTimeout(() => {
+        res.writeHead(code, { "content-type": "application/json" });
+        res.end(JSON.stringify(answer), () => onRequest(entry));
+      }, delayMs);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://${host}:${actualPort}/`,
+        port: actualPort,
+        requests,
+        close: () =>
+          new Promise((done) => {
+            server.close(() => done());
+            server.closeAllConnections();
+          }),
+      });
+    });
+  });
+}
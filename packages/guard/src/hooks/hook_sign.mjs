@@ -0,0 +1,36 @@
+import crypto from "node:crypto";
+
+// Signature: "sha256=" + hex HMAC-SHA256(secret, `${timestamp}.${body}`).
+// The timestamp (unix seconds) is sent alongside so receivers can reject replays.
+
+export const SIGNATURE_TOLERANCE_SEC = 300;
+
+export function signHookBody({ body, timestamp, secret }) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${mac}`;
+}
+
+/**
+ * Verify a signed request body.
+ * @returns {{ok:boolean, reason?:string}}
+ */
+export function verifyHookSignature({
+  body,
+  timestamp,
+  signature,
+  secret,
+  now = Date.now(),
+  toleranceSec = SIGNATURE_TOLERANCE_SEC,
+}) {
+  if (!signature || !timestamp) return { ok: false, reason: "unsigned" };
+  const ts = Number(timestamp);
+  if (!Number.isInteger(ts)) return { ok: false, reason: "invalid timestamp" };
+  if (Math.abs(Math.floor(now / 1000) - ts) > toleranceSec) return { ok: false, reason: "stale timestamp" };
+
+  const expected = Buffer.from(signHookBody({ body, timestamp, secret }));
+  const actual = Buffer.from(String(signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, reason: "signature mismatch" };
+  }
+  return { ok: true };
+}
@@ -10,3 +10,14 @@ export const HOOK_STATUS = Object.freeze({
     return s === HOOK_STATUS.PASS || s === HOOK_STATUS.SOFT_OVERRIDE || s === HOOK_STATUS.BLOCK;
   }
   
+  // Across endpoints the most restrictive answer wins.
+  export const HOOK_STATUS_PRECEDENCE = [HOOK_STATUS.BLOCK, HOOK_STATUS.SOFT_OVERRIDE, HOOK_STATUS.PASS];
+  
+  export const DEFAULT_RETRIES = 0;
+  export const MAX_RETRIES = 5;
+  export const DEFAULT_RETRY_BACKOFF_MS = 200;
+  
+  export const HOOK_SIGNATURE_HEADER = "x-mindforge-signature";
+  export const HOOK_TIMESTAMP_HEADER = "x-mindforge-timestamp";
+  export const HOOK_DELIVERY_HEADER = "x-mindforge-delivery";
+  
@@ -25,6 +25,7 @@ const riskModule = await importFirst([
 export const {
   loadPolicy,
   validatePolicyFile,
+  validatePolicyObject,
   defaultPolicyPath,
   parseArgs,
   ensureDir,
@@ -34,10 +35,26 @@ export const {
   getHeadSha,
   getBranchName,
   getRepoRoot,
+  resolveCommit,
+  getMergeBase,
+  listRangeCommits,
+  getCommitDetails,
+  commitNumstat,
+  commitNameStatus,
+  commitNameOnly,
+  commitPatch,
   diffNumstat,
   diffNameOnly,
+  diffNameStatus,
+  diffPatch,
   computeSignalsFromNumstat,
+  computeContentSignals,
   evaluateAudit,
+  globToRegExp,
+  loadModuleMap,
+  describeModuleMap,
+  compileRiskProfile,
+  computeRiskV2,
 } = kernel;
 
 export const { computeRiskV1 } = riskModule;
@@ -66,30 +66,52 @@ function resolvePublicKey(key_id) {
   return null;
 }
 
-function verifyCanonicalPayload({ payload, signatureBuffer, publicKeyPem, edition, key_id, license_id }) {
-  const msg = canonicalJSONStringify(payload);
-  const msgBuf = Buffer.from(msg, "utf8");
-
-  let verified = false;
+function normalizePrivatePem(pem) {
+  if (typeof pem !== "string" || !pem.includes("PRIVATE KEY")) return null;
+  return pem.replace(/\r\n/g, "\n").trim() + "\n";
+}
 
+function verifyEd25519({ payload, signatureBuffer, publicKeyPem }) {
+  const msgBuf = Buffer.from(canonicalJSONStringify(payload), "utf8");
   try {
     const keyObj = crypto.createPublicKey(publicKeyPem);
-    verified = crypto.verify(null, msgBuf, keyObj, signatureBuffer);
+    if (crypto.verify(null, msgBuf, keyObj, signatureBuffer)) return { ok: true };
   } catch (e) {
-    return {
-      ok: false,
-      edition: "community",
-      status: "invalid",
-      reason: `crypto verify error: ${e?.message || String(e)}`,
-    };
+    return { ok: false, reason: `crypto verify error: ${e?.message || String(e)}` };
   }
+  return { ok: false, reason: "signature verification failed" };
+}
 
-  if (!verified) {
+/**
+ * Ed25519 signature in the license hub form ({ alg: "ed25519", sig: base64 }) over the
+ * canonical JSON of payload. Other signed guard records (acks) use this too.
+ */
+export function signCanonicalPayload(payload, privateKeyPem) {
+  const pem = normalizePrivatePem(privateKeyPem);
+  if (!pem) throw new Error("private key must be a PEM private key");
+  const sig = crypto.sign(null, Buffer.from(canonicalJSONStringify(payload), "utf8"), pem);
+  return { alg: "ed25519", sig: sig.toString("base64") };
+}
+
+/**
+ * Verify a signCanonicalPayload signature: { ok:true } | { ok:false, reason }.
+ */
+export function verifyCanonicalSignature({ payload, signature, publicKeyPem }) {
+  if (signature?.alg !== "ed25519") return { ok: false, reason: "signature.alg must be ed25519" };
+  if (typeof signature?.sig !== "string" || !signature.sig) return { ok: false, reason: "missing signature.sig" };
+  const pub = normalizePem(publicKeyPem);
+  if (!pub) return { ok: false, reason: "malformed public key" };
+  return verifyEd25519({ payload, signatureBuffer: Buffer.from(signature.sig, "base64"), publicKeyPem: pub });
+}
+
+function verifyCanonicalPayload({ payload, signatureBuffer, publicKeyPem, edition, key_id, license_id }) {
+  const verified = verifyEd25519({ payload, signatureBuffer, publicKeyPem });
+  if (!verified.ok) {
     return {
       ok: false,
       edition: "community",
       status: "invalid",
-      reason: "signature verification failed",
+      reason: verified.reason,
     };
   }
 
@@ -1,8 +1,13 @@
 import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { parseYaml } from "./yaml_subset.mjs";
 
 const PARSER_VERSION = "single_agent_governance_pack_parser_preview_v1";
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "..", "..");
+const SCHEMA_DIR = path.join(repoRoot, "schemas", "single_agent_governance_pack_preview", "v1");
 
 const REQUIRED_FILES = [
   "manifest.json",
@@ -71,34 +76,10 @@ const JSON_REQUIRED_FIELDS = {
   ]
 };
 
-const YAML_REQUIRED_KEYS = {
-  "action-boundary.yaml": [
-    "allowed_actions",
-    "prohibited_actions",
-    "human_review_required",
-    "escalation_required",
-    "external_side_effects"
-  ],
-  "data-sources.yaml": [
-    "data_sources",
-    "data_source_id",
-    "data_source_name",
-    "data_category",
-    "access_mode",
-    "sensitivity_level",
-    "retention_note",
-    "usage_purpose"
-  ],
-  "tools.yaml": [
-    "tools",
-    "tool_id",
-    "tool_name",
-    "tool_type",
-    "permitted_operations",
-    "prohibited_operations",
-    "requires_human_approval",
-    "side_effect_level"
-  ]
+const YAML_SCHEMA_FILES = {
+  "action-boundary.yaml": "action-boundary.schema.json",
+  "data-sources.yaml": "data-sources.schema.json",
+  "tools.yaml": "tools.schema.json"
 };
 
 const TASK_SCOPE_SECTIONS = [
@@ -132,9 +113,20 @@ function createSummary(packRoot) {
     optional_field_gaps: [],
     evidence_refs: [],
     owner_refs: [],
-    action_boundary_summary: { present: false, visible_keys: [], allowed_action_count: 0, prohibited_action_count: 0 },
-    data_source_summary: { present: false, visible_keys: [], data_source_count: 0 },
-    tool_boundary_summary: { present: false, visible_keys: [], tool_count: 0 },
+    schema_errors: [],
+    action_boundary_summary: {
+      present: false,
+      visible_keys: [],
+      allowed_action_count: 0,
+      prohibited_action_count: 0,
+      allowed_actions: [],
+      prohibited_actions: [],
+      human_review_required: null,
+      escalation_required: null,
+      external_side_effects: null
+    },
+    data_source_summary: { present: false, visible_keys: [], data_source_count: 0, data_sources: [], sensitivity_levels: [] },
+    tool_boundary_summary: { present: false, visible_keys: [], tool_count: 0, tools: [] },
     sample_output_summary: { present: false },
     run_record_summary: { present: false },
     snapshot_summary: { present: false },
@@ -194,30 +186,150 @@ function stableHashForPack(rootDir) {
   return `sha256:${hash.digest("hex")}`;
 }
 
-function countYamlListItems(text, sectionName, itemIndent = 2) {
-  const lines = text.split("\n");
-  let inSection = false;
-  let count = 0;
-  const itemPattern = new RegExp(`^\\s{${itemIndent}}-\\s+`);
-  for (const line of lines) {
-    if (new RegExp(`^${sectionName}:\\s*$`).test(line.trim())) {
-      inSection = true;
-      continue;
+function loadYamlSchema(relativePath) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, YAML_SCHEMA_FILES[relativePath]), "utf8"));
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function joinFieldPath(parentPath, key) {
+  return parentPath ? `${parentPath}.${key}` : key;
+}
+
+function validateSchemaNode(value, nodeSchema, fieldPath, errors) {
+  const label = fieldPath || "(root)";
+  const actualType = describeType(value);
+  if (nodeSchema.type && actualType !== nodeSchema.type) {
+    errors.push({ path: label, keyword: "type", message: `${label} must be ${nodeSchema.type}, got ${actualType}` });
+    return;
+  }
+
+  if (nodeSchema.enum && !nodeSchema.enum.includes(value)) {
+    errors.push({ path: label, keyword: "enum", message: `${label} must be one of: ${nodeSchema.enum.join(", ")}` });
+  }
+
+  if (actualType === "string" && typeof nodeSchema.minLength === "number" && value.length < nodeSchema.minLength) {
+    errors.push({ path: label, keyword: "minLength", message: `${label} must not be empty` });
+  }
+
+  if (actualType === "array") {
+    if (typeof nodeSchema.minItems === "number" && value.length < nodeSchema.minItems) {
+      errors.push({ path: label, keyword: "minItems", message: `${label} must contain at least ${nodeSchema.minItems} item(s)` });
+    }
+    if (nodeSchema.items) {
+      value.forEach((entry, index) => validateSchemaNode(entry, nodeSchema.items, `${fieldPath}[${index}]`, errors));
     }
-    if (inSection && /^[A-Za-z0-9_-]+:\s*/.test(line)) {
-      break;
+  }
+
+  if (actualType === "object") {
+    const properties = nodeSchema.properties || {};
+    for (const key of nodeSchema.required || []) {
+      if (!(key in value)) {
+        const keyPath = joinFieldPath(fieldPath, key);
+        errors.push({ path: keyPath, keyword: "required", message: `${keyPath} is required` });
+      }
     }
-    if (inSection && itemPattern.test(line)) {
-      count += 1;
+    for (const [key, entry] of Object.entries(value)) {
+      const keyPath = joinFieldPath(fieldPath, key);
+      if (properties[key]) {
+        validateSchemaNode(entry, properties[key], keyPath, errors);
+      } else if (nodeSchema.additionalProperties === false) {
+        errors.push({ path: keyPath, keyword: "additionalProperties", message: `${keyPath} is not allowed` });
+      }
     }
   }
-  return count;
 }
 
-function hasYamlKey(text, key) {
-  return new RegExp(`(^|\\n)\\s*(-\\s*)?${key}:`, "m").test(text);
+function asObject(value) {
+  return value && typeof value === "object" && !Array.isArray(value) ? value : {};
+}
+
+function asStringList(value) {
+  return Array.isArray(value) ? value.filter((entry) => typeof entry === "string" && entry.length >= 1) : [];
+}
+
+function asObjectList(value) {
+  return Array.isArray(value) ? value.map(asObject) : [];
+}
+
+function pickString(value) {
+  return typeof value === "string" && value.length >= 1 ? value : null;
+}
+
+function pickBoolean(value) {
+  return typeof value === "boolean" ? value : null;
+}
+
+function collectVisibleKeys(document, listKey, schema) {
+  const topLevel = Object.keys(asObject(document));
+  const itemKeys = listKey ? asObjectList(asObject(document)[listKey]).flatMap((entry) => Object.keys(entry)) : [];
+  const itemProperties = listKey ? Object.keys(schema.properties[listKey].items.properties) : [];
+  const known = new Set([...Object.keys(schema.properties), ...itemProperties]);
+  return [...topLevel, ...itemKeys].filter((key) => known.has(key));
 }
 
+function buildActionBoundarySummary(document, schema) {
+  const actionBoundary = asObject(document);
+  const allowedActions = asStringList(actionBoundary.allowed_actions);
+  const prohibitedActions = asStringList(actionBoundary.prohibited_actions);
+  return {
+    present: true,
+    visible_keys: collectVisibleKeys(document, null, schema),
+    allowed_action_count: allowedActions.length,
+    prohibited_action_count: prohibitedActions.length,
+    allowed_actions: allowedActions,
+    prohibited_actions: prohibitedActions,
+    human_review_required: pickBoolean(actionBoundary.human_review_required),
+    escalation_required: pickBoolean(actionBoundary.escalation_required),
+    external_side_effects: pickString(actionBoundary.external_side_effects)
+  };
+}
+
+function buildDataSourceSummary(document, schema) {
+  const dataSources = asObjectList(asObject(document).data_sources).map((entry) => ({
+    data_source_id: pickString(entry.data_source_id),
+    data_source_name: pickString(entry.data_source_name),
+    data_category: pickString(entry.data_category),
+    access_mode: pickString(entry.access_mode),
+    sensitivity_level: pickString(entry.sensitivity_level)
+  }));
+  return {
+    present: true,
+    visible_keys: collectVisibleKeys(document, "data_sources", schema),
+    data_source_count: dataSources.length,
+    data_sources: dataSources,
+    sensitivity_levels: uniqueSorted(dataSources.map((entry) => entry.sensitivity_level))
+  };
+}
+
+function buildToolBoundarySummary(document, schema) {
+  const tools = asObjectList(asObject(document).tools).map((entry) => ({
+    tool_id: pickString(entry.tool_id),
+    tool_name: pickString(entry.tool_name),
+    tool_type: pickString(entry.tool_type),
+    permitted_operations: asStringList(entry.permitted_operations),
+    prohibited_operations: asStringList(entry.prohibited_operations),
+    requires_human_approval: pickBoolean(entry.requires_human_approval),
+    side_effect_level: pickString(entry.side_effect_level)
+  }));
+  return {
+    present: true,
+    visible_keys: collectVisibleKeys(document, "tools", schema),
+    tool_count: tools.length,
+    tools
+  };
+}
+
+const YAML_SUMMARY_BUILDERS = {
+  "action-boundary.yaml": ["action_boundary_summary", buildActionBoundarySummary],
+  "data-sources.yaml": ["data_source_summary", buildDataSourceSummary],
+  "tools.yaml": ["tool_boundary_summary", buildToolBoundarySummary]
+};
+
 function addOmission(summary, message) {
   pushUnique(summary.omissions, message);
 }
@@ -249,10 +361,16 @@ function validateJsonFields(summary, relativePath, value, requiredFields) {
   }
 }
 
-function validateYamlKeys(summary, relativePath, text, requiredKeys) {
-  for (const key of requiredKeys) {
-    if (!hasYamlKey(text, key)) {
-      addRequiredFieldGap(summary, relativePath, key);
+function validateYamlDocument(summary, relativePath, document, schema) {
+  const errors = [];
+  validateSchemaNode(document, schema, "", errors);
+  for (const error of errors) {
+    if (error.keyword === "required") {
+      addRequiredFieldGap(summary, relativePath, error.path);
+    } else {
+      const entry = `${relativePath}: ${error.message}`;
+      pushUnique(summary.schema_errors, entry);
+      addOmission(summary, `schema violation: ${entry}`);
     }
   }
 }
@@ -308,6 +426,7 @@ function finalizeSummary(summary) {
   summary.omissions = uniqueSorted(summary.omissions);
   summary.limitations = uniqueSorted(summary.limitations);
   summary.parser_warnings = uniqueSorted(summary.parser_warnings);
+  summary.schema_errors = uniqueSorted(summary.schema_errors);
   summary.action_boundary_summary.visible_keys = uniqueSorted(summary.action_boundary_summary.visible_keys);
   summary.data_source_summary.visible_keys = uniqueSorted(summary.data_source_summary.visible_keys);
   summary.tool_boundary_summary.visible_keys = uniqueSorted(summary.tool_boundary_summary.visible_keys);
@@ -360,14 +479,23 @@ export function parseSingleAgentGovernancePackPreview(packRoot, options = {}) {
     }
   }
 
-  const yamlFiles = ["action-boundary.yaml", "data-sources.yaml", "tools.yaml"];
-  const yamlText = {};
-  for (const relativePath of yamlFiles) {
+  for (const relativePath of Object.keys(YAML_SCHEMA_FILES)) {
     if (!hasFile(resolvedPackRoot, relativePath)) {
       continue;
     }
-    yamlText[relativePath] = readText(path.join(resolvedPackRoot, relativePath));
-    validateYamlKeys(summary, relativePath, yamlText[relativePath], YAML_REQUIRED_KEYS[relativePath]);
+    let document;
+    try {
+      document = parseYaml(readText(path.join(resolvedPackRoot, relativePath)));
+    } catch (error) {
+      pushUnique(summary.malformed_files, relativePath);
+      addOmission(summary, `malformed YAML: ${relativePath}`);
+      addWarning(summary, `parser note: ${relativePath} could not be parsed (${error.message})`);
+      continue;
+    }
+    const schema = loadYamlSchema(relativePath);
+    const [summaryKey, buildYamlSummary] = YAML_SUMMARY_BUILDERS[relativePath];
+    validateYamlDocument(summary, relativePath, document, schema);
+    summary[summaryKey] = buildYamlSummary(document, schema);
   }
 
   if (hasFile(resolvedPackRoot, "task-scope.md")) {
@@ -416,31 +544,6 @@ export function parseSingleAgentGovernancePackPreview(packRoot, options = {}) {
     }
   }
 
-  if (yamlText["action-boundary.yaml"]) {
-    summary.action_boundary_summary = {
-      present: true,
-      visible_keys: YAML_REQUIRED_KEYS["action-boundary.yaml"].filter((key) => hasYamlKey(yamlText["action-boundary.yaml"], key)),
-      allowed_action_count: countYamlListItems(yamlText["action-boundary.yaml"], "allowed_actions"),
-      prohibited_action_count: countYamlListItems(yamlText["action-boundary.yaml"], "prohibited_actions")
-    };
-  }
-
-  if (yamlText["data-sources.yaml"]) {
-    summary.data_source_summary = {
-      present: true,
-      visible_keys: YAML_REQUIRED_KEYS["data-sources.yaml"].filter((key) => hasYamlKey(yamlText["data-sources.yaml"], key)),
-      data_source_count: countYamlListItems(yamlText["data-sources.yaml"], "data_sources", 2)
-    };
-  }
-
-  if (yamlText["tools.yaml"]) {
-    summary.tool_boundary_summary = {
-      present: true,
-      visible_keys: YAML_REQUIRED_KEYS["tools.yaml"].filter((key) => hasYamlKey(yamlText["tools.yaml"], key)),
-      tool_count: countYamlListItems(yamlText["tools.yaml"], "tools", 2)
-    };
-  }
-
   const sampleOutput = parsedJson["evidence/sample-output.json"];
   if (sampleOutput) {
     summary.sample_output_summary = {
@@ -70,50 +70,6 @@ function parseMarkdownSections(text, sectionNames) {
   return output;
 }
 
-function countYamlItems(text, sectionName) {
-  const lines = normalizeText(text).split("\n");
-  let inSection = false;
-  let count = 0;
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed === `${sectionName}:`) {
-      inSection = true;
-      continue;
-    }
-    if (inSection && /^[A-Za-z0-9_-]+:\s*/.test(trimmed)) {
-      break;
-    }
-    if (inSection && /^\-\s+/.test(trimmed)) {
-      count += 1;
-    }
-  }
-
-  return count;
-}
-
-function listYamlItems(text, sectionName) {
-  const lines = normalizeText(text).split("\n");
-  let inSection = false;
-  const items = [];
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed === `${sectionName}:`) {
-      inSection = true;
-      continue;
-    }
-    if (inSection && /^[A-Za-z0-9_-]+:\s*/.test(trimmed)) {
-      break;
-    }
-    if (inSection && /^\-\s+/.test(trimmed)) {
-      items.push(trimmed.replace(/^\-\s+/, ""));
-    }
-  }
-
-  return items;
-}
-
 function determineReviewPosture(packValidation, parserSummary) {
   if (packValidation.validation_status === "invalid_due_to_omissions") {
     return "insufficient_evidence";
@@ -324,9 +280,6 @@ export function buildSingleAgentReportPreview({ packRoot, parserSummary, packVal
     readTextIfExists(resolvedPackRoot, "task-scope.md"),
     TASK_SCOPE_SECTIONS
   );
-  const actionBoundaryText = readTextIfExists(resolvedPackRoot, "action-boundary.yaml");
-  const dataSourcesText = readTextIfExists(resolvedPackRoot, "data-sources.yaml");
-  const toolsText = readTextIfExists(resolvedPackRoot, "tools.yaml");
 
   const packId = manifest.pack_id || path.basename(resolvedPackRoot);
   const sampleId = sampleOutput.sample_id || `${packId}-sample`;
@@ -351,8 +304,8 @@ export function buildSingleAgentReportPreview({ packRoot, parserSummary, packVal
     ...parserSummary.evidence_refs
   ]);
   const metadataCompleteness = determineMetadataCompleteness(packValidation, parserSummary);
-  const allowedActions = listYamlItems(actionBoundaryText, "allowed_actions");
-  const prohibitedActions = listYamlItems(actionBoundaryText, "prohibited_actions");
+  const { allowed_actions: allowedActions, prohibited_actions: prohibitedActions } =
+    parserSummary.action_boundary_summary;
 
   const reviewStatus =
     reviewPosture === "ready_for_review"
@@ -506,7 +459,7 @@ export function buildSingleAgentReportPreview({ packRoot, parserSummary, packVal
     risk_summary: riskSummary,
     drift_summary: driftSummary,
     guardrail_mapping_summary:
-      `The pack declares ${allowedActions.length} allowed actions, ${prohibitedActions.length} prohibited actions, ${countYamlItems(dataSourcesText, "data_sources")} data sources, and ${countYamlItems(toolsText, "tools")} tools for bounded review context.`,
+      `The pack declares ${allowedActions.length} allowed actions, ${prohibitedActions.length} prohibited actions, ${parserSummary.data_source_summary.data_source_count} data sources, and ${parserSummary.tool_boundary_summary.tool_count} tools for bounded review context.`,
     transition_summary: transitionSummary,
     procedural_receipt_summary:
       `Procedural receipt references are deterministic and traceable through ${receiptRefs.join(", ")}.`,
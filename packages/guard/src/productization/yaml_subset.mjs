@@ -0,0 +1,558 @@
+// Dependency-free YAML reader for governance pack files.
+//
+// Supports the subset pack authors actually write: block mappings and sequences at any
+// consistent indentation, flow collections (including multi-line JSON), comments,
+// quoted and plain scalars, block scalars (| and >), anchors, aliases and `<<` merges.
+// Tags, complex keys and multi-document streams are rejected with a line-numbered error.
+
+export class YamlParseError extends Error {
+  constructor(message, line = null) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.name = "YamlParseError";
+    this.line = line;
+  }
+}
+
+const NULL_PATTERN = /^(?:~|null|Null|NULL)$/;
+const TRUE_PATTERN = /^(?:true|True|TRUE)$/;
+const FALSE_PATTERN = /^(?:false|False|FALSE)$/;
+const INT_PATTERN = /^[-+]?(?:0|[1-9][0-9]*)$/;
+const FLOAT_PATTERN = /^[-+]?(?:[0-9]+\.[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?$/;
+const ANCHOR_PATTERN = /^&([^\s,[\]{}]+)(?:\s+|$)/;
+const ALIAS_PATTERN = /^\*([^\s,[\]{}]+)$/;
+const BLOCK_SCALAR_PATTERN = /^([|>])([+-]?)$/;
+
+// Define rather than assign: a `__proto__` key is data, not the mapping's prototype.
+function setMappingKey(mapping, key, value) {
+  Object.defineProperty(mapping, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+function stripComment(text) {
+  let quote = null;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quote) {
+      if (char === "\\" && quote === '"') {
+        index += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if ((char === '"' || char === "'") && (index === 0 || /[\s[{,:-]/.test(text[index - 1]))) {
+      quote = char;
+    } else if (char === "#" && (index === 0 || /\s/.test(text[index - 1]))) {
+      return text.slice(0, index).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function toLines(text) {
+  return text
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((raw, index) => {
+      const indent = raw.length - raw.trimStart().length;
+      if (raw.slice(0, indent).includes("\t")) {
+        throw new YamlParseError("tabs are not allowed for indentation", index + 1);
+      }
+      return { raw, indent, text: stripComment(raw.trimStart()), line: index + 1 };
+    });
+}
+
+function findMappingColon(text) {
+  let quote = null;
+  let depth = 0;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quote) {
+      if (char === "\\" && quote === '"') {
+        index += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if ((char === '"' || char === "'") && index === 0) {
+      quote = char;
+    } else if (char === "[" || char === "{") {
+      if (index === 0) return -1;
+      depth += 1;
+    } else if (char === "]" || char === "}") {
+      depth -= 1;
+    } else if (char === ":" && depth === 0 && (index + 1 === text.length || /\s/.test(text[index + 1]))) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function isDocumentMarker(line) {
+  return line.indent === 0 && /^(?:---|\.\.\.)(?:\s|$)/.test(line.text);
+}
+
+function isSequenceEntry(text) {
+  return text === "-" || text.startsWith("- ");
+}
+
+function unquoteDouble(body, line) {
+  return body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|.)/g, (_match, escape) => {
+    if (escape[0] === "x" || escape[0] === "u") {
+      return String.fromCharCode(Number.parseInt(escape.slice(1), 16));
+    }
+    const mapped = { n: "\n", t: "\t", r: "\r", "0": "\0", '"': '"', "\\": "\\", "/": "/", " ": " " }[escape];
+    if (mapped === undefined) {
+      throw new YamlParseError(`unsupported escape sequence \\${escape}`, line);
+    }
+    return mapped;
+  });
+}
+
+function resolvePlainScalar(text) {
+  if (text === "" || NULL_PATTERN.test(text)) return null;
+  if (TRUE_PATTERN.test(text)) return true;
+  if (FALSE_PATTERN.test(text)) return false;
+  if (INT_PATTERN.test(text) || FLOAT_PATTERN.test(text)) return Number(text);
+  return text;
+}
+
+// A ": " (or trailing ":") inside a plain value would start a nested mapping, which YAML does not allow there.
+function resolvePlainValue(text, line) {
+  if (/:(?:\s|$)/.test(text)) {
+    throw new YamlParseError("mapping values are not allowed in a plain scalar", line);
+  }
+  return resolvePlainScalar(text);
+}
+
+function balanceDelta(text) {
+  let quote = null;
+  let delta = 0;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quote) {
+      if (char === "\\" && quote === '"') {
+        index += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "[" || char === "{") {
+      delta += 1;
+    } else if (char === "]" || char === "}") {
+      delta -= 1;
+    }
+  }
+  return delta;
+}
+
+class YamlReader {
+  constructor(text) {
+    this.lines = toLines(text);
+    this.position = 0;
+    this.anchors = new Map();
+  }
+
+  peek() {
+    while (this.position < this.lines.length && this.lines[this.position].text === "") {
+      this.position += 1;
+    }
+    return this.lines[this.position] ?? null;
+  }
+
+  parseDocument() {
+    let first = this.peek();
+    if (first && isDocumentMarker(first) && first.text.startsWith("---")) {
+      const rest = first.text.slice(3).trim();
+      if (rest) {
+        throw new YamlParseError("content after document marker is not supported", first.line);
+      }
+      this.position += 1;
+      first = this.peek();
+    }
+    if (!first) return null;
+
+    const value = this.parseBlock(first.indent, first.line);
+    const trailing = this.peek();
+    if (trailing && isDocumentMarker(trailing) && trailing.text.startsWith("...")) {
+      this.position += 1;
+    }
+    const extra = this.peek();
+    if (extra) {
+      const message = /^---(?:\s|$)/.test(extra.text)
+        ? "multiple documents are not supported"
+        : "unexpected content after document";
+      throw new YamlParseError(message, extra.line);
+    }
+    return value;
+  }
+
+  parseBlock(indent, line) {
+    const current = this.peek();
+    if (!current || current.indent < indent) {
+      throw new YamlParseError("expected a value", line);
+    }
+    if (isSequenceEntry(current.text)) {
+      return this.parseSequence(current.indent);
+    }
+    if (findMappingColon(current.text) >= 0) {
+      return this.parseMapping(current.indent);
+    }
+    this.position += 1;
+    return this.parseInlineValue(current.text, current, current.indent - 1);
+  }
+
+  parseSequence(indent) {
+    const items = [];
+    for (let current = this.peek(); current && current.indent === indent; current = this.peek()) {
+      if (isDocumentMarker(current) || !isSequenceEntry(current.text)) break;
+      const rest = current.text.slice(1).trimStart();
+      if (rest === "") {
+        this.position += 1;
+        items.push(this.parseNestedOrNull(indent, current.line));
+      } else if (isSequenceEntry(rest) || (findMappingColon(rest) >= 0 && !ANCHOR_PATTERN.test(rest))) {
+        this.lines[this.position] = {
+          ...current,
+          indent: current.indent + (current.text.length - rest.length),
+          text: rest
+        };
+        items.push(this.parseBlock(indent + 1, current.line));
+      } else {
+        this.position += 1;
+        items.push(this.parseInlineValue(rest, current, indent));
+      }
+    }
+    const next = this.peek();
+    if (next && next.indent > indent) {
+      throw new YamlParseError("unexpected indentation", next.line);
+    }
+    return items;
+  }
+
+  parseMapping(indent) {
+    const mapping = {};
+    for (let current = this.peek(); current && current.indent === indent; current = this.peek()) {
+      if (isDocumentMarker(current)) break;
+      if (isSequenceEntry(current.text)) {
+        throw new YamlParseError("sequence entry is not allowed inside a mapping", current.line);
+      }
+      const colon = findMappingColon(current.text);
+      if (colon < 0) {
+        throw new YamlParseError("expected a mapping key", current.line);
+      }
+      const key = this.parseKey(current.text.slice(0, colon).trim(), current.line);
+      const rest = current.text.slice(colon + 1).trim();
+      this.position += 1;
+
+      let value;
+      if (rest === "") {
+        const next = this.peek();
+        value =
+          next && next.indent === indent && isSequenceEntry(next.text)
+            ? this.parseSequence(indent)
+            : this.parseNestedOrNull(indent, current.line);
+      } else {
+        value = this.parseInlineValue(rest, current, indent);
+      }
+
+      if (key === "<<") {
+        this.mergeInto(mapping, value, current.line);
+        continue;
+      }
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw new YamlParseError(`duplicate key: ${key}`, current.line);
+      }
+      setMappingKey(mapping, key, value);
+    }
+    const next = this.peek();
+    if (next && next.indent > indent) {
+      throw new YamlParseError("unexpected indentation", next.line);
+    }
+    return mapping;
+  }
+
+  parseKey(text, line) {
+    if (text === "") {
+      throw new YamlParseError("empty mapping key", line);
+    }
+    if (text.startsWith("?")) {
+      throw new YamlParseError("complex mapping keys are not supported", line);
+    }
+    if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) {
+      return unquoteDouble(text.slice(1, -1), line);
+    }
+    if (text.startsWith("'") && text.endsWith("'") && text.length >= 2) {
+      return text.slice(1, -1).replace(/''/g, "'");
+    }
+    return text;
+  }
+
+  mergeInto(mapping, value, line) {
+    const sources = Array.isArray(value) ? value : [value];
+    for (const source of sources) {
+      if (!source || typeof source !== "object" || Array.isArray(source)) {
+        throw new YamlParseError("merge key requires a mapping or list of mappings", line);
+      }
+      for (const [key, entry] of Object.entries(source)) {
+        if (!Object.prototype.hasOwnProperty.call(mapping, key)) {
+          setMappingKey(mapping, key, entry);
+        }
+      }
+    }
+  }
+
+  parseNestedOrNull(parentIndent, line) {
+    const next = this.peek();
+    if (!next || next.indent <= parentIndent) return null;
+    return this.parseBlock(parentIndent + 1, line);
+  }
+
+  parseInlineValue(text, current, parentIndent) {
+    const anchor = ANCHOR_PATTERN.exec(text);
+    if (anchor) {
+      const rest = text.slice(anchor[0].length);
+      const value = rest === "" ? this.parseNestedOrNull(parentIndent, current.line) : this.parseInlineValue(rest, current, parentIndent);
+      this.anchors.set(anchor[1], value);
+      return value;
+    }
+
+    const alias = ALIAS_PATTERN.exec(text);
+    if (alias) {
+      if (!this.anchors.has(alias[1])) {
+        throw new YamlParseError(`unknown alias: *${alias[1]}`, current.line);
+      }
+      return this.anchors.get(alias[1]);
+    }
+
+    if (text.startsWith("!")) {
+      throw new YamlParseError("tags are not supported", current.line);
+    }
+
+    const blockScalar = BLOCK_SCALAR_PATTERN.exec(text);
+    if (blockScalar) {
+      return this.parseBlockScalar(blockScalar[1], blockScalar[2], parentIndent);
+    }
+
+    if (text.startsWith("[") || text.startsWith("{")) {
+      let source = text;
+      let depth = balanceDelta(text);
+      while (depth > 0) {
+        const next = this.peek();
+        if (!next) {
+          throw new YamlParseError("unterminated flow collection", current.line);
+        }
+        source += ` ${next.text}`;
+        depth += balanceDelta(next.text);
+        this.position += 1;
+      }
+      return new FlowReader(source, current.line, this.anchors).parseAll();
+    }
+
+    if (text.startsWith('"') || text.startsWith("'")) {
+      return new FlowReader(text, current.line, this.anchors).parseAll();
+    }
+
+    let plain = text;
+    for (let next = this.peek(); next && next.indent > parentIndent; next = this.peek()) {
+      if (isSequenceEntry(next.text) || findMappingColon(next.text) >= 0) {
+        throw new YamlParseError("unexpected mapping or sequence after scalar value", next.line);
+      }
+      plain += ` ${next.text}`;
+      this.position += 1;
+    }
+    return resolvePlainValue(plain, current.line);
+  }
+
+  parseBlockScalar(style, chomp, parentIndent) {
+    const collected = [];
+    let contentIndent = null;
+    while (this.position < this.lines.length) {
+      const line = this.lines[this.position];
+      const blank = line.raw.trim() === "";
+      if (!blank) {
+        if (line.indent <= parentIndent) break;
+        if (contentIndent === null) contentIndent = line.indent;
+        if (line.indent < contentIndent) break;
+      }
+      collected.push(blank ? "" : line.raw.slice(contentIndent));
+      this.position += 1;
+    }
+
+    let trailingBlank = 0;
+    while (collected.length > 0 && collected[collected.length - 1] === "") {
+      collected.pop();
+      trailingBlank += 1;
+    }
+
+    let body;
+    if (style === "|") {
+      body = collected.join("\n");
+    } else {
+      body = collected.reduce((joined, line, index) => {
+        if (index === 0) return line;
+        if (line === "") return `${joined}\n`;
+        return joined.endsWith("\n") || collected[index - 1] === "" ? `${joined}${line}` : `${joined} ${line}`;
+      }, "");
+    }
+
+    if (collected.length === 0) return "";
+    if (chomp === "-") return body;
+    if (chomp === "+") return `${body}\n${"\n".repeat(trailingBlank)}`;
+    return `${body}\n`;
+  }
+}
+
+class FlowReader {
+  constructor(source, line, anchors) {
+    this.source = source;
+    this.index = 0;
+    this.line = line;
+    this.anchors = anchors;
+  }
+
+  error(message) {
+    return new YamlParseError(message, this.line);
+  }
+
+  skipSpace() {
+    while (this.index < this.source.length && /\s/.test(this.source[this.index])) {
+      this.index += 1;
+    }
+  }
+
+  parseAll() {
+    const value = this.parseValue("");
+    this.skipSpace();
+    if (this.index < this.source.length) {
+      throw this.error(`unexpected content: ${this.source.slice(this.index)}`);
+    }
+    return value;
+  }
+
+  parseValue(terminators) {
+    this.skipSpace();
+    const char = this.source[this.index];
+    if (char === "[") return this.parseSequence();
+    if (char === "{") return this.parseMapping();
+    if (char === '"' || char === "'") return this.parseQuoted(char);
+    if (char === "&") {
+      const match = /^&([^\s,[\]{}]+)/.exec(this.source.slice(this.index));
+      if (!match) throw this.error("anchor is missing a name");
+      this.index += match[0].length;
+      const value = this.parseValue(terminators);
+      this.anchors.set(match[1], value);
+      return value;
+    }
+    if (char === "*") {
+      const match = /^\*([^\s,[\]{}]+)/.exec(this.source.slice(this.index));
+      if (!match) throw this.error("alias is missing a name");
+      this.index += match[0].length;
+      if (!this.anchors.has(match[1])) {
+        throw this.error(`unknown alias: *${match[1]}`);
+      }
+      return this.anchors.get(match[1]);
+    }
+    return resolvePlainValue(this.readPlain(terminators), this.line);
+  }
+
+  readPlain(terminators) {
+    const start = this.index;
+    while (this.index < this.source.length) {
+      const char = this.source[this.index];
+      if (char !== ":" && terminators.includes(char)) break;
+      if (char === ":" && terminators.includes(":") && /[\s,\]}]|$/.test(this.source[this.index + 1] ?? "")) break;
+      if (char === "#" && /\s/.test(this.source[this.index - 1] ?? "")) break;
+      this.index += 1;
+    }
+    return this.source.slice(start, this.index).trim();
+  }
+
+  parseQuoted(quote) {
+    let body = "";
+    this.index += 1;
+    while (this.index < this.source.length) {
+      const char = this.source[this.index];
+      if (quote === '"' && char === "\\") {
+        body += char + (this.source[this.index + 1] ?? "");
+        this.index += 2;
+        continue;
+      }
+      if (char === quote) {
+        if (quote === "'" && this.source[this.index + 1] === "'") {
+          body += "'";
+          this.index += 2;
+          continue;
+        }
+        this.index += 1;
+        return quote === '"' ? unquoteDouble(body, this.line) : body;
+      }
+      body += char;
+      this.index += 1;
+    }
+    throw this.error("unterminated quoted scalar");
+  }
+
+  parseSequence() {
+    const items = [];
+    this.index += 1;
+    for (;;) {
+      this.skipSpace();
+      if (this.source[this.index] === "]") {
+        this.index += 1;
+        return items;
+      }
+      items.push(this.parseValue(",]"));
+      this.skipSpace();
+      const char = this.source[this.index];
+      if (char === ",") {
+        this.index += 1;
+      } else if (char !== "]") {
+        throw this.error("expected , or ] in flow sequence");
+      }
+    }
+  }
+
+  parseMapping() {
+    const mapping = {};
+    this.index += 1;
+    for (;;) {
+      this.skipSpace();
+      if (this.source[this.index] === "}") {
+        this.index += 1;
+        return mapping;
+      }
+      const keyValue = this.parseValue(":,}");
+      const key = keyValue === null ? "" : String(keyValue);
+      if (key === "") {
+        throw this.error("empty mapping key in flow mapping");
+      }
+      this.skipSpace();
+      let value = null;
+      if (this.source[this.index] === ":") {
+        this.index += 1;
+        value = this.parseValue(",}");
+        this.skipSpace();
+      }
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw this.error(`duplicate key: ${key}`);
+      }
+      setMappingKey(mapping, key, value);
+      const char = this.source[this.index];
+      if (char === ",") {
+        this.index += 1;
+      } else if (char !== "}") {
+        throw this.error("expected , or } in flow mapping");
+      }
+    }
+  }
+}
+
+/**
+ * Parse a single YAML document into plain JSON values.
+ * Throws YamlParseError (with `line`) on malformed or unsupported input.
+ */
+export function parseYaml(text) {
+  return new YamlReader(String(text)).parseDocument();
+}
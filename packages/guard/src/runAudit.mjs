@@ -1,5 +1,5 @@
 import path from "node:path";
-import { appendFileSync } from "node:fs";
+import { appendFileSync, readFileSync } from "node:fs";
 
 import {
   parseArgs,
@@ -10,11 +10,24 @@ import {
   getHeadSha,
   getBranchName,
   getRepoRoot,
+  resolveCommit,
+  getMergeBase,
+  listRangeCommits,
+  getCommitDetails,
+  commitNumstat,
   diffNumstat,
   diffNameOnly,
+  diffNameStatus,
+  diffPatch,
   computeSignalsFromNumstat,
+  computeContentSignals,
   evaluateAudit,
   computeRiskV1,
+  compileRiskProfile,
+  computeRiskV2,
+  loadModuleMap,
+  describeModuleMap,
+  validatePolicyObject,
 } from "./kernelCompat.mjs";
 
 // productization
@@ -25,15 +38,25 @@ import { LICENSE_KEY_METADATA } from "./product/license_key_metadata.mjs";
 // v0.23 NEW (IO, Pro only): Drift analytics
 import { readDriftTrendFromAuditJsonl } from "./analytics/drift.mjs";
 
+// Change-point / anomaly detection on the daily risk trend (additive; fail-safe)
+import { buildRiskTrendReport } from "./runtime/risk_trend.mjs";
+
 // v0.25 NEW: Drift Collector (append-only; must not affect exit)
 import { collectDriftEvent } from "./runtime/drift/collector.mjs";
 
+// Actor dimension: who / which agent produced the change (signal-only)
+import { resolveActor } from "./runtime/actor.mjs";
+
+// Staged acks: a soft_block already acknowledged for the same staged tree exits as allow
+import { findAckForTree, getStagedTreeHash } from "./ackManager.mjs";
+
+// Enterprise webhook after evaluation (enterprise only; fail-safe; recorded, never changes the exit)
+import { loadHookConfig } from "./hooks/hook_config.mjs";
+import { invokeEnterpriseHook } from "./hooks/hook_invoke.mjs";
+
 // v0.26 NEW: Drift Snapshot Builder (Pro-only context block)
 import { buildDriftStatus } from "./runtime/drift/status.mjs";
-import {
-  buildPolicyPermitBridgeContract,
-  assertValidPolicyPermitBridgeContract,
-} from "./runtime/governance/bridge/index.mjs";
+import { buildGovernanceArtifacts } from "./runtime/governance/chain/index.mjs";
 import {
   buildPermitGateResult,
   assertValidPermitGateResult,
@@ -57,19 +80,6 @@ import {
   buildGovernanceActivationRecord,
   assertValidGovernanceActivationRecord,
 } from "./runtime/governance/permit/index.mjs";
-import {
-  buildCanonicalActionArtifactFromAudit,
-  buildEnforcementAdjacentDecisionRecord,
-  buildExecutionBridgePreview,
-  buildExecutionReadinessJudgment,
-  buildCanonicalActionPolicyPreview,
-  buildPermitPrecheckPreview,
-  assertValidEnforcementAdjacentDecisionRecord,
-  assertValidExecutionBridgePreview,
-  assertValidExecutionReadinessJudgment,
-  assertValidCanonicalActionPolicyPreview,
-  assertValidPermitPrecheckPreview,
-} from "./runtime/actions/index.mjs";
 
 function deriveActions(verdict, reasons) {
   if (verdict === "hard_block") {
@@ -81,6 +91,22 @@ function deriveActions(verdict, reasons) {
   return [];
 }
 
+export function exitCodeForVerdict(policy, verdict) {
+  if (verdict === "allow") return policy.exit_codes.allow;
+  if (verdict === "soft_block") return policy.exit_codes.soft_block;
+  if (verdict === "hard_block") return policy.exit_codes.hard_block;
+  return policy.exit_codes.error;
+}
+
+/**
+ * Why the policy cannot be evaluated, or null. evaluateAudit compiles rule globs and regexes
+ * as it goes, so a malformed policy is rejected here instead of throwing mid-evaluation.
+ */
+export function policyValidationMessage(policy) {
+  const { ok, errors } = validatePolicyObject(policy);
+  return ok ? null : `policy is invalid: ${errors.join("; ")}`;
+}
+
 function renderLicenseLine(p) {
   const edition = p?.edition || "community";
   const status = p?.license_status || "missing";
@@ -91,15 +117,95 @@ function renderLicenseLine(p) {
 }
 
 // Stable guard-wide jsonl for drift analytics
-function getGuardJsonlPath(repoRoot) {
+export function getGuardJsonlPath(repoRoot) {
   return path.join(repoRoot, ".mindforge", "artifacts", "guard", "audit.jsonl");
 }
 
-function appendAuditJsonlLine(jsonlPath, obj) {
+export function appendAuditJsonlLine(jsonlPath, obj) {
   ensureDir(path.dirname(jsonlPath));
   appendFileSync(jsonlPath, JSON.stringify(obj) + "\n", "utf8");
 }
 
+// audit.jsonl risk block: v1 fields stay top-level (existing readers), v2 alongside
+export function auditJsonlRisk(risk, riskV2) {
+  return {
+    v: risk.v,
+    score: risk.score,
+    primary_driver: risk.explain?.primary_driver || null,
+    v2: riskV2
+      ? {
+          score: riskV2.score,
+          primary_driver: riskV2.explain.primary_driver,
+          profile_id: riskV2.profile.id,
+          profile_hash: riskV2.profile.hash,
+        }
+      : undefined,
+  };
+}
+
+/**
+ * Patch text for content signals. When git cannot produce it (ENOBUFS on a very large
+ * diff, ...) the credential scan sees an empty patch and the note says so; path and
+ * size signals are unaffected, so the audit still reaches a verdict.
+ */
+export function computeContentSignalsWithPatch({ numstatLines, nameStatusLines, readPatch }) {
+  let patchText = "";
+  let patchNote = null;
+  try {
+    patchText = readPatch();
+  } catch (err) {
+    patchNote = `patch not read (${err?.code || err?.message || String(err)}); content signals use paths and sizes only`;
+  }
+  const content = computeContentSignals({ numstatLines, nameStatusLines, patchText });
+  if (patchNote) content.details.patch_unavailable = patchNote;
+  return content;
+}
+
+/**
+ * One audit.jsonl line; guard audit and guard audit replay both build theirs here so the shapes match.
+ * replay is set only for replayed commits.
+ */
+export function buildAuditJsonlLine({
+  ts,
+  runId,
+  mode,
+  git,
+  replay,
+  actor,
+  verdict,
+  reasons,
+  ack,
+  risk,
+  riskV2,
+  content,
+  moduleMap,
+  edition,
+}) {
+  return {
+    ts,
+    run_id: runId,
+    mode,
+    git,
+    replay: replay || undefined,
+    actor,
+    verdict,
+    reason_codes: reasons.map((r) => r.code),
+    ack: ack ? { ack_id: ack.ack_id, state: ack.state, status: ack.status } : undefined,
+    risk: auditJsonlRisk(risk, riskV2),
+    content: content.signals,
+    module_map_hash: moduleMap.hash,
+    spread: {
+      modules_touched: risk.spread.modules_touched,
+      module_counts: risk.spread.module_counts,
+      entropy_norm: risk.spread.entropy_norm,
+      dominant_module: risk.spread.dominant_module,
+      dominant_share: risk.spread.dominant_share,
+      cross_boundary: risk.spread.cross_boundary,
+    },
+    edition,
+  };
+}
+
 function readShadowOptions(argv) {
   const emitCanonicalAction = argv.includes("--emit-canonical-action");
   const emitPolicyPreview = argv.includes("--emit-policy-preview");
@@ -312,58 +418,96 @@ function readLimitedEnforcementAuthorityOptions(argv) {
   };
 }
 
-function buildGovernanceArtifacts({ audit, effectivePolicy }) {
-  const canonicalActionArtifact = buildCanonicalActionArtifactFromAudit(audit);
-  const policyPreviewArtifact = assertValidCanonicalActionPolicyPreview(
-    buildCanonicalActionPolicyPreview({
-      canonicalActionArtifact,
-      policy: effectivePolicy,
-    })
-  );
-  const permitPrecheckArtifact = assertValidPermitPrecheckPreview(
-    buildPermitPrecheckPreview({
-      canonicalActionArtifact,
-      policyPreviewArtifact,
-    })
-  );
-  const executionBridgeArtifact = assertValidExecutionBridgePreview(
-    buildExecutionBridgePreview({
-      canonicalActionArtifact,
-      policyPreviewArtifact,
-      permitPrecheckArtifact,
-    })
-  );
-  const executionReadinessArtifact = assertValidExecutionReadinessJudgment(
-    buildExecutionReadinessJudgment({
-      canonicalActionArtifact,
-      executionBridgeArtifact,
-    })
-  );
-  const enforcementAdjacentDecisionArtifact = assertValidEnforcementAdjacentDecisionRecord(
-    buildEnforcementAdjacentDecisionRecord({
-      canonicalActionArtifact,
-      executionReadinessArtifact,
-    })
-  );
-  const policyPermitBridgeArtifact = assertValidPolicyPermitBridgeContract(
-    buildPolicyPermitBridgeContract({
-      canonicalActionArtifact,
-      policyPreviewArtifact,
-      permitPrecheckArtifact,
-      executionBridgeArtifact,
-      executionReadinessArtifact,
-      enforcementAdjacentDecisionArtifact,
-    })
-  );
+function readRangeOptions(argv) {
+  let base = null;
+  let head = null;
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg.startsWith("--base=")) {
+      base = arg.slice("--base=".length);
+    } else if (arg === "--base" && argv[i + 1]) {
+      base = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith("--head=")) {
+      head = arg.slice("--head=".length);
+    } else if (arg === "--head" && argv[i + 1]) {
+      head = argv[i + 1];
+      i += 1;
+    }
+  }
 
   return {
-    canonicalActionArtifact,
-    policyPreviewArtifact,
-    permitPrecheckArtifact,
-    executionBridgeArtifact,
-    executionReadinessArtifact,
-    enforcementAdjacentDecisionArtifact,
-    policyPermitBridgeArtifact,
+    base: base || null,
+    head: head || null,
+    useMergeBase: !argv.includes("--no-merge-base"),
+  };
+}
+
+function readEvidencePackOption(argv) {
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg.startsWith("--evidence-pack=")) return arg.slice("--evidence-pack=".length) || null;
+    if (arg === "--evidence-pack" && argv[i + 1]) return argv[i + 1];
+  }
+  return null;
+}
+
+function commitDetailsOrNull(sha) {
+  try {
+    return getCommitDetails(sha);
+  } catch {
+    return null;
+  }
+}
+
+function resolveRefOrNull(ref) {
+  try {
+    return resolveCommit(ref) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve a PR-style range. By default the diff starts at merge-base(base, head),
+ * matching `git diff base...head`; --no-merge-base diffs base..head directly.
+ */
+function resolveAuditRange({ base, head, useMergeBase }) {
+  const headRef = head || "HEAD";
+  const baseSha = resolveRefOrNull(base);
+  if (!baseSha) return { error: `cannot resolve --base ref '${base}' to a commit` };
+  const headSha = resolveRefOrNull(headRef);
+  if (!headSha) return { error: `cannot resolve --head ref '${headRef}' to a commit` };
+
+  let mergeBaseSha = null;
+  try {
+    mergeBaseSha = getMergeBase(baseSha, headSha) || null;
+  } catch {
+    mergeBaseSha = null;
+  }
+  if (useMergeBase && !mergeBaseSha) {
+    return { error: `--base '${base}' and --head '${headRef}' have no merge base (use --no-merge-base)` };
+  }
+
+  const diffBaseSha = useMergeBase ? mergeBaseSha : baseSha;
+  const commits = listRangeCommits({ base: diffBaseSha, head: headSha }).map((commit) => ({
+    ...commit,
+    signals: computeSignalsFromNumstat(commitNumstat(commit.sha)),
+  }));
+
+  return {
+    range: {
+      base_ref: base,
+      head_ref: headRef,
+      base_sha: baseSha,
+      head_sha: headSha,
+      merge_base_sha: mergeBaseSha,
+      diff_base_sha: diffBaseSha,
+      merge_base_resolution: useMergeBase ? "merge_base" : "direct",
+      commit_count: commits.length,
+      commits,
+    },
   };
 }
 
@@ -448,18 +592,41 @@ export async function runAudit({ argv, policy }) {
   const limitedEnforcementAuthority = readLimitedEnforcementAuthorityOptions(argv);
   const mode = args.mode === "ci" ? "ci" : "local";
 
-  const head = args.head || getHeadSha();
-  const base = args.base || "";
+  const rangeOptions = readRangeOptions(argv);
   const staged = !!args.staged;
 
-  if (mode === "local" && !staged) {
+  if (staged && (rangeOptions.base || rangeOptions.head)) {
+    return {
+      exitCode: 2,
+      audit: null,
+      message: "--staged cannot be combined with --base or --head",
+    };
+  }
+
+  if (mode === "local" && !staged && !rangeOptions.base) {
     return {
       exitCode: policy.exit_codes.error ?? 30,
       audit: null,
-      message: "local mode requires --staged",
+      message: "local mode requires --staged or --base <ref>",
     };
   }
 
+  let range = null;
+  if (rangeOptions.base) {
+    const resolved = resolveAuditRange(rangeOptions);
+    if (resolved.error) {
+      return {
+        exitCode: policy.exit_codes.error ?? 30,
+        audit: null,
+        message: resolved.error,
+      };
+    }
+    range = resolved.range;
+  }
+
+  const head = range ? range.head_sha : rangeOptions.head || getHeadSha();
+  const base = range ? range.base_sha : "";
+
   if (shadow.emitCanonicalAction && !shadow.canonicalActionOut) {
     return {
       exitCode: policy.exit_codes.error ?? 30,
@@ -779,30 +946,95 @@ export async function runAudit({ argv, policy }) {
 
   const repoRoot = getRepoRoot();
   const branch = getBranchName();
+  const stagedTree = staged ? getStagedTreeHash() || null : null;
+
+  // ---- actor (env, head commit trailers/author, optional Evidence Pack) ----
+  let evidencePack = null;
+  const evidencePackPath = readEvidencePackOption(argv);
+  if (evidencePackPath) {
+    try {
+      evidencePack = JSON.parse(readFileSync(path.resolve(evidencePackPath), "utf8"));
+    } catch (err) {
+      return {
+        exitCode: policy.exit_codes.error ?? 30,
+        audit: null,
+        message: `evidence pack could not be read: ${err?.message || String(err)}`,
+      };
+    }
+  }
+  // Staged changes have no commit yet: only env and the Evidence Pack apply.
+  const headCommit = staged ? null : commitDetailsOrNull(head);
+  const actor = resolveActor({ message: headCommit?.message, author: headCommit?.author, evidencePack });
 
   // ---- signals ----
-  const numstatLines = diffNumstat({
-    staged,
-    base: mode === "ci" ? base : undefined,
-    head: mode === "ci" ? head : undefined,
-  });
+  const diffSpec = range
+    ? { staged: false, base: range.diff_base_sha, head: range.head_sha }
+    : {
+        staged,
+        base: undefined,
+        head: mode === "ci" ? head : undefined,
+      };
 
-  const signals = computeSignalsFromNumstat(numstatLines);
+  const numstatLines = diffNumstat(diffSpec);
 
-  const touched_paths = diffNameOnly({
-    staged,
-    base: mode === "ci" ? base : undefined,
-    head: mode === "ci" ? head : undefined,
+  const touched_paths = diffNameOnly(diffSpec);
+
+  // ---- content signals (pure over diff paths + patch; additive to size signals) ----
+  const content = computeContentSignalsWithPatch({
+    numstatLines,
+    nameStatusLines: diffNameStatus(diffSpec),
+    readPatch: () => diffPatch(diffSpec),
   });
 
+  const signals = {
+    ...computeSignalsFromNumstat(numstatLines),
+    ...content.signals,
+  };
+
   // ---- license ----
   const lic = loadGuardEditionFromLocalLicense();
   const effectivePolicy = applyTierGateToPolicy(policy, lic.edition);
 
+  // ---- module map (policy.module_map + optional CODEOWNERS; builtin buckets otherwise) ----
+  let moduleMap;
+  try {
+    moduleMap = loadModuleMap({ policy, repoRoot });
+  } catch (err) {
+    return {
+      exitCode: policy.exit_codes.error ?? 30,
+      audit: null,
+      message: `module map could not be loaded: ${err?.message || String(err)}`,
+    };
+  }
+
+  // ---- risk profile (policy.risk_profile; builtin default otherwise) ----
+  let riskProfile;
+  try {
+    riskProfile = compileRiskProfile(policy.risk_profile);
+  } catch (err) {
+    return {
+      exitCode: policy.exit_codes.error ?? 30,
+      audit: null,
+      message: `risk profile could not be loaded: ${err?.message || String(err)}`,
+    };
+  }
+
+  // ---- policy rules (module map and risk profile report their own errors above) ----
+  const policyProblem = policyValidationMessage(policy);
+  if (policyProblem) {
+    return {
+      exitCode: policy.exit_codes.error ?? 30,
+      audit: null,
+      message: policyProblem,
+    };
+  }
+
   // ---- evaluation (MUST NOT CHANGE) ----
   const { verdict, score, reasons } = evaluateAudit({
     policy: effectivePolicy,
     signals,
+    touched_paths,
+    bucketOf: moduleMap.bucketOf,
   });
 
   const keyId = lic?.key_id || null;
@@ -828,6 +1060,15 @@ export async function runAudit({ argv, policy }) {
     lines_added: signals.lines_added,
     files_changed: signals.files_changed,
     touched_paths,
+    bucketOf: moduleMap.bucketOf,
+  });
+
+  // ---- Risk v2 (pure; additive; scored side by side with v1) ----
+  const riskV2 = computeRiskV2({
+    signals,
+    touched_paths,
+    bucketOf: moduleMap.bucketOf,
+    profile: riskProfile,
   });
 
   // ---- Drift analytics (existing v0.23; remains in risk.drift) ----
@@ -841,6 +1082,19 @@ export async function runAudit({ argv, policy }) {
     });
   }
 
+  // ---- Risk trend detection over the last 30 days of audits (Pro-only; fail-safe) ----
+  let trendDetection = null;
+  if (productization.edition !== "community") {
+    try {
+      const trend = buildRiskTrendReport({ auditPath: jsonlPath, window: "30d", detect: true });
+      if (trend.summary.audits > 0) {
+        trendDetection = { window: trend.window, metric: trend.metric, ...trend.detection };
+      }
+    } catch {
+      trendDetection = null;
+    }
+  }
+
   // ---- v0.26.1 NEW: Drift Snapshot Context (Pro-only; fail-safe) ----
   // ---- v0.27 NEW: Drift Dominance (Pro-only; additive; fail-safe) ----
   let driftContext = null;
@@ -875,6 +1129,54 @@ export async function runAudit({ argv, policy }) {
     }
   }
 
+  // ---- Staged ack (evaluation is unchanged; an ack covering every soft code only changes the exit) ----
+  let ack = null;
+  if (stagedTree && verdict === "soft_block") {
+    const codes = [...new Set(reasons.map((r) => r.code))].sort();
+    const ruleIds = (policy.rules || []).map((rule) => rule.id);
+    const found = findAckForTree(stagedTree, codes, { root: repoRoot, ruleIds });
+    if (found) {
+      ack = {
+        state: found.state,
+        ack_id: found.ack.ack_id,
+        ts: found.ack.ts,
+        expires_at: found.ack.expires_at ?? null,
+        reason: found.ack.reason,
+        codes: found.ack.codes ?? null,
+        identity: found.ack.identity ?? null,
+        key_id: found.ack.signature?.key_id ?? null,
+        status: found.ack.verification.status,
+        problems: found.ack.verification.problems,
+        missing_codes: found.missing_codes,
+      };
+    }
+  }
+  const intendedExitCode =
+    ack?.state === "acknowledged" ? policy.exit_codes.allow : exitCodeForVerdict(policy, verdict);
+
+  // ---- Enterprise hook (enterprise only; fail-safe; outcome recorded as evidence only) ----
+  let hook = null;
+  if (productization.edition === "enterprise") {
+    hook = await invokeEnterpriseHook({
+      edition: productization.edition,
+      snapshot: {
+        run_id: runId,
+        timestamp,
+        mode,
+        git: { head, base: base || undefined, branch },
+        actor,
+        verdict,
+        score,
+        reasons,
+        policy_hash: policy.__policy_hash,
+        touched_paths_count: touched_paths.length,
+      },
+      risk_score: risk.score,
+      exit_intent: intendedExitCode,
+      config: loadHookConfig({ repoRoot }),
+    });
+  }
+
   const audit = {
     schema_version: "1.0",
     run: {
@@ -882,7 +1184,14 @@ export async function runAudit({ argv, policy }) {
       mode,
       timestamp,
       repo: { root: repoRoot },
-      git: { head, base: base || undefined, branch },
+      git: {
+        head,
+        base: base || undefined,
+        merge_base: range?.merge_base_sha || undefined,
+        branch,
+        staged_tree: stagedTree || undefined,
+      },
+      actor,
     },
     inputs: {
       diff_summary: {
@@ -891,10 +1200,13 @@ export async function runAudit({ argv, policy }) {
         lines_deleted: signals.lines_deleted,
       },
       signals,
+      content_signals: content.details,
       paths: {
         touched_paths_count: touched_paths.length,
         touched_paths,
       },
+      range: range || undefined,
+      module_map: describeModuleMap(moduleMap),
     },
     policy: {
       policy_hash: policy.__policy_hash,
@@ -906,9 +1218,13 @@ export async function runAudit({ argv, policy }) {
       reasons,
       actions: deriveActions(verdict, reasons),
     },
+    ack: ack || undefined,
     risk: {
       ...risk,
+      v1: { score: risk.score, primary_driver: risk.explain.primary_driver },
+      v2: riskV2,
       drift: drift || undefined,
+      trend_detection: trendDetection || undefined,
     },
     context: driftContext
       ? {
@@ -916,25 +1232,35 @@ export async function runAudit({ argv, policy }) {
         }
       : {},
     productization,
+    hook: hook || undefined,
     artifacts: {},
   };
 
   // ---- append analytics series ----
-  appendAuditJsonlLine(jsonlPath, {
-    ts: timestamp,
-    run_id: runId,
-    mode,
-    git: { head, base: base || undefined, branch },
-    risk: { v: risk.v, score: risk.score },
-    spread: {
-      modules_touched: risk.spread.modules_touched,
-      entropy_norm: risk.spread.entropy_norm,
-      dominant_module: risk.spread.dominant_module,
-      dominant_share: risk.spread.dominant_share,
-      cross_boundary: risk.spread.cross_boundary,
-    },
-    edition: productization.edition,
-  });
+  appendAuditJsonlLine(
+    jsonlPath,
+    buildAuditJsonlLine({
+      ts: timestamp,
+      runId,
+      mode,
+      git: {
+        head,
+        base: base || undefined,
+        merge_base: range?.merge_base_sha || undefined,
+        branch,
+        staged_tree: stagedTree || undefined,
+      },
+      actor,
+      verdict,
+      reasons,
+      ack,
+      risk,
+      riskV2,
+      content,
+      moduleMap,
+      edition: productization.edition,
+    })
+  );
 
   const auditJsonPath = path.join(outdir, `audit.${head}.json`);
   writeFile(auditJsonPath, JSON.stringify(audit, null, 2));
@@ -1194,14 +1520,7 @@ export async function runAudit({ argv, policy }) {
     }
   }
 
-  let exitCode =
-    verdict === "allow"
-      ? policy.exit_codes.allow
-      : verdict === "soft_block"
-      ? policy.exit_codes.soft_block
-      : verdict === "hard_block"
-      ? policy.exit_codes.hard_block
-      : policy.exit_codes.error;
+  let exitCode = intendedExitCode;
 
   if (permitGateResult?.permit_gate?.decision === "deny") {
     exitCode = permitGateResult?.permit_gate?.exit_code ?? PERMIT_GATE_DENIED_EXIT_CODE;
@@ -1211,10 +1530,19 @@ export async function runAudit({ argv, policy }) {
   collectDriftEvent(
     {
       surface_id: "audit",
-      module: risk?.spread?.dominant_module || "unknown",
+      module: risk?.spread?.dominant_module || null,
+      identity: {
+        commit_sha: head,
+        branch,
+        actor: actor.actor,
+        agent: actor.agent,
+        policy_hash: policy.__policy_hash,
+        audit_id: runId,
+        module_map_version: moduleMap.version,
+      },
       risk_score: risk?.score ?? null,
       severity: null,
-      verdict,
+      verdict: ack?.state === "acknowledged" ? "acknowledged" : verdict,
       exit_code: exitCode,
       ds_exit_001: "PASS",
       receipt_id: null,
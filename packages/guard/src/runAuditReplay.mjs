@@ -0,0 +1,334 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import {
+  getRepoRoot,
+  resolveCommit,
+  listRangeCommits,
+  getCommitDetails,
+  commitNumstat,
+  commitNameOnly,
+  commitNameStatus,
+  commitPatch,
+  computeSignalsFromNumstat,
+  evaluateAudit,
+  computeRiskV1,
+  compileRiskProfile,
+  computeRiskV2,
+  loadModuleMap,
+} from "./kernelCompat.mjs";
+
+import { loadGuardEditionFromLocalLicense } from "./product/license.mjs";
+import { applyTierGateToPolicy } from "./product/tier_gate.mjs";
+import { resolveActor } from "./runtime/actor.mjs";
+import { collectDriftEvent, scheduleDriftCompaction } from "./runtime/drift/collector.mjs";
+import {
+  getGuardJsonlPath,
+  buildAuditJsonlLine,
+  computeContentSignalsWithPatch,
+  exitCodeForVerdict,
+  policyValidationMessage,
+} from "./runAudit.mjs";
+
+/**
+ * Audit history replay (`guard audit replay --since <ref>`).
+ *
+ * Re-runs the deterministic audit pipeline (signals -> evaluateAudit -> Risk v1/v2)
+ * against the first-parent diff of each commit on the first-parent chain of
+ * since..until, oldest first, and backfills audit.jsonl and the drift store
+ * stamped with the commit time.
+ * Backfilled audit lines are merged into audit.jsonl in ts order, so the file
+ * stays in time order. Replayed lines carry branch null: the branch a commit was
+ * made on is not recorded in git. Reads git objects only; the working tree and
+ * index are untouched. Commits already replayed into audit.jsonl are skipped, so
+ * re-runs are idempotent.
+ */
+
+function readReplayOptions(argv) {
+  let since = null;
+  let until = null;
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg.startsWith("--since=")) {
+      since = arg.slice("--since=".length);
+    } else if (arg === "--since" && argv[i + 1]) {
+      since = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith("--until=")) {
+      until = arg.slice("--until=".length);
+    } else if (arg === "--until" && argv[i + 1]) {
+      until = argv[i + 1];
+      i += 1;
+    }
+  }
+
+  return {
+    since: since || null,
+    until: until || "HEAD",
+    dryRun: argv.includes("--dry-run"),
+  };
+}
+
+function resolveRefOrNull(ref) {
+  try {
+    return resolveCommit(ref) || null;
+  } catch {
+    return null;
+  }
+}
+
+function readReplayedCommits(jsonlPath) {
+  const replayed = new Set();
+  if (!fs.existsSync(jsonlPath)) return replayed;
+  const lines = fs.readFileSync(jsonlPath, "utf8").split("\n");
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const obj = JSON.parse(line);
+      if (obj?.mode === "replay" && typeof obj?.replay?.commit === "string") replayed.add(obj.replay.commit);
+    } catch {
+      // tolerate partial/foreign lines
+    }
+  }
+  return replayed;
+}
+
+function tsMs(line) {
+  try {
+    return Date.parse(JSON.parse(line).ts);
+  } catch {
+    return NaN;
+  }
+}
+
+// Merge backfilled lines into audit.jsonl by ts; existing lines keep their order. Commit
+// order is topological, and commit times need not follow it, so the backfill is sorted first.
+function mergeAuditJsonlLines(jsonlPath, entries) {
+  const existing = fs.existsSync(jsonlPath)
+    ? fs.readFileSync(jsonlPath, "utf8").split("\n").filter((line) => line.trim())
+    : [];
+  const backfill = entries
+    .map((entry, i) => ({ line: JSON.stringify(entry), ms: Date.parse(entry.ts), i }))
+    .sort((a, b) => a.ms - b.ms || a.i - b.i)
+    .map(({ line }) => line);
+  const merged = [];
+  let next = 0;
+  for (const line of existing) {
+    const at = tsMs(line);
+    while (next < backfill.length && Number.isFinite(at) && tsMs(backfill[next]) < at) merged.push(backfill[next++]);
+    merged.push(line);
+  }
+  merged.push(...backfill.slice(next));
+
+  fs.mkdirSync(path.dirname(jsonlPath), { recursive: true });
+  const tmp = `${jsonlPath}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, merged.map((line) => line + "\n").join(""), "utf8");
+  fs.renameSync(tmp, jsonlPath);
+}
+
+function auditCommit({ commit, effectivePolicy, policy, moduleMap, riskProfile }) {
+  const numstatLines = commitNumstat(commit.sha);
+  const touched_paths = commitNameOnly(commit.sha);
+  const content = computeContentSignalsWithPatch({
+    numstatLines,
+    nameStatusLines: commitNameStatus(commit.sha),
+    readPatch: () => commitPatch(commit.sha),
+  });
+  const signals = {
+    ...computeSignalsFromNumstat(numstatLines),
+    ...content.signals,
+  };
+  const { verdict, reasons } = evaluateAudit({
+    policy: effectivePolicy,
+    signals,
+    touched_paths,
+    bucketOf: moduleMap.bucketOf,
+  });
+  const risk = computeRiskV1({
+    lines_added: signals.lines_added,
+    files_changed: signals.files_changed,
+    touched_paths,
+    bucketOf: moduleMap.bucketOf,
+  });
+  const riskV2 = computeRiskV2({ signals, touched_paths, bucketOf: moduleMap.bucketOf, profile: riskProfile });
+  return {
+    content,
+    verdict,
+    reasons,
+    risk,
+    riskV2,
+    exitCode: exitCodeForVerdict(policy, verdict),
+  };
+}
+
+export async function runAuditReplay({ argv, policy }) {
+  const options = readReplayOptions(argv);
+  const errorExit = policy.exit_codes.error ?? 30;
+
+  if (!options.since) {
+    return { exitCode: 2, replay: null, message: "audit replay requires --since <ref>" };
+  }
+
+  const sinceSha = resolveRefOrNull(options.since);
+  if (!sinceSha) {
+    return { exitCode: errorExit, replay: null, message: `cannot resolve --since ref '${options.since}' to a commit` };
+  }
+  const untilSha = resolveRefOrNull(options.until);
+  if (!untilSha) {
+    return { exitCode: errorExit, replay: null, message: `cannot resolve --until ref '${options.until}' to a commit` };
+  }
+
+  const repoRoot = getRepoRoot();
+  const jsonlPath = getGuardJsonlPath(repoRoot);
+  const alreadyReplayed = readReplayedCommits(jsonlPath);
+
+  const lic = loadGuardEditionFromLocalLicense();
+  const edition = lic?.edition || "community";
+  const effectivePolicy = applyTierGateToPolicy(policy, lic?.edition);
+
+  let moduleMap;
+  try {
+    moduleMap = loadModuleMap({ policy, repoRoot });
+  } catch (err) {
+    return { exitCode: errorExit, replay: null, message: `module map could not be loaded: ${err?.message || String(err)}` };
+  }
+
+  let riskProfile;
+  try {
+    riskProfile = compileRiskProfile(policy.risk_profile);
+  } catch (err) {
+    return { exitCode: errorExit, replay: null, message: `risk profile could not be loaded: ${err?.message || String(err)}` };
+  }
+
+  const policyProblem = policyValidationMessage(policy);
+  if (policyProblem) {
+    return { exitCode: errorExit, replay: null, message: policyProblem };
+  }
+
+  // First parents only: commitNumstat & co. diff a merge against its first parent, so the
+  // merge already carries its branch's changes and the branch commits would count them twice.
+  const commits = listRangeCommits({ base: sinceSha, head: untilSha, firstParent: true });
+  const results = [];
+  const auditLines = [];
+  const driftEvents = [];
+  const byVerdict = {};
+  let replayed = 0;
+  let skipped = 0;
+
+  for (const commit of commits) {
+    const ts = new Date(commit.committed_at).toISOString();
+
+    if (alreadyReplayed.has(commit.sha)) {
+      skipped += 1;
+      results.push({ sha: commit.sha, ts, subject: commit.subject, status: "skipped" });
+      continue;
+    }
+
+    const { content, verdict, reasons, risk, riskV2, exitCode } = auditCommit({
+      commit,
+      effectivePolicy,
+      policy,
+      moduleMap,
+      riskProfile,
+    });
+    byVerdict[verdict] = (byVerdict[verdict] || 0) + 1;
+
+    if (!options.dryRun) {
+      // History: the current environment did not produce these commits.
+      const actor = resolveActor({ env: {}, message: getCommitDetails(commit.sha).message, author: commit.author });
+
+      auditLines.push(
+        buildAuditJsonlLine({
+          ts,
+          runId: `replay:${commit.sha}`,
+          mode: "replay",
+          git: { head: commit.sha, branch: null },
+          replay: { commit: commit.sha, ref: options.until, author: commit.author, subject: commit.subject },
+          actor,
+          verdict,
+          reasons,
+          ack: null,
+          risk,
+          riskV2,
+          content,
+          moduleMap,
+          edition,
+        })
+      );
+
+      driftEvents.push({
+        ts,
+        event: {
+          surface_id: "audit",
+          module: risk?.spread?.dominant_module || null,
+          identity: {
+            commit_sha: commit.sha,
+            branch: null,
+            actor: actor.actor,
+            agent: actor.agent,
+            policy_hash: policy.__policy_hash,
+            audit_id: `replay:${commit.sha}`,
+            module_map_version: moduleMap.version,
+          },
+          risk_score: risk?.score ?? null,
+          severity: null,
+          verdict,
+          exit_code: exitCode,
+          ds_exit_001: "PASS",
+          receipt_id: null,
+          snapshot_id: null,
+        },
+      });
+      replayed += 1;
+    }
+
+    results.push({
+      sha: commit.sha,
+      ts,
+      subject: commit.subject,
+      status: options.dryRun ? "dry_run" : "replayed",
+      verdict,
+      exit_code: exitCode,
+      risk_score: risk.score,
+      risk_score_v2: riskV2.score,
+      dominant_module: risk.spread.dominant_module,
+      reasons: reasons.map((reason) => reason.code),
+    });
+  }
+
+  // Nothing is written until every commit has been audited, and audit.jsonl (the
+  // re-run dedupe source) goes first: a failure can never leave drift events behind
+  // for commits a re-run would replay again.
+  if (auditLines.length) mergeAuditJsonlLines(jsonlPath, auditLines);
+  // One compaction for the whole backfill, not one per commit.
+  for (const { event, ts } of driftEvents) collectDriftEvent(event, { repoRoot, ts, compact: false });
+  if (driftEvents.length) scheduleDriftCompaction({ repoRoot });
+
+  return {
+    exitCode: 0,
+    replay: {
+      kind: "audit_replay",
+      version: "v1",
+      range: {
+        since_ref: options.since,
+        until_ref: options.until,
+        since_sha: sinceSha,
+        until_sha: untilSha,
+      },
+      dry_run: options.dryRun,
+      module_map_hash: moduleMap.hash,
+      summary: {
+        commits: commits.length,
+        replayed,
+        skipped,
+        by_verdict: byVerdict,
+      },
+      // Drift events land in the hot file and may be compacted into month segments (drift/store.mjs).
+      stores: options.dryRun
+        ? null
+        : { audit_jsonl: jsonlPath, drift_store: path.join(repoRoot, ".mindforge", "drift") },
+      commits: results,
+    },
+  };
+}
@@ -11,12 +11,27 @@ import {
 import { buildDriftStatus } from "./runtime/drift/status.mjs";
 import { buildTimeline } from "./runtime/drift/timeline.mjs";
 import { buildCompare } from "./runtime/drift/compare.mjs";
-import { buildAssociationBundle } from "./runtime/association/index.mjs";
+import { DRIFT_BUCKETS, parseRangeSpec, resolveDriftRange } from "./runtime/drift/range.mjs";
+import { buildDriftExplain, renderDriftExplainText } from "./runtime/drift/explain.mjs";
+import { buildDriftExport, DRIFT_EXPORT_FORMATS, renderDriftExport } from "./runtime/drift/export.mjs";
+import { compactDriftStore, driftStoreExists, renderDriftCompactionText } from "./runtime/drift/store.mjs";
+import { buildDriftDoctor, renderDriftDoctorText } from "./runtime/drift/doctor.mjs";
+import { buildRiskHotspots, HOTSPOT_SORTS, renderRiskHotspotsText } from "./runtime/risk_hotspots.mjs";
+import {
+  buildRiskTrendReport,
+  renderRiskTrendText,
+  RISK_TREND_METRICS,
+  RISK_TREND_WINDOWS,
+} from "./runtime/risk_trend.mjs";
+import { ASSOC_CORRECTIONS, buildAssociationBundle, buildAssociationMatrix } from "./runtime/association/index.mjs";
+import { handleAckSubcommand } from "./cli/ack.mjs";
 import { handleActionSubcommand } from "./cli/action.mjs";
 import { handleAdmissibilitySubcommand } from "./cli/admissibility.mjs";
 import { handleAuthoritySubcommand } from "./cli/authority.mjs";
 import { handleGuardrailSubcommand } from "./cli/guardrail.mjs";
 import { handleGroundingSubcommand } from "./cli/grounding.mjs";
+import { handleGovernanceSubcommand } from "./cli/governance.mjs";
+import { handleHooksSubcommand } from "./cli/hooks.mjs";
 import { handlePackSubcommand } from "./cli/pack.mjs";
 import { handleReportSubcommand } from "./cli/report.mjs";
 import { handleTransitionSubcommand } from "./cli/transition.mjs";
@@ -157,24 +172,57 @@ function renderGuardHelp() {
     "Core:",
     "  guard validate-policy [--path=<file>]",
     "  guard audit . --staged",
+    "  guard audit . --base <ref> [--head <ref>] [--no-merge-base]",
+    "                [--evidence-pack <file>]   (actor/agent from the Evidence Pack producer)",
+    "  guard audit replay --since <ref> [--until <ref>] [--dry-run]",
+    "  guard ack --reason \"<text>\" [--codes <code,code>]   (acknowledge the staged tree's soft_block)",
+    "            [--expires <n>d|<n>h|<ISO>] [--sign-key <pem> --key-id <id>]",
+    "  guard ack list [--format text|json]",
+    "  guard ack verify [--format text|json] [--file <ack.json>]   (tampered/expired/out-of-scope acks)",
+    "  guard hooks install|uninstall [--hook pre-commit|pre-push] [--manager auto|git|husky|lefthook]",
+    "  guard hooks status [--format text|json]   (git hooks running the staged / pushed-range audit)",
     "  guard snapshot .",
     "  guard action classify --text \"<string>\"",
     "  guard report single-agent --preview --json --fixture-file <file>",
+    "  guard report evidence-pack --pack <file> --out <dir> [--format json|md|html|index]",
     "  guard guardrail map --preview --json --fixture-file <file>",
     "  guard transition explain --preview --json --fixture-file <file>",
+    "  guard governance emit --from-audit <audit.json> --out-dir <dir> [--artifacts all|required]",
+    "                        [--policy <file>]   (permit chain from a saved audit + manifest.json)",
     "",
     "Drift (signal-only; no policy required):",
     "  guard drift status   [--window 7d|14d|30d] [--format text|json] [--pretty] [--out <file>]",
-    "  guard drift timeline [--window 7d|14d|30d]   (license: pro)",
-    "  guard drift compare  [--window 7d|14d|30d]   (license: pro_plus)",
+    "  guard drift explain  [--window 7d|14d|30d] [--format text|json] [--pretty]",
+    "  guard drift timeline [--window 7d|14d|30d] [--bucket hour|day|week|month]   (license: pro)",
+    "  guard drift compare  [--window 7d|14d|30d] [--a <since>..<until> --b <since>..<until>]   (license: pro_plus)",
+    "  guard drift export   [--window 7d|14d|30d] [--format jsonl|json|csv|openmetrics] [--bucket hour|day|week|month]",
+    "                       [--out <file>] [--pretty]   (license: pro)",
+    "                       [--since <ISO>] [--until <ISO>]   (status/explain/timeline/compare/export)",
+    "                       [--surface <id>] [--module <prefix>]   (status/explain/timeline/compare/export)",
+    "                       [--actor <name>|kind:agent|kind:human]   (status/timeline/compare)",
+    "  guard drift compact  [--dry-run] [--format text|json] [--pretty]",
+    "  guard drift doctor   [--format text|json] [--pretty]",
+    "",
+    "Risk (read-only; no policy required):",
+    "  guard risk hotspots  [--window 7d|14d|30d] [--since <ISO>] [--until <ISO>]",
+    "                       [--sort cumulative|peak|hard_block] [--top <n>] [--format text|json] [--pretty]",
+    "  guard risk trend     [--window 7d|14d|30d|90d] [--metric risk_score_avg|risk_score_p95|risk_events]",
+    "                       [--detect] [--format text|json] [--pretty]",
     "",
     "Analytics (signal-only; no policy required):",
     "  guard assoc correlate [--window 7d|14d|30d] [--bucket day] (license: pro_plus)",
     "                       [--x drift_density|drift_events|drift_unique_modules]",
     "                       [--y risk_score_avg|risk_score_p95|risk_events]",
     "                       [--lags <n>] [--subsamples <n>]",
-    "                       [--eventsPath <file>] [--auditPath <file>]",
+    "                       [--eventsPath <file>] [--auditPath <file>] [--actor <name>|kind:agent|kind:human]",
     "                       [--pretty]",
+    "  guard assoc matrix   [--window 7d|14d|30d] [--lags <n>] [--subsamples <n>] (license: pro_plus)",
+    "                       [--correction bh|holm|bonferroni|none] [--alpha <p>]",
+    "                       [--eventsPath <file>] [--auditPath <file>]",
+    "",
+    "Enterprise hooks (.mindforge/hooks.json; called by guard audit on enterprise):",
+    "  guard hooks serve-mock [--port <n>] [--status PASS|SOFT_OVERRIDE|BLOCK] [--secret <s>|ENV:<VAR>]",
+    "                       [--fail-first <n>] [--delay-ms <n>] [--max-requests <n>]   (local test receiver)",
     "",
     "License (offline; signed):",
     "  guard license status",
@@ -203,6 +251,10 @@ function getRepoPolicyPath(repoRoot) {
   return path.join(repoRoot, ".mindforge", "config", "policy.json");
 }
 
+function getAuditJsonlPath(repoRoot) {
+  return path.join(repoRoot, ".mindforge", "artifacts", "guard", "audit.jsonl");
+}
+
 function getDriftEventsPath(repoRoot) {
   return path.join(repoRoot, ".mindforge", "drift", "events.jsonl");
 }
@@ -300,6 +352,7 @@ function stableDriftBundle({ window }) {
         note: "signal-only",
       },
     },
+    actors: [],
     policy: {
       affects_exit: false,
       affects_risk_v1: false,
@@ -470,6 +523,53 @@ function buildErrorJson({ kind, message, details = {} }) {
   );
 }
 
+function readOptionValue(args, name) {
+  const prefix = `--${name}=`;
+  const inline = args.find((value) => value.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const index = args.indexOf(`--${name}`);
+  if (index >= 0 && args[index + 1] && !args[index + 1].startsWith("--")) return args[index + 1];
+  return null;
+}
+
+/**
+ * Shared options for assoc correlate/matrix. Unset options stay undefined so
+ * the builders keep their own defaults.
+ */
+function readAssocOptions(args) {
+  const window = readOptionValue(args, "window") || undefined;
+  if (window && !["7d", "14d", "30d"].includes(window)) return { error: "--window must be one of 7d, 14d, 30d" };
+
+  const correction = readOptionValue(args, "correction") || undefined;
+  if (correction && !ASSOC_CORRECTIONS.includes(correction)) {
+    return { error: `--correction must be one of ${ASSOC_CORRECTIONS.join(", ")}` };
+  }
+
+  const alphaValue = readOptionValue(args, "alpha");
+  const alpha = alphaValue === null ? undefined : Number(alphaValue);
+  if (alpha !== undefined && !(alpha > 0 && alpha < 1)) return { error: "--alpha must be a number between 0 and 1" };
+
+  return {
+    window,
+    lags: readOptionValue(args, "lags") ?? undefined,
+    subsamples: readOptionValue(args, "subsamples") ?? undefined,
+    eventsPath: readOptionValue(args, "eventsPath") || undefined,
+    auditPath: readOptionValue(args, "auditPath") || undefined,
+    metric_x: readOptionValue(args, "x") || undefined,
+    metric_y: readOptionValue(args, "y") || undefined,
+    actor: readOptionValue(args, "actor") || undefined,
+    correction,
+    alpha,
+  };
+}
+
+function driftRangeError(message) {
+  return {
+    exitCode: 2,
+    stdout: buildErrorJson({ kind: "invalid_drift_range", message }),
+  };
+}
+
 function missingDataError({ feature, filePath }) {
   return {
     exitCode: EXIT_ERROR_DEFAULT,
@@ -501,18 +601,38 @@ async function runAuditCommand({ repoRoot, argv }) {
   return {
     exitCode: result?.exitCode ?? EXIT_ERROR_DEFAULT,
     stdout: buildErrorJson({
-      kind: "audit_failed",
+      kind: result?.exitCode === 2 ? "invalid_audit_option" : "audit_failed",
       message: result?.message || "Audit failed.",
     }),
   };
 }
 
+async function runAuditReplayCommand({ repoRoot, argv }) {
+  const { runAuditReplay } = await import("./runAuditReplay.mjs");
+  const policyPath = getRepoPolicyPath(repoRoot);
+  const policy = await loadPolicy({ policyPath, repoRoot });
+  const result = await runAuditReplay({ argv, policy });
+  if (result?.replay) {
+    return { exitCode: result.exitCode, stdout: JSON.stringify(result.replay, null, 2) + "\n" };
+  }
+  return {
+    exitCode: result?.exitCode ?? EXIT_ERROR_DEFAULT,
+    stdout: buildErrorJson({
+      kind: result?.exitCode === 2 ? "missing_required_input" : "audit_replay_failed",
+      message: result?.message || "Audit replay failed.",
+    }),
+  };
+}
+
 async function runSnapshotCommand({ repoRoot, argv }) {
   const { runSnapshot } = await import("./runtime/snapshot.mjs");
   return runSnapshot({ repoRoot, argv });
 }
 
 export async function runGuard({ argv }) {
+  if (argv && argv[0] === "ack") {
+    return handleAckSubcommand(argv.slice(1));
+  }
   if (argv && argv[0] === "action") {
     return handleActionSubcommand(argv.slice(1));
   }
@@ -528,6 +648,12 @@ export async function runGuard({ argv }) {
   if (argv && argv[0] === "grounding") {
     return handleGroundingSubcommand(argv.slice(1));
   }
+  if (argv && argv[0] === "governance") {
+    return handleGovernanceSubcommand(argv.slice(1));
+  }
+  if (argv && argv[0] === "hooks") {
+    return handleHooksSubcommand(argv.slice(1));
+  }
   if (argv && argv[0] === "pack") {
     return handlePackSubcommand(argv.slice(1));
   }
@@ -810,6 +936,7 @@ export async function runGuard({ argv }) {
       writeFileAtomic(policyPath, JSON.stringify(migrated, null, 2) + "\n");
     }
 
+    if (cmd === "audit" && argv[1] === "replay") return runAuditReplayCommand({ repoRoot, argv: argv.slice(2) });
     if (cmd === "audit") return runAuditCommand({ repoRoot, argv: argv.slice(1) });
     return runSnapshotCommand({ repoRoot, argv: argv.slice(1) });
   }
@@ -827,6 +954,87 @@ export async function runGuard({ argv }) {
       if (index >= 0 && args[index + 1]) window = args[index + 1];
     }
 
+    const resolvedRange = resolveDriftRange({
+      window,
+      since: readOptionValue(args, "since"),
+      until: readOptionValue(args, "until"),
+    });
+    if (resolvedRange.error) return driftRangeError(resolvedRange.error);
+    const range = resolvedRange.range.source === "explicit" ? resolvedRange.range : null;
+
+    const surface = readOptionValue(args, "surface");
+    const modulePrefix = readOptionValue(args, "module");
+    const filter = surface || modulePrefix ? { surface, module: modulePrefix } : null;
+    const actor = readOptionValue(args, "actor");
+    const actorFilter = actor ? { ...filter, actor } : filter;
+
+    const bucket = readOptionValue(args, "bucket") || "day";
+    if (!DRIFT_BUCKETS.includes(bucket)) {
+      return driftRangeError(`--bucket must be one of ${DRIFT_BUCKETS.join(", ")}`);
+    }
+
+    let rangeA = null;
+    let rangeB = null;
+    const specA = readOptionValue(args, "a");
+    const specB = readOptionValue(args, "b");
+    if (specA || specB) {
+      if (!specA || !specB) return driftRangeError("--a and --b must be given together");
+      const parsedA = parseRangeSpec(specA, "--a");
+      if (parsedA.error) return driftRangeError(parsedA.error);
+      const parsedB = parseRangeSpec(specB, "--b");
+      if (parsedB.error) return driftRangeError(parsedB.error);
+      rangeA = parsedA.range;
+      rangeB = parsedB.range;
+    }
+
+    if (sub === "compact") {
+      const report = safeTry(
+        () => compactDriftStore({ eventsPath: getDriftEventsPath(repoRoot), dryRun: args.includes("--dry-run") }),
+        null
+      );
+      if (!report) {
+        return {
+          exitCode: EXIT_ERROR_DEFAULT,
+          stdout: buildErrorJson({
+            kind: "compaction_failed",
+            message: "Failed to compact the drift event store.",
+          }),
+        };
+      }
+      if (report.locked) {
+        return {
+          exitCode: EXIT_ERROR_DEFAULT,
+          stdout: buildErrorJson({
+            kind: "compaction_locked",
+            message: "Another compaction holds .mindforge/drift/compact.lock; try again later.",
+          }),
+        };
+      }
+      if (readOptionValue(args, "format") === "json") {
+        const pretty = args.includes("--pretty");
+        return { exitCode: 0, stdout: (pretty ? JSON.stringify(report, null, 2) : JSON.stringify(report)) + "\n" };
+      }
+      return { exitCode: 0, stdout: renderDriftCompactionText(report) };
+    }
+
+    if (sub === "doctor") {
+      const report = safeTry(() => buildDriftDoctor({ eventsPath: getDriftEventsPath(repoRoot) }), null);
+      if (!report) {
+        return {
+          exitCode: EXIT_ERROR_DEFAULT,
+          stdout: buildErrorJson({
+            kind: "doctor_failed",
+            message: "Failed to scan the drift event store.",
+          }),
+        };
+      }
+      if (readOptionValue(args, "format") === "json") {
+        const pretty = args.includes("--pretty");
+        return { exitCode: 0, stdout: (pretty ? JSON.stringify(report, null, 2) : JSON.stringify(report)) + "\n" };
+      }
+      return { exitCode: 0, stdout: renderDriftDoctorText(report) };
+    }
+
     if (sub === "status") {
       const jsonFormat =
         args.includes("--format=json") ||
@@ -835,7 +1043,7 @@ export async function runGuard({ argv }) {
       const outIndex = args.findIndex((value) => value === "--out");
       const outPath = outIndex >= 0 ? args[outIndex + 1] : null;
       const bundle = safeTry(
-        () => buildDriftStatus({ repoRoot, window }),
+        () => buildDriftStatus({ repoRoot, window, range, filter: actorFilter }),
         stableDriftBundle({ window })
       );
 
@@ -852,16 +1060,90 @@ export async function runGuard({ argv }) {
       lines.push("Drift Status");
       lines.push("------------");
       lines.push(`Window: ${bundle.window}`);
+      if (range) lines.push(`Range: ${range.since} .. ${range.until}`);
+      if (actorFilter) {
+        const moduleLabel = modulePrefix ? `${modulePrefix}*` : "*";
+        lines.push(`Filters: surface=${surface || "*"} module=${moduleLabel}${actor ? ` actor=${actor}` : ""}`);
+      }
       lines.push(`Trend: ${bundle.trend}`);
       lines.push(`Density: ${bundle.signal?.density ?? 0} events/day`);
       lines.push(`Expansion: +${bundle.signal?.expansion ?? 0} modules`);
       lines.push(`Unique Modules: ${bundle.signal?.unique_modules ?? 0}`);
       lines.push(`Events (current): ${bundle.explain?.events ?? 0}`);
       lines.push(`Events (prev): ${bundle.explain?.events_prev ?? 0}`);
+      const actors = (bundle.actors || []).filter((row) => row.events > 0).slice(0, 5);
+      if (actors.length) lines.push(`Actors: ${actors.map((row) => `${row.actor}=${row.events}`).join(" ")}`);
       lines.push("");
       return { exitCode: 0, stdout: lines.join("\n") + "\n" };
     }
 
+    if (sub === "explain") {
+      const jsonFormat =
+        args.includes("--format=json") ||
+        (args.includes("--format") && args[args.indexOf("--format") + 1] === "json");
+      const explain = safeTry(() => buildDriftExplain({ repoRoot, window, range, filter }), null);
+      if (!explain) {
+        return {
+          exitCode: EXIT_ERROR_DEFAULT,
+          stdout: buildErrorJson({
+            kind: "explain_build_failed",
+            message: "Failed to build drift explain.",
+          }),
+        };
+      }
+      if (jsonFormat) {
+        const pretty = args.includes("--pretty");
+        return {
+          exitCode: 0,
+          stdout: pretty ? JSON.stringify(explain, null, 2) + "\n" : JSON.stringify(explain) + "\n",
+        };
+      }
+      return { exitCode: 0, stdout: renderDriftExplainText(explain) };
+    }
+
+    if (sub === "export") {
+      const format = readOptionValue(args, "format") || "jsonl";
+      if (!DRIFT_EXPORT_FORMATS.includes(format)) {
+        return {
+          exitCode: 2,
+          stdout: buildErrorJson({
+            kind: "invalid_export_format",
+            message: `--format must be one of ${DRIFT_EXPORT_FORMATS.join(", ")}`,
+          }),
+        };
+      }
+
+      const gate = licenseGateResult({ lic: readLicense(), requiredEdition: "pro", feature: "drift_export" });
+      if (gate) return gate;
+
+      const eventsPath = getDriftEventsPath(repoRoot);
+      if (!driftStoreExists(eventsPath)) return missingDataError({ feature: "drift_export", filePath: eventsPath });
+
+      const payload = safeTry(
+        () =>
+          renderDriftExport(buildDriftExport({ repoRoot, window, range, bucket, filter }), format, {
+            pretty: args.includes("--pretty"),
+          }),
+        null
+      );
+      if (!payload) {
+        return {
+          exitCode: EXIT_ERROR_DEFAULT,
+          stdout: buildErrorJson({
+            kind: "export_build_failed",
+            message: "Failed to build drift export.",
+          }),
+        };
+      }
+
+      const outPath = readOptionValue(args, "out");
+      if (outPath) {
+        writeFileAtomic(outPath, payload);
+        return { exitCode: 0, stdout: `Wrote: ${outPath}\n` };
+      }
+      return { exitCode: 0, stdout: payload };
+    }
+
     if (sub === "timeline" || sub === "compare") {
       const lic = readLicense();
       const gate = licenseGateResult({
@@ -872,15 +1154,20 @@ export async function runGuard({ argv }) {
       if (gate) return gate;
 
       const eventsPath = getDriftEventsPath(repoRoot);
-      if (!fs.existsSync(eventsPath)) {
+      if (!driftStoreExists(eventsPath)) {
         return missingDataError({
           feature: sub === "timeline" ? "drift_timeline" : "drift_compare",
           filePath: eventsPath,
         });
       }
 
-      const builder = sub === "timeline" ? buildTimeline : buildCompare;
-      const bundle = safeTry(() => builder({ eventsPath, window }), null);
+      const bundle = safeTry(
+        () =>
+          sub === "timeline"
+            ? buildTimeline({ eventsPath, window, bucket, range, filter: actorFilter })
+            : buildCompare({ eventsPath, window, range, rangeA, rangeB, filter: actorFilter }),
+        null
+      );
       if (!bundle) {
         return {
           exitCode: EXIT_ERROR_DEFAULT,
@@ -896,19 +1183,106 @@ export async function runGuard({ argv }) {
     return { exitCode: 0, stdout: renderGuardHelp() + "\n" };
   }
 
+  if (cmd === "risk") {
+    const sub = argv[1] || "";
+    if (sub !== "hotspots" && sub !== "trend") {
+      return { exitCode: 2, stderr: "Usage: guard risk hotspots|trend [options]\n" };
+    }
+
+    const args = argv.slice(2);
+    const auditPath = getAuditJsonlPath(repoRoot);
+    const missingHistory = () => ({
+      exitCode: EXIT_ERROR_DEFAULT,
+      stdout: buildErrorJson({
+        kind: "missing_required_input",
+        message: `risk_${sub} requires audit history (run guard audit or guard audit replay first).`,
+        details: { feature: `risk_${sub}`, path: auditPath },
+      }),
+    });
+    const renderJson = (report) => {
+      const pretty = args.includes("--pretty");
+      return { exitCode: 0, stdout: (pretty ? JSON.stringify(report, null, 2) : JSON.stringify(report)) + "\n" };
+    };
+
+    if (sub === "trend") {
+      const window = readOptionValue(args, "window") || "30d";
+      const metric = readOptionValue(args, "metric") || "risk_score_avg";
+      const optionError = !RISK_TREND_WINDOWS.includes(window)
+        ? `--window must be one of ${RISK_TREND_WINDOWS.join(", ")}`
+        : !RISK_TREND_METRICS.includes(metric)
+          ? `--metric must be one of ${RISK_TREND_METRICS.join(", ")}`
+          : null;
+      if (optionError) {
+        return { exitCode: 2, stdout: buildErrorJson({ kind: "invalid_trend_option", message: optionError }) };
+      }
+      if (!fs.existsSync(auditPath)) return missingHistory();
+
+      const report = buildRiskTrendReport({ auditPath, window, metric, detect: args.includes("--detect") });
+      if (readOptionValue(args, "format") === "json") return renderJson(report);
+      return { exitCode: 0, stdout: renderRiskTrendText(report) };
+    }
+
+    const window = readOptionValue(args, "window") || "30d";
+    const resolvedRange = resolveDriftRange({
+      window,
+      since: readOptionValue(args, "since"),
+      until: readOptionValue(args, "until"),
+    });
+    if (resolvedRange.error) return driftRangeError(resolvedRange.error);
+
+    const sort = readOptionValue(args, "sort") || "cumulative";
+    const optionError = !["7d", "14d", "30d"].includes(window)
+      ? "--window must be one of 7d, 14d, 30d"
+      : !HOTSPOT_SORTS.includes(sort)
+        ? `--sort must be one of ${HOTSPOT_SORTS.join(", ")}`
+        : null;
+    if (optionError) {
+      return { exitCode: 2, stdout: buildErrorJson({ kind: "invalid_hotspots_option", message: optionError }) };
+    }
+
+    if (!fs.existsSync(auditPath)) return missingHistory();
+
+    const report = buildRiskHotspots({
+      auditPath,
+      window,
+      range: resolvedRange.range.source === "explicit" ? resolvedRange.range : null,
+      sort,
+      top: readOptionValue(args, "top") || 10,
+    });
+    if (readOptionValue(args, "format") === "json") return renderJson(report);
+    return { exitCode: 0, stdout: renderRiskHotspotsText(report) };
+  }
+
   if (cmd === "assoc") {
     const sub = argv[1] || "";
-    if (sub !== "correlate") return { exitCode: 2, stderr: "Usage: guard assoc correlate [options]\n" };
+    if (sub !== "correlate" && sub !== "matrix") {
+      return { exitCode: 2, stderr: "Usage: guard assoc correlate|matrix [options]\n" };
+    }
+
+    const args = argv.slice(2);
+    const options = readAssocOptions(args);
+    if (options.error) {
+      return { exitCode: 2, stdout: buildErrorJson({ kind: "invalid_assoc_option", message: options.error }) };
+    }
+    if (sub === "matrix" && options.actor) {
+      return {
+        exitCode: 2,
+        stdout: buildErrorJson({ kind: "invalid_assoc_option", message: "--actor is only supported by assoc correlate" }),
+      };
+    }
 
     const gate = licenseGateResult({
       lic: readLicense(),
       requiredEdition: "pro_plus",
-      feature: "assoc_correlate",
+      feature: sub === "matrix" ? "assoc_matrix" : "assoc_correlate",
     });
     if (gate) return gate;
 
-    const args = argv.slice(2);
-    const bundle = buildAssociationBundle({ repoRoot, argv: args });
+    const { correction, alpha, metric_x, metric_y, actor, ...common } = options;
+    const bundle =
+      sub === "matrix"
+        ? buildAssociationMatrix({ repoRoot, ...common, correction, alpha })
+        : buildAssociationBundle({ repoRoot, ...common, metric_x, metric_y, actor });
     return { exitCode: 0, stdout: JSON.stringify(bundle, null, 2) + "\n" };
   }
 
@@ -1,50 +1,23 @@
-import { BUILTIN_ACTIONS } from "./registry.mjs";
+import { BUILTIN_RULE_SET } from "./rules.mjs";
 
 export function normalizeActionText(text) {
   return String(text || "").replace(/\s+/g, " ").trim();
 }
 
-function lower(text) {
-  return normalizeActionText(text).toLowerCase();
-}
-
-function fileTargetFromText(text) {
-  const match = text.match(/\b(?:file|path)\s+([^\s]+)/i);
-  return match ? match[1] : null;
+function findRuleMatch(ruleSet, text) {
+  for (const rule of ruleSet.rules) {
+    const targetRef = rule.apply(text);
+    if (targetRef !== null) return { rule, targetRef };
+  }
+  return null;
 }
 
-export function classifyAction(input) {
+export function classifyAction(input, { ruleSet = BUILTIN_RULE_SET } = {}) {
   const text = normalizeActionText(input?.text);
-  const lowered = lower(text);
-
-  let actionClass = "unknown";
-  let targetType = "unknown";
-  let targetRef = "";
-
-  if (lowered.startsWith("write file ")) {
-    actionClass = "file.write";
-    targetType = "file";
-    targetRef = text.slice("write file ".length).trim();
-  } else if (lowered.startsWith("delete file ")) {
-    actionClass = "file.delete";
-    targetType = "file";
-    targetRef = text.slice("delete file ".length).trim();
-  } else if (lowered.includes("env")) {
-    actionClass = "env.modify";
-    targetType = "env";
-  } else if (lowered.includes("policy")) {
-    actionClass = "policy.change";
-    targetType = "policy";
-  } else {
-    const fallbackTarget = fileTargetFromText(text);
-    if (fallbackTarget) {
-      actionClass = lowered.includes("delete") ? "file.delete" : lowered.includes("write") ? "file.write" : "unknown";
-      targetType = actionClass.startsWith("file.") ? "file" : "unknown";
-      targetRef = actionClass.startsWith("file.") ? fallbackTarget : "";
-    }
-  }
+  const match = findRuleMatch(ruleSet, text);
 
-  const builtin = BUILTIN_ACTIONS[actionClass] || {};
+  const actionClass = match ? match.rule.action_class : "unknown";
+  const classInfo = ruleSet.classes[actionClass] || {};
 
   return {
     input: {
@@ -53,12 +26,13 @@ export function classifyAction(input) {
     action: {
       action_class: actionClass,
       canonical_label: actionClass,
-      target_type: targetType,
-      target_ref: targetRef,
+      target_type: match ? match.rule.target_type : "unknown",
+      target_ref: match ? match.targetRef : "",
       attributes: {
-        surface: builtin.surface || "unknown",
-        risk_hint: builtin.risk_hint || "unknown",
+        surface: classInfo.surface || "unknown",
+        risk_hint: classInfo.risk_hint || "unknown",
       },
     },
+    rule: match ? { rule_id: match.rule.rule_id, source: match.rule.source } : null,
   };
 }
@@ -1,5 +1,11 @@
 export { classifyAction } from "./classify.mjs";
 export { BUILTIN_ACTIONS } from "./registry.mjs";
+export {
+  BUILTIN_RULE_PACK,
+  BUILTIN_RULE_SET,
+  buildActionRuleSet,
+  validateActionsConfig,
+} from "./rules.mjs";
 export { hashAction } from "./hashAction.mjs";
 export { buildCanonicalActionArtifactFromAudit } from "./fromAudit.mjs";
 export {
@@ -14,5 +14,33 @@ export const BUILTIN_ACTIONS = {
   "policy.change": {
     surface: "governance",
     risk_hint: "authority"
+  },
+  "shell.destructive": {
+    surface: "shell",
+    risk_hint: "destructive"
+  },
+  "vcs.force_push": {
+    surface: "vcs",
+    risk_hint: "history_rewrite"
+  },
+  "network.egress": {
+    surface: "network",
+    risk_hint: "egress"
+  },
+  "package.install": {
+    surface: "supply_chain",
+    risk_hint: "dependency"
+  },
+  "secrets.read": {
+    surface: "secrets",
+    risk_hint: "credential_access"
+  },
+  "db.migration": {
+    surface: "database",
+    risk_hint: "schema_change"
+  },
+  "iac.apply": {
+    surface: "infrastructure",
+    risk_hint: "provisioning"
   }
-}
\ No newline at end of file
+}
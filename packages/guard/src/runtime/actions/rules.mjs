@@ -0,0 +1,195 @@
+import rulePack from "./rule_pack.v1.json" with { type: "json" };
+import schema from "./actions_config.schema.json" with { type: "json" };
+
+import { BUILTIN_ACTIONS } from "./registry.mjs";
+
+export const BUILTIN_RULE_PACK = rulePack;
+
+const MATCH_KINDS = ["prefix", "contains", "pattern"];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function joinPath(base, key) {
+  return base ? `${base}.${key}` : key;
+}
+
+function validateNode(value, nodeSchema, path, errors) {
+  if (nodeSchema.const !== undefined && value !== nodeSchema.const) {
+    errors.push(`${path || "$"} must equal ${JSON.stringify(nodeSchema.const)}`);
+    return;
+  }
+
+  if (nodeSchema.type === "object") {
+    if (!isPlainObject(value)) {
+      errors.push(`${path || "$"} must be an object`);
+      return;
+    }
+
+    const properties = nodeSchema.properties || {};
+    const required = nodeSchema.required || [];
+    for (const key of required) {
+      if (!(key in value)) errors.push(`${joinPath(path, key)} is required`);
+    }
+
+    if (nodeSchema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(key in properties)) errors.push(`${joinPath(path, key)} is not allowed`);
+      }
+    }
+
+    for (const [key, child] of Object.entries(properties)) {
+      if (key in value) validateNode(value[key], child, joinPath(path, key), errors);
+    }
+
+    if (isPlainObject(nodeSchema.additionalProperties)) {
+      for (const [key, childValue] of Object.entries(value)) {
+        if (!(key in properties)) {
+          validateNode(childValue, nodeSchema.additionalProperties, joinPath(path, key), errors);
+        }
+      }
+    }
+    return;
+  }
+
+  if (nodeSchema.type === "array") {
+    if (!Array.isArray(value)) {
+      errors.push(`${path || "$"} must be an array`);
+      return;
+    }
+    if (nodeSchema.items) {
+      value.forEach((item, index) => validateNode(item, nodeSchema.items, `${path}[${index}]`, errors));
+    }
+    return;
+  }
+
+  if (nodeSchema.type === "string") {
+    if (typeof value !== "string") {
+      errors.push(`${path || "$"} must be a string`);
+      return;
+    }
+    if (typeof nodeSchema.minLength === "number" && value.length < nodeSchema.minLength) {
+      errors.push(`${path || "$"} must be at least ${nodeSchema.minLength} characters`);
+    }
+  }
+}
+
+function compilePattern(source) {
+  try {
+    return new RegExp(source, "i");
+  } catch {
+    return null;
+  }
+}
+
+function validateRuleSemantics(rule, path, knownClasses, errors) {
+  if (!isPlainObject(rule) || !isPlainObject(rule.match)) return;
+
+  const kinds = MATCH_KINDS.filter((kind) => kind in rule.match);
+  if (kinds.length !== 1) {
+    errors.push(`${path}.match must declare exactly one of ${MATCH_KINDS.join(", ")}`);
+  }
+  if (typeof rule.match.pattern === "string" && !compilePattern(rule.match.pattern)) {
+    errors.push(`${path}.match.pattern is not a valid regular expression`);
+  }
+  if (typeof rule.action_class === "string" && !knownClasses.has(rule.action_class)) {
+    errors.push(`${path}.action_class ${rule.action_class} is not a builtin or configured class`);
+  }
+}
+
+/**
+ * Validate a `.mindforge/config/actions.json` document against the config schema and
+ * the builtin rule pack (known classes, unique rule ids, compilable patterns).
+ */
+export function validateActionsConfig(config) {
+  const errors = [];
+  validateNode(config, schema, "", errors);
+
+  if (isPlainObject(config)) {
+    const knownClasses = new Set([
+      ...Object.keys(BUILTIN_ACTIONS),
+      ...Object.keys(isPlainObject(config.classes) ? config.classes : {}),
+    ]);
+    const builtinIds = new Set(rulePack.rules.map((rule) => rule.rule_id));
+    const seenIds = new Set();
+    const rules = Array.isArray(config.rules) ? config.rules : [];
+
+    rules.forEach((rule, index) => {
+      const path = `rules[${index}]`;
+      validateRuleSemantics(rule, path, knownClasses, errors);
+      const ruleId = rule?.rule_id;
+      if (typeof ruleId !== "string") return;
+      if (builtinIds.has(ruleId)) errors.push(`${path}.rule_id ${ruleId} collides with a builtin rule`);
+      else if (seenIds.has(ruleId)) errors.push(`${path}.rule_id ${ruleId} is duplicated`);
+      seenIds.add(ruleId);
+    });
+
+    const disabled = Array.isArray(config.disable_rules) ? config.disable_rules : [];
+    disabled.forEach((ruleId, index) => {
+      if (typeof ruleId === "string" && !builtinIds.has(ruleId)) {
+        errors.push(`disable_rules[${index}] ${ruleId} is not a builtin rule`);
+      }
+    });
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    schemaId: schema.$id,
+  };
+}
+
+function compileRule(rule, source) {
+  const { prefix, contains, pattern } = rule.match;
+  const regex = typeof pattern === "string" ? compilePattern(pattern) : null;
+
+  return {
+    rule_id: rule.rule_id,
+    action_class: rule.action_class,
+    target_type: rule.target_type,
+    source,
+    apply(text) {
+      const lowered = text.toLowerCase();
+      if (typeof prefix === "string") {
+        return lowered.startsWith(prefix.toLowerCase()) ? text.slice(prefix.length).trim() : null;
+      }
+      if (typeof contains === "string") {
+        return lowered.includes(contains.toLowerCase()) ? "" : null;
+      }
+      const match = regex ? text.match(regex) : null;
+      return match ? match.groups?.target || "" : null;
+    },
+  };
+}
+
+/**
+ * Build the ordered rule set used by `classifyAction`. Configured rules are evaluated
+ * before the builtin rule pack, and the first matching rule wins.
+ */
+export function buildActionRuleSet(config = null) {
+  if (config !== null) {
+    const validation = validateActionsConfig(config);
+    if (!validation.ok) {
+      const err = new Error(`actions config failed validation: ${validation.errors.join("; ")}`);
+      err.validation = validation;
+      throw err;
+    }
+  }
+
+  const disabled = new Set(config?.disable_rules || []);
+  const configRules = (config?.rules || []).map((rule) => compileRule(rule, "config"));
+  const builtinRules = rulePack.rules
+    .filter((rule) => !disabled.has(rule.rule_id))
+    .map((rule) => compileRule(rule, "builtin"));
+
+  return {
+    rule_pack_id: rulePack.rule_pack_id,
+    rule_pack_version: rulePack.rule_pack_version,
+    config_applied: config !== null,
+    classes: { ...BUILTIN_ACTIONS, ...(config?.classes || {}) },
+    rules: [...configRules, ...builtinRules],
+  };
+}
+
+export const BUILTIN_RULE_SET = buildActionRuleSet();
@@ -0,0 +1,142 @@
+// packages/guard/src/runtime/actor.mjs
+// Actor identity of an audited change: the person (actor) and, when an AI
+// agent produced it, the agent. Sources, most specific first:
+//   env (MINDFORGE_ACTOR / MINDFORGE_AGENT, then GITHUB_ACTOR)
+//   commit trailers (Mindforge-Actor, Mindforge-Agent, Co-authored-by bots)
+//   Evidence Pack producer (authority.requested_by, producer.producer_name)
+//   commit author
+// Each field is resolved independently; missing values stay null.
+
+export const ACTOR_ENV = { actor: "MINDFORGE_ACTOR", agent: "MINDFORGE_AGENT", ci: "GITHUB_ACTOR" };
+
+export const ACTOR_TRAILERS = {
+  actor: ["mindforge-actor"],
+  agent: ["mindforge-agent", "ai-agent", "generated-by"],
+  coauthor: "co-authored-by",
+};
+
+// Bot accounts and the Copilot co-author count as agents.
+const AGENT_NAME = /\[bot\]$|^copilot$/i;
+
+// Evidence Pack producer types that export evidence rather than make changes.
+const NON_AGENT_PRODUCERS = new Set(["ci", "manual_import"]);
+
+function stringOrNull(x) {
+  return typeof x === "string" && x.trim() ? x.trim() : null;
+}
+
+function byName(name) {
+  const value = stringOrNull(name);
+  if (!value) return { actor: null, agent: null };
+  return AGENT_NAME.test(value) ? { actor: null, agent: value } : { actor: value, agent: null };
+}
+
+/**
+ * Trailers of the last paragraph of a commit message: [{ key (lower case), value }].
+ * The paragraph only counts when every line is a "Key: value" trailer.
+ */
+export function parseCommitTrailers(message) {
+  const paragraphs = String(message || "").trim().split(/\n\s*\n/);
+  if (paragraphs.length < 2) return [];
+  const lines = paragraphs[paragraphs.length - 1].split("\n").filter((line) => line.trim());
+  const trailers = [];
+  for (const line of lines) {
+    const match = /^([A-Za-z0-9][A-Za-z0-9-]*):\s*(.+)$/.exec(line.trim());
+    if (!match) return [];
+    trailers.push({ key: match[1].toLowerCase(), value: match[2].trim() });
+  }
+  return trailers;
+}
+
+function fromEnv(env) {
+  const ci = byName(env?.[ACTOR_ENV.ci]);
+  return {
+    actor: stringOrNull(env?.[ACTOR_ENV.actor]) || ci.actor,
+    agent: stringOrNull(env?.[ACTOR_ENV.agent]) || ci.agent,
+  };
+}
+
+function fromTrailers(trailers) {
+  const first = (keys) => trailers.find((t) => keys.includes(t.key))?.value || null;
+  const coauthorAgent = trailers
+    .filter((t) => t.key === ACTOR_TRAILERS.coauthor)
+    .map((t) => byName(t.value.replace(/\s*<[^>]*>\s*$/, "")).agent)
+    .find(Boolean);
+  return {
+    actor: first(ACTOR_TRAILERS.actor),
+    agent: first(ACTOR_TRAILERS.agent) || coauthorAgent || null,
+  };
+}
+
+function fromEvidencePack(pack) {
+  const producer = pack?.producer;
+  const producesChanges = producer && !NON_AGENT_PRODUCERS.has(producer.producer_type);
+  return {
+    actor: stringOrNull(pack?.authority?.requested_by),
+    agent: producesChanges ? stringOrNull(producer.producer_name) : null,
+  };
+}
+
+/**
+ * Resolve { actor, agent, kind: agent|human|null, source: { actor, agent } }.
+ * message: commit message (trailers); evidencePack: parsed Evidence Pack;
+ * author: commit author name.
+ */
+export function resolveActor({ env = process.env, message = null, evidencePack = null, author = null } = {}) {
+  const candidates = [
+    ["env", fromEnv(env)],
+    ["trailer", fromTrailers(parseCommitTrailers(message))],
+    ["evidence_pack", fromEvidencePack(evidencePack)],
+    ["git_author", byName(author)],
+  ];
+
+  const out = { actor: null, agent: null, kind: null, source: { actor: null, agent: null } };
+  for (const [source, candidate] of candidates) {
+    for (const field of ["actor", "agent"]) {
+      if (out[field] || !candidate[field]) continue;
+      out[field] = candidate[field];
+      out.source[field] = source;
+    }
+  }
+  out.kind = actorKind(out);
+  return out;
+}
+
+export function actorKind(identity) {
+  if (identity?.agent) return "agent";
+  if (identity?.actor) return "human";
+  return null;
+}
+
+/**
+ * Breakdown key: the agent when there is one, else the actor, else null.
+ */
+export function actorLabel(identity) {
+  return identity?.agent || identity?.actor || null;
+}
+
+/**
+ * --actor <name>: matches the actor or the agent (case-insensitive);
+ * "kind:agent" / "kind:human" match by kind.
+ */
+export function matchesActor(identity, wanted) {
+  if (!wanted) return true;
+  const w = String(wanted).toLowerCase();
+  if (w === "kind:agent" || w === "kind:human") return actorKind(identity) === w.slice("kind:".length);
+  return [identity?.actor, identity?.agent].some((value) => typeof value === "string" && value.toLowerCase() === w);
+}
+
+/**
+ * Count items per actor label: [{ actor, kind, events }], most events first;
+ * unattributed items are reported as "unknown".
+ */
+export function countByActor(items, identityOf) {
+  const counts = new Map();
+  for (const item of items) {
+    const identity = identityOf(item);
+    const label = actorLabel(identity) || "unknown";
+    if (!counts.has(label)) counts.set(label, { actor: label, kind: actorKind(identity), events: 0 });
+    counts.get(label).events += 1;
+  }
+  return [...counts.values()].sort((a, b) => b.events - a.events || a.actor.localeCompare(b.actor));
+}
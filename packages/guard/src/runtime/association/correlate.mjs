@@ -1,8 +1,9 @@
 import fs from "node:fs";
 import path from "node:path";
 
-import { buildDriftDailySeries } from "./series_from_drift_events.mjs";
-import { buildRiskDailySeries } from "./series_from_risk_audit.mjs";
+import { actorLabel, matchesActor } from "../actor.mjs";
+import { buildDriftDailySeries, countDriftActors } from "./series_from_drift_events.mjs";
+import { buildRiskDailySeries, countRiskActors } from "./series_from_risk_audit.mjs";
 
 function windowToDays(w) {
   if (w === "14d") return 14;
@@ -80,7 +81,7 @@ function pearsonStats(xs, ys) {
   };
 }
 
-function computeLagStats(xs, ys, lagDays) {
+export function computeLagStats(xs, ys, lagDays) {
   const n = Math.min(xs.length, ys.length);
   const ax = [];
   const ay = [];
@@ -99,7 +100,7 @@ function computeLagStats(xs, ys, lagDays) {
   return { r: deg ? 0 : s.r, n_effective: s.n_effective, degenerate: deg, n_pairs: ax.length };
 }
 
-function blockBootstrapR(xs, ys, subsamples = 100, blockSize = 2) {
+export function blockBootstrapR(xs, ys, subsamples = 100, blockSize = 2) {
   const n = Math.min(xs.length, ys.length);
   if (n < 3) {
     return {
@@ -183,7 +184,7 @@ function blockBootstrapR(xs, ys, subsamples = 100, blockSize = 2) {
   };
 }
 
-function buildXYSeries({ driftDaily, riskDaily, metricX, metricY }) {
+export function buildXYSeries({ driftDaily, riskDaily, metricX, metricY }) {
   const n = Math.min(driftDaily.length, riskDaily.length);
   const out = [];
 
@@ -208,27 +209,7 @@ function buildXYSeries({ driftDaily, riskDaily, metricX, metricY }) {
   return out;
 }
 
-/**
- * v0.29 (assoc) ?statistically rigorous signal-only correlation bundle (v2)
- * - single JSON object output
- * - fail-safe computation
- */
-export function buildAssociationBundle({
-  repoRoot,
-  window = "7d",
-  bucket = "day",
-  metric_x = "drift_density",
-  metric_y = "risk_score_avg",
-  lags = null,
-  subsamples = 100,
-  eventsPath = null,
-  auditPath = null,
-  nowMs = Date.now()
-}) {
-  const days = windowToDays(window);
-  const maxLag = lags == null ? clamp(days, 3, 14) : clamp(Number(lags) || 0, 0, 14);
-  const ss = clamp(Number(subsamples) || 100, 20, 500);
-
+function resolveAssociationPaths({ repoRoot, eventsPath, auditPath }) {
   const driftEventsPath =
     eventsPath || path.join(repoRoot, ".mindforge", "drift", "events.jsonl");
 
@@ -240,18 +221,97 @@ export function buildAssociationBundle({
   const auditJsonlPath =
     auditPath || (fs.existsSync(auditPrimary) ? auditPrimary : auditFallback);
 
+  return { driftEventsPath, auditJsonlPath };
+}
+
+/**
+ * Day-aligned drift and risk series for the window (shared by correlate and matrix).
+ * match: optional (identity) => boolean applied to drift events and audit rows.
+ */
+export function loadAssociationDailySeries({
+  repoRoot,
+  window = "7d",
+  eventsPath = null,
+  auditPath = null,
+  match = null,
+  nowMs = Date.now()
+}) {
+  const { driftEventsPath, auditJsonlPath } = resolveAssociationPaths({ repoRoot, eventsPath, auditPath });
+
   const driftDaily = buildDriftDailySeries({
     eventsPath: driftEventsPath,
     window,
+    match,
     nowMs
   });
 
   const riskDaily = buildRiskDailySeries({
     auditPath: auditJsonlPath,
     window,
+    match,
     nowMs
   });
 
+  return { driftDaily, riskDaily };
+}
+
+export const ASSOC_ACTOR_BREAKDOWN_TOP = 10;
+
+/**
+ * Per-actor event counts and lag-0 Pearson r over each actor's own series
+ * (whole window; independent of --actor). Busiest actors first.
+ */
+function buildActorBreakdown({ repoRoot, window, eventsPath, auditPath, metric_x, metric_y, nowMs }) {
+  const { driftEventsPath, auditJsonlPath } = resolveAssociationPaths({ repoRoot, eventsPath, auditPath });
+  const rows = new Map();
+  const rowOf = (actor, kind) => {
+    if (!rows.has(actor)) rows.set(actor, { actor, kind, drift_events: 0, risk_events: 0 });
+    return rows.get(actor);
+  };
+  for (const c of countDriftActors({ eventsPath: driftEventsPath, window, nowMs })) {
+    rowOf(c.actor, c.kind).drift_events = c.events;
+  }
+  for (const c of countRiskActors({ auditPath: auditJsonlPath, window, nowMs })) {
+    rowOf(c.actor, c.kind).risk_events = c.events;
+  }
+
+  return [...rows.values()]
+    .sort((a, b) => b.drift_events + b.risk_events - (a.drift_events + a.risk_events) || a.actor.localeCompare(b.actor))
+    .slice(0, ASSOC_ACTOR_BREAKDOWN_TOP)
+    .map((row) => {
+      const match = (identity) => (actorLabel(identity) || "unknown") === row.actor;
+      const { driftDaily, riskDaily } = loadAssociationDailySeries({ repoRoot, window, eventsPath, auditPath, match, nowMs });
+      const series = buildXYSeries({ driftDaily, riskDaily, metricX: metric_x, metricY: metric_y });
+      const p = pearsonStats(series.map(s => s.x), series.map(s => s.y));
+      return { ...row, pearson: { r: p.degenerate ? 0 : p.r, n_effective: p.n_effective, degenerate: p.degenerate } };
+    });
+}
+
+/**
+ * v0.29 (assoc) ?statistically rigorous signal-only correlation bundle (v2)
+ * - single JSON object output
+ * - fail-safe computation
+ */
+export function buildAssociationBundle({
+  repoRoot,
+  window = "7d",
+  bucket = "day",
+  metric_x = "drift_density",
+  metric_y = "risk_score_avg",
+  lags = null,
+  subsamples = 100,
+  eventsPath = null,
+  auditPath = null,
+  actor = null,
+  nowMs = Date.now()
+}) {
+  const days = windowToDays(window);
+  const maxLag = lags == null ? clamp(days, 3, 14) : clamp(Number(lags) || 0, 0, 14);
+  const ss = clamp(Number(subsamples) || 100, 20, 500);
+
+  const match = actor ? (identity) => matchesActor(identity, actor) : null;
+  const { driftDaily, riskDaily } = loadAssociationDailySeries({ repoRoot, window, eventsPath, auditPath, match, nowMs });
+
   const series = buildXYSeries({
     driftDaily,
     riskDaily,
@@ -300,6 +360,7 @@ export function buildAssociationBundle({
     bucket,
     metric_x,
     metric_y,
+    ...(actor ? { filters: { actor } } : {}),
     series,
     diagnostics: {
       window_days: nTotal,
@@ -320,6 +381,7 @@ export function buildAssociationBundle({
       },
       lags: lagResults,
       robustness: robust
-    }
+    },
+    actors: buildActorBreakdown({ repoRoot, window, eventsPath, auditPath, metric_x, metric_y, nowMs })
   };
 }
@@ -1 +1,9 @@
 export { buildAssociationBundle } from "./correlate.mjs";
+export {
+  adjustPValues,
+  ASSOC_CORRECTIONS,
+  ASSOC_DRIFT_METRICS,
+  ASSOC_RISK_METRICS,
+  buildAssociationMatrix,
+  pearsonPValue,
+} from "./matrix.mjs";
@@ -0,0 +1,289 @@
+import {
+  blockBootstrapR,
+  buildXYSeries,
+  computeLagStats,
+  loadAssociationDailySeries,
+} from "./correlate.mjs";
+
+export const ASSOC_DRIFT_METRICS = ["drift_density", "drift_events", "drift_unique_modules"];
+export const ASSOC_RISK_METRICS = ["risk_score_avg", "risk_score_p95", "risk_events"];
+export const ASSOC_CORRECTIONS = ["bh", "holm", "bonferroni", "none"];
+
+function windowToDays(w) {
+  if (w === "14d") return 14;
+  if (w === "30d") return 30;
+  return 7;
+}
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+function round6(x) {
+  return Number(x.toFixed(6));
+}
+
+// Lanczos approximation (g = 7).
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+function lnGamma(z) {
+  if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - lnGamma(1 - z);
+  const zz = z - 1;
+  let x = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) x += LANCZOS[i] / (zz + i);
+  const t = zz + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (zz + 0.5) * Math.log(t) - t + Math.log(x);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz).
+function betaContinuedFraction(a, b, x) {
+  const FPMIN = 1e-300;
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - (qab * x) / qap;
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (qab + m) * x) / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 3e-14) break;
+  }
+  return h;
+}
+
+function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x < (a + 1) / (a + b + 2)) return (front * betaContinuedFraction(a, b, x)) / a;
+  return 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+/**
+ * Two-sided p-value of a Pearson r over n pairs (Student t, n - 2 df).
+ */
+export function pearsonPValue(r, n) {
+  const df = n - 2;
+  if (df < 1) return 1;
+  if (Math.abs(r) >= 1) return 0;
+  const t2 = (r * r * df) / (1 - r * r);
+  return clamp(regularizedIncompleteBeta(df / (df + t2), df / 2, 0.5), 0, 1);
+}
+
+/**
+ * Multiple-comparison adjusted p-values, in input order.
+ * bh: Benjamini-Hochberg (FDR); holm: Holm-Bonferroni (FWER); bonferroni; none.
+ */
+export function adjustPValues(pValues, method = "bh") {
+  const m = pValues.length;
+  if (method === "none" || m === 0) return [...pValues];
+  if (method === "bonferroni") return pValues.map((p) => Math.min(1, p * m));
+
+  const order = pValues.map((p, i) => [p, i]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const adjusted = new Array(m);
+
+  if (method === "holm") {
+    let running = 0;
+    order.forEach(([p, i], k) => {
+      running = Math.max(running, Math.min(1, (m - k) * p));
+      adjusted[i] = running;
+    });
+    return adjusted;
+  }
+
+  let running = 1;
+  for (let k = m - 1; k >= 0; k--) {
+    const [p, i] = order[k];
+    running = Math.min(running, Math.min(1, (p * m) / (k + 1)));
+    adjusted[i] = running;
+  }
+  return adjusted;
+}
+
+function alignLag(xs, ys, lagDays) {
+  const ax = [];
+  const ay = [];
+  for (let i = 0; i < Math.min(xs.length, ys.length); i++) {
+    const j = i + lagDays;
+    if (j < 0 || j >= ys.length) continue;
+    ax.push(xs[i]);
+    ay.push(ys[j]);
+  }
+  return { ax, ay };
+}
+
+function leadOf(lagDays) {
+  if (lagDays > 0) return "drift";
+  if (lagDays < 0) return "risk";
+  return "concurrent";
+}
+
+/**
+ * v0.30 (assoc matrix) - every drift metric against every risk metric across lags.
+ * - one test per non-degenerate (pair, lag) cell; p-values corrected over that family
+ * - each pair reports its best lag (lowest adjusted p); pairs ranked significant-first
+ * - lag > 0: drift leads risk; lag < 0: risk leads drift
+ * - signal-only
+ */
+export function buildAssociationMatrix({
+  repoRoot,
+  window = "7d",
+  lags = null,
+  subsamples = 100,
+  correction = "bh",
+  alpha = 0.05,
+  eventsPath = null,
+  auditPath = null,
+  nowMs = Date.now(),
+}) {
+  const days = windowToDays(window);
+  const maxLag = lags == null ? clamp(days, 3, 14) : clamp(Number(lags) || 0, 0, 14);
+  const ss = clamp(Number(subsamples) || 100, 20, 500);
+
+  const { driftDaily, riskDaily } = loadAssociationDailySeries({ repoRoot, window, eventsPath, auditPath, nowMs });
+
+  const pairs = [];
+  const cells = [];
+  for (const metricX of ASSOC_DRIFT_METRICS) {
+    for (const metricY of ASSOC_RISK_METRICS) {
+      const series = buildXYSeries({ driftDaily, riskDaily, metricX, metricY });
+      const xs = series.map((s) => s.x);
+      const ys = series.map((s) => s.y);
+      const pair = { metric_x: metricX, metric_y: metricY, xs, ys, lags: [] };
+
+      for (let lag = -maxLag; lag <= maxLag; lag++) {
+        const s = computeLagStats(xs, ys, lag);
+        const cell = {
+          lag_days: lag,
+          r: s.r,
+          n_effective: s.n_effective,
+          degenerate: s.degenerate,
+          p_value: s.degenerate ? null : round6(pearsonPValue(s.r, s.n_effective)),
+          p_adjusted: null,
+          significant: false,
+        };
+        pair.lags.push(cell);
+        if (!cell.degenerate) cells.push(cell);
+      }
+      pairs.push(pair);
+    }
+  }
+
+  const adjusted = adjustPValues(
+    cells.map((cell) => cell.p_value),
+    correction
+  );
+  cells.forEach((cell, i) => {
+    cell.p_adjusted = round6(adjusted[i]);
+    cell.significant = cell.p_adjusted < alpha;
+  });
+
+  const ranked = pairs.map((pair) => {
+    const tested = pair.lags.filter((cell) => !cell.degenerate);
+    const best =
+      tested.sort(
+        (a, b) =>
+          a.p_adjusted - b.p_adjusted ||
+          Math.abs(b.r) - Math.abs(a.r) ||
+          Math.abs(a.lag_days) - Math.abs(b.lag_days) ||
+          a.lag_days - b.lag_days
+      )[0] || null;
+
+    let robustness = null;
+    if (best) {
+      const { ax, ay } = alignLag(pair.xs, pair.ys, best.lag_days);
+      robustness = blockBootstrapR(ax, ay, ss, 2);
+    }
+
+    return {
+      metric_x: pair.metric_x,
+      metric_y: pair.metric_y,
+      best: best
+        ? {
+            lag_days: best.lag_days,
+            r: best.r,
+            n_effective: best.n_effective,
+            p_value: best.p_value,
+            p_adjusted: best.p_adjusted,
+            significant: best.significant,
+          }
+        : null,
+      lead: best?.significant ? leadOf(best.lag_days) : "none",
+      robustness,
+      lags: pair.lags,
+    };
+  });
+
+  ranked.sort((a, b) => {
+    const sa = a.best?.significant ? 0 : 1;
+    const sb = b.best?.significant ? 0 : 1;
+    if (sa !== sb) return sa - sb;
+    const pa = a.best ? a.best.p_adjusted : 2;
+    const pb = b.best ? b.best.p_adjusted : 2;
+    if (pa !== pb) return pa - pb;
+    const ra = a.best ? Math.abs(a.best.r) : 0;
+    const rb = b.best ? Math.abs(b.best.r) : 0;
+    if (ra !== rb) return rb - ra;
+    return `${a.metric_x}/${a.metric_y}`.localeCompare(`${b.metric_x}/${b.metric_y}`);
+  });
+
+  const nonzero_drift_days = driftDaily.filter((d) => d.drift_events > 0).length;
+  const nonzero_risk_days = riskDaily.filter((r) => r.risk_events > 0).length;
+  const notes = ["drift_density_equals_drift_events_for_day_bucket"];
+  if (nonzero_drift_days < 3) notes.push("sparse_x");
+  if (nonzero_risk_days < 3) notes.push("sparse_y");
+  if (cells.length === 0) notes.push("no_testable_cells");
+
+  return {
+    kind: "association_matrix",
+    v: 1,
+    generated_at: new Date().toISOString(),
+    window,
+    bucket: "day",
+    metrics_x: ASSOC_DRIFT_METRICS,
+    metrics_y: ASSOC_RISK_METRICS,
+    max_lag_days: maxLag,
+    correction: {
+      method: correction,
+      alpha,
+      tests: cells.length,
+    },
+    diagnostics: {
+      window_days: Math.min(driftDaily.length, riskDaily.length),
+      nonzero_x_days: nonzero_drift_days,
+      nonzero_y_days: nonzero_risk_days,
+      missing_policy: "zero_fill",
+      notes,
+    },
+    summary: {
+      pairs: ranked.length,
+      significant_pairs: ranked.filter((p) => p.best?.significant).length,
+      top: ranked[0]?.best?.significant
+        ? { metric_x: ranked[0].metric_x, metric_y: ranked[0].metric_y, lag_days: ranked[0].best.lag_days }
+        : null,
+    },
+    pairs: ranked.map((pair, i) => ({ rank: i + 1, ...pair })),
+  };
+}
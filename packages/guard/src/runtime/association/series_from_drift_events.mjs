@@ -1,4 +1,5 @@
-import fs from "node:fs";
+import { countByActor } from "../actor.mjs";
+import { readDriftDaily, readDriftEvents } from "../drift/store.mjs";
 
 function windowToDays(w) {
   if (w === "14d") return 14;
@@ -6,11 +7,6 @@ function windowToDays(w) {
   return 7;
 }
 
-function utcDayStartIso(ts) {
-  const d = new Date(ts);
-  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())).toISOString();
-}
-
 function daysBackIso(days, nowMs) {
   const now = new Date(nowMs);
   const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
@@ -18,37 +14,47 @@ function daysBackIso(days, nowMs) {
   return { startIso: start.toISOString(), endIso: end.toISOString() };
 }
 
-function parseJsonlSafe(path) {
-  if (!fs.existsSync(path)) return [];
-  const lines = fs.readFileSync(path, "utf8").split("\n").filter(Boolean);
-  const out = [];
-  for (const line of lines) {
-    try {
-      const obj = JSON.parse(line);
-      if (obj?.kind === "drift_event" && obj?.v === 2 && typeof obj?.ts === "string") {
-        out.push(obj);
-      }
-    } catch {
-      // ignore bad lines
-    }
+// Per-day totals of the events whose identity passes `match` (raw events; rollups carry no identity).
+function readMatchingDaily({ eventsPath, range, match }) {
+  const days = new Map();
+  for (const e of readDriftEvents({ eventsPath, range })) {
+    if (!match(e.identity)) continue;
+    const ts = Date.parse(e.ts);
+    const day = new Date(ts - (ts % (24 * 60 * 60 * 1000))).toISOString();
+    if (!days.has(day)) days.set(day, { events: 0, modules: new Set() });
+    const d = days.get(day);
+    d.events += 1;
+    if (typeof e.module === "string" && e.module) d.modules.add(e.module);
   }
-  return out;
+  return days;
+}
+
+function windowRange(window, nowMs) {
+  const { startIso, endIso } = daysBackIso(windowToDays(window), nowMs);
+  return { start_ms: Date.parse(startIso), end_ms: Date.parse(endIso) + 24 * 60 * 60 * 1000 };
+}
+
+/**
+ * Drift events per actor in the window: [{ actor, kind, events }] (see actor.mjs).
+ */
+export function countDriftActors({ eventsPath, window = "7d", nowMs = Date.now() }) {
+  return countByActor(readDriftEvents({ eventsPath, range: windowRange(window, nowMs) }), (e) => e.identity);
 }
 
 /**
  * Returns per-day series for the window:
  * [{ t, drift_events, drift_unique_modules }]
  * Missing days are filled with zeros.
+ * match: optional (identity) => boolean, e.g. an actor filter (see actor.mjs).
  */
 export function buildDriftDailySeries({
   eventsPath,
   window = "7d",
+  match = null,
   nowMs = Date.now()
 }) {
   const days = windowToDays(window);
-  const { startIso, endIso } = daysBackIso(days, nowMs);
-  const startMs = Date.parse(startIso);
-  const endMs = Date.parse(endIso) + 24 * 60 * 60 * 1000;
+  const { startIso } = daysBackIso(days, nowMs);
 
   const rows = new Map(); // t -> {events, modules:Set}
 
@@ -58,17 +64,15 @@ export function buildDriftDailySeries({
     rows.set(t, { t, events: 0, modules: new Set() });
   }
 
-  const all = parseJsonlSafe(eventsPath);
-  for (const e of all) {
-    const ts = Date.parse(e.ts);
-    if (!ts || ts < startMs || ts >= endMs) continue;
-
-    const t = utcDayStartIso(ts);
+  // day-aligned range: compacted months come from daily rollups
+  const range = windowRange(window, nowMs);
+  const daily = match ? readMatchingDaily({ eventsPath, range, match }) : readDriftDaily({ eventsPath, range });
+  for (const [t, d] of daily) {
     const r = rows.get(t);
     if (!r) continue;
 
-    r.events += 1;
-    if (typeof e.module === "string" && e.module) r.modules.add(e.module);
+    r.events += d.events;
+    for (const m of d.modules) r.modules.add(m);
   }
 
   return Array.from(rows.values()).map(r => ({
@@ -1,8 +1,15 @@
-import { readRiskTrendFromAuditJsonl } from "../risk_trend.mjs";
+import { countAuditActors, readRiskTrendFromAuditJsonl } from "../risk_trend.mjs";
 
 /**
  * Thin wrapper: keeps association domain independent from audit parsing details.
  */
-export function buildRiskDailySeries({ auditPath, window = "7d", nowMs = Date.now() }) {
-  return readRiskTrendFromAuditJsonl({ auditPath, window, nowMs });
+export function buildRiskDailySeries({ auditPath, window = "7d", match = null, nowMs = Date.now() }) {
+  return readRiskTrendFromAuditJsonl({ auditPath, window, match, nowMs });
+}
+
+/**
+ * Audits per actor in the window: [{ actor, kind, events }].
+ */
+export function countRiskActors({ auditPath, window = "7d", nowMs = Date.now() }) {
+  return countAuditActors({ auditPath, window, nowMs });
 }
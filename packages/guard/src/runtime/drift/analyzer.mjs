@@ -1,32 +1,6 @@
-import fs from "node:fs";
-
-function parseJsonlSafe(path) {
-  if (!fs.existsSync(path)) return [];
-  const lines = fs.readFileSync(path, "utf8").split("\n").filter(Boolean);
-
-  const out = [];
-  for (const line of lines) {
-    try {
-      const obj = JSON.parse(line);
-      if (obj?.kind === "drift_event" && obj?.v === 2) {
-        out.push(obj);
-      }
-    } catch {
-      // swallow bad lines
-    }
-  }
-  return out;
-}
-
-function daysToMs(days) {
-  return days * 24 * 60 * 60 * 1000;
-}
-
-function windowToDays(w) {
-  if (w === "14d") return 14;
-  if (w === "30d") return 30;
-  return 7;
-}
+import { countByActor, matchesActor } from "../actor.mjs";
+import { inRange, precedingRange, rangeDays, resolveDriftRange } from "./range.mjs";
+import { readDriftEvents } from "./store.mjs";
 
 /**
  * v0.27 NEW (additive): Drift Dominance
@@ -34,7 +8,7 @@ function windowToDays(w) {
  * - stable ordering
  * - signal-only
  */
-function computeDriftDominance({ modules = [], metric = "drift_units", topN = 5 }) {
+export function computeDriftDominance({ modules = [], metric = "drift_units", topN = 5 }) {
   if (!Array.isArray(modules) || modules.length === 0) {
     return {
       metric,
@@ -106,13 +80,77 @@ function computeDriftDominance({ modules = [], metric = "drift_units", topN = 5
   };
 }
 
-export function analyzeDrift({ eventsPath, window = "7d" }) {
-  const all = parseJsonlSafe(eventsPath);
+export const TREND_EPSILON = 0.5;
+
+/**
+ * filter: { surface, module, actor } - exact surface_id, module prefix,
+ * actor/agent name or kind (see actor.mjs); all optional
+ */
+export function matchesDriftFilter(e, filter) {
+  if (!filter) return true;
+  if (filter.surface && e?.surface_id !== filter.surface) return false;
+  if (filter.module && !String(e?.module ?? "").startsWith(filter.module)) return false;
+  if (filter.actor && !matchesActor(e?.identity, filter.actor)) return false;
+  return true;
+}
+
+/**
+ * Per-actor events in the current range with the previous range's count:
+ * [{ actor, kind, events, events_prev }]
+ */
+export function driftActorBreakdown(current, previous) {
+  const prev = new Map(countByActor(previous, (e) => e?.identity).map((row) => [row.actor, row]));
+  const rows = countByActor(current, (e) => e?.identity).map((row) => ({
+    ...row,
+    events_prev: prev.get(row.actor)?.events || 0,
+  }));
+  for (const [actor, row] of prev) {
+    if (!rows.some((r) => r.actor === actor)) rows.push({ actor, kind: row.kind, events: 0, events_prev: row.events });
+  }
+  return rows;
+}
+
+function countBy(events, keyOf) {
+  const counts = new Map();
+  for (const e of events) {
+    const key = keyOf(e) || "unknown";
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
 
-  const days = windowToDays(window);
-  const now = Date.now();
-  const currentStart = now - daysToMs(days);
-  const prevStart = now - daysToMs(days * 2);
+// v3 events record a missing module as null; it is not a module for unique/expansion counts.
+function knownModules(events) {
+  return new Set(events.map((e) => e?.module).filter((m) => typeof m === "string" && m.length > 0));
+}
+
+/**
+ * range:    current range (see range.mjs); defaults to the rolling window ending now
+ * previous: baseline range; defaults to the equally long range before `range`
+ * filter:   { surface, module, actor } applied before any counting
+ */
+export function analyzeDrift({
+  eventsPath,
+  window = "7d",
+  range = null,
+  previous: previousRange = null,
+  filter = null,
+  nowMs = Date.now(),
+}) {
+  const currentRange = range || resolveDriftRange({ window, nowMs }).range;
+  const baselineRange = previousRange || precedingRange(currentRange, nowMs);
+
+  // one store read covering both ranges
+  const ends = [currentRange.end_ms, baselineRange.end_ms];
+  const all = readDriftEvents({
+    eventsPath,
+    range: {
+      start_ms: Math.min(currentRange.start_ms, baselineRange.start_ms),
+      end_ms: ends.includes(null) ? null : Math.max(...ends),
+    },
+  }).filter((e) => matchesDriftFilter(e, filter));
+  const days = rangeDays(currentRange, nowMs);
+  const prevDays = rangeDays(baselineRange, nowMs);
 
   const current = [];
   const previous = [];
@@ -121,30 +159,26 @@ export function analyzeDrift({ eventsPath, window = "7d" }) {
     const ts = Date.parse(e.ts);
     if (!ts) continue;
 
-    if (ts >= currentStart) current.push(e);
-    else if (ts >= prevStart) previous.push(e);
+    // ranges may overlap when both are explicit (compare --a/--b)
+    if (inRange(ts, currentRange)) current.push(e);
+    if (inRange(ts, baselineRange)) previous.push(e);
   }
 
   const densityCurrent = current.length / days;
-  const densityPrev = previous.length / days;
+  const densityPrev = previous.length / prevDays;
   const slope = densityCurrent - densityPrev;
 
-  const modulesCurrent = new Set(current.map((e) => e.module));
-  const modulesPrev = new Set(previous.map((e) => e.module));
+  const modulesCurrent = knownModules(current);
+  const modulesPrev = knownModules(previous);
 
   const expansion = Math.max(0, modulesCurrent.size - modulesPrev.size);
 
   let trend = "stable";
-  const epsilon = 0.5;
-  if (slope > epsilon) trend = "accelerating";
-  else if (slope < -epsilon) trend = "cooling";
+  if (slope > TREND_EPSILON) trend = "accelerating";
+  else if (slope < -TREND_EPSILON) trend = "cooling";
 
   // v0.27 additive: per-module contribution
-  const counts = new Map();
-  for (const e of current) {
-    const key = e?.module || "unknown";
-    counts.set(key, (counts.get(key) || 0) + 1);
-  }
+  const counts = countBy(current, (e) => e?.module);
 
   const modules = Array.from(counts.entries())
     .map(([module, drift_units]) => ({
@@ -176,8 +210,22 @@ export function analyzeDrift({ eventsPath, window = "7d" }) {
     events_current: current.length,
     events_prev: previous.length,
 
+    // ranges (additive)
+    density_prev: Number(densityPrev.toFixed(2)),
+    range: currentRange,
+    range_prev: baselineRange,
+    modules_added: [...modulesCurrent].filter((m) => !modulesPrev.has(m)).sort(),
+    modules_removed: [...modulesPrev].filter((m) => !modulesCurrent.has(m)).sort(),
+
+    // explain inputs (additive)
+    module_counts_prev: Object.fromEntries(countBy(previous, (e) => e?.module)),
+    surfaces: Array.from(countBy(current, (e) => e?.surface_id).entries())
+      .map(([surface_id, drift_units]) => ({ surface_id, drift_units }))
+      .sort((a, b) => b.drift_units - a.drift_units || String(a.surface_id).localeCompare(String(b.surface_id))),
+
     // additive signal fields
     modules,
     dominance,
+    actors: driftActorBreakdown(current, previous),
   };
 }
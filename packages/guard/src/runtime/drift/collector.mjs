@@ -1,5 +1,12 @@
+import { spawn } from "node:child_process";
 import fs from "node:fs";
 import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { buildDriftEvent } from "./event.mjs";
+import { DRIFT_COMPACT_LOCK_STALE_MS, DRIFT_ROTATE_BYTES, driftStorePaths } from "./store.mjs";
+
+const GUARD_BIN = fileURLToPath(new URL("../../../bin/guard.mjs", import.meta.url));
 
 function safeMkdirp(dir) {
   try {
@@ -17,9 +24,56 @@ function safeAppendLine(filePath, line) {
   }
 }
 
+function compactionRunning(lockPath) {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs <= DRIFT_COMPACT_LOCK_STALE_MS;
+  } catch {
+    return false;
+  }
+}
+
+// At most one background compaction per process: the child takes compact.lock only once it
+// starts, so until then every append past the limit would otherwise start another one.
+let backgroundCompactionStarted = false;
+
+// Compaction rewrites whole month segments, so it runs as a detached `guard drift compact`
+// instead of inside the audit that happened to push the hot file over the limit.
+function spawnBackgroundCompaction(repoRoot) {
+  backgroundCompactionStarted = true;
+  const child = spawn(process.execPath, [GUARD_BIN, "drift", "compact", "--format=json"], {
+    cwd: repoRoot,
+    detached: true,
+    stdio: "ignore",
+    windowsHide: true,
+  });
+  child.on("error", () => {});
+  child.unref();
+}
+
+/**
+ * Start a background compaction when the hot file is past rotateBytes (default
+ * DRIFT_ROTATE_BYTES), no compaction holds the lock and this process has not started one yet.
+ * MUST NEVER throw.
+ */
+export function scheduleDriftCompaction({ repoRoot = process.cwd(), rotateBytes = DRIFT_ROTATE_BYTES } = {}) {
+  try {
+    if (backgroundCompactionStarted) return;
+    const outFile = path.join(repoRoot, ".mindforge", "drift", "events.jsonl");
+    if (fs.statSync(outFile).size > rotateBytes && !compactionRunning(driftStorePaths(outFile).lock)) {
+      spawnBackgroundCompaction(repoRoot);
+    }
+  } catch {
+    // absolute safety: swallow everything
+  }
+}
+
 /**
- * Append-only drift event collector.
+ * Append-only drift event collector (v3 lines; see event.mjs).
  * MUST NEVER throw (zero impact to exit behavior).
+ * opts.ts overrides the event timestamp (history replay backfills commit times).
+ * Past opts.rotateBytes the hot file is compacted into month segments in the
+ * background (scheduleDriftCompaction; see store.mjs). opts.compact: false skips
+ * that, for batch writers that schedule once when they are done.
  */
 export function collectDriftEvent(evt, opts = {}) {
   try {
@@ -29,28 +83,11 @@ export function collectDriftEvent(evt, opts = {}) {
 
     safeMkdirp(driftDir);
 
-    const payload = {
-      kind: "drift_event",
-      v: 2,
-      ts: new Date().toISOString(),
-
-      // minimal identity
-      surface_id: evt?.surface_id ?? "unknown",
-      module: evt?.module ?? "unknown",
-
-      // mirror fields (read-only trend inputs; never used to affect exit)
-      risk_score: evt?.risk_score ?? null,
-      severity: evt?.severity ?? null,
-      verdict: evt?.verdict ?? null,
-      exit_code: evt?.exit_code ?? null,
-      ds_exit_001: evt?.ds_exit_001 ?? null,
-
-      // traceability (optional)
-      receipt_id: evt?.receipt_id ?? null,
-      snapshot_id: evt?.snapshot_id ?? null
-    };
+    const payload = buildDriftEvent(evt, { ts: opts.ts });
 
     safeAppendLine(outFile, JSON.stringify(payload) + "\n");
+
+    if (opts.compact !== false) scheduleDriftCompaction({ repoRoot, rotateBytes: opts.rotateBytes });
   } catch {
     // absolute safety: swallow everything
   }
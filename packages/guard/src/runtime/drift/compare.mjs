@@ -1,15 +1,32 @@
 import { analyzeDrift } from "./analyzer.mjs";
 
-export function buildCompare({ eventsPath, window = "7d" }) {
-  const result = analyzeDrift({ eventsPath, window });
+/**
+ * a = baseline, b = subject.
+ * Default: b is the rolling window (or `range`), a the equally long range before it.
+ * With explicit rangeA/rangeB (compare --a/--b) both are arbitrary.
+ */
+export function buildCompare({
+  eventsPath,
+  window = "7d",
+  range = null,
+  rangeA = null,
+  rangeB = null,
+  filter = null,
+  nowMs = Date.now()
+}) {
+  const result = analyzeDrift({
+    eventsPath,
+    window,
+    range: rangeB || range,
+    previous: rangeA,
+    filter,
+    nowMs,
+  });
 
   const a = {
     events: result.events_prev,
     unique_modules: result.unique_modules_prev,
-    density: Number(
-      (result.events_prev / (window === "14d" ? 14 : window === "30d" ? 30 : 7))
-        .toFixed(2)
-    ),
+    density: result.density_prev,
     expansion: 0
   };
 
@@ -24,6 +41,10 @@ export function buildCompare({ eventsPath, window = "7d" }) {
     kind: "drift_compare",
     v: 1,
     window,
+    ranges: {
+      a: { since: result.range_prev.since, until: result.range_prev.until },
+      b: { since: result.range.since, until: result.range.until },
+    },
     generated_at: new Date().toISOString(),
     a,
     b,
@@ -31,7 +52,16 @@ export function buildCompare({ eventsPath, window = "7d" }) {
       events: b.events - a.events,
       unique_modules: b.unique_modules - a.unique_modules,
       density: Number((b.density - a.density).toFixed(2)),
-      expansion: b.expansion - a.expansion
-    }
+      expansion: b.expansion - a.expansion,
+      modules_added: result.modules_added,
+      modules_removed: result.modules_removed
+    },
+    actors: result.actors.map((row) => ({
+      actor: row.actor,
+      kind: row.kind,
+      a: row.events_prev,
+      b: row.events,
+      delta: row.events - row.events_prev
+    }))
   };
 }
@@ -0,0 +1,155 @@
+// packages/guard/src/runtime/drift/doctor.mjs
+// Drift doctor: scan every store file line by line and report lines the
+// readers drop or that break the v3 schema (malformed), and lines that cannot
+// be attributed (unknown identity).
+// Read-only; never rewrites the store.
+
+import fs from "node:fs";
+import path from "node:path";
+
+import {
+  DRIFT_EVENT_VERSION,
+  DRIFT_IDENTITY_FIELDS,
+  DRIFT_MIRROR_FIELDS,
+  driftEventIdentityGaps,
+  upgradeDriftEvent,
+  validateDriftEvent,
+} from "./event.mjs";
+import { listDriftStoreFiles } from "./store.mjs";
+
+export const DRIFT_DOCTOR_SAMPLE_LIMIT = 20;
+
+export const DRIFT_DOCTOR_CODES = [
+  "invalid_json",
+  "not_drift_event",
+  "unsupported_version",
+  "invalid_ts",
+  "schema_invalid",
+];
+
+const GAP_FIELDS = ["surface_id", "module", ...DRIFT_IDENTITY_FIELDS.map((field) => `identity.${field}`)];
+
+// Mirror fields stay out of drift output (README output boundary).
+function redact(error) {
+  const field = error.split(" ", 1)[0];
+  return DRIFT_MIRROR_FIELDS.includes(field) ? `mirror field ${error.slice(field.length + 1)}` : error;
+}
+
+function classify(line) {
+  let obj;
+  try {
+    obj = JSON.parse(line);
+  } catch {
+    return { code: "invalid_json" };
+  }
+  if (obj === null || typeof obj !== "object" || Array.isArray(obj) || obj.kind !== "drift_event") {
+    return { code: "not_drift_event" };
+  }
+  const event = upgradeDriftEvent(obj);
+  if (!event) return { code: "unsupported_version", detail: `v=${JSON.stringify(obj.v ?? null)}` };
+  if (typeof event.ts !== "string" || !Number.isFinite(Date.parse(event.ts))) return { code: "invalid_ts" };
+  if (obj.v === DRIFT_EVENT_VERSION) {
+    const errors = validateDriftEvent(obj);
+    if (errors.length) return { code: "schema_invalid", detail: errors.map(redact).join("; ") };
+  }
+  return { event, version: obj.v };
+}
+
+// Unattributable: no surface/module, or nothing at all in identity.
+function unknownIdentity(gaps) {
+  const identityGaps = gaps.filter((gap) => gap.startsWith("identity."));
+  return gaps.includes("surface_id") || gaps.includes("module") || identityGaps.length === DRIFT_IDENTITY_FIELDS.length;
+}
+
+/**
+ * Doctor report over the whole store (hot file, rotating file, segments).
+ * Samples are capped per section; counts are always complete.
+ */
+export function buildDriftDoctor({ eventsPath, sampleLimit = DRIFT_DOCTOR_SAMPLE_LIMIT }) {
+  const dir = path.dirname(eventsPath);
+  const files = [];
+  const versions = {};
+  const malformed = { total: 0, by_code: Object.fromEntries(DRIFT_DOCTOR_CODES.map((code) => [code, 0])), samples: [] };
+  const unknown = {
+    total: 0,
+    fields: Object.fromEntries(GAP_FIELDS.map((field) => [field, 0])),
+    samples: [],
+  };
+  let lines = 0;
+  let events = 0;
+
+  for (const filePath of listDriftStoreFiles(eventsPath)) {
+    const file = path.relative(dir, filePath).split(path.sep).join("/");
+    const entry = { file, lines: 0, events: 0, malformed: 0, unknown_identity: 0 };
+    const text = fs.readFileSync(filePath, "utf8");
+    text.split("\n").forEach((line, i) => {
+      if (!line.trim()) return;
+      entry.lines += 1;
+      const result = classify(line);
+      if (!result.event) {
+        entry.malformed += 1;
+        malformed.by_code[result.code] += 1;
+        if (malformed.samples.length < sampleLimit) {
+          malformed.samples.push({ file, line: i + 1, code: result.code, detail: result.detail || null });
+        }
+        return;
+      }
+
+      entry.events += 1;
+      versions[result.version] = (versions[result.version] || 0) + 1;
+      const gaps = driftEventIdentityGaps(result.event);
+      for (const gap of gaps) unknown.fields[gap] += 1;
+      if (!unknownIdentity(gaps)) return;
+      entry.unknown_identity += 1;
+      if (unknown.samples.length < sampleLimit) {
+        unknown.samples.push({ file, line: i + 1, ts: result.event.ts, v: result.version, gaps });
+      }
+    });
+    lines += entry.lines;
+    events += entry.events;
+    malformed.total += entry.malformed;
+    unknown.total += entry.unknown_identity;
+    files.push(entry);
+  }
+
+  return {
+    kind: "drift_doctor",
+    v: 1,
+    generated_at: new Date().toISOString(),
+    healthy: malformed.total === 0 && unknown.total === 0,
+    totals: { files: files.length, lines, events, malformed: malformed.total, unknown_identity: unknown.total },
+    versions,
+    files,
+    malformed,
+    unknown_identity: unknown,
+  };
+}
+
+export function renderDriftDoctorText(report) {
+  const lines = [];
+  lines.push("Drift Doctor");
+  lines.push("------------");
+  const t = report.totals;
+  lines.push(`Files: ${t.files}  Lines: ${t.lines}  Events: ${t.events}`);
+  const versions = Object.entries(report.versions).map(([v, n]) => `v${v}=${n}`);
+  lines.push(`Versions: ${versions.length ? versions.join(" ") : "none"}`);
+  lines.push(`Malformed lines: ${t.malformed}`);
+  for (const [code, n] of Object.entries(report.malformed.by_code)) {
+    if (n) lines.push(`  ${code}: ${n}`);
+  }
+  for (const s of report.malformed.samples) {
+    lines.push(`  ${s.file}:${s.line}  ${s.code}${s.detail ? `  (${s.detail})` : ""}`);
+  }
+  lines.push(`Unknown-identity lines: ${t.unknown_identity}`);
+  for (const s of report.unknown_identity.samples) {
+    lines.push(`  ${s.file}:${s.line}  v${s.v}  missing ${s.gaps.join(", ")}`);
+  }
+  const gaps = Object.entries(report.unknown_identity.fields).filter(([, n]) => n > 0);
+  if (gaps.length) {
+    lines.push("Missing fields (all events):");
+    for (const [field, n] of gaps) lines.push(`  ${field}: ${n}`);
+  }
+  lines.push(report.healthy ? "Status: healthy" : "Status: needs attention");
+  lines.push("");
+  return lines.join("\n");
+}
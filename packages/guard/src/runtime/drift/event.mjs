@@ -0,0 +1,148 @@
+// packages/guard/src/runtime/drift/event.mjs
+// Drift event v3: build, validate and upgrade (pure).
+// Contract: contracts/drift.event.v3.schema.json
+
+export const DRIFT_EVENT_VERSION = 3;
+
+// Who/what produced the event; null when not known at collection time.
+export const DRIFT_IDENTITY_FIELDS = [
+  "commit_sha",
+  "branch",
+  "actor",
+  "agent",
+  "policy_hash",
+  "audit_id",
+  "module_map_version",
+];
+
+// Read-only mirrors of the audit outcome (never used to affect exit).
+export const DRIFT_MIRROR_FIELDS = ["risk_score", "severity", "verdict", "exit_code", "ds_exit_001"];
+const TRACE_FIELDS = ["receipt_id", "snapshot_id"];
+
+const NUMERIC_FIELDS = new Set(["risk_score", "exit_code"]);
+
+function isObject(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+function stringOrNull(x) {
+  return typeof x === "string" && x.length > 0 ? x : null;
+}
+
+function numberOrNull(x) {
+  return typeof x === "number" && Number.isFinite(x) ? x : null;
+}
+
+function pick(source, fields) {
+  const out = {};
+  for (const field of fields) {
+    out[field] = NUMERIC_FIELDS.has(field) ? numberOrNull(source?.[field]) : stringOrNull(source?.[field]);
+  }
+  return out;
+}
+
+/**
+ * evt: { surface_id, module, identity: {...}, risk_score, ..., snapshot_id }
+ * Missing values are recorded as null (never "unknown").
+ */
+export function buildDriftEvent(evt, { ts } = {}) {
+  return {
+    kind: "drift_event",
+    v: DRIFT_EVENT_VERSION,
+    ts: ts || new Date().toISOString(),
+    surface_id: stringOrNull(evt?.surface_id),
+    module: stringOrNull(evt?.module),
+    identity: pick(evt?.identity, DRIFT_IDENTITY_FIELDS),
+    ...pick(evt, DRIFT_MIRROR_FIELDS),
+    ...pick(evt, TRACE_FIELDS),
+  };
+}
+
+/**
+ * Validate one v3 line against the contract. Returns error strings (empty when valid).
+ */
+export function validateDriftEvent(obj) {
+  const errors = [];
+  if (!isObject(obj)) return ["event must be an object"];
+  if (obj.kind !== "drift_event") errors.push("kind must be 'drift_event'");
+  if (obj.v !== DRIFT_EVENT_VERSION) errors.push(`v must be ${DRIFT_EVENT_VERSION}`);
+  if (typeof obj.ts !== "string" || !Number.isFinite(Date.parse(obj.ts))) {
+    errors.push("ts must be an ISO 8601 timestamp");
+  }
+
+  for (const field of ["surface_id", "module"]) {
+    if (!(field in obj)) errors.push(`${field} is required`);
+    else if (obj[field] !== null && stringOrNull(obj[field]) === null) {
+      errors.push(`${field} must be a non-empty string or null`);
+    }
+  }
+
+  if (!isObject(obj.identity)) {
+    errors.push("identity must be an object");
+  } else {
+    for (const field of DRIFT_IDENTITY_FIELDS) {
+      const value = obj.identity[field];
+      if (value !== undefined && value !== null && stringOrNull(value) === null) {
+        errors.push(`identity.${field} must be a non-empty string or null`);
+      }
+    }
+    for (const field of Object.keys(obj.identity)) {
+      if (!DRIFT_IDENTITY_FIELDS.includes(field)) errors.push(`identity.${field} is not allowed`);
+    }
+  }
+
+  for (const field of [...DRIFT_MIRROR_FIELDS, ...TRACE_FIELDS]) {
+    const value = obj[field];
+    if (value === undefined || value === null) continue;
+    const ok = NUMERIC_FIELDS.has(field) ? numberOrNull(value) !== null : typeof value === "string";
+    if (!ok) errors.push(`${field} must be a ${NUMERIC_FIELDS.has(field) ? "number" : "string"} or null`);
+  }
+
+  const known = new Set([
+    "kind",
+    "v",
+    "ts",
+    "surface_id",
+    "module",
+    "identity",
+    ...DRIFT_MIRROR_FIELDS,
+    ...TRACE_FIELDS,
+  ]);
+  for (const field of Object.keys(obj)) {
+    if (!known.has(field)) errors.push(`${field} is not allowed`);
+  }
+  return errors;
+}
+
+/**
+ * Any stored drift event line (v1, v2, v3) -> v3 shape, or null when the
+ * object is not a drift event of a known version. v1/v2 values are kept
+ * verbatim (including "unknown"); identity is all null; `upgraded_from`
+ * records the source version.
+ */
+export function upgradeDriftEvent(obj) {
+  if (!isObject(obj) || obj.kind !== "drift_event") return null;
+  if (obj.v === DRIFT_EVENT_VERSION) return obj;
+  if (obj.v !== 1 && obj.v !== 2) return null;
+
+  return {
+    ...buildDriftEvent({ ...obj, surface_id: obj.surface_id ?? obj.surface, identity: null }),
+    ts: obj.ts,
+    upgraded_from: obj.v,
+  };
+}
+
+/**
+ * Identity gaps of an (upgraded) event: surface/module missing or "unknown",
+ * and identity fields that are null.
+ */
+export function driftEventIdentityGaps(event) {
+  const gaps = [];
+  for (const field of ["surface_id", "module"]) {
+    if (!event[field] || event[field] === "unknown") gaps.push(field);
+  }
+  for (const field of DRIFT_IDENTITY_FIELDS) {
+    if (!event.identity?.[field]) gaps.push(`identity.${field}`);
+  }
+  return gaps;
+}
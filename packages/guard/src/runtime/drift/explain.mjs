@@ -0,0 +1,138 @@
+import path from "node:path";
+
+import { analyzeDrift, computeDriftDominance, TREND_EPSILON } from "./analyzer.mjs";
+
+function round2(x) {
+  return Number(x.toFixed(2));
+}
+
+function signed(x) {
+  return x > 0 ? `+${x}` : String(x);
+}
+
+function trendReason(trend, slope) {
+  if (trend === "accelerating") return `slope ${signed(slope)} events/day is above +${TREND_EPSILON}`;
+  if (trend === "cooling") return `slope ${signed(slope)} events/day is below -${TREND_EPSILON}`;
+  return `slope ${signed(slope)} events/day is within ±${TREND_EPSILON}`;
+}
+
+/**
+ * Drift explain: how status computed its trend (signal-only).
+ * Current vs previous range, density, slope vs threshold, module growth,
+ * top modules (with previous counts) and top surfaces.
+ */
+export function buildDriftExplain({
+  repoRoot,
+  window = "7d",
+  range = null,
+  filter = null,
+  topN = 5,
+  nowMs = Date.now(),
+}) {
+  const eventsPath = path.join(repoRoot, ".mindforge", "drift", "events.jsonl");
+  const stats = analyzeDrift({ eventsPath, window, range, filter, nowMs });
+
+  const surfaceDominance = computeDriftDominance({
+    modules: stats.surfaces.map((s) => ({ module: s.surface_id, drift_units: s.drift_units })),
+    metric: "drift_units",
+    topN,
+  });
+
+  return {
+    kind: "drift_explain",
+    v: 1,
+    window,
+    generated_at: new Date().toISOString(),
+    filters: {
+      surface: filter?.surface || null,
+      module: filter?.module || null,
+    },
+    current: {
+      since: stats.range.since,
+      until: stats.range.until,
+      events: stats.events_current,
+      density: stats.density,
+      unique_modules: stats.unique_modules,
+    },
+    previous: {
+      since: stats.range_prev.since,
+      until: stats.range_prev.until,
+      events: stats.events_prev,
+      density: stats.density_prev,
+      unique_modules: stats.unique_modules_prev,
+    },
+    slope: stats.slope,
+    threshold: TREND_EPSILON,
+    trend: stats.trend,
+    trend_reason: trendReason(stats.trend, stats.slope),
+    module_growth: {
+      expansion: stats.expansion,
+      added: stats.modules_added,
+      removed: stats.modules_removed,
+    },
+    top_modules: stats.dominance.top_modules.map((m) => {
+      const prev = stats.module_counts_prev[m.module] || 0;
+      return {
+        rank: m.rank,
+        module: m.module,
+        events: m.contribution,
+        share: round2(m.share),
+        events_prev: prev,
+        delta: m.contribution - prev,
+      };
+    }),
+    top_surfaces: surfaceDominance.top_modules.map((s) => ({
+      rank: s.rank,
+      surface_id: s.module,
+      events: s.contribution,
+      share: round2(s.share),
+    })),
+    policy: {
+      affects_exit: false,
+      affects_risk_v1: false,
+    },
+  };
+}
+
+export function renderDriftExplainText(explain) {
+  const lines = [];
+  lines.push("Drift Explain");
+  lines.push("-------------");
+  lines.push(`Window: ${explain.window}`);
+  lines.push(`Current: ${explain.current.since} .. ${explain.current.until || "now"}`);
+  lines.push(`Previous: ${explain.previous.since} .. ${explain.previous.until || "now"}`);
+  if (explain.filters.surface || explain.filters.module) {
+    const parts = [];
+    if (explain.filters.surface) parts.push(`surface=${explain.filters.surface}`);
+    if (explain.filters.module) parts.push(`module=${explain.filters.module}*`);
+    lines.push(`Filters: ${parts.join(" ")}`);
+  }
+  lines.push("");
+  lines.push(`Events: ${explain.current.events} (previous ${explain.previous.events})`);
+  lines.push(`Density: ${explain.current.density} events/day (previous ${explain.previous.density})`);
+  lines.push(`Slope: ${signed(explain.slope)} events/day (threshold ±${explain.threshold})`);
+  lines.push(`Trend: ${explain.trend} - ${explain.trend_reason}`);
+  lines.push(
+    `Modules: ${explain.current.unique_modules} (previous ${explain.previous.unique_modules}), ` +
+      `expansion +${explain.module_growth.expansion}`
+  );
+  if (explain.module_growth.added.length) lines.push(`  added: ${explain.module_growth.added.join(", ")}`);
+  if (explain.module_growth.removed.length) lines.push(`  removed: ${explain.module_growth.removed.join(", ")}`);
+
+  lines.push("");
+  lines.push("Top modules:");
+  if (explain.top_modules.length === 0) lines.push("  (none)");
+  for (const m of explain.top_modules) {
+    lines.push(
+      `  ${m.rank}. ${m.module}  ${m.events} events (${Math.round(m.share * 100)}%), ` +
+        `previous ${m.events_prev} (${signed(m.delta)})`
+    );
+  }
+  lines.push("Top surfaces:");
+  if (explain.top_surfaces.length === 0) lines.push("  (none)");
+  for (const s of explain.top_surfaces) {
+    lines.push(`  ${s.rank}. ${s.surface_id}  ${s.events} events (${Math.round(s.share * 100)}%)`);
+  }
+  lines.push("");
+  return lines.join("\n");
+}
@@ -0,0 +1,231 @@
+// packages/guard/src/runtime/drift/export.mjs
+// Drift export: events, timeline buckets and dominance as files for scrapers.
+// Signal-only; never affects risk scoring, verdicts or exit codes.
+import path from "node:path";
+
+import { analyzeDrift, computeDriftDominance, matchesDriftFilter } from "./analyzer.mjs";
+import { readDriftEvents } from "./store.mjs";
+import { buildTimeline } from "./timeline.mjs";
+
+export const DRIFT_EXPORT_FORMATS = ["jsonl", "json", "csv", "openmetrics"];
+
+// Mirror fields (risk_score, verdict, ...) stay out: see the README output boundary.
+const EVENT_COLUMNS = ["ts", "surface_id", "module", "receipt_id", "snapshot_id"];
+const TIMELINE_COLUMNS = ["ts", "events", "unique_modules"];
+const DOMINANCE_COLUMNS = ["rank", "module", "contribution", "share"];
+
+function round4(x) {
+  return Number(x.toFixed(4));
+}
+
+/**
+ * Collect the export dataset for one range (rolling window when range is null).
+ * Dominance ranks every module in the range, not only the status top 5.
+ */
+export function buildDriftExport({
+  repoRoot,
+  window = "7d",
+  range = null,
+  bucket = "day",
+  filter = null,
+  nowMs = Date.now(),
+}) {
+  const eventsPath = path.join(repoRoot, ".mindforge", "drift", "events.jsonl");
+  const stats = analyzeDrift({ eventsPath, window, range, filter, nowMs });
+  const timeline = buildTimeline({ eventsPath, window, bucket, range: stats.range, filter, nowMs });
+  const dominance = computeDriftDominance({
+    modules: stats.modules,
+    metric: "drift_units",
+    topN: Math.max(stats.modules.length, 5),
+  });
+
+  const events = readDriftEvents({ eventsPath, range: stats.range })
+    .filter((e) => matchesDriftFilter(e, filter))
+    .map((e) => ({ e, ts: Date.parse(e.ts) }))
+    .sort((a, b) => a.ts - b.ts)
+    .map(({ e, ts }) => {
+      const row = { ts: new Date(ts).toISOString() };
+      for (const column of EVENT_COLUMNS.slice(1)) row[column] = e[column] ?? null;
+      return row;
+    });
+
+  return {
+    kind: "drift_export",
+    v: 1,
+    window,
+    bucket,
+    range: { since: stats.range.since, until: stats.range.until },
+    filters: {
+      surface: filter?.surface || null,
+      module: filter?.module || null,
+    },
+    generated_at: new Date(nowMs).toISOString(),
+    signal: {
+      trend: stats.trend,
+      density: stats.density,
+      slope: stats.slope,
+      unique_modules: stats.unique_modules,
+      events: stats.events_current,
+      events_prev: stats.events_prev,
+    },
+    events,
+    timeline: timeline.series.map((row) => ({
+      ts: row.t,
+      events: row.events,
+      unique_modules: row.unique_modules,
+    })),
+    dominance: {
+      metric: dominance.metric,
+      total_contribution: dominance.total_contribution,
+      dominance_ratio: round4(dominance.dominance_ratio),
+      top3_share: round4(dominance.top3_share),
+      modules: dominance.top_modules.map((m) => ({
+        rank: m.rank,
+        module: m.module,
+        contribution: m.contribution,
+        share: round4(m.share),
+      })),
+    },
+  };
+}
+
+function exportHeader(data) {
+  return {
+    kind: data.kind,
+    v: data.v,
+    window: data.window,
+    bucket: data.bucket,
+    range: data.range,
+    filters: data.filters,
+    generated_at: data.generated_at,
+    signal: data.signal,
+  };
+}
+
+/** One JSON object per line; `record` is export | event | timeline | dominance. */
+export function renderDriftExportJsonl(data) {
+  const lines = [{ record: "export", ...exportHeader(data) }];
+  for (const e of data.events) lines.push({ record: "event", ...e });
+  for (const row of data.timeline) lines.push({ record: "timeline", ...row });
+  for (const m of data.dominance.modules) lines.push({ record: "dominance", ...m });
+  return lines.map((line) => JSON.stringify(line)).join("\n") + "\n";
+}
+
+function columnar(rows, columns) {
+  const table = { length: rows.length, columns: {} };
+  for (const column of columns) table.columns[column] = rows.map((row) => row[column]);
+  return table;
+}
+
+/** Columnar JSON: one array per column, per table. */
+export function renderDriftExportColumnar(data, { pretty = false } = {}) {
+  const payload = {
+    ...exportHeader(data),
+    dominance: {
+      metric: data.dominance.metric,
+      total_contribution: data.dominance.total_contribution,
+      dominance_ratio: data.dominance.dominance_ratio,
+      top3_share: data.dominance.top3_share,
+    },
+    tables: {
+      events: columnar(data.events, EVENT_COLUMNS),
+      timeline: columnar(data.timeline, TIMELINE_COLUMNS),
+      dominance: columnar(data.dominance.modules, DOMINANCE_COLUMNS),
+    },
+  };
+  return (pretty ? JSON.stringify(payload, null, 2) : JSON.stringify(payload)) + "\n";
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Single CSV (RFC 4180); the `record` column tells event, timeline and dominance rows apart. */
+export function renderDriftExportCsv(data) {
+  const columns = ["record", ...new Set([...EVENT_COLUMNS, ...TIMELINE_COLUMNS, ...DOMINANCE_COLUMNS])];
+  const rows = [
+    ...data.events.map((e) => ({ record: "event", ...e })),
+    ...data.timeline.map((row) => ({ record: "timeline", ...row })),
+    ...data.dominance.modules.map((m) => ({ record: "dominance", ...m })),
+  ];
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+function labelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labels(pairs) {
+  const entries = Object.entries(pairs).filter(([, value]) => value !== null && value !== undefined);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${labelValue(value)}"`).join(",")}}`;
+}
+
+/**
+ * OpenMetrics text exposition. Timeline buckets carry their bucket start as the
+ * sample timestamp (seconds) so a file scrape backfills the series; range totals
+ * and dominance are exposed without timestamps.
+ */
+export function renderDriftExportOpenMetrics(data) {
+  const base = { surface: data.filters.surface, module_prefix: data.filters.module };
+  const lines = [];
+  const family = (name, type, help) => {
+    lines.push(`# TYPE ${name} ${type}`);
+    lines.push(`# HELP ${name} ${help}`);
+  };
+
+  family("mindforge_drift_bucket_events", "gauge", "Drift events per timeline bucket.");
+  for (const row of data.timeline) {
+    lines.push(
+      `mindforge_drift_bucket_events${labels({ bucket: data.bucket, ...base })} ${row.events} ${Date.parse(row.ts) / 1000}`
+    );
+  }
+  family("mindforge_drift_bucket_unique_modules", "gauge", "Unique modules with drift per timeline bucket.");
+  for (const row of data.timeline) {
+    lines.push(
+      `mindforge_drift_bucket_unique_modules${labels({ bucket: data.bucket, ...base })} ` +
+        `${row.unique_modules} ${Date.parse(row.ts) / 1000}`
+    );
+  }
+
+  family("mindforge_drift_events", "gauge", "Drift events in the export range.");
+  lines.push(`mindforge_drift_events${labels({ window: data.window, ...base })} ${data.signal.events}`);
+  family("mindforge_drift_events_previous", "gauge", "Drift events in the preceding range of equal length.");
+  lines.push(`mindforge_drift_events_previous${labels({ window: data.window, ...base })} ${data.signal.events_prev}`);
+  family("mindforge_drift_density", "gauge", "Drift events per day in the export range.");
+  lines.push(`mindforge_drift_density${labels({ window: data.window, ...base })} ${data.signal.density}`);
+  family("mindforge_drift_slope", "gauge", "Density change against the preceding range, in events per day.");
+  lines.push(`mindforge_drift_slope${labels({ window: data.window, ...base })} ${data.signal.slope}`);
+  family("mindforge_drift_trend", "stateset", "Drift trend label.");
+  for (const state of ["accelerating", "stable", "cooling"]) {
+    lines.push(
+      `mindforge_drift_trend${labels({ window: data.window, ...base, mindforge_drift_trend: state })} ` +
+        `${data.signal.trend === state ? 1 : 0}`
+    );
+  }
+
+  family("mindforge_drift_module_events", "gauge", "Drift events per module in the export range.");
+  for (const m of data.dominance.modules) {
+    lines.push(`mindforge_drift_module_events${labels({ window: data.window, ...base, module: m.module })} ${m.contribution}`);
+  }
+  family("mindforge_drift_module_share", "gauge", "Share of drift events per module in the export range.");
+  for (const m of data.dominance.modules) {
+    lines.push(`mindforge_drift_module_share${labels({ window: data.window, ...base, module: m.module })} ${m.share}`);
+  }
+  family("mindforge_drift_dominance_ratio", "gauge", "Share of drift events held by the top module.");
+  lines.push(`mindforge_drift_dominance_ratio${labels({ window: data.window, ...base })} ${data.dominance.dominance_ratio}`);
+
+  lines.push("# EOF");
+  return lines.join("\n") + "\n";
+}
+
+export function renderDriftExport(data, format, { pretty = false } = {}) {
+  if (format === "json") return renderDriftExportColumnar(data, { pretty });
+  if (format === "csv") return renderDriftExportCsv(data);
+  if (format === "openmetrics") return renderDriftExportOpenMetrics(data);
+  return renderDriftExportJsonl(data);
+}
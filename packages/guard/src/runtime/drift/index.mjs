@@ -1,3 +1,20 @@
 export { driftNoop } from "./driftNoop.mjs";
 export { buildTimeline } from "./timeline.mjs";
 export { buildCompare } from "./compare.mjs";
+export { buildDriftExplain, renderDriftExplainText } from "./explain.mjs";
+export { buildDriftExport, DRIFT_EXPORT_FORMATS, renderDriftExport } from "./export.mjs";
+export {
+  compactDriftStore,
+  driftStoreExists,
+  listDriftStoreFiles,
+  readDriftDaily,
+  readDriftEvents,
+} from "./store.mjs";
+export {
+  buildDriftEvent,
+  DRIFT_EVENT_VERSION,
+  DRIFT_IDENTITY_FIELDS,
+  upgradeDriftEvent,
+  validateDriftEvent,
+} from "./event.mjs";
+export { buildDriftDoctor, renderDriftDoctorText } from "./doctor.mjs";
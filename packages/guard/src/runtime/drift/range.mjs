@@ -0,0 +1,111 @@
+// packages/guard/src/runtime/drift/range.mjs
+// Time ranges and UTC buckets shared by drift status/timeline/compare.
+// Pure helpers: the caller supplies nowMs.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DRIFT_BUCKETS = ["hour", "day", "week", "month"];
+
+export function windowToDays(w) {
+  if (w === "14d") return 14;
+  if (w === "30d") return 30;
+  return 7;
+}
+
+/**
+ * ISO 8601 date ("2025-01-31") or timestamp -> epoch ms, or null.
+ * Date-only values are read as UTC midnight.
+ */
+export function parseIsoInstant(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const ms = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function rangeOf(startMs, endMs, source) {
+  return {
+    source,
+    since: new Date(startMs).toISOString(),
+    until: endMs === null ? null : new Date(endMs).toISOString(),
+    start_ms: startMs,
+    end_ms: endMs,
+  };
+}
+
+/**
+ * Resolve the analysis range: [since, until).
+ * - no since/until: rolling window ending now (open-ended, as before)
+ * - since only:     since .. now
+ * - until only:     window-sized range ending at until
+ * Returns { range } or { error }.
+ */
+export function resolveDriftRange({ window = "7d", since = null, until = null, nowMs = Date.now() } = {}) {
+  if (!since && !until) {
+    return { range: rangeOf(nowMs - windowToDays(window) * DAY_MS, null, "window") };
+  }
+
+  const endMs = until ? parseIsoInstant(until) : nowMs;
+  if (endMs === null) return { error: `--until must be an ISO 8601 date or timestamp, got '${until}'` };
+  const startMs = since ? parseIsoInstant(since) : endMs - windowToDays(window) * DAY_MS;
+  if (startMs === null) return { error: `--since must be an ISO 8601 date or timestamp, got '${since}'` };
+  if (startMs >= endMs) return { error: "--since must be earlier than --until" };
+
+  return { range: rangeOf(startMs, endMs, "explicit") };
+}
+
+/**
+ * "<since>..<until>" -> { range } or { error } (used by compare --a/--b).
+ */
+export function parseRangeSpec(spec, label = "range") {
+  const parts = typeof spec === "string" ? spec.split("..") : [];
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return { error: `${label} must look like <since>..<until> (ISO 8601), got '${spec}'` };
+  }
+  const startMs = parseIsoInstant(parts[0]);
+  const endMs = parseIsoInstant(parts[1]);
+  if (startMs === null || endMs === null) {
+    return { error: `${label} bounds must be ISO 8601 dates or timestamps, got '${spec}'` };
+  }
+  if (startMs >= endMs) return { error: `${label} start must be earlier than its end` };
+  return { range: rangeOf(startMs, endMs, "explicit") };
+}
+
+/**
+ * The equally long range immediately before `range` (open-ended ranges end at nowMs).
+ */
+export function precedingRange(range, nowMs = Date.now()) {
+  const endMs = range.end_ms ?? nowMs;
+  const length = endMs - range.start_ms;
+  return rangeOf(range.start_ms - length, range.start_ms, range.source);
+}
+
+export function rangeDays(range, nowMs = Date.now()) {
+  return ((range.end_ms ?? nowMs) - range.start_ms) / DAY_MS;
+}
+
+export function inRange(ts, range) {
+  return ts >= range.start_ms && (range.end_ms === null || ts < range.end_ms);
+}
+
+/**
+ * UTC-stable bucket boundary
+ * Prevents timezone drift across machines (CI / Windows / macOS).
+ * Weeks start on Monday (ISO 8601).
+ */
+export function bucketStart(ts, bucket) {
+  const d = new Date(ts);
+
+  if (bucket === "hour") {
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours())).toISOString();
+  }
+  if (bucket === "week") {
+    const offset = (d.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - offset)).toISOString();
+  }
+  if (bucket === "month") {
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1)).toISOString();
+  }
+
+  // day bucket (default)
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())).toISOString();
+}
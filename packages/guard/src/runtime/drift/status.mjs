@@ -7,7 +7,7 @@ import { analyzeDrift } from "./analyzer.mjs";
  * - 顶层增加 dominance（永远存在，signal-only?
  * - 不改变既有字段结?
  */
-export function buildDriftStatus({ repoRoot, window = "7d" }) {
+export function buildDriftStatus({ repoRoot, window = "7d", range = null, filter = null }) {
   const eventsPath = path.join(
     repoRoot,
     ".mindforge",
@@ -15,7 +15,7 @@ export function buildDriftStatus({ repoRoot, window = "7d" }) {
     "events.jsonl"
   );
 
-  const stats = analyzeDrift({ eventsPath, window });
+  const stats = analyzeDrift({ eventsPath, window, range, filter });
 
   // ---- v0.27: dominance fallback (structure stability) ----
   const dominance =
@@ -39,6 +39,16 @@ export function buildDriftStatus({ repoRoot, window = "7d" }) {
     kind: "drift_signal_bundle",
     v: 2,
     window,
+    range: { since: stats.range.since, until: stats.range.until },
+    ...(filter?.surface || filter?.module || filter?.actor
+      ? {
+          filters: {
+            surface: filter.surface || null,
+            module: filter.module || null,
+            ...(filter.actor ? { actor: filter.actor } : {}),
+          },
+        }
+      : {}),
     generated_at: new Date().toISOString(),
 
     trend: stats.trend,
@@ -59,6 +69,9 @@ export function buildDriftStatus({ repoRoot, window = "7d" }) {
     modules,
     dominance,
 
+    // per-actor events (current vs previous range)
+    actors: Array.isArray(stats.actors) ? stats.actors : [],
+
     policy: {
       affects_exit: false,
       affects_risk_v1: false,
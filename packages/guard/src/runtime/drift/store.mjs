@@ -0,0 +1,487 @@
+// packages/guard/src/runtime/drift/store.mjs
+// Drift event store: hot append file + month segments + daily rollups.
+//
+//   .mindforge/drift/events.jsonl          hot file (collector appends here)
+//   .mindforge/drift/segments/YYYY-MM.jsonl month segments, sorted by ts
+//   .mindforge/drift/segments/index.json   per-segment byte offsets of each UTC day
+//   .mindforge/drift/rollups/YYYY-MM.json  daily rollups (events, modules, surfaces)
+//   .mindforge/drift/compact.lock          held while a compaction runs
+//   .mindforge/drift/quarantine.jsonl      lines compaction could not read, kept verbatim
+//
+// Compaction moves hot events into their month segments. Readers take a time
+// range and only open the segments (and day slices) that overlap it.
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { upgradeDriftEvent } from "./event.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DRIFT_SEGMENT_INDEX_VERSION = 1;
+
+// Collector rotates the hot file into segments past this size.
+export const DRIFT_ROTATE_BYTES = 8 * 1024 * 1024;
+
+const ROTATING_FILE = "events.rotating.jsonl";
+const LOCK_FILE = "compact.lock";
+const QUARANTINE_FILE = "quarantine.jsonl";
+
+// A lock older than this is left over from a crashed compaction and is taken over.
+export const DRIFT_COMPACT_LOCK_STALE_MS = 10 * 60 * 1000;
+
+export function driftStorePaths(eventsPath) {
+  const dir = path.dirname(eventsPath);
+  return {
+    dir,
+    hot: eventsPath,
+    rotating: path.join(dir, ROTATING_FILE),
+    lock: path.join(dir, LOCK_FILE),
+    quarantine: path.join(dir, QUARANTINE_FILE),
+    segments: path.join(dir, "segments"),
+    index: path.join(dir, "segments", "index.json"),
+    rollups: path.join(dir, "rollups"),
+  };
+}
+
+// v1/v2 lines are upgraded to v3 on read; stored lines are never rewritten.
+function parseLines(text, onEvent, onInvalid = () => {}) {
+  let invalid = 0;
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    let event = null;
+    try {
+      event = upgradeDriftEvent(JSON.parse(line));
+    } catch {
+      event = null;
+    }
+    if (event && typeof event.ts === "string" && Number.isFinite(Date.parse(event.ts))) {
+      onEvent(event, line);
+    } else {
+      invalid += 1;
+      onInvalid(line);
+    }
+  }
+  return invalid;
+}
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch {
+    return "";
+  }
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch {
+    return -1;
+  }
+}
+
+function writeAtomic(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, content, "utf8");
+  fs.renameSync(tmp, filePath);
+}
+
+function monthOf(ms) {
+  return new Date(ms).toISOString().slice(0, 7);
+}
+
+function monthStartMs(month) {
+  return Date.parse(`${month}-01T00:00:00Z`);
+}
+
+function nextMonthStartMs(month) {
+  const d = new Date(monthStartMs(month));
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+}
+
+function overlaps(startMs, endMs, range) {
+  if (!range) return true;
+  if (endMs <= range.start_ms) return false;
+  return range.end_ms === null || range.end_ms === undefined || startMs < range.end_ms;
+}
+
+function inRange(ts, range) {
+  if (!range) return true;
+  return ts >= range.start_ms && (range.end_ms === null || range.end_ms === undefined || ts < range.end_ms);
+}
+
+function listSegmentMonths(paths) {
+  let names = [];
+  try {
+    names = fs.readdirSync(paths.segments);
+  } catch {
+    return [];
+  }
+  return names
+    .map((name) => /^(\d{4}-\d{2})\.jsonl$/.exec(name)?.[1])
+    .filter(Boolean)
+    .sort();
+}
+
+function segmentPath(paths, month) {
+  return path.join(paths.segments, `${month}.jsonl`);
+}
+
+function readIndex(paths) {
+  const index = readJson(paths.index);
+  if (index?.kind === "drift_segment_index" && index?.v === DRIFT_SEGMENT_INDEX_VERSION && index.segments) return index;
+  return { kind: "drift_segment_index", v: DRIFT_SEGMENT_INDEX_VERSION, segments: {} };
+}
+
+// Index entries are only trusted while the segment is byte-for-byte what compaction wrote.
+function freshEntry(index, paths, month) {
+  const entry = index.segments[month];
+  return entry && entry.bytes === fileSize(segmentPath(paths, month)) ? entry : null;
+}
+
+function readSlice(filePath, start, end) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(end - start);
+    fs.readSync(fd, buffer, 0, end - start, start);
+    return buffer.toString("utf8");
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function readSegmentText(paths, index, month, range) {
+  const filePath = segmentPath(paths, month);
+  const entry = freshEntry(index, paths, month);
+  if (!entry || !range) return readText(filePath);
+
+  const days = Object.keys(entry.days).filter((day) => {
+    const startMs = Date.parse(`${day}T00:00:00Z`);
+    return overlaps(startMs, startMs + DAY_MS, range);
+  });
+  if (days.length === 0) return "";
+  const start = Math.min(...days.map((day) => entry.days[day][0]));
+  const end = Math.max(...days.map((day) => entry.days[day][1]));
+  return readSlice(filePath, start, end);
+}
+
+/**
+ * True when the store holds anything readable (hot file or any segment).
+ */
+export function driftStoreExists(eventsPath) {
+  const paths = driftStorePaths(eventsPath);
+  return fs.existsSync(paths.hot) || fs.existsSync(paths.rotating) || listSegmentMonths(paths).length > 0;
+}
+
+/**
+ * Every existing store file in read order: segments, rotating file, hot file.
+ */
+export function listDriftStoreFiles(eventsPath) {
+  const paths = driftStorePaths(eventsPath);
+  const files = listSegmentMonths(paths).map((month) => segmentPath(paths, month));
+  for (const filePath of [paths.rotating, paths.hot]) {
+    if (fs.existsSync(filePath)) files.push(filePath);
+  }
+  return files;
+}
+
+/**
+ * Drift events (upgraded to v3) with ts in range = { start_ms, end_ms|null };
+ * no range reads everything. Order: segments (sorted) then hot-file order.
+ */
+export function readDriftEvents({ eventsPath, range = null }) {
+  const paths = driftStorePaths(eventsPath);
+  const index = readIndex(paths);
+  const out = [];
+  const keep = (e) => {
+    if (inRange(Date.parse(e.ts), range)) out.push(e);
+  };
+
+  for (const month of listSegmentMonths(paths)) {
+    if (!overlaps(monthStartMs(month), nextMonthStartMs(month), range)) continue;
+    parseLines(readSegmentText(paths, index, month, range), keep);
+  }
+  parseLines(readText(paths.rotating), keep);
+  parseLines(readText(paths.hot), keep);
+  return out;
+}
+
+/**
+ * Per-UTC-day totals in range: Map(dayIso -> { events, modules: Set, surfaces: Map }).
+ * Months whose rollup matches the current segment are read from the rollup,
+ * so range bounds should fall on UTC day boundaries.
+ */
+export function readDriftDaily({ eventsPath, range = null }) {
+  const paths = driftStorePaths(eventsPath);
+  const index = readIndex(paths);
+  const days = new Map();
+  const dayRow = (day) => {
+    if (!days.has(day)) days.set(day, { events: 0, modules: new Set(), surfaces: new Map() });
+    return days.get(day);
+  };
+  const add = (e) => {
+    const ts = Date.parse(e.ts);
+    if (!inRange(ts, range)) return;
+    const row = dayRow(new Date(ts - (ts % DAY_MS)).toISOString());
+    row.events += 1;
+    if (typeof e.module === "string" && e.module) row.modules.add(e.module);
+    const surface = e.surface_id || "unknown";
+    row.surfaces.set(surface, (row.surfaces.get(surface) || 0) + 1);
+  };
+
+  for (const month of listSegmentMonths(paths)) {
+    if (!overlaps(monthStartMs(month), nextMonthStartMs(month), range)) continue;
+    const rollup = readJson(path.join(paths.rollups, `${month}.json`));
+    const entry = freshEntry(index, paths, month);
+    if (rollup?.kind === "drift_rollup" && entry && rollup.source_bytes === entry.bytes) {
+      for (const d of rollup.days) {
+        const startMs = Date.parse(d.day);
+        if (!overlaps(startMs, startMs + DAY_MS, range)) continue;
+        const row = dayRow(d.day);
+        row.events += d.events;
+        for (const m of Object.keys(d.modules)) row.modules.add(m);
+        for (const [s, n] of Object.entries(d.surfaces)) row.surfaces.set(s, (row.surfaces.get(s) || 0) + n);
+      }
+      continue;
+    }
+    parseLines(readSegmentText(paths, index, month, range), add);
+  }
+  parseLines(readText(paths.rotating), add);
+  parseLines(readText(paths.hot), add);
+  return days;
+}
+
+function buildSegment(events) {
+  const sorted = events
+    .map((e, i) => ({ ...e, ms: Date.parse(e.event.ts), i }))
+    .sort((a, b) => a.ms - b.ms || a.i - b.i);
+
+  let offset = 0;
+  const days = {};
+  const rollup = new Map();
+  const lines = [];
+  for (const { event, line, ms } of sorted) {
+    const day = new Date(ms - (ms % DAY_MS)).toISOString();
+    const bytes = Buffer.byteLength(line, "utf8") + 1;
+    const key = day.slice(0, 10);
+    if (!days[key]) days[key] = [offset, offset];
+    days[key][1] = offset + bytes;
+    offset += bytes;
+    lines.push(line);
+
+    if (!rollup.has(day)) rollup.set(day, { day, events: 0, modules: {}, surfaces: {} });
+    const r = rollup.get(day);
+    r.events += 1;
+    const surface = event.surface_id || "unknown";
+    if (typeof event.module === "string" && event.module) {
+      r.modules[event.module] = (r.modules[event.module] || 0) + 1;
+    }
+    r.surfaces[surface] = (r.surfaces[surface] || 0) + 1;
+  }
+
+  return {
+    text: lines.map((l) => `${l}\n`).join(""),
+    entry: { bytes: offset, events: lines.length, days },
+    rollupDays: [...rollup.values()],
+  };
+}
+
+function tryLock(lockPath) {
+  try {
+    const fd = fs.openSync(lockPath, "wx");
+    fs.writeSync(fd, `${process.pid}\n`);
+    fs.closeSync(fd);
+    return true;
+  } catch (err) {
+    if (err?.code !== "EEXIST") throw err;
+    return false;
+  }
+}
+
+// Exclusive compaction lock (O_EXCL create); false when another compaction holds it.
+function acquireCompactionLock(paths) {
+  fs.mkdirSync(paths.dir, { recursive: true });
+  if (tryLock(paths.lock)) return true;
+  let stale = false;
+  try {
+    stale = Date.now() - fs.statSync(paths.lock).mtimeMs > DRIFT_COMPACT_LOCK_STALE_MS;
+  } catch {
+    return tryLock(paths.lock);
+  }
+  if (!stale) return false;
+  fs.rmSync(paths.lock, { force: true });
+  return tryLock(paths.lock);
+}
+
+/**
+ * Rotate the hot file into month segments, re-sort/re-index any segment
+ * changed since the last compaction and rewrite daily rollups.
+ * dryRun reports what would change without writing. Writing compactions take
+ * compact.lock; when another one holds it nothing is done and the report has locked: true.
+ */
+export function compactDriftStore({ eventsPath, dryRun = false }) {
+  const paths = driftStorePaths(eventsPath);
+  if (dryRun) return compactUnlocked(paths, true);
+  if (!acquireCompactionLock(paths)) {
+    return {
+      kind: "drift_compaction",
+      v: 1,
+      dry_run: false,
+      locked: true,
+      rotated_events: 0,
+      invalid_lines_quarantined: 0,
+      quarantine_path: null,
+      segments: [],
+      totals: { segments: 0, events: 0, bytes: 0 },
+    };
+  }
+  try {
+    return compactUnlocked(paths, false);
+  } finally {
+    fs.rmSync(paths.lock, { force: true });
+  }
+}
+
+// items whose line is not already in presentLines; counted, so repeated lines are matched one for one.
+function withoutLinesIn(items, presentLines, lineOf = (item) => item.line) {
+  const counts = new Map();
+  for (const line of presentLines) counts.set(line, (counts.get(line) || 0) + 1);
+  return items.filter((item) => {
+    const left = counts.get(lineOf(item)) || 0;
+    if (left === 0) return true;
+    counts.set(lineOf(item), left - 1);
+    return false;
+  });
+}
+
+function compactUnlocked(paths, dryRun) {
+  const index = readIndex(paths);
+
+  // A leftover rotating file means an interrupted compaction; finish it first. It may
+  // have died after writing some segments or the quarantine, so lines already there
+  // are not added again.
+  const resuming = !dryRun && fs.existsSync(paths.rotating);
+  if (!dryRun && !resuming && fs.existsSync(paths.hot)) {
+    fs.renameSync(paths.hot, paths.rotating);
+  }
+  const incomingText = readText(paths.rotating) + (dryRun ? readText(paths.hot) : "");
+
+  // Lines that do not parse or upgrade (corrupt, or from a newer schema) are never
+  // dropped: they go to the quarantine file before any source file is rewritten or removed.
+  const rejected = [];
+  const incoming = new Map();
+  parseLines(
+    incomingText,
+    (event, line) => {
+      const month = monthOf(Date.parse(event.ts));
+      if (!incoming.has(month)) incoming.set(month, []);
+      incoming.get(month).push({ event, line });
+    },
+    (line) => rejected.push(line)
+  );
+
+  const months = [...new Set([...listSegmentMonths(paths), ...incoming.keys()])].sort();
+  const segments = [];
+  const rewrites = [];
+  let rotated = 0;
+
+  for (const month of months) {
+    const added = incoming.get(month) || [];
+    const fresh = freshEntry(index, paths, month);
+    const hasRollup = fs.existsSync(path.join(paths.rollups, `${month}.json`));
+    if (added.length === 0 && fresh && hasRollup) {
+      segments.push({
+        month,
+        events: fresh.events,
+        bytes: fresh.bytes,
+        days: Object.keys(fresh.days).length,
+        rewritten: false,
+      });
+      continue;
+    }
+
+    const existing = [];
+    parseLines(
+      readText(segmentPath(paths, month)),
+      (event, line) => existing.push({ event, line }),
+      (line) => rejected.push(line)
+    );
+    const merged = resuming ? withoutLinesIn(added, existing.map((e) => e.line)) : added;
+    const built = buildSegment([...existing, ...merged]);
+    rotated += merged.length;
+    rewrites.push({ month, built });
+    segments.push({
+      month,
+      events: built.entry.events,
+      bytes: built.entry.bytes,
+      days: Object.keys(built.entry.days).length,
+      rewritten: true,
+    });
+  }
+
+  const quarantined = resuming
+    ? withoutLinesIn(rejected, readText(paths.quarantine).split("\n"), (line) => line)
+    : rejected;
+
+  if (!dryRun) {
+    if (quarantined.length > 0) {
+      const fd = fs.openSync(paths.quarantine, "a");
+      try {
+        fs.writeSync(fd, quarantined.map((line) => `${line}\n`).join(""));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+    for (const { month, built } of rewrites) {
+      writeAtomic(segmentPath(paths, month), built.text);
+      index.segments[month] = built.entry;
+      writeAtomic(
+        path.join(paths.rollups, `${month}.json`),
+        JSON.stringify({ kind: "drift_rollup", v: 1, month, source_bytes: built.entry.bytes, days: built.rollupDays }) + "\n"
+      );
+    }
+    if (months.length > 0) writeAtomic(paths.index, JSON.stringify(index) + "\n");
+    fs.rmSync(paths.rotating, { force: true });
+  }
+
+  return {
+    kind: "drift_compaction",
+    v: 1,
+    dry_run: dryRun,
+    rotated_events: rotated,
+    invalid_lines_quarantined: quarantined.length,
+    quarantine_path: quarantined.length > 0 ? paths.quarantine : null,
+    segments,
+    totals: {
+      segments: segments.length,
+      events: segments.reduce((sum, s) => sum + s.events, 0),
+      bytes: segments.reduce((sum, s) => sum + s.bytes, 0),
+    },
+  };
+}
+
+export function renderDriftCompactionText(report) {
+  const lines = [];
+  lines.push(report.dry_run ? "Drift Compaction (dry run)" : "Drift Compaction");
+  lines.push("----------------");
+  lines.push(`Rotated events: ${report.rotated_events}`);
+  lines.push(`Invalid lines quarantined: ${report.invalid_lines_quarantined}`);
+  if (report.quarantine_path) lines.push(`Quarantine: ${report.quarantine_path}`);
+  lines.push(`Segments: ${report.totals.segments} (${report.totals.events} events, ${report.totals.bytes} bytes)`);
+  for (const s of report.segments) {
+    lines.push(`  ${s.month}  ${s.events} events, ${s.days} days${s.rewritten ? "  (rewritten)" : ""}`);
+  }
+  lines.push("");
+  return lines.join("\n");
+}
@@ -1,78 +1,51 @@
 // packages/guard/src/runtime/drift/timeline.mjs
-import fs from "node:fs";
-
-function parseJsonlSafe(path) {
-  if (!fs.existsSync(path)) return [];
-  const lines = fs.readFileSync(path, "utf8").split("\n").filter(Boolean);
-
-  const out = [];
-  for (const line of lines) {
-    try {
-      const obj = JSON.parse(line);
-      if (obj?.kind === "drift_event" && obj?.v === 2) {
-        out.push(obj);
-      }
-    } catch {}
-  }
-  return out;
-}
+import { actorLabel, countByActor } from "../actor.mjs";
+import { matchesDriftFilter } from "./analyzer.mjs";
+import { bucketStart, inRange, resolveDriftRange } from "./range.mjs";
+import { readDriftEvents } from "./store.mjs";
 
 /**
- * UTC-stable bucket boundary
- * Prevents timezone drift across machines (CI / Windows / macOS)
+ * range: explicit [since, until) from range.mjs; defaults to the rolling window ending now.
+ * bucket: hour | day | week | month (UTC).
+ * filter: { surface, module, actor } (see analyzer.mjs).
+ * Each bucket breaks its events down by actor; `actors` totals the range.
  */
-function bucketStart(ts, bucket) {
-  const d = new Date(ts);
-
-  if (bucket === "hour") {
-    return new Date(Date.UTC(
-      d.getUTCFullYear(),
-      d.getUTCMonth(),
-      d.getUTCDate(),
-      d.getUTCHours()
-    )).toISOString();
-  }
-
-  // day bucket (default)
-  return new Date(Date.UTC(
-    d.getUTCFullYear(),
-    d.getUTCMonth(),
-    d.getUTCDate()
-  )).toISOString();
-}
-
 export function buildTimeline({
   eventsPath,
   window = "7d",
-  bucket = "day"
+  bucket = "day",
+  range = null,
+  filter = null,
+  nowMs = Date.now()
 }) {
-  const events = parseJsonlSafe(eventsPath);
-
-  const days = window === "14d" ? 14 : window === "30d" ? 30 : 7;
+  const activeRange = range || resolveDriftRange({ window, nowMs }).range;
 
-  // Use UTC-based now
-  const now = Date.now();
-  const start = now - days * 24 * 60 * 60 * 1000;
+  const events = readDriftEvents({ eventsPath, range: activeRange });
 
   const buckets = new Map();
+  const matched = [];
 
   for (const e of events) {
     const ts = Date.parse(e.ts);
-    if (!ts || ts < start) continue;
+    if (!ts || !inRange(ts, activeRange) || !matchesDriftFilter(e, filter)) continue;
 
     const key = bucketStart(ts, bucket);
+    matched.push(e);
 
     if (!buckets.has(key)) {
       buckets.set(key, {
         t: key,
         events: 0,
-        modules: new Set()
+        modules: new Set(),
+        actors: {}
       });
     }
 
     const b = buckets.get(key);
     b.events++;
     b.modules.add(e.module);
+    const actor = actorLabel(e.identity) || "unknown";
+    b.actors[actor] = (b.actors[actor] || 0) + 1;
   }
 
   const series = Array.from(buckets.values())
@@ -80,7 +53,8 @@ export function buildTimeline({
     .map(b => ({
       t: b.t,
       events: b.events,
-      unique_modules: b.modules.size
+      unique_modules: b.modules.size,
+      actors: b.actors
     }));
 
   return {
@@ -88,7 +62,9 @@ export function buildTimeline({
     v: 1,
     window,
     bucket,
+    range: { since: activeRange.since, until: activeRange.until },
     generated_at: new Date().toISOString(),
-    series
+    series,
+    actors: countByActor(matched, (e) => e.identity)
   };
 }
@@ -0,0 +1,10 @@
+export {
+  GOVERNANCE_EMIT_MANIFEST_KIND,
+  GOVERNANCE_EMIT_MANIFEST_VERSION,
+  GOVERNANCE_EMIT_ARTIFACT_SETS,
+  GOVERNANCE_PERMIT_CHAIN_ARTIFACTS,
+  buildGovernanceArtifacts,
+  buildGovernancePermitChain,
+  buildGovernanceEmitManifest,
+  serializeChainArtifact,
+} from "./permitChain.mjs";
@@ -0,0 +1,236 @@
+import crypto from "node:crypto";
+
+import {
+  buildPolicyPermitBridgeContract,
+  assertValidPolicyPermitBridgeContract,
+} from "../bridge/index.mjs";
+import {
+  buildPermitGateResult,
+  assertValidPermitGateResult,
+  buildGovernanceReceipt,
+  assertValidGovernanceReceipt,
+  buildGovernanceDecisionRecord,
+  assertValidGovernanceDecisionRecord,
+  buildGovernanceOutcomeBundle,
+  assertValidGovernanceOutcomeBundle,
+  buildGovernanceApplicationRecord,
+  assertValidGovernanceApplicationRecord,
+  buildGovernanceDisposition,
+  assertValidGovernanceDisposition,
+  buildGovernanceActivationRecord,
+  assertValidGovernanceActivationRecord,
+  GOVERNANCE_CONSUMPTION_ARTIFACT_ORDER,
+  GOVERNANCE_CONSUMPTION_PROFILE,
+  GOVERNANCE_CONSUMPTION_PROFILE_KIND,
+  GOVERNANCE_CONSUMPTION_PROFILE_VERSION,
+  GOVERNANCE_CONSUMPTION_REQUIRED,
+  GOVERNANCE_CONSUMPTION_REQUIRED_ARTIFACTS,
+} from "../permit/index.mjs";
+import {
+  buildCanonicalActionArtifactFromAudit,
+  buildEnforcementAdjacentDecisionRecord,
+  buildExecutionBridgePreview,
+  buildExecutionReadinessJudgment,
+  buildCanonicalActionPolicyPreview,
+  buildPermitPrecheckPreview,
+  assertValidEnforcementAdjacentDecisionRecord,
+  assertValidExecutionBridgePreview,
+  assertValidExecutionReadinessJudgment,
+  assertValidCanonicalActionPolicyPreview,
+  assertValidPermitPrecheckPreview,
+} from "../../actions/index.mjs";
+
+export const GOVERNANCE_EMIT_MANIFEST_KIND = "governance_emit_manifest";
+export const GOVERNANCE_EMIT_MANIFEST_VERSION = "v1";
+export const GOVERNANCE_EMIT_ARTIFACT_SETS = Object.freeze(["all", "required"]);
+
+// Permit chain in build order; each artifact links to the ones built before it.
+export const GOVERNANCE_PERMIT_CHAIN_ARTIFACTS = Object.freeze([
+  "permit_gate_result",
+  "governance_receipt",
+  "governance_decision_record",
+  "governance_outcome_bundle",
+  "governance_application_record",
+  "governance_disposition",
+  "governance_activation_record",
+]);
+
+/**
+ * Canonical action -> policy preview -> permit precheck -> execution bridge -> readiness ->
+ * enforcement-adjacent decision -> policy/permit bridge, each validated.
+ */
+export function buildGovernanceArtifacts({ audit, effectivePolicy }) {
+  const canonicalActionArtifact = buildCanonicalActionArtifactFromAudit(audit);
+  const policyPreviewArtifact = assertValidCanonicalActionPolicyPreview(
+    buildCanonicalActionPolicyPreview({
+      canonicalActionArtifact,
+      policy: effectivePolicy,
+    })
+  );
+  const permitPrecheckArtifact = assertValidPermitPrecheckPreview(
+    buildPermitPrecheckPreview({
+      canonicalActionArtifact,
+      policyPreviewArtifact,
+    })
+  );
+  const executionBridgeArtifact = assertValidExecutionBridgePreview(
+    buildExecutionBridgePreview({
+      canonicalActionArtifact,
+      policyPreviewArtifact,
+      permitPrecheckArtifact,
+    })
+  );
+  const executionReadinessArtifact = assertValidExecutionReadinessJudgment(
+    buildExecutionReadinessJudgment({
+      canonicalActionArtifact,
+      executionBridgeArtifact,
+    })
+  );
+  const enforcementAdjacentDecisionArtifact = assertValidEnforcementAdjacentDecisionRecord(
+    buildEnforcementAdjacentDecisionRecord({
+      canonicalActionArtifact,
+      executionReadinessArtifact,
+    })
+  );
+  const policyPermitBridgeArtifact = assertValidPolicyPermitBridgeContract(
+    buildPolicyPermitBridgeContract({
+      canonicalActionArtifact,
+      policyPreviewArtifact,
+      permitPrecheckArtifact,
+      executionBridgeArtifact,
+      executionReadinessArtifact,
+      enforcementAdjacentDecisionArtifact,
+    })
+  );
+
+  return {
+    canonicalActionArtifact,
+    policyPreviewArtifact,
+    permitPrecheckArtifact,
+    executionBridgeArtifact,
+    executionReadinessArtifact,
+    enforcementAdjacentDecisionArtifact,
+    policyPermitBridgeArtifact,
+  };
+}
+
+/**
+ * Build the permit chain from an audit. artifacts "all" builds every chain artifact;
+ * "required" builds only the profile's required ones (the others are passed on as null).
+ * Every artifact is checked with its assertValid*; the first failure throws.
+ */
+export function buildGovernancePermitChain({ audit, effectivePolicy, artifacts = "all" }) {
+  const governanceArtifacts = buildGovernanceArtifacts({ audit, effectivePolicy });
+  const wanted = (artifactId) =>
+    artifacts === "all" || GOVERNANCE_CONSUMPTION_REQUIRED_ARTIFACTS.includes(artifactId);
+  const policyPermitBridgeContract = governanceArtifacts.policyPermitBridgeArtifact;
+
+  const permitGateResult = assertValidPermitGateResult(buildPermitGateResult({ policyPermitBridgeContract }));
+  const links = { audit, policyPermitBridgeContract, permitGateResult };
+  const governanceReceipt = wanted("governance_receipt")
+    ? assertValidGovernanceReceipt(buildGovernanceReceipt(links))
+    : null;
+  const governanceDecisionRecord = assertValidGovernanceDecisionRecord(
+    buildGovernanceDecisionRecord({ ...links, governanceReceipt })
+  );
+  const governanceOutcomeBundle = wanted("governance_outcome_bundle")
+    ? assertValidGovernanceOutcomeBundle(
+        buildGovernanceOutcomeBundle({ ...links, governanceReceipt, governanceDecisionRecord })
+      )
+    : null;
+  const governanceApplicationRecord = wanted("governance_application_record")
+    ? assertValidGovernanceApplicationRecord(
+        buildGovernanceApplicationRecord({
+          ...links,
+          governanceReceipt,
+          governanceDecisionRecord,
+          governanceOutcomeBundle,
+        })
+      )
+    : null;
+  const governanceDisposition = wanted("governance_disposition")
+    ? assertValidGovernanceDisposition(
+        buildGovernanceDisposition({
+          ...links,
+          governanceReceipt,
+          governanceDecisionRecord,
+          governanceOutcomeBundle,
+          governanceApplicationRecord,
+        })
+      )
+    : null;
+  const governanceActivationRecord = assertValidGovernanceActivationRecord(
+    buildGovernanceActivationRecord({
+      ...links,
+      governanceReceipt,
+      governanceDecisionRecord,
+      governanceOutcomeBundle,
+      governanceApplicationRecord,
+      governanceDisposition,
+    })
+  );
+
+  return {
+    governanceArtifacts,
+    chain: {
+      permit_gate_result: permitGateResult,
+      governance_receipt: governanceReceipt,
+      governance_decision_record: governanceDecisionRecord,
+      governance_outcome_bundle: governanceOutcomeBundle,
+      governance_application_record: governanceApplicationRecord,
+      governance_disposition: governanceDisposition,
+      governance_activation_record: governanceActivationRecord,
+    },
+  };
+}
+
+// File form of an emitted artifact; the manifest sha256 is taken over exactly these bytes.
+export function serializeChainArtifact(artifact) {
+  return JSON.stringify(artifact, null, 2) + "\n";
+}
+
+/**
+ * One entry per GOVERNANCE_CONSUMPTION_PROFILE artifact, in profile order: what was produced,
+ * where, and why anything was left out. files maps artifact_id -> relative file name.
+ */
+export function buildGovernanceEmitManifest({ chain, files, artifacts, source }) {
+  const entries = GOVERNANCE_CONSUMPTION_ARTIFACT_ORDER.map((artifactId) => {
+    const profile = GOVERNANCE_CONSUMPTION_PROFILE[artifactId];
+    const artifact = chain[artifactId] ?? null;
+    let omitted = null;
+    if (!artifact) {
+      omitted = GOVERNANCE_PERMIT_CHAIN_ARTIFACTS.includes(artifactId)
+        ? `not selected by --artifacts ${artifacts}`
+        : "not part of the permit chain";
+    }
+    return {
+      artifact_id: artifactId,
+      requirement: profile.requirement,
+      consumer_safe: profile.consumer_safe,
+      surface_tier: profile.surface_tier,
+      consumer_safe_linkage_targets: [...profile.consumer_safe_linkage_targets],
+      produced: Boolean(artifact),
+      file: artifact ? files[artifactId] : null,
+      sha256: artifact
+        ? `sha256:${crypto.createHash("sha256").update(serializeChainArtifact(artifact), "utf8").digest("hex")}`
+        : null,
+      omitted,
+    };
+  });
+  const missingRequired = entries
+    .filter((entry) => entry.requirement === GOVERNANCE_CONSUMPTION_REQUIRED && !entry.produced)
+    .map((entry) => entry.artifact_id);
+
+  return {
+    kind: GOVERNANCE_EMIT_MANIFEST_KIND,
+    version: GOVERNANCE_EMIT_MANIFEST_VERSION,
+    profile: { kind: GOVERNANCE_CONSUMPTION_PROFILE_KIND, version: GOVERNANCE_CONSUMPTION_PROFILE_VERSION },
+    source,
+    artifacts_selection: artifacts,
+    canonical_action_hash: chain.permit_gate_result?.canonical_action_hash ?? null,
+    permit_gate: chain.permit_gate_result?.permit_gate ?? null,
+    complete: missingRequired.length === 0,
+    missing_required: missingRequired,
+    artifacts: entries,
+  };
+}
@@ -0,0 +1,210 @@
+import fs from "node:fs";
+
+import { inRange, precedingRange, resolveDriftRange } from "./drift/range.mjs";
+
+export const HOTSPOT_SORTS = ["cumulative", "peak", "hard_block"];
+
+// cumulative vs previous range: +/-20% separates rising/falling from stable
+const TREND_RATIO = 0.2;
+
+function parseJsonlSafe(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const lines = fs.readFileSync(filePath, "utf8").split("\n").filter(Boolean);
+  const out = [];
+  for (const line of lines) {
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // ignore
+    }
+  }
+  return out;
+}
+
+function round2(x) {
+  return Number(x.toFixed(2));
+}
+
+/**
+ * Split one audit's score across the modules it touched, weighted by file
+ * count (spread.module_counts); older lines without counts split evenly.
+ */
+export function attributeAuditRisk(entry) {
+  const score = Number(entry?.risk?.score);
+  if (!Number.isFinite(score)) return [];
+
+  const counts = entry?.spread?.module_counts;
+  if (counts && typeof counts === "object" && Object.keys(counts).length > 0) {
+    const total = Object.values(counts).reduce((sum, n) => sum + Number(n || 0), 0);
+    if (total > 0) {
+      return Object.keys(counts)
+        .sort()
+        .map((module) => ({ module, share: Number(counts[module] || 0) / total, score }));
+    }
+  }
+
+  const modules = Array.isArray(entry?.spread?.modules_touched) ? entry.spread.modules_touched : [];
+  return modules.map((module) => ({ module, share: 1 / modules.length, score }));
+}
+
+function trendOf(current, previous) {
+  if (previous <= 0) return current > 0 ? "new" : "stable";
+  if (current >= previous * (1 + TREND_RATIO)) return "rising";
+  if (current <= previous * (1 - TREND_RATIO)) return "falling";
+  return "stable";
+}
+
+function emptyModule(module) {
+  return {
+    module,
+    audits: 0,
+    cumulative: 0,
+    peak: 0,
+    score_sum: 0,
+    hard_block: 0,
+    soft_block: 0,
+    drivers: {},
+  };
+}
+
+/**
+ * v0.31 risk hotspots: Risk v1 scores from audit.jsonl attributed to modules.
+ * - cumulative: sum of attributed score (score x module file share)
+ * - peak: highest full audit score among audits touching the module
+ * - hard_block_rate: hard_block audits / audits touching the module
+ * - trend: cumulative vs the preceding range of equal length
+ * Read-only; never affects verdicts or exit codes.
+ */
+export function buildRiskHotspots({
+  auditPath,
+  window = "30d",
+  range = null,
+  sort = "cumulative",
+  top = 10,
+  nowMs = Date.now(),
+}) {
+  const currentRange = range || resolveDriftRange({ window, nowMs }).range;
+  const previousRange = precedingRange(currentRange, nowMs);
+
+  const modules = new Map();
+  const previousTotals = new Map();
+  let audits = 0;
+  let hardBlockAudits = 0;
+  let unattributed = 0;
+
+  for (const entry of parseJsonlSafe(auditPath)) {
+    const ts = Date.parse(entry?.ts);
+    if (!ts) continue;
+
+    const inCurrent = inRange(ts, currentRange);
+    const inPrevious = inRange(ts, previousRange);
+    if (!inCurrent && !inPrevious) continue;
+
+    const parts = attributeAuditRisk(entry);
+    if (inPrevious) {
+      for (const part of parts) {
+        previousTotals.set(part.module, (previousTotals.get(part.module) || 0) + part.score * part.share);
+      }
+    }
+    if (!inCurrent) continue;
+
+    audits += 1;
+    if (entry.verdict === "hard_block") hardBlockAudits += 1;
+    if (parts.length === 0) {
+      unattributed += 1;
+      continue;
+    }
+
+    for (const part of parts) {
+      if (!modules.has(part.module)) modules.set(part.module, emptyModule(part.module));
+      const m = modules.get(part.module);
+      m.audits += 1;
+      m.cumulative += part.score * part.share;
+      m.peak = Math.max(m.peak, part.score);
+      m.score_sum += part.score;
+      if (entry.verdict === "hard_block") m.hard_block += 1;
+      if (entry.verdict === "soft_block") m.soft_block += 1;
+      const driver = entry?.risk?.primary_driver;
+      if (driver) m.drivers[driver] = (m.drivers[driver] || 0) + 1;
+    }
+  }
+
+  const totalCumulative = [...modules.values()].reduce((sum, m) => sum + m.cumulative, 0);
+
+  const rows = [...modules.values()].map((m) => {
+    const previous = previousTotals.get(m.module) || 0;
+    const driver = Object.entries(m.drivers).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+    return {
+      module: m.module,
+      audits: m.audits,
+      cumulative_risk: round2(m.cumulative),
+      share: totalCumulative > 0 ? round2(m.cumulative / totalCumulative) : 0,
+      peak_risk: m.peak,
+      mean_risk: round2(m.score_sum / m.audits),
+      hard_block: m.hard_block,
+      hard_block_rate: round2(m.hard_block / m.audits),
+      soft_block: m.soft_block,
+      primary_driver: driver ? driver[0] : null,
+      cumulative_risk_prev: round2(previous),
+      trend: trendOf(m.cumulative, previous),
+    };
+  });
+
+  const sortKey = {
+    cumulative: (r) => [r.cumulative_risk, r.peak_risk, r.hard_block_rate],
+    peak: (r) => [r.peak_risk, r.cumulative_risk, r.hard_block_rate],
+    hard_block: (r) => [r.hard_block_rate, r.hard_block, r.cumulative_risk],
+  }[HOTSPOT_SORTS.includes(sort) ? sort : "cumulative"];
+
+  rows.sort((a, b) => {
+    const ka = sortKey(a);
+    const kb = sortKey(b);
+    for (let i = 0; i < ka.length; i++) {
+      if (kb[i] !== ka[i]) return kb[i] - ka[i];
+    }
+    return a.module.localeCompare(b.module);
+  });
+
+  const limit = Math.max(1, Number(top) || 10);
+
+  return {
+    kind: "risk_hotspots",
+    v: 1,
+    window,
+    range: { since: currentRange.since, until: currentRange.until },
+    range_prev: { since: previousRange.since, until: previousRange.until },
+    generated_at: new Date().toISOString(),
+    sort,
+    summary: {
+      audits,
+      unattributed,
+      hard_block_audits: hardBlockAudits,
+      modules: rows.length,
+    },
+    hotspots: rows.slice(0, limit).map((row, i) => ({ rank: i + 1, ...row })),
+  };
+}
+
+export function renderRiskHotspotsText(report) {
+  const lines = [];
+  lines.push("Risk Hotspots");
+  lines.push("-------------");
+  lines.push(`Range: ${report.range.since} .. ${report.range.until || "now"}`);
+  lines.push(
+    `Audits: ${report.summary.audits} (hard_block ${report.summary.hard_block_audits})  ` +
+      `Modules: ${report.summary.modules}  Sort: ${report.sort}`
+  );
+  lines.push("");
+  if (report.hotspots.length === 0) {
+    lines.push("(no audits in range)");
+  }
+  for (const h of report.hotspots) {
+    lines.push(
+      `${String(h.rank).padStart(2)}. ${h.module}  cumulative ${h.cumulative_risk} (${Math.round(h.share * 100)}%), ` +
+        `peak ${h.peak_risk}, hard_block ${h.hard_block}/${h.audits}, ${h.trend}` +
+        (h.primary_driver ? `, driver ${h.primary_driver}` : "")
+    );
+  }
+  lines.push("");
+  return lines.join("\n");
+}
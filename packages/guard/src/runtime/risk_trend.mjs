@@ -1,8 +1,15 @@
 import fs from "node:fs";
 
+import { CUSUM_DEFAULTS, ANOMALY_Z_THRESHOLD, detectAnomalies, detectChangePoints } from "../analytics/changepoint.mjs";
+import { countByActor } from "./actor.mjs";
+
+export const RISK_TREND_WINDOWS = ["7d", "14d", "30d", "90d"];
+export const RISK_TREND_METRICS = ["risk_score_avg", "risk_score_p95", "risk_events"];
+
 function windowToDays(w) {
   if (w === "14d") return 14;
   if (w === "30d") return 30;
+  if (w === "90d") return 90;
   return 7;
 }
 
@@ -18,18 +25,50 @@ function daysBackIso(days, nowMs) {
   return { startIso: start.toISOString(), endIso: end.toISOString() };
 }
 
-function parseJsonlSafe(path) {
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Rows of an audit.jsonl from startMs on, read backwards from the end of the file.
+ * audit.jsonl is in ts order (guard audit appends, audit replay merges by ts), so reading stops
+ * at the first older row; replay rows are passed over since older replays appended them unordered.
+ */
+function readJsonlSince(path, startMs) {
   if (!fs.existsSync(path)) return [];
-  const lines = fs.readFileSync(path, "utf8").split("\n").filter(Boolean);
+  const fd = fs.openSync(path, "r");
   const out = [];
-  for (const line of lines) {
-    try {
-      out.push(JSON.parse(line));
-    } catch {
-      // ignore
+  try {
+    let pos = fs.fstatSync(fd).size;
+    let carry = Buffer.alloc(0);
+    while (pos > 0) {
+      const len = Math.min(TAIL_CHUNK_BYTES, pos);
+      pos -= len;
+      const chunk = Buffer.alloc(len);
+      fs.readSync(fd, chunk, 0, len, pos);
+      const data = Buffer.concat([chunk, carry]);
+      // Until the start of the file, the text before the first newline may be a partial line.
+      const cut = pos > 0 ? data.indexOf(10) : -1;
+      if (pos > 0 && cut < 0) {
+        carry = data;
+        continue;
+      }
+      carry = cut < 0 ? Buffer.alloc(0) : data.subarray(0, cut);
+      const lines = data.subarray(cut + 1).toString("utf8").split("\n").filter(Boolean);
+      for (let i = lines.length - 1; i >= 0; i--) {
+        let obj;
+        try {
+          obj = JSON.parse(lines[i]);
+        } catch {
+          continue;
+        }
+        const ts = Date.parse(extractTs(obj) || "");
+        if (ts && ts < startMs && obj?.mode !== "replay") return out.reverse();
+        out.push(obj);
+      }
     }
+  } finally {
+    fs.closeSync(fd);
   }
-  return out;
+  return out.reverse();
 }
 
 function quantile(sorted, q) {
@@ -130,10 +169,12 @@ function extractRiskScore(obj) {
  * [{ t, risk_events, risk_score_avg, risk_score_p95 }]
  *
  * signal-only: no governance semantics; best-effort parsing; missing days filled with zeros.
+ * match: optional (actor) => boolean over each row's `actor` block.
  */
 export function readRiskTrendFromAuditJsonl({
   auditPath,
   window = "7d",
+  match = null,
   nowMs = Date.now()
 }) {
   const days = windowToDays(window);
@@ -147,13 +188,14 @@ export function readRiskTrendFromAuditJsonl({
     rows.set(t, { t, scores: [], n: 0 });
   }
 
-  const all = parseJsonlSafe(auditPath);
+  const all = readJsonlSince(auditPath, startMs);
   for (const obj of all) {
     const tsStr = extractTs(obj);
     if (!tsStr) continue;
 
     const ts = Date.parse(tsStr);
     if (!ts || ts < startMs || ts >= endMs) continue;
+    if (match && !match(obj.actor)) continue;
 
     const t = utcDayStartIso(ts);
     const row = rows.get(t);
@@ -181,3 +223,136 @@ export function readRiskTrendFromAuditJsonl({
 
   return series;
 }
+
+/**
+ * Audit rows per actor in the window: [{ actor, kind, events }] (see actor.mjs).
+ */
+export function countAuditActors({ auditPath, window = "7d", nowMs = Date.now() }) {
+  const days = windowToDays(window);
+  const startMs = Date.parse(daysBackIso(days, nowMs).startIso);
+  const endMs = startMs + days * 24 * 60 * 60 * 1000;
+  const rows = readJsonlSince(auditPath, startMs).filter((obj) => {
+    const ts = Date.parse(extractTs(obj) || "");
+    return ts && ts >= startMs && ts < endMs;
+  });
+  return countByActor(rows, (obj) => obj.actor);
+}
+
+function trendDirection(first, last) {
+  const delta = last - first;
+  if (delta > 3) return "up";
+  if (delta < -3) return "down";
+  return "flat";
+}
+
+/**
+ * Daily risk series plus optional change-point / anomaly detection.
+ * - detection runs over days with audits only (zero-filled days are gaps, not scores),
+ *   except for risk_events where an idle day is a real 0
+ * - change points: two-sided CUSUM; anomalies: robust z-score
+ * - signal-only; never affects verdicts or exit codes
+ */
+export function buildRiskTrendReport({
+  auditPath,
+  window = "30d",
+  metric = "risk_score_avg",
+  detect = false,
+  nowMs = Date.now(),
+}) {
+  const series = readRiskTrendFromAuditJsonl({ auditPath, window, nowMs });
+  const observed = metric === "risk_events" ? series : series.filter((d) => d.risk_events > 0);
+  const values = observed.map((d) => d[metric]);
+
+  const report = {
+    kind: "risk_trend",
+    v: 1,
+    window,
+    bucket: "day",
+    metric,
+    generated_at: new Date(nowMs).toISOString(),
+    summary: {
+      days: series.length,
+      observed_days: observed.length,
+      audits: series.reduce((sum, d) => sum + d.risk_events, 0),
+      first: values.length ? values[0] : null,
+      last: values.length ? values[values.length - 1] : null,
+      direction: values.length >= 2 ? trendDirection(values[0], values[values.length - 1]) : "flat",
+    },
+    series,
+  };
+
+  if (detect) report.detection = detectRiskShifts(observed, metric);
+  return report;
+}
+
+/**
+ * Change points and anomalies over [{ t, ...metric }] rows (already filtered).
+ */
+export function detectRiskShifts(rows, metric = "risk_score_avg") {
+  const values = rows.map((d) => d[metric]);
+  const changePoints = detectChangePoints(values);
+  const notes = [];
+  if (values.length < CUSUM_DEFAULTS.warmup + 1) notes.push("insufficient_points_for_change_points");
+
+  const last = changePoints[changePoints.length - 1] || null;
+  return {
+    method: {
+      change_points: { name: "cusum", ...CUSUM_DEFAULTS },
+      anomalies: { name: "robust_z", threshold: ANOMALY_Z_THRESHOLD },
+    },
+    points: values.length,
+    change_points: changePoints.map((c) => ({
+      t: rows[c.index].t,
+      alarm_t: rows[c.alarm_index].t,
+      direction: c.direction,
+      mean_before: c.mean_before,
+      mean_after: c.mean_after,
+      magnitude: c.magnitude,
+    })),
+    anomalies: detectAnomalies(values).map((a) => ({
+      t: rows[a.index].t,
+      value: a.value,
+      z: a.z,
+      direction: a.direction,
+    })),
+    shifted: last !== null,
+    last_shift: last ? { t: rows[last.index].t, direction: last.direction, magnitude: last.magnitude } : null,
+    notes,
+  };
+}
+
+export function renderRiskTrendText(report) {
+  const lines = [];
+  lines.push("Risk Trend");
+  lines.push("----------");
+  lines.push(`Window: ${report.window}  Metric: ${report.metric}  Bucket: ${report.bucket}`);
+  lines.push(
+    `Audits: ${report.summary.audits} over ${report.summary.observed_days}/${report.summary.days} days  ` +
+      `Direction: ${report.summary.direction}`
+  );
+  lines.push("");
+  for (const d of report.series) {
+    if (d.risk_events === 0) continue;
+    lines.push(`${d.t.slice(0, 10)}  ${String(d[report.metric]).padStart(6)}  (${d.risk_events} audits)`);
+  }
+  if (report.series.every((d) => d.risk_events === 0)) lines.push("(no audits in window)");
+
+  const det = report.detection;
+  if (det) {
+    lines.push("");
+    lines.push(`Change points (CUSUM, k=${det.method.change_points.k}, h=${det.method.change_points.h}):`);
+    if (det.change_points.length === 0) lines.push("  (none)");
+    for (const c of det.change_points) {
+      const sign = c.magnitude >= 0 ? "+" : "";
+      lines.push(`  ${c.t.slice(0, 10)}  ${c.direction}  ${c.mean_before} -> ${c.mean_after} (${sign}${c.magnitude})`);
+    }
+    lines.push(`Anomalies (robust z >= ${det.method.anomalies.threshold}):`);
+    if (det.anomalies.length === 0) lines.push("  (none)");
+    for (const a of det.anomalies) {
+      lines.push(`  ${a.t.slice(0, 10)}  ${a.direction}  value ${a.value}  z ${a.z}`);
+    }
+    for (const note of det.notes) lines.push(`Note: ${note}`);
+  }
+  lines.push("");
+  return lines.join("\n");
+}
@@ -1,3 +1,6 @@
+import { compileStringOp, conditionKind } from "./conditions.mjs";
+import { moduleBucketOfPath } from "./risk_v1.mjs";
+
 /* ------------------------------------------------------------------ */
 /* Kernel-level pure helpers                                          */
 /* ------------------------------------------------------------------ */
@@ -23,21 +26,59 @@ function compare(op, a, b) {
   }
 }
 
-function evalWhen(policy, signals, when) {
-  if (!when) return false;
-  const any = when.any_of || [];
-  for (const cond of any) {
-    const metric = cond.metric;
-    const op = cond.op;
-    const left = signals[metric];
-    const right =
-      cond.value_ref
-        ? resolveValueRef(policy, cond.value_ref)
-        : cond.value;
-
-    if (compare(op, left, right)) return true;
+function normalizePath(p) {
+  return String(p || "").replaceAll("\\", "/").replace(/^\.\//, "");
+}
+
+// Compiled predicates per condition node, so a policy's globs and regexes compile once.
+const compiledPredicates = new WeakMap();
+
+function evalStringPredicate(values, cond) {
+  if (values.length === 0) return false;
+  let test = compiledPredicates.get(cond);
+  if (!test) {
+    test = compileStringOp(cond.op, cond.value);
+    compiledPredicates.set(cond, test);
+  }
+  return cond.paths === "all" || cond.modules === "all"
+    ? values.every(test)
+    : values.some(test);
+}
+
+function evalNode(ctx, node) {
+  switch (conditionKind(node)) {
+    case "all_of":
+      return node.all_of.length > 0 && node.all_of.every((child) => evalNode(ctx, child));
+    case "any_of":
+      return node.any_of.some((child) => evalNode(ctx, child));
+    case "not":
+      return !evalNode(ctx, node.not);
+    case "metric": {
+      const left = ctx.signals[node.metric];
+      const right =
+        node.value_ref
+          ? resolveValueRef(ctx.policy, node.value_ref)
+          : node.value;
+      return compare(node.op, left, right);
+    }
+    case "paths":
+      return evalStringPredicate(ctx.paths, node);
+    case "modules":
+      return evalStringPredicate(ctx.modules, node);
+    default:
+      return false;
   }
-  return false;
+}
+
+function buildContext(policy, signals, touchedPaths, bucketOf) {
+  const paths = [...new Set(touchedPaths.map(normalizePath).filter(Boolean))].sort();
+  const modules = [...new Set(paths.map(bucketOf))].sort();
+  return { policy, signals, paths, modules };
+}
+
+function evalWhen(ctx, when) {
+  if (!when) return false;
+  return evalNode(ctx, when);
 }
 
 function verdictRank(v) {
@@ -55,8 +96,10 @@ function verdictRank(v) {
  * Deterministic evaluation engine.
  *
  * INPUT:
- *   policy  – loaded policy object
- *   signals – computed diff signals
+ *   policy        – loaded policy object
+ *   signals       – computed diff signals
+ *   touched_paths – repo-relative paths in the diff (for paths/modules conditions)
+ *   bucketOf      – optional path -> module id (compiled module map)
  *
  * OUTPUT:
  *   {
@@ -71,15 +114,16 @@ function verdictRank(v) {
  * No path.
  * Pure logic only.
  */
-export function evaluateAudit({ policy, signals }) {
+export function evaluateAudit({ policy, signals, touched_paths = [], bucketOf = moduleBucketOfPath }) {
   const reasons = [];
   let worst = "allow";
   let score = 0;
+  const ctx = buildContext(policy, signals, touched_paths, bucketOf);
 
   for (const rule of policy.rules || []) {
     if (!rule.enabled) continue;
 
-    const hit = evalWhen(policy, signals, rule.when);
+    const hit = evalWhen(ctx, rule.when);
     if (!hit) continue;
 
     const severity = rule.severity;
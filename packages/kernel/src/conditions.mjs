@@ -0,0 +1,143 @@
+/* ------------------------------------------------------------------ */
+/* Policy condition grammar (shared by evaluation and validation)     */
+/* ------------------------------------------------------------------ */
+
+/**
+ * A rule `when` is a condition node. Nodes are one of:
+ *
+ *   { all_of: [node, ...] }
+ *   { any_of: [node, ...] }
+ *   { not: node }
+ *   { metric, op, value | value_ref }        numeric diff signal
+ *   { paths: "any" | "all", op, value }      touched file paths
+ *   { modules: "any" | "all", op, value }    module buckets of touched paths
+ *
+ * Pure helpers only. No I/O.
+ */
+
+export const NUMERIC_OPS = [">", ">=", "<", "<=", "==", "!="];
+export const STRING_OPS = ["==", "!=", "in", "prefix", "suffix", "contains", "glob", "regex"];
+export const QUANTIFIERS = ["any", "all"];
+
+const NODE_KEYS = ["all_of", "any_of", "not", "metric", "paths", "modules"];
+
+export function conditionKind(node) {
+  if (node === null || typeof node !== "object" || Array.isArray(node)) return null;
+  const kinds = NODE_KEYS.filter((k) => k in node);
+  return kinds.length === 1 ? kinds[0] : null;
+}
+
+/**
+ * Glob -> anchored RegExp.
+ *   **   any characters including "/" ("**\/" also matches zero directories)
+ *   *    any characters except "/"
+ *   ?    one character except "/"
+ *   {a,b} alternation
+ * With { capture: true }, each "*" becomes a capturing group (module map templates).
+ */
+export function globToRegExp(glob, { capture = false } = {}) {
+  let src = "";
+  let depth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      if (glob[i + 2] === "/") {
+        src += "(?:.*/)?";
+        i += 2;
+      } else {
+        src += ".*";
+        i += 1;
+      }
+    } else if (ch === "*") {
+      src += capture ? "([^/]*)" : "[^/]*";
+    } else if (ch === "?") {
+      src += "[^/]";
+    } else if (ch === "{") {
+      depth += 1;
+      src += "(?:";
+    } else if (ch === "}" && depth > 0) {
+      depth -= 1;
+      src += ")";
+    } else if (ch === "," && depth > 0) {
+      src += "|";
+    } else {
+      src += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  if (depth !== 0) throw new Error(`unbalanced braces in glob '${glob}'`);
+  return new RegExp(`^${src}$`);
+}
+
+// Policy regexes run against every touched path; keep them short and free of nested quantifiers.
+export const MAX_REGEX_LENGTH = 256;
+
+function isQuantifierAt(pattern, i) {
+  const ch = pattern[i];
+  return ch === "*" || ch === "+" || (ch === "{" && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)));
+}
+
+/**
+ * Why a policy regex is rejected, or null. Nested quantifiers ("(a+)+", "(?:x*y)*", "((a+)b){2,}")
+ * and quantified alternation ("(a|aa)+", "(\w|\d)*") backtrack catastrophically, so a quantified
+ * group may not contain another * + or {n,m}, nor a "|" at any depth.
+ */
+export function regexSafetyProblem(pattern) {
+  if (pattern.length > MAX_REGEX_LENGTH) return `longer than ${MAX_REGEX_LENGTH} characters`;
+  const groups = [];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "\\") {
+      i += 1;
+      continue;
+    }
+    if (inClass) {
+      if (ch === "]") inClass = false;
+      continue;
+    }
+    if (ch === "[") {
+      inClass = true;
+    } else if (ch === "(") {
+      groups.push({ quantified: false, alternation: false });
+    } else if (ch === ")") {
+      const group = groups.pop();
+      if (!group) continue;
+      if (isQuantifierAt(pattern, i + 1)) {
+        if (group.quantified) return "nested quantifiers";
+        if (group.alternation) return "quantified alternation";
+      }
+      const parent = groups[groups.length - 1];
+      if (parent) {
+        parent.quantified ||= group.quantified;
+        parent.alternation ||= group.alternation;
+      }
+    } else if (ch === "|") {
+      if (groups.length) groups[groups.length - 1].alternation = true;
+    } else if (groups.length && isQuantifierAt(pattern, i)) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return null;
+}
+
+export function compileStringOp(op, value) {
+  switch (op) {
+    case "==": return (s) => s === value;
+    case "!=": return (s) => s !== value;
+    case "in": return (s) => value.includes(s);
+    case "prefix": return (s) => s.startsWith(value);
+    case "suffix": return (s) => s.endsWith(value);
+    case "contains": return (s) => s.includes(value);
+    case "glob": {
+      const re = globToRegExp(value);
+      return (s) => re.test(s);
+    }
+    case "regex": {
+      const problem = regexSafetyProblem(value);
+      if (problem) throw new Error(problem);
+      const re = new RegExp(value);
+      return (s) => re.test(s);
+    }
+    default: return () => false;
+  }
+}
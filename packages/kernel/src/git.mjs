@@ -1,7 +1,22 @@
 import { execFileSync } from "node:child_process";
 
-function git(args) {
-  return execFileSync("git", args, { encoding: "utf8" }).trim();
+import { LOCKFILES } from "./signals.mjs";
+
+const PATCH_MAX_BUFFER = 256 * 1024 * 1024;
+
+// Lockfiles are reported by path; their (often huge) bodies never reach the patch.
+// Binary files only show up as "Binary files differ"; deleted files omit their old text.
+const PATCH_PATHSPEC = ["--", ...[...LOCKFILES].map((name) => `:(top,exclude,glob)**/${name}`)];
+
+function git(args, options = {}) {
+  return execFileSync("git", args, { encoding: "utf8", ...options }).trim();
+}
+
+function diffRangeArgs(args, { staged, base, head }) {
+  if (staged) args.push("--cached");
+  if (base) args.push(base);
+  if (head) args.push(head);
+  return args;
 }
 
 export function getHeadSha() {
@@ -24,11 +39,7 @@ export function getRepoRoot() {
  * Return numstat lines: "<added>\t<deleted>\t<path>"
  */
 export function diffNumstat({ staged, base, head }) {
-  const args = ["diff", "--numstat"];
-  if (staged) args.push("--cached");
-  if (base) args.push(base);
-  if (head) args.push(head);
-  const out = git(args);
+  const out = git(diffRangeArgs(["diff", "--numstat"], { staged, base, head }));
   if (!out) return [];
   return out.split("\n").map((l) => l.trim()).filter(Boolean);
 }
@@ -38,17 +49,120 @@ export function diffNumstat({ staged, base, head }) {
  * Used by Risk v1 Spread Risk (modules_touched).
  */
 export function diffNameOnly({ staged, base, head }) {
-  const args = ["diff", "--name-only"];
-  if (staged) args.push("--cached");
-  if (base) args.push(base);
-  if (head) args.push(head);
+  const out = git(diffRangeArgs(["diff", "--name-only"], { staged, base, head }));
+  if (!out) return [];
+
+  return out
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .map((p) => p.replace(/\\/g, "/"));
+}
+
+/**
+ * Return name-status lines: "<status>\t<path>" (renames/copies: "<status>\t<old>\t<new>")
+ * Used by content signals (deleted tests).
+ */
+export function diffNameStatus({ staged, base, head }) {
+  const out = git(diffRangeArgs(["diff", "--name-status"], { staged, base, head }));
+  if (!out) return [];
+  return out.split("\n").map((l) => l.trim()).filter(Boolean);
+}
+
+/**
+ * Return the zero-context unified patch text, with "a/" and "b/" prefixes stripped.
+ * Lockfiles are excluded. Used by content signals (credential patterns in added lines).
+ */
+export function diffPatch({ staged, base, head }) {
+  const args = [
+    "-c", "core.quotepath=off", "diff", "--unified=0", "--no-color", "--no-ext-diff", "--no-prefix", "--irreversible-delete",
+  ];
+  return git([...diffRangeArgs(args, { staged, base, head }), ...PATCH_PATHSPEC], { maxBuffer: PATCH_MAX_BUFFER });
+}
+
+/**
+ * Resolve a ref (branch, tag, "origin/main", SHA) to a commit SHA.
+ */
+export function resolveCommit(ref) {
+  return git(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]);
+}
 
-  const out = git(args);
+/**
+ * Return the best common ancestor of two commits (PR-style "base...head").
+ */
+export function getMergeBase(a, b) {
+  return git(["merge-base", a, b]);
+}
+
+/**
+ * Return commits reachable from head but not base, oldest first:
+ * [{ sha, author, authored_at, committed_at, subject }]
+ * firstParent: follow only first parents, so commits of merged side branches are left out
+ * (their changes arrive with the merge commit's first-parent diff).
+ */
+export function listRangeCommits({ base, head, firstParent = false }) {
+  const out = git([
+    "log",
+    "--reverse",
+    ...(firstParent ? ["--first-parent"] : []),
+    "--format=%H%x09%an%x09%aI%x09%cI%x09%s",
+    `${base}..${head}`,
+  ]);
   if (!out) return [];
+  return out.split("\n").filter(Boolean).map((line) => {
+    const [sha, author, authored_at, committed_at, ...subject] = line.split("\t");
+    return { sha, author, authored_at, committed_at, subject: subject.join("\t") };
+  });
+}
+
+/**
+ * Return the author name and full message of one commit: { sha, author, message }
+ */
+export function getCommitDetails(sha) {
+  const out = git(["log", "-1", "--format=%an%x00%B", sha]);
+  const [author, ...message] = out.split("\0");
+  return { sha, author, message: message.join("\0") };
+}
 
+/**
+ * Return numstat lines for a single commit against its first parent.
+ */
+export function commitNumstat(sha) {
+  const out = git(["diff-tree", "--root", "-r", "-m", "--first-parent", "--no-commit-id", "--numstat", sha]);
+  if (!out) return [];
+  return out.split("\n").map((l) => l.trim()).filter(Boolean);
+}
+
+/**
+ * Return name-status lines for a single commit against its first parent.
+ */
+export function commitNameStatus(sha) {
+  const out = git(["diff-tree", "--root", "-r", "-m", "--first-parent", "--no-commit-id", "--name-status", sha]);
+  if (!out) return [];
+  return out.split("\n").map((l) => l.trim()).filter(Boolean);
+}
+
+/**
+ * Return changed paths for a single commit against its first parent.
+ */
+export function commitNameOnly(sha) {
+  const out = git(["diff-tree", "--root", "-r", "-m", "--first-parent", "--no-commit-id", "--name-only", sha]);
+  if (!out) return [];
   return out
     .split("\n")
     .map((l) => l.trim())
     .filter(Boolean)
     .map((p) => p.replace(/\\/g, "/"));
 }
+
+/**
+ * Return the zero-context patch for a single commit against its first parent
+ * (same shape as diffPatch).
+ */
+export function commitPatch(sha) {
+  const args = [
+    "-c", "core.quotepath=off", "diff-tree", "--root", "-r", "-m", "--first-parent", "--no-commit-id",
+    "-p", "--unified=0", "--no-color", "--no-ext-diff", "--no-prefix", "--irreversible-delete", sha, ...PATCH_PATHSPEC,
+  ];
+  return git(args, { maxBuffer: PATCH_MAX_BUFFER });
+}
@@ -1,7 +1,10 @@
 export * from "./audit.mjs";
+export * from "./conditions.mjs";
 export * from "./git.mjs";
 export * from "./hash.mjs";
+export * from "./module_map.mjs";
 export * from "./policy.mjs";
+export * from "./risk_v2.mjs";
 export * from "./signals.mjs";
 export * from "./snapshot.mjs";
 export * from "./snapshotRender.mjs";
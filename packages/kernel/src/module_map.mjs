@@ -0,0 +1,184 @@
+import { createHash } from "node:crypto";
+
+import { globToRegExp } from "./conditions.mjs";
+import { moduleBucketOfPath } from "./risk_v1.mjs";
+
+/* ------------------------------------------------------------------ */
+/* Module map (policy.module_map)                                     */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Versioned path -> module id mapping used for Risk v1 spread, `modules`
+ * conditions and drift module attribution:
+ *
+ *   "module_map": {
+ *     "version": "1.0",
+ *     "rules": [
+ *       { "glob": "services/*\/**", "module": "svc:$1" },
+ *       { "glob": "libs/*\/**", "module": "lib:$1" }
+ *     ],
+ *     "codeowners": true        // or a repo-relative CODEOWNERS path
+ *   }
+ *
+ * Resolution order: policy rules (first match wins), then CODEOWNERS entries
+ * (last matching line wins, as on GitHub), then the builtin v1 buckets.
+ * "$N" in a module id is replaced by the N-th "*" of the glob.
+ *
+ * Pure helpers only. No I/O.
+ */
+
+export const MODULE_MAP_VERSION = "1.0";
+
+const CODEOWNERS_MODULE_PREFIX = "owner:";
+
+function isObject(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+function normalizePath(p) {
+  return String(p || "").replaceAll("\\", "/").replace(/^\.\//, "").replace(/^\/+/, "");
+}
+
+function countStars(glob) {
+  return (glob.replace(/\*\*/g, "").match(/\*/g) || []).length;
+}
+
+function maxTemplateRef(module) {
+  return Math.max(0, ...[...module.matchAll(/\$(\d+)/g)].map((m) => Number(m[1])));
+}
+
+export function validateModuleMap(map, prefix = "module_map") {
+  const errors = [];
+  if (!isObject(map)) return [`${prefix} must be an object`];
+
+  if (map.version !== MODULE_MAP_VERSION) {
+    errors.push(`${prefix}.version must be '${MODULE_MAP_VERSION}'`);
+  }
+  if ("codeowners" in map) {
+    const c = map.codeowners;
+    if (!(typeof c === "boolean" || (typeof c === "string" && c.length > 0))) {
+      errors.push(`${prefix}.codeowners must be a boolean or a non-empty path`);
+    }
+  }
+  if (!Array.isArray(map.rules)) {
+    errors.push(`${prefix}.rules must be an array`);
+    return errors;
+  }
+
+  map.rules.forEach((rule, idx) => {
+    const rp = `${prefix}.rules[${idx}]`;
+    if (!isObject(rule)) {
+      errors.push(`${rp} must be an object`);
+      return;
+    }
+    if (typeof rule.glob !== "string" || rule.glob.length === 0) {
+      errors.push(`${rp}.glob must be a non-empty string`);
+    } else {
+      try {
+        globToRegExp(rule.glob);
+      } catch (e) {
+        errors.push(`${rp}.glob is not a valid glob: ${e?.message || String(e)}`);
+      }
+    }
+    if (typeof rule.module !== "string" || rule.module.length === 0) {
+      errors.push(`${rp}.module must be a non-empty string`);
+    } else if (typeof rule.glob === "string" && maxTemplateRef(rule.module) > countStars(rule.glob)) {
+      errors.push(`${rp}.module references a '$N' beyond the glob's '*' wildcards`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * CODEOWNERS text -> module rules in CODEOWNERS order.
+ * Module id is "owner:<first owner>"; lines without owners map to null
+ * (un-owned: fall through to the builtin buckets).
+ */
+export function parseCodeowners(text) {
+  const rules = [];
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const [pattern, ...owners] = line.split(/\s+/);
+    const ownerList = owners.filter((o) => !o.startsWith("#"));
+    const module = ownerList.length > 0 ? `${CODEOWNERS_MODULE_PREFIX}${ownerList[0]}` : null;
+
+    let p = pattern;
+    const dirOnly = p.endsWith("/");
+    if (dirOnly) p = p.slice(0, -1);
+    const anchored = p.startsWith("/") || p.includes("/");
+    p = p.replace(/^\/+/, "");
+    if (!p) continue;
+
+    const base = anchored ? p : `**/${p}`;
+    if (!dirOnly) rules.push({ glob: base, module, source: "codeowners" });
+    rules.push({ glob: `${base}/**`, module, source: "codeowners" });
+  }
+  return rules;
+}
+
+function hashResolvedRules(version, rules) {
+  const canonical = JSON.stringify({
+    version,
+    rules: rules.map((r) => [r.glob, r.module, r.source]),
+  });
+  return createHash("sha256").update(canonical).digest("hex");
+}
+
+/**
+ * Compile a validated module map (plus parsed CODEOWNERS rules) into a bucketing function.
+ * Without a map, returns the builtin v1 bucketing with a null hash.
+ */
+export function compileModuleMap(map, { codeownersRules = [], codeownersPath = null } = {}) {
+  if (!isObject(map)) {
+    return {
+      source: "builtin",
+      version: null,
+      hash: null,
+      rule_count: 0,
+      codeowners_path: null,
+      bucketOf: moduleBucketOfPath,
+    };
+  }
+
+  const resolved = [
+    ...(map.rules || []).map((r) => ({ glob: r.glob, module: r.module, source: "policy" })),
+    ...[...codeownersRules].reverse(),
+  ];
+  const compiled = resolved.map((r) => ({ ...r, re: globToRegExp(r.glob, { capture: true }) }));
+
+  function bucketOf(p) {
+    const s = normalizePath(p);
+    for (const rule of compiled) {
+      const m = rule.re.exec(s);
+      if (!m) continue;
+      if (rule.module === null) break;
+      return rule.module.replace(/\$(\d+)/g, (_, n) => m[Number(n)] ?? "");
+    }
+    return moduleBucketOfPath(s);
+  }
+
+  return {
+    source: "policy",
+    version: map.version,
+    hash: hashResolvedRules(map.version, resolved),
+    rule_count: resolved.length,
+    codeowners_path: codeownersPath,
+    bucketOf,
+  };
+}
+
+/**
+ * Audit-facing summary of a compiled module map (no functions).
+ */
+export function describeModuleMap(compiled) {
+  return {
+    source: compiled.source,
+    version: compiled.version,
+    hash: compiled.hash,
+    rule_count: compiled.rule_count,
+    codeowners_path: compiled.codeowners_path,
+  };
+}
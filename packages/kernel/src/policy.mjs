@@ -1,6 +1,7 @@
 import fs from "node:fs";
 import path from "node:path";
 import { sha256File } from "./hash.mjs";
+import { compileModuleMap, parseCodeowners } from "./module_map.mjs";
 
 export function getDefaultPolicyPath(repoRoot = process.cwd()) {
   return path.join(repoRoot, ".mindforge", "config", "policy.json");
@@ -33,3 +34,29 @@ export async function loadPolicy(opts = {}) {
     throw err;
   }
 }
+
+const CODEOWNERS_LOCATIONS = [".github/CODEOWNERS", "CODEOWNERS", "docs/CODEOWNERS"];
+
+/**
+ * Compile policy.module_map, reading CODEOWNERS when `codeowners` is set.
+ * - codeowners: true     -> first of .github/CODEOWNERS, CODEOWNERS, docs/CODEOWNERS (optional)
+ * - codeowners: "<path>" -> that repo-relative file (must exist)
+ */
+export function loadModuleMap({ policy, repoRoot = process.cwd() } = {}) {
+  const map = policy?.module_map;
+  if (!map || !map.codeowners) return compileModuleMap(map);
+
+  const candidates = typeof map.codeowners === "string" ? [map.codeowners] : CODEOWNERS_LOCATIONS;
+  const found = candidates.find((rel) => fs.existsSync(path.join(repoRoot, rel)));
+  if (!found) {
+    if (typeof map.codeowners === "string") {
+      const e = new Error(`module_map.codeowners file not found: ${map.codeowners}`);
+      e.code = "MF_CODEOWNERS_MISSING";
+      throw e;
+    }
+    return compileModuleMap(map);
+  }
+
+  const text = fs.readFileSync(path.join(repoRoot, found), "utf8");
+  return compileModuleMap(map, { codeownersRules: parseCodeowners(text), codeownersPath: found });
+}
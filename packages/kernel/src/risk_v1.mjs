@@ -67,11 +67,12 @@ function normalizePath(p) {
   // -----------------------------
   // Spread Risk
   // -----------------------------
-  export function computeSpreadRiskV1(touched_paths) {
+  // bucketOf: optional path -> module id (compiled module map); defaults to the v1 contract.
+  export function computeSpreadRiskV1(touched_paths, { bucketOf = moduleBucketOfPath } = {}) {
     const counts = Object.create(null);
   
     for (const raw of touched_paths || []) {
-      const k = moduleBucketOfPath(raw);
+      const k = bucketOf(raw);
       counts[k] = (counts[k] ?? 0) + 1;
     }
   
@@ -131,10 +132,11 @@ function normalizePath(p) {
     lines_added,
     files_changed,
     touched_paths,
+    bucketOf,
   }) {
     const L = Math.max(0, lines_added || 0);
     const F = Math.max(0, files_changed || 0);
-    const spread = computeSpreadRiskV1(touched_paths || []);
+    const spread = computeSpreadRiskV1(touched_paths || [], { bucketOf });
     const M = spread.modules_touched.length;
   
     // Fixed v1 params (DO NOT change without version bump)
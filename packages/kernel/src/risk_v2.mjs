@@ -0,0 +1,304 @@
+// kernel/src/risk_v2.mjs
+// Risk Intelligence Engine v2 (pure functions)
+// - Factors and weights come from a versioned risk profile (policy.risk_profile)
+// - No IO, no time, no randomness, deterministic
+
+import { createHash } from "node:crypto";
+
+import { globToRegExp } from "./conditions.mjs";
+import { computeSpreadRiskV1, moduleBucketOfPath } from "./risk_v1.mjs";
+
+/* ------------------------------------------------------------------ */
+/* Risk profile (policy.risk_profile)                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * A risk profile lists weighted factors. Each factor reads either a named
+ * signal or the number of touched paths matching `paths` globs, and maps
+ * that value to [0, 1] through its kind:
+ *
+ *   "risk_profile": {
+ *     "version": "2.0",
+ *     "id": "payments",
+ *     "factors": [
+ *       { "id": "lines", "kind": "saturate", "signal": "lines_added", "scale": 400, "weight": 0.3 },
+ *       { "id": "sensitive_paths", "kind": "saturate", "paths": ["**\/auth/**"], "scale": 1, "weight": 0.2 }
+ *     ]
+ *   }
+ *
+ * score = round(100 * sum(weight * f) / sum(weight)), clamped to 0..100.
+ * Without a profile, DEFAULT_RISK_PROFILE applies.
+ */
+
+export const RISK_PROFILE_VERSION = "2.0";
+
+function clamp01(x) {
+  if (!Number.isFinite(x)) return 0;
+  return x < 0 ? 0 : x > 1 ? 1 : x;
+}
+
+function clampInt(x, lo, hi) {
+  if (!Number.isFinite(x)) return lo;
+  const r = Math.round(x);
+  return r < lo ? lo : r > hi ? hi : r;
+}
+
+function round4(x) {
+  return Number(x.toFixed(4));
+}
+
+function isObject(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+function normalizePath(p) {
+  return String(p || "").replaceAll("\\", "/").replace(/^\.\//, "").replace(/^\/+/, "");
+}
+
+/**
+ * Factor kinds: value -> [0, 1]. Callers may pass extra kinds via `factorKinds`.
+ */
+export const RISK_FACTOR_KINDS = {
+  saturate: (value, factor) => clamp01(1 - Math.exp(-Math.max(0, value) / Math.max(1e-9, factor.scale))),
+  ratio: (value) => clamp01(value),
+  flag: (value) => (value > 0 ? 1 : 0),
+};
+
+/**
+ * Signals a factor may read: audit signals (size + content) plus values
+ * derived from touched paths.
+ */
+export const RISK_V2_SIGNALS = [
+  "files_changed",
+  "lines_added",
+  "lines_deleted",
+  "lines_changed_total",
+  "lockfiles_changed",
+  "dependency_manifests_changed",
+  "dependency_changes",
+  "ci_config_changed",
+  "migrations_changed",
+  "binary_files_changed",
+  "credential_patterns_added",
+  "tests_deleted",
+  "mindforge_changed",
+  "modules_touched",
+  "modules_extra",
+  "spread_entropy_norm",
+];
+
+export const DEFAULT_RISK_PROFILE = {
+  version: RISK_PROFILE_VERSION,
+  id: "default",
+  factors: [
+    { id: "lines", kind: "saturate", signal: "lines_added", scale: 400, weight: 0.3 },
+    { id: "files", kind: "saturate", signal: "files_changed", scale: 10, weight: 0.2 },
+    { id: "modules", kind: "saturate", signal: "modules_extra", scale: 4, weight: 0.15 },
+    { id: "spread", kind: "ratio", signal: "spread_entropy_norm", weight: 0.15 },
+    {
+      id: "sensitive_paths",
+      kind: "saturate",
+      paths: ["**/auth/**", "**/security/**", "**/crypto/**", "**/*secret*", "**/.env*", "**/infra/**"],
+      scale: 1,
+      weight: 0.1,
+    },
+    { id: "test_deletions", kind: "saturate", signal: "tests_deleted", scale: 1, weight: 0.05 },
+    { id: "dependency_changes", kind: "saturate", signal: "dependency_changes", scale: 2, weight: 0.05 },
+  ],
+};
+
+export function validateRiskProfile(profile, prefix = "risk_profile", { factorKinds = RISK_FACTOR_KINDS } = {}) {
+  const errors = [];
+  if (!isObject(profile)) return [`${prefix} must be an object`];
+
+  if (profile.version !== RISK_PROFILE_VERSION) {
+    errors.push(`${prefix}.version must be '${RISK_PROFILE_VERSION}'`);
+  }
+  if (typeof profile.id !== "string" || profile.id.length === 0) {
+    errors.push(`${prefix}.id must be a non-empty string`);
+  }
+  if (!Array.isArray(profile.factors) || profile.factors.length === 0) {
+    errors.push(`${prefix}.factors must be a non-empty array`);
+    return errors;
+  }
+
+  const seen = new Set();
+  let totalWeight = 0;
+  profile.factors.forEach((factor, idx) => {
+    const fp = `${prefix}.factors[${idx}]`;
+    if (!isObject(factor)) {
+      errors.push(`${fp} must be an object`);
+      return;
+    }
+    if (typeof factor.id !== "string" || factor.id.length === 0) {
+      errors.push(`${fp}.id must be a non-empty string`);
+    } else if (seen.has(factor.id)) {
+      errors.push(`${fp}.id '${factor.id}' is duplicated`);
+    } else {
+      seen.add(factor.id);
+    }
+    if (!Object.hasOwn(factorKinds, factor.kind)) {
+      errors.push(`${fp}.kind must be one of ${Object.keys(factorKinds).join(", ")}`);
+    }
+
+    const hasSignal = "signal" in factor;
+    const hasPaths = "paths" in factor;
+    if (hasSignal === hasPaths) {
+      errors.push(`${fp} must set exactly one of 'signal' or 'paths'`);
+    } else if (hasSignal && !RISK_V2_SIGNALS.includes(factor.signal)) {
+      errors.push(`${fp}.signal must be one of ${RISK_V2_SIGNALS.join(", ")}`);
+    } else if (hasPaths) {
+      if (!Array.isArray(factor.paths) || factor.paths.length === 0) {
+        errors.push(`${fp}.paths must be a non-empty array of globs`);
+      } else {
+        factor.paths.forEach((glob, j) => {
+          if (typeof glob !== "string" || glob.length === 0) {
+            errors.push(`${fp}.paths[${j}] must be a non-empty string`);
+            return;
+          }
+          try {
+            globToRegExp(glob);
+          } catch (e) {
+            errors.push(`${fp}.paths[${j}] is not a valid glob: ${e?.message || String(e)}`);
+          }
+        });
+      }
+    }
+
+    if (factor.kind === "saturate" && !(typeof factor.scale === "number" && factor.scale > 0)) {
+      errors.push(`${fp}.scale must be a positive number for kind 'saturate'`);
+    }
+    if (!(typeof factor.weight === "number" && Number.isFinite(factor.weight) && factor.weight >= 0)) {
+      errors.push(`${fp}.weight must be a non-negative number`);
+    } else {
+      totalWeight += factor.weight;
+    }
+  });
+
+  if (errors.length === 0 && totalWeight <= 0) {
+    errors.push(`${prefix}.factors must have a positive total weight`);
+  }
+
+  return errors;
+}
+
+function hashProfile(profile) {
+  const canonical = JSON.stringify({
+    version: profile.version,
+    id: profile.id,
+    factors: profile.factors.map((f) => [f.id, f.kind, f.signal ?? null, f.paths ?? null, f.scale ?? null, f.weight]),
+  });
+  return createHash("sha256").update(canonical).digest("hex");
+}
+
+/**
+ * Compile a risk profile (default when absent). Throws on an invalid profile.
+ */
+export function compileRiskProfile(profile, { factorKinds = RISK_FACTOR_KINDS } = {}) {
+  const source = isObject(profile) ? "policy" : "builtin";
+  const p = isObject(profile) ? profile : DEFAULT_RISK_PROFILE;
+
+  const errors = validateRiskProfile(p, "risk_profile", { factorKinds });
+  if (errors.length > 0) {
+    const e = new Error(`invalid risk_profile: ${errors.join("; ")}`);
+    e.code = "MF_RISK_PROFILE_INVALID";
+    e.errors = errors;
+    throw e;
+  }
+
+  return {
+    source,
+    id: p.id,
+    version: p.version,
+    hash: hashProfile(p),
+    factorKinds,
+    factors: p.factors.map((f) => ({
+      ...f,
+      res: Array.isArray(f.paths) ? f.paths.map((glob) => globToRegExp(glob)) : null,
+    })),
+  };
+}
+
+/**
+ * Audit-facing summary of a compiled risk profile (no functions).
+ */
+export function describeRiskProfile(compiled) {
+  return {
+    source: compiled.source,
+    id: compiled.id,
+    version: compiled.version,
+    hash: compiled.hash,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* Risk v2 Aggregation                                                */
+/* ------------------------------------------------------------------ */
+
+function deriveSignalValues(signals, spread) {
+  const s = signals || {};
+  const num = (k) => (Number.isFinite(Number(s[k])) ? Number(s[k]) : 0);
+  const values = Object.fromEntries(RISK_V2_SIGNALS.map((k) => [k, num(k)]));
+  values.dependency_changes = num("dependency_manifests_changed") + num("lockfiles_changed");
+  values.modules_touched = spread.modules_touched.length;
+  values.modules_extra = Math.max(0, spread.modules_touched.length - 1);
+  values.spread_entropy_norm = spread.entropy_norm;
+  return values;
+}
+
+/**
+ * Score a change against a risk profile.
+ * - profile: compiled (compileRiskProfile) or raw; defaults to DEFAULT_RISK_PROFILE
+ * - factors report value, f in [0, 1], weight and contribution (score points)
+ */
+export function computeRiskV2({ signals, touched_paths, bucketOf = moduleBucketOfPath, profile } = {}) {
+  const compiled = profile && typeof profile.hash === "string" && profile.factorKinds ? profile : compileRiskProfile(profile);
+  const paths = (touched_paths || []).map(normalizePath);
+  const spread = computeSpreadRiskV1(paths, { bucketOf });
+  const values = deriveSignalValues(signals, spread);
+
+  const totalWeight = compiled.factors.reduce((sum, f) => sum + f.weight, 0);
+
+  const factors = compiled.factors.map((factor) => {
+    let value;
+    let source;
+    if (factor.res) {
+      const matched = paths.filter((p) => factor.res.some((re) => re.test(p)));
+      value = matched.length;
+      source = { paths: factor.paths, matched };
+    } else {
+      value = values[factor.signal] ?? 0;
+      source = { signal: factor.signal };
+    }
+    const f = clamp01(compiled.factorKinds[factor.kind](value, factor));
+    return {
+      id: factor.id,
+      kind: factor.kind,
+      ...source,
+      value: round4(value),
+      f: round4(f),
+      weight: factor.weight,
+      contribution: round4((100 * factor.weight * f) / totalWeight),
+      raw: (100 * factor.weight * f) / totalWeight,
+    };
+  });
+
+  const score = clampInt(
+    factors.reduce((sum, f) => sum + f.raw, 0),
+    0,
+    100
+  );
+
+  // Ties keep profile order, so the first listed factor wins.
+  const driver = factors.reduce((best, f) => (f.raw > (best?.raw ?? 0) ? f : best), null);
+
+  return {
+    v: 2,
+    score,
+    profile: describeRiskProfile(compiled),
+    factors: factors.map(({ raw, ...rest }) => rest),
+    explain: {
+      primary_driver: driver?.id || compiled.factors[0].id,
+    },
+  };
+}
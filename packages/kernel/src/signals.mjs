@@ -24,4 +24,209 @@ export function computeSignalsFromNumstat(numstatLines) {
       lines_changed_total
     };
   }
-  
\ No newline at end of file
+  
+/* ------------------------------------------------------------------ */
+/* Content-aware signals (pure; computed from paths and patch text)   */
+/* ------------------------------------------------------------------ */
+
+export const LOCKFILES = new Set([
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  "Cargo.lock",
+  "Gemfile.lock",
+  "poetry.lock",
+  "Pipfile.lock",
+  "uv.lock",
+  "composer.lock",
+  "go.sum",
+  "packages.lock.json",
+]);
+
+const DEPENDENCY_MANIFESTS = new Set([
+  "package.json",
+  "pyproject.toml",
+  "Pipfile",
+  "setup.py",
+  "setup.cfg",
+  "Cargo.toml",
+  "go.mod",
+  "Gemfile",
+  "composer.json",
+  "pom.xml",
+  "build.gradle",
+  "build.gradle.kts",
+]);
+
+const CI_CONFIG_PATTERNS = [
+  /^\.github\/workflows\/[^/]+\.ya?ml$/,
+  /^\.github\/actions\//,
+  /^\.gitlab-ci\.ya?ml$/,
+  /^\.circleci\//,
+  /^\.buildkite\//,
+  /^\.travis\.ya?ml$/,
+  /^azure-pipelines\.ya?ml$/,
+  /^bitbucket-pipelines\.ya?ml$/,
+  /(^|\/)Jenkinsfile$/,
+];
+
+const MIGRATION_PATTERNS = [
+  /(^|\/)migrations?\//,
+  /(^|\/)db\/migrate\//,
+  /(^|\/)alembic\/versions\//,
+  /(^|\/)[^/]*\.migration\.[a-z]+$/,
+];
+
+const TEST_PATTERNS = [
+  /(^|\/)(__tests__|tests?|specs?)\//,
+  /\.(test|spec)\.[a-z0-9]+$/i,
+  /_test\.(go|py|rb)$/,
+  /(^|\/)test_[^/]+\.py$/,
+];
+
+// Pattern ids are recorded in the audit; matched text never is.
+const CREDENTIAL_PATTERNS = [
+  { id: "aws_access_key_id", re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { id: "private_key_block", re: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/ },
+  { id: "github_token", re: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/ },
+  { id: "slack_token", re: /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+  { id: "stripe_live_key", re: /\b[sr]k_live_[A-Za-z0-9]{16,}/ },
+  {
+    id: "secret_assignment",
+    re: /\b(?:api[_-]?key|secret|password|passwd|token|access[_-]?key)\b["']?\s*[:=]\s*["'][^"'\s]{8,}["']/i,
+  },
+];
+
+function normalizeSignalPath(p) {
+  return String(p || "").replace(/\\/g, "/").replace(/^"|"$/g, "").replace(/^\.\//, "");
+}
+
+function baseName(p) {
+  const i = p.lastIndexOf("/");
+  return i === -1 ? p : p.slice(i + 1);
+}
+
+function isLockfile(p) {
+  return LOCKFILES.has(baseName(p));
+}
+
+function isDependencyManifest(p) {
+  const name = baseName(p);
+  return DEPENDENCY_MANIFESTS.has(name) || /^requirements([-_.][^/]*)?\.txt$/.test(name);
+}
+
+function numstatPath(raw) {
+  // Renames: "dir/{old => new}/f" or "old => new"
+  const p = raw.includes(" => ")
+    ? raw.replace(/\{[^}]* => ([^}]*)\}/, "$1").replace(/^.* => /, "")
+    : raw;
+  return normalizeSignalPath(p.replace(/\/\//g, "/"));
+}
+
+function parseNameStatus(lines) {
+  return lines.map((line) => {
+    const parts = line.split("\t");
+    return { status: parts[0] || "", path: normalizeSignalPath(parts[parts.length - 1]) };
+  });
+}
+
+// File headers ("--- a" then "+++ b") only appear before the first @@ of each file;
+// inside a hunk "+++ x" is an added line whose text starts with "++ ".
+function scanAddedLines(patchText) {
+  const findings = [];
+  let file = null;
+  let lineNo = 0;
+  let inHunk = false;
+  let afterOldHeader = false;
+
+  for (const line of String(patchText || "").split("\n")) {
+    const oldHeader = afterOldHeader;
+    afterOldHeader = false;
+    if (line.startsWith("diff ")) {
+      inHunk = false;
+      file = null;
+      continue;
+    }
+    if (!inHunk && line.startsWith("--- ")) {
+      afterOldHeader = true;
+      continue;
+    }
+    if (!inHunk && oldHeader && line.startsWith("+++ ")) {
+      const target = line.slice(4).trim();
+      file = target === "/dev/null" ? null : normalizeSignalPath(target);
+      continue;
+    }
+    if (line.startsWith("@@")) {
+      const m = line.match(/\+(\d+)(?:,\d+)?/);
+      lineNo = m ? Number(m[1]) : 0;
+      inHunk = true;
+      continue;
+    }
+    if (!file || !line.startsWith("+")) continue;
+
+    const added = line.slice(1);
+    for (const { id, re } of CREDENTIAL_PATTERNS) {
+      if (re.test(added)) {
+        findings.push({ path: file, line: lineNo, pattern: id });
+        break;
+      }
+    }
+    lineNo += 1;
+  }
+  return findings;
+}
+
+function sortedUnique(values) {
+  return [...new Set(values)].sort();
+}
+
+/**
+ * Deterministic content signals for policy rules.
+ *
+ * INPUT:
+ *   numstatLines    – `git diff --numstat` lines
+ *   nameStatusLines – `git diff --name-status` lines
+ *   patchText       – `git diff --unified=0 --no-prefix` text
+ *
+ * OUTPUT:
+ *   { signals: { <name>_changed: number, ... }, details: { <name>: [paths], credential_findings } }
+ */
+export function computeContentSignals({ numstatLines = [], nameStatusLines = [], patchText = "" } = {}) {
+  const numstat = numstatLines.map((line) => {
+    const [a, d, ...rest] = line.split("\t");
+    return { binary: a === "-" && d === "-", path: numstatPath(rest.join("\t")) };
+  });
+  const entries = parseNameStatus(nameStatusLines);
+  const paths = sortedUnique([...numstat.map((e) => e.path), ...entries.map((e) => e.path)].filter(Boolean));
+
+  const details = {
+    lockfiles: paths.filter(isLockfile),
+    dependency_manifests: paths.filter(isDependencyManifest),
+    ci_config: paths.filter((p) => CI_CONFIG_PATTERNS.some((re) => re.test(p))),
+    migrations: paths.filter((p) => MIGRATION_PATTERNS.some((re) => re.test(p))),
+    binary_files: sortedUnique(numstat.filter((e) => e.binary).map((e) => e.path)),
+    tests_deleted: sortedUnique(
+      entries
+        .filter((e) => e.status === "D" && TEST_PATTERNS.some((re) => re.test(e.path)))
+        .map((e) => e.path)
+    ),
+    mindforge: paths.filter((p) => p.startsWith(".mindforge/")),
+    credential_findings: scanAddedLines(patchText),
+  };
+
+  return {
+    signals: {
+      lockfiles_changed: details.lockfiles.length,
+      dependency_manifests_changed: details.dependency_manifests.length,
+      ci_config_changed: details.ci_config.length,
+      migrations_changed: details.migrations.length,
+      binary_files_changed: details.binary_files.length,
+      credential_patterns_added: details.credential_findings.length,
+      tests_deleted: details.tests_deleted.length,
+      mindforge_changed: details.mindforge.length,
+    },
+    details,
+  };
+}
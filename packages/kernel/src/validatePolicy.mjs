@@ -1,6 +1,10 @@
 import fs from "node:fs";
 import path from "node:path";
 
+import { compileStringOp, conditionKind, NUMERIC_OPS, QUANTIFIERS, STRING_OPS } from "./conditions.mjs";
+import { validateModuleMap } from "./module_map.mjs";
+import { validateRiskProfile } from "./risk_v2.mjs";
+
 function isObject(x) {
   return x !== null && typeof x === "object" && !Array.isArray(x);
 }
@@ -18,6 +22,78 @@ function getByPath(obj, dottedPath) {
   return cur;
 }
 
+const MAX_CONDITION_DEPTH = 16;
+
+function validateMetricCondition(policy, c, cp, errors) {
+  must(typeof c.metric === "string" && c.metric.length > 0, `${cp}.metric must be a non-empty string`, errors);
+  must(typeof c.op === "string" && NUMERIC_OPS.includes(c.op), `${cp}.op must be one of ${NUMERIC_OPS.join(", ")}`, errors);
+
+  const hasValue = "value" in c;
+  const hasValueRef = "value_ref" in c;
+
+  must(!(hasValue && hasValueRef), `${cp} cannot have both value and value_ref`, errors);
+  must(hasValue || hasValueRef, `${cp} must have either value or value_ref`, errors);
+
+  if (hasValue) {
+    must(typeof c.value === "number" && Number.isFinite(c.value), `${cp}.value must be a finite number`, errors);
+  }
+  if (hasValueRef) {
+    must(typeof c.value_ref === "string" && c.value_ref.length > 0, `${cp}.value_ref must be a non-empty string`, errors);
+    const resolved = getByPath(policy, c.value_ref);
+    must(typeof resolved === "number" && Number.isFinite(resolved), `${cp}.value_ref '${c.value_ref}' must resolve to a finite number in policy`, errors);
+  }
+}
+
+function validateStringCondition(kind, c, cp, errors) {
+  must(QUANTIFIERS.includes(c[kind]), `${cp}.${kind} must be one of ${QUANTIFIERS.join(", ")}`, errors);
+  must(typeof c.op === "string" && STRING_OPS.includes(c.op), `${cp}.op must be one of ${STRING_OPS.join(", ")}`, errors);
+  if (!STRING_OPS.includes(c.op)) return;
+
+  if (c.op === "in") {
+    must(
+      Array.isArray(c.value) && c.value.length > 0 && c.value.every((v) => typeof v === "string"),
+      `${cp}.value must be a non-empty array of strings`,
+      errors
+    );
+    return;
+  }
+
+  must(typeof c.value === "string" && c.value.length > 0, `${cp}.value must be a non-empty string`, errors);
+  if (typeof c.value !== "string" || (c.op !== "glob" && c.op !== "regex")) return;
+
+  try {
+    compileStringOp(c.op, c.value);
+  } catch (e) {
+    errors.push(`${cp}.value is not a valid ${c.op}: ${e?.message || String(e)}`);
+  }
+}
+
+function validateCondition(policy, c, cp, errors, depth) {
+  must(isObject(c), `${cp} must be an object`, errors);
+  if (!isObject(c)) return;
+  if (depth > MAX_CONDITION_DEPTH) {
+    errors.push(`${cp} exceeds the maximum condition depth of ${MAX_CONDITION_DEPTH}`);
+    return;
+  }
+
+  const kind = conditionKind(c);
+  must(kind !== null, `${cp} must have exactly one of all_of, any_of, not, metric, paths, modules`, errors);
+
+  if (kind === "all_of" || kind === "any_of") {
+    const list = c[kind];
+    must(Array.isArray(list) && list.length > 0, `${cp}.${kind} must be a non-empty array`, errors);
+    if (Array.isArray(list)) {
+      list.forEach((child, j) => validateCondition(policy, child, `${cp}.${kind}[${j}]`, errors, depth + 1));
+    }
+  } else if (kind === "not") {
+    validateCondition(policy, c.not, `${cp}.not`, errors, depth + 1);
+  } else if (kind === "metric") {
+    validateMetricCondition(policy, c, cp, errors);
+  } else if (kind === "paths" || kind === "modules") {
+    validateStringCondition(kind, c, cp, errors);
+  }
+}
+
 export function validatePolicyObject(policy) {
   const errors = [];
 
@@ -57,7 +133,6 @@ export function validatePolicyObject(policy) {
 
   // rules
   const allowedSeverity = ["soft_block", "hard_block"];
-  const allowedOp = [">", ">=", "<", "<=", "==", "!="];
 
   if (Array.isArray(policy.rules)) {
     policy.rules.forEach((r, idx) => {
@@ -74,37 +149,20 @@ export function validatePolicyObject(policy) {
       must(isObject(r.when), `${pfx}.when must be an object`, errors);
       if (!isObject(r.when)) return;
 
-      const any_of = r.when.any_of;
-      must(Array.isArray(any_of) && any_of.length > 0, `${pfx}.when.any_of must be a non-empty array`, errors);
-
-      if (Array.isArray(any_of)) {
-        any_of.forEach((c, j) => {
-          const cp = `${pfx}.when.any_of[${j}]`;
-          must(isObject(c), `${cp} must be an object`, errors);
-          if (!isObject(c)) return;
-
-          must(typeof c.metric === "string" && c.metric.length > 0, `${cp}.metric must be a non-empty string`, errors);
-          must(typeof c.op === "string" && allowedOp.includes(c.op), `${cp}.op must be one of ${allowedOp.join(", ")}`, errors);
-
-          const hasValue = "value" in c;
-          const hasValueRef = "value_ref" in c;
-
-          must(!(hasValue && hasValueRef), `${cp} cannot have both value and value_ref`, errors);
-          must(hasValue || hasValueRef, `${cp} must have either value or value_ref`, errors);
-
-          if (hasValue) {
-            must(typeof c.value === "number" && Number.isFinite(c.value), `${cp}.value must be a finite number`, errors);
-          }
-          if (hasValueRef) {
-            must(typeof c.value_ref === "string" && c.value_ref.length > 0, `${cp}.value_ref must be a non-empty string`, errors);
-            const resolved = getByPath(policy, c.value_ref);
-            must(typeof resolved === "number" && Number.isFinite(resolved), `${cp}.value_ref '${c.value_ref}' must resolve to a finite number in policy`, errors);
-          }
-        });
-      }
+      validateCondition(policy, r.when, `${pfx}.when`, errors, 0);
     });
   }
 
+  // module_map (optional)
+  if ("module_map" in policy) {
+    errors.push(...validateModuleMap(policy.module_map));
+  }
+
+  // risk_profile (optional; Risk v2)
+  if ("risk_profile" in policy) {
+    errors.push(...validateRiskProfile(policy.risk_profile));
+  }
+
   // Optional: ensure unique rule IDs
   if (Array.isArray(policy.rules)) {
     const ids = policy.rules.filter(r => isObject(r) && typeof r.id === "string").map(r => r.id);
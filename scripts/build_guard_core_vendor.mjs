@@ -0,0 +1,97 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+import ts from "typescript";
+
+const __filename = fileURLToPath(import.meta.url);
+const repoRoot = path.resolve(path.dirname(__filename), "..");
+const vendorRoot = path.join(repoRoot, "packages", "guard", "src", "vendor");
+
+// Only the modules `guard report evidence-pack` reaches; the externalEvidence fixtures stay out of the CLI package.
+export const GUARD_CORE_VENDOR_MODULES = {
+  "guard-core": [
+    "errors",
+    "generateEvidenceIndex",
+    "generateGovernanceReport",
+    "index",
+    "inspectEvidenceCoverage",
+    "parseEvidencePack",
+    "reasonCodes",
+    "reportModel",
+    "validateEvidencePack",
+    "verifyEvidenceFiles",
+  ],
+  "renderer-md": ["index", "renderMarkdownReport"],
+  "renderer-html": ["index", "renderHtmlReport"],
+};
+
+function rewriteTsSpecifiersToMjs(source) {
+  return source.replace(/((?:from\s+|import\s*\()\s*["'])([^"']+)\.ts(["'])/g, "$1$2.mjs$3");
+}
+
+function compileModule(packageName, moduleName) {
+  const sourcePath = path.join(repoRoot, "packages", packageName, "src", `${moduleName}.ts`);
+  const transpiled = ts.transpileModule(fs.readFileSync(sourcePath, "utf8"), {
+    compilerOptions: {
+      module: ts.ModuleKind.ES2022,
+      target: ts.ScriptTarget.ES2022,
+      moduleResolution: ts.ModuleResolutionKind.Bundler,
+    },
+    fileName: sourcePath,
+  });
+
+  return (
+    `// Generated by scripts/build_guard_core_vendor.mjs from packages/${packageName}/src/${moduleName}.ts. Do not edit.\n` +
+    rewriteTsSpecifiersToMjs(transpiled.outputText)
+  );
+}
+
+/**
+ * Compile the guard-core and renderer sources into packages/guard/src/vendor as .mjs.
+ *
+ * With `check: true` nothing is written; the returned list names every vendored file that is
+ * missing, stale or no longer part of the module set.
+ */
+export function buildGuardCoreVendor({ check = false } = {}) {
+  const mismatches = [];
+
+  for (const [packageName, moduleNames] of Object.entries(GUARD_CORE_VENDOR_MODULES)) {
+    const outDir = path.join(vendorRoot, packageName);
+    const expectedFiles = new Set(moduleNames.map((name) => `${name}.mjs`));
+
+    if (!check) {
+      fs.rmSync(outDir, { recursive: true, force: true });
+      fs.mkdirSync(outDir, { recursive: true });
+    }
+
+    for (const moduleName of moduleNames) {
+      const outPath = path.join(outDir, `${moduleName}.mjs`);
+      const output = compileModule(packageName, moduleName);
+      if (!check) {
+        fs.writeFileSync(outPath, output, "utf8");
+      } else if (!fs.existsSync(outPath) || fs.readFileSync(outPath, "utf8") !== output) {
+        mismatches.push(path.relative(repoRoot, outPath));
+      }
+    }
+
+    if (check && fs.existsSync(outDir)) {
+      for (const entry of fs.readdirSync(outDir)) {
+        if (!expectedFiles.has(entry)) mismatches.push(path.relative(repoRoot, path.join(outDir, entry)));
+      }
+    }
+  }
+
+  return mismatches;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const check = process.argv.includes("--check");
+  const mismatches = buildGuardCoreVendor({ check });
+  if (mismatches.length > 0) {
+    console.error(`guard-core vendor is out of date:\n  ${mismatches.join("\n  ")}`);
+    console.error("Run: node scripts/build_guard_core_vendor.mjs");
+    process.exit(1);
+  }
+  console.log(check ? "guard-core vendor is up to date" : "guard-core vendor rebuilt");
+}
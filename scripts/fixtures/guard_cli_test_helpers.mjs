@@ -0,0 +1,70 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+// Guard modules are imported lazily: callers point HOME at a temp dir (where the
+// license lives) before anything under packages/guard loads.
+const GUARD_SRC = new URL("../../packages/guard/src/", import.meta.url);
+
+async function loadRunGuard() {
+  return (await import(new URL("runGuard.mjs", GUARD_SRC).href)).runGuard;
+}
+
+/**
+ * Run `guard <argv>` with cwd set to `cwd`.
+ */
+export async function runGuardInDir(cwd, argv) {
+  const runGuard = await loadRunGuard();
+  const previous = process.cwd();
+  process.chdir(cwd);
+  try {
+    return await runGuard({ argv });
+  } finally {
+    process.chdir(previous);
+  }
+}
+
+/**
+ * One v2 drift event line (upgraded to v3 on read). surface_id defaults to "audit".
+ */
+export function driftEventLine(ts, module, { surface_id = "audit", ...extra } = {}) {
+  return JSON.stringify({ kind: "drift_event", v: 2, ts, surface_id, module, ...extra });
+}
+
+/**
+ * Sign a license for `edition` with a throwaway ed25519 key registered in the in-process
+ * keyset, write it to <dir>/license.json and `guard license install` it.
+ * Returns the install result.
+ */
+export async function installTestLicense({ dir, name, edition, entitlements = null }) {
+  const { canonicalJSONStringify } = await import(new URL("product/canonical_json.mjs", GUARD_SRC).href);
+  const { LICENSE_KEYSET } = await import(new URL("product/license_keyset.mjs", GUARD_SRC).href);
+  const runGuard = await loadRunGuard();
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const keyId = `${name}_test_key`;
+  LICENSE_KEYSET[keyId] = { publicKey: publicKey.export({ type: "spki", format: "pem" }).toString() };
+
+  const payload = {
+    version: 1,
+    license_id: `lic_${name}_test`,
+    customer_id: `cus_${name}_test`,
+    order_id: `ord_${name}_test`,
+    subject: { email: "buyer@example.com" },
+    edition,
+    issued_at: "2025-01-01T00:00:00.000Z",
+    not_before: "2025-01-01T00:00:00.000Z",
+    not_after: "2099-01-01T00:00:00.000Z",
+    status: "active",
+    ...(entitlements ? { entitlements } : {}),
+    issuer: { name: "MindForge Licensing Authority", key_id: keyId },
+  };
+  const signature = crypto.sign(null, Buffer.from(canonicalJSONStringify(payload), "utf8"), privateKey);
+  const licenseFile = path.join(dir, "license.json");
+  fs.writeFileSync(
+    licenseFile,
+    JSON.stringify({ ...payload, signature: { alg: "ed25519", sig: signature.toString("base64") } }),
+    "utf8"
+  );
+  return runGuard({ argv: ["license", "install", "--file", licenseFile] });
+}
@@ -0,0 +1,210 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import {
+  ackContentHash,
+  findAckForTree,
+  resolveAckExpiry,
+  signAck,
+  verifyAck,
+} from "../packages/guard/src/ackManager.mjs";
+import { runAudit } from "../packages/guard/src/runAudit.mjs";
+import { runGuard } from "../packages/guard/src/runGuard.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+const POLICY = {
+  policy_version: "1.0",
+  defaults: {},
+  thresholds: { lines_added_soft: 900, files_changed_hard: 16 },
+  rules: [
+    {
+      id: "touches_files",
+      enabled: true,
+      severity: "soft_block",
+      message: "files",
+      when: { metric: "files_changed", op: ">=", value: 1 },
+    },
+  ],
+  exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+};
+
+const ACTOR_ENV_KEYS = ["MINDFORGE_ACTOR", "MINDFORGE_AGENT", "GITHUB_ACTOR"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function inDir(cwd, fn) {
+  const previous = process.cwd();
+  process.chdir(cwd);
+  try {
+    return await fn();
+  } finally {
+    process.chdir(previous);
+  }
+}
+
+function pemPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  return {
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+  };
+}
+
+function checkRecords() {
+  const now = Date.parse("2026-01-10T00:00:00.000Z");
+  expect(resolveAckExpiry("2d", now).expires_at === "2026-01-12T00:00:00.000Z", "relative expiry");
+  expect(resolveAckExpiry(null, now).expires_at === "2026-01-17T00:00:00.000Z", "default expiry is 7d");
+  expect(/future/.test(resolveAckExpiry("2025-01-01T00:00:00Z", now).error), "past expiry is rejected");
+  expect(/90d/.test(resolveAckExpiry("91d", now).error), "expiry is capped at 90d");
+  expect(/ISO/.test(resolveAckExpiry("soon", now).error), "unparseable expiry");
+
+  const reviewer = pemPair();
+  const keys = { alice: { publicKey: reviewer.publicKey, reviewer: "Alice" } };
+  const record = {
+    kind: "staged_ack",
+    v: 3,
+    ack_id: "ack_x",
+    ts: "2026-01-09T00:00:00.000Z",
+    expires_at: "2026-01-11T00:00:00.000Z",
+    scope: "git.staged",
+    staged_tree: "abc",
+    reason: "ok",
+    codes: ["touches_files"],
+  };
+  record.content_hash = ackContentHash(record);
+  const status = (r, opts = {}) => verifyAck(r, { now, keys, ...opts }).status;
+
+  expect(status(record) === "valid", "hashed ack is valid");
+  expect(status({ ...record, reason: "edited" }) === "tampered", "edited ack is tampered");
+  expect(status(record, { now: now + 2 * DAY_MS }) === "expired", "ack past expires_at is expired");
+  expect(status(record, { ruleIds: ["other_rule"] }) === "out_of_scope", "codes outside the policy");
+  expect(status(record, { requireSignature: true }) === "unsigned", "unsigned ack when signatures are required");
+
+  const signed = signAck(record, { privateKeyPem: reviewer.privateKey, key_id: "alice" });
+  expect(signed.signature.alg === "ed25519" && status(signed, { requireSignature: true }) === "valid", "signed ack");
+  expect(status(signAck(record, { privateKeyPem: reviewer.privateKey, key_id: "bob" })) === "unknown_key", "key id");
+  const forged = signAck(record, { privateKeyPem: pemPair().privateKey, key_id: "alice" });
+  expect(status(forged) === "tampered", "signature by another key is tampered");
+  const rehashed = { ...signed, codes: ["touches_files", "more"] };
+  rehashed.content_hash = ackContentHash(rehashed);
+  expect(status(rehashed) === "tampered", "re-hashing does not survive the signature");
+}
+
+async function main() {
+  checkRecords();
+
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-ack-verify-"));
+  const savedEnv = Object.fromEntries(ACTOR_ENV_KEYS.map((key) => [key, process.env[key]]));
+  for (const key of ACTOR_ENV_KEYS) delete process.env[key];
+  try {
+    const repoPath = path.join(tempRoot, "repo");
+    fs.mkdirSync(path.join(repoPath, ".mindforge", "config"), { recursive: true });
+    git(repoPath, ["init"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    fs.writeFileSync(path.join(repoPath, "README.md"), "fixture\n", "utf8");
+    git(repoPath, ["add", "README.md"]);
+    git(repoPath, ["commit", "-m", "baseline"]);
+    fs.writeFileSync(path.join(repoPath, ".mindforge", "config", "policy.json"), JSON.stringify(POLICY), "utf8");
+
+    const outdir = `--outdir=${path.join(tempRoot, "out")}`;
+    const audit = () => inDir(repoPath, () => runAudit({ argv: ["--staged", outdir], policy: POLICY }));
+    const guard = (argv) => inDir(repoPath, () => runGuard({ argv }));
+    const verifyJson = async (extra = []) => {
+      const result = await guard(["ack", "verify", "--format", "json", ...extra]);
+      return { exitCode: result.exitCode, report: JSON.parse(result.stdout) };
+    };
+
+    fs.writeFileSync(path.join(repoPath, "a.txt"), "a\n", "utf8");
+    git(repoPath, ["add", "a.txt"]);
+    const tree = git(repoPath, ["write-tree"]);
+    expect((await audit()).exitCode === 10, "soft_block fixture");
+
+    const empty = await verifyJson();
+    expect(empty.exitCode === 0 && empty.report.kind === "ack_verify" && empty.report.totals.acks === 0, "no acks");
+
+    const badExpiry = await guard(["ack", "--reason", "r", "--expires", "120d"]);
+    expect(badExpiry.exitCode === 2 && JSON.parse(badExpiry.stdout).error.kind === "invalid_ack_option", "--expires");
+
+    const reviewer = pemPair();
+    const keyFile = path.join(tempRoot, "reviewer.pem");
+    fs.writeFileSync(keyFile, reviewer.privateKey, "utf8");
+    const ackKeys = { require_signature: true, keys: { alice: { publicKey: reviewer.publicKey, reviewer: "Alice" } } };
+    fs.writeFileSync(path.join(repoPath, ".mindforge", "ack-keys.json"), JSON.stringify(ackKeys), "utf8");
+
+    const unsigned = await guard(["ack", "--reason", "r"]);
+    expect(unsigned.exitCode === 2 && /requires signed acks/.test(unsigned.stdout), "signatures are required");
+    const otherKey = path.join(tempRoot, "other.pem");
+    fs.writeFileSync(otherKey, pemPair().privateKey, "utf8");
+    const mismatch = await guard(["ack", "--reason", "r", "--sign-key", otherKey, "--key-id", "alice"]);
+    expect(mismatch.exitCode === 2 && /does not match/.test(mismatch.stdout), "signing key must match key id");
+    const noKeyId = await guard(["ack", "--reason", "r", "--sign-key", keyFile]);
+    expect(noKeyId.exitCode === 2 && /together/.test(noKeyId.stdout), "--sign-key needs --key-id");
+
+    const signArgs = ["--sign-key", keyFile, "--key-id", "alice"];
+    const acked = await guard(["ack", "--reason", "reviewed", "--expires", "2d", ...signArgs]);
+    expect(acked.exitCode === 0, `signed ack must succeed: ${acked.stdout}`);
+    const { ack: record, file } = JSON.parse(acked.stdout);
+    expect(record.v === 3 && record.signature.key_id === "alice" && record.content_hash.startsWith("sha256:"), "v3");
+    const ttl = Date.parse(record.expires_at) - Date.parse(record.ts);
+    expect(Math.abs(ttl - 2 * DAY_MS) < 60 * 1000, "ack records its expiry");
+
+    const honoured = await audit();
+    expect(honoured.exitCode === 0 && honoured.audit.ack.state === "acknowledged", "valid signed ack is honoured");
+    expect(honoured.audit.ack.key_id === "alice" && honoured.audit.ack.status === "valid", "audit records the key");
+    const later = findAckForTree(tree, ["touches_files"], { root: repoPath, now: Date.now() + 3 * DAY_MS });
+    expect(later.state === "rejected" && later.ack.verification.status === "expired", "expired acks are rejected");
+
+    const healthy = await verifyJson();
+    expect(healthy.exitCode === 0 && healthy.report.healthy && healthy.report.totals.valid === 1, "healthy verify");
+    expect(healthy.report.require_signature === true, "verify echoes the signature requirement");
+
+    const ackPath = path.join(repoPath, file);
+    fs.writeFileSync(ackPath, JSON.stringify({ ...record, codes: ["adds_lines", "touches_files"] }), "utf8");
+    const tampered = await audit();
+    expect(tampered.exitCode === 10 && tampered.audit.ack.state === "rejected", "tampered ack is not honoured");
+    expect(tampered.audit.ack.status === "tampered", "audit records why the ack was rejected");
+
+    const report = await verifyJson();
+    expect(report.exitCode === 30 && !report.report.healthy, "tampered acks fail verify");
+    expect(report.report.totals.tampered === 1, "verify counts tampered acks");
+    const messages = report.report.acks[0].problems.map((p) => p.message).join("; ");
+    expect(/content hash mismatch/.test(messages) && /codes not in the policy: adds_lines/.test(messages), messages);
+
+    const single = await verifyJson(["--file", ackPath]);
+    expect(single.report.acks.length === 1 && single.report.acks[0].status === "tampered", "verify --file");
+    const text = await guard(["ack", "verify"]);
+    expect(text.exitCode === 30 && text.stdout.startsWith("Ack verify: problems found (1 acks;"), "verify text");
+    const list = await guard(["ack", "list"]);
+    expect(list.stdout.includes(`${record.ack_id}  tampered`), "ack list shows the status");
+
+    // A policy that does not load must fail verify, not drop the scope check and pass.
+    fs.writeFileSync(ackPath, JSON.stringify(record), "utf8");
+    fs.writeFileSync(path.join(repoPath, ".mindforge", "config", "policy.json"), "{ not json", "utf8");
+    const unloadable = await guard(["ack", "verify", "--format", "json"]);
+    expect(unloadable.exitCode === 30 && JSON.parse(unloadable.stdout).error.kind === "ack_failed", "unloadable policy");
+  } finally {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: ack verification validated.");
+}
+
+await main();
@@ -0,0 +1,163 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import { runAudit } from "../packages/guard/src/runAudit.mjs";
+import {
+  actorLabel,
+  matchesActor,
+  parseCommitTrailers,
+  resolveActor,
+} from "../packages/guard/src/runtime/actor.mjs";
+import { buildAssociationBundle } from "../packages/guard/src/runtime/association/correlate.mjs";
+import { collectDriftEvent } from "../packages/guard/src/runtime/drift/collector.mjs";
+import { buildCompare } from "../packages/guard/src/runtime/drift/compare.mjs";
+import { buildTimeline } from "../packages/guard/src/runtime/drift/timeline.mjs";
+import { runGuardInDir } from "./fixtures/guard_cli_test_helpers.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+const POLICY = {
+  policy_version: "1.0",
+  defaults: {},
+  thresholds: { lines_added_soft: 900, files_changed_hard: 16 },
+  rules: [],
+  exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+};
+
+const ACTOR_ENV_KEYS = ["MINDFORGE_ACTOR", "MINDFORGE_AGENT", "GITHUB_ACTOR"];
+
+function checkResolution() {
+  const message = [
+    "Fix parser",
+    "",
+    "Longer body.",
+    "",
+    "Mindforge-Actor: alice",
+    "Co-authored-by: Copilot <1+Copilot@users.noreply.github.com>",
+  ].join("\n");
+  const trailers = parseCommitTrailers(message);
+  expect(trailers.length === 2 && trailers[0].key === "mindforge-actor", "trailers must be parsed");
+  expect(parseCommitTrailers("Subject only: not a trailer").length === 0, "a subject line is not a trailer block");
+  expect(parseCommitTrailers("Subject\n\nBody: text\nplain line").length === 0, "mixed paragraphs are not trailers");
+
+  const fromTrailers = resolveActor({ env: {}, message, author: "Bob" });
+  expect(fromTrailers.actor === "alice" && fromTrailers.source.actor === "trailer", "trailer actor beats the author");
+  expect(fromTrailers.agent === "Copilot" && fromTrailers.kind === "agent", "bot co-authors are agents");
+
+  const fromEnv = resolveActor({ env: { MINDFORGE_AGENT: "my-agent", GITHUB_ACTOR: "carol" }, message, author: "Bob" });
+  expect(fromEnv.agent === "my-agent" && fromEnv.actor === "carol" && fromEnv.source.actor === "env", "env wins");
+  const bot = resolveActor({ env: { GITHUB_ACTOR: "renovate[bot]" } });
+  expect(bot.agent === "renovate[bot]" && bot.actor === null, "CI bot accounts are agents");
+
+  const pack = JSON.parse(fs.readFileSync(path.resolve("fixtures/ai-pr-missing-tests/evidence-pack.json"), "utf8"));
+  const fromCiPack = resolveActor({ env: {}, evidencePack: pack, author: "Bob" });
+  expect(fromCiPack.actor === "developer.synthetic" && fromCiPack.agent === null, "ci producers are not agents");
+  const agentProducer = { ...pack.producer, producer_type: "agent_runtime", producer_name: "pack-agent" };
+  const agentPack = { ...pack, producer: agentProducer };
+  expect(resolveActor({ env: {}, evidencePack: agentPack }).agent === "pack-agent", "agent producers are agents");
+
+  const nobody = resolveActor({ env: {} });
+  expect(nobody.actor === null && nobody.agent === null && nobody.kind === null, "nothing known stays null");
+  expect(actorLabel({ actor: "alice", agent: "Copilot" }) === "Copilot", "the agent labels a change first");
+  expect(matchesActor({ actor: "alice", agent: "Copilot" }, "ALICE"), "--actor matches the actor, case-insensitive");
+  expect(matchesActor({ actor: "bob" }, "kind:human") && !matchesActor({ actor: "bob" }, "kind:agent"), "kind filter");
+}
+
+async function main() {
+  checkResolution();
+
+  const savedEnv = Object.fromEntries(ACTOR_ENV_KEYS.map((key) => [key, process.env[key]]));
+  for (const key of ACTOR_ENV_KEYS) delete process.env[key];
+
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-actor-"));
+  const launchCwd = process.cwd();
+  try {
+    const repoPath = path.join(tempRoot, "repo");
+    fs.mkdirSync(repoPath, { recursive: true });
+    git(repoPath, ["init"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    fs.writeFileSync(path.join(repoPath, "README.md"), "fixture\n", "utf8");
+    git(repoPath, ["add", "."]);
+    git(repoPath, ["commit", "-m", "baseline"]);
+    fs.writeFileSync(path.join(repoPath, "agent.txt"), "x\n", "utf8");
+    git(repoPath, ["add", "."]);
+    git(repoPath, ["commit", "-m", "Agent change\n\nCo-authored-by: Copilot <1+Copilot@users.noreply.github.com>"]);
+
+    const outdir = `--outdir=${path.join(tempRoot, "out")}`;
+    process.chdir(repoPath);
+    const agentAudit = await runAudit({ argv: ["--base", "HEAD~1", "--head", "HEAD", outdir], policy: POLICY });
+    fs.writeFileSync(path.join(repoPath, "human.txt"), "y\n", "utf8");
+    git(repoPath, ["add", "."]);
+    process.env.MINDFORGE_ACTOR = "alice";
+    const humanAudit = await runAudit({ argv: ["--staged", outdir], policy: POLICY });
+    delete process.env.MINDFORGE_ACTOR;
+    const badPack = await runAudit({ argv: ["--staged", "--evidence-pack", "missing.json", outdir], policy: POLICY });
+    process.chdir(launchCwd);
+
+    expect(agentAudit.audit.run.actor.agent === "Copilot", "audit must record the agent from trailers");
+    expect(agentAudit.audit.run.actor.actor === "Verifier", "the commit author is the fallback actor");
+    expect(humanAudit.audit.run.actor.actor === "alice" && humanAudit.audit.run.actor.kind === "human", "env actor");
+    expect(badPack.exitCode === 30 && /evidence pack could not be read/.test(badPack.message), "unreadable pack");
+
+    const auditPath = path.join(repoPath, ".mindforge", "artifacts", "guard", "audit.jsonl");
+    const rows = fs.readFileSync(auditPath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    expect(rows.map((row) => actorLabel(row.actor)).join(",") === "Copilot,alice", "audit.jsonl must carry actors");
+
+    const eventsPath = path.join(repoPath, ".mindforge", "drift", "events.jsonl");
+    const events = fs.readFileSync(eventsPath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    expect(events[0].identity.agent === "Copilot" && events[0].identity.actor === "Verifier", "drift agent identity");
+    expect(events[1].identity.actor === "alice" && events[1].identity.agent === null, "drift human identity");
+    collectDriftEvent({ surface_id: "snapshot", module: "pkg:x" }, { repoRoot: repoPath });
+
+    const status = JSON.parse((await runGuardInDir(repoPath, ["drift", "status", "--format", "json"])).stdout);
+    const actorRows = status.actors.map((a) => `${a.actor}:${a.kind}:${a.events}`).join(",");
+    expect(actorRows === "alice:human:1,Copilot:agent:1,unknown:null:1", `status actors mismatch: ${actorRows}`);
+    const agentsOnly = JSON.parse(
+      (await runGuardInDir(repoPath, ["drift", "status", "--actor", "kind:agent", "--format=json"])).stdout
+    );
+    expect(agentsOnly.explain.events === 1 && agentsOnly.filters.actor === "kind:agent", "status --actor filter");
+    const text = await runGuardInDir(repoPath, ["drift", "status", "--actor", "alice"]);
+    expect(text.stdout.includes("actor=alice") && text.stdout.includes("Actors: alice=1"), "status text actors");
+
+    const timeline = buildTimeline({ eventsPath, window: "7d", filter: { actor: "copilot" } });
+    expect(timeline.series.length === 1 && timeline.series[0].actors.Copilot === 1, "timeline per-bucket actors");
+    expect(timeline.actors.length === 1 && timeline.actors[0].actor === "Copilot", "timeline actor totals");
+    const compare = buildCompare({ eventsPath, window: "7d" });
+    expect(compare.actors.find((a) => a.actor === "alice").delta === 1, "compare per-actor delta");
+
+    const bundle = buildAssociationBundle({ repoRoot: repoPath, window: "7d", actor: "alice", subsamples: 20 });
+    expect(bundle.filters.actor === "alice", "correlate must echo the actor filter");
+    expect(bundle.series.reduce((sum, d) => sum + d.x, 0) === 1, "correlate series must be filtered by actor");
+    const breakdown = Object.fromEntries(bundle.actors.map((a) => [a.actor, a]));
+    expect(breakdown.Copilot.drift_events === 1 && breakdown.Copilot.risk_events === 1, "correlate actor breakdown");
+    expect(breakdown.unknown.drift_events === 1 && breakdown.unknown.risk_events === 0, "unattributed events");
+    expect(typeof breakdown.alice.pearson.r === "number", "per-actor correlation");
+
+    const matrix = await runGuardInDir(repoPath, ["assoc", "matrix", "--actor", "alice"]);
+    expect(matrix.exitCode === 2 && JSON.parse(matrix.stdout).error.kind === "invalid_assoc_option", "matrix --actor");
+  } finally {
+    process.chdir(launchCwd);
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: actor dimension validated.");
+}
+
+await main();
@@ -0,0 +1,146 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { installTestLicense, runGuardInDir } from "./fixtures/guard_cli_test_helpers.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-assoc-matrix-"));
+process.env.HOME = tempRoot;
+process.env.USERPROFILE = tempRoot;
+
+const { adjustPValues, buildAssociationMatrix, pearsonPValue } = await import(
+  "../packages/guard/src/runtime/association/index.mjs"
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function close(a, b, eps = 1e-4) {
+  return Math.abs(a - b) <= eps;
+}
+
+async function main() {
+  const __filename = fileURLToPath(import.meta.url);
+  const repoRoot = path.resolve(path.dirname(__filename), "..");
+  const repoPath = path.join(tempRoot, "repo");
+  const eventsPath = path.join(repoPath, ".mindforge", "drift", "events.jsonl");
+  const auditPath = path.join(repoPath, ".mindforge", "artifacts", "guard", "audit.jsonl");
+
+  try {
+    expect(close(pearsonPValue(0.632, 10), 0.05, 1e-3), "r=0.632 over 10 pairs must give p ~ 0.05");
+    expect(close(pearsonPValue(0.5, 20), 0.0248, 1e-3), "r=0.5 over 20 pairs must give p ~ 0.025");
+    expect(pearsonPValue(0.9, 2) === 1, "fewer than 3 pairs cannot be significant");
+    const raw = [0.01, 0.04, 0.03, 0.005];
+    expect(adjustPValues(raw, "bh").map((p) => p.toFixed(2)).join(",") === "0.02,0.04,0.04,0.02", "BH mismatch");
+    expect(adjustPValues(raw, "holm").map((p) => p.toFixed(2)).join(",") === "0.03,0.06,0.06,0.02", "Holm mismatch");
+    expect(adjustPValues(raw, "bonferroni").map((p) => p.toFixed(2)).join(",") === "0.04,0.16,0.12,0.02", "Bonferroni");
+
+    // Risk events on day d + 2 follow drift module spread on day d.
+    const nowMs = Date.parse("2025-03-31T12:00:00Z");
+    const startMs = Date.parse("2025-03-02T00:00:00Z");
+    const modulesByDay = [1, 4, 2, 5, 1, 3, 6, 2, 4, 1, 5, 3, 2, 6, 1, 4, 3, 5, 2, 1, 6, 3, 4, 2, 5, 1, 3, 6, 2, 4];
+    const driftLines = [];
+    const auditLines = [];
+    modulesByDay.forEach((count, day) => {
+      const ts = new Date(startMs + day * DAY_MS + 9 * 60 * 60 * 1000).toISOString();
+      for (let i = 0; i < count; i++) {
+        driftLines.push(JSON.stringify({ kind: "drift_event", v: 2, ts, surface_id: "audit", module: `pkg:m${i}` }));
+      }
+      if (day + 2 < modulesByDay.length) {
+        const riskTs = new Date(startMs + (day + 2) * DAY_MS + 10 * 60 * 60 * 1000).toISOString();
+        for (let i = 0; i < count; i++) auditLines.push(JSON.stringify({ ts: riskTs, risk: { score: 20 + 5 * i } }));
+      }
+    });
+    fs.mkdirSync(path.dirname(eventsPath), { recursive: true });
+    fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+    fs.writeFileSync(eventsPath, driftLines.join("\n") + "\n", "utf8");
+    fs.writeFileSync(auditPath, auditLines.join("\n") + "\n", "utf8");
+
+    const matrix = buildAssociationMatrix({ repoRoot: repoPath, window: "30d", lags: 3, subsamples: 50, nowMs });
+    expect(matrix.kind === "association_matrix", "matrix kind mismatch");
+    expect(matrix.pairs.length === 9, "matrix must cover every drift x risk pair");
+    expect(matrix.correction.method === "bh" && matrix.correction.tests > 0, "matrix must report its correction");
+    const top = matrix.pairs[0];
+    expect(top.rank === 1 && top.best.significant, `top pair must be significant: ${JSON.stringify(top.best)}`);
+    expect(top.best.lag_days === 2 && top.lead === "drift", `top pair must lead risk by 2 days (${top.best.lag_days})`);
+    expect(top.best.p_adjusted >= top.best.p_value, "adjusted p must not be below raw p");
+    expect(top.lags.length === 7, "each pair must report every lag");
+    expect(matrix.summary.top.lag_days === 2, "summary must name the leading pair");
+    for (let i = 1; i < matrix.pairs.length; i++) {
+      const prev = matrix.pairs[i - 1].best;
+      const cur = matrix.pairs[i].best;
+      if (prev?.significant === cur?.significant && prev && cur) {
+        expect(prev.p_adjusted <= cur.p_adjusted, "pairs must be ranked by adjusted p");
+      }
+    }
+
+    const strict = buildAssociationMatrix({
+      repoRoot: repoPath,
+      window: "30d",
+      lags: 3,
+      subsamples: 50,
+      correction: "bonferroni",
+      nowMs,
+    });
+    const loose = buildAssociationMatrix({ repoRoot: repoPath, window: "30d", lags: 3, correction: "none", nowMs });
+    expect(
+      strict.pairs.every((pair) => pair.lags.every((cell) => cell.degenerate || cell.p_adjusted >= cell.p_value)),
+      "bonferroni must never lower p-values"
+    );
+    expect(loose.summary.significant_pairs >= strict.summary.significant_pairs, "correction must not add findings");
+
+    const empty = buildAssociationMatrix({ repoRoot: path.join(tempRoot, "empty"), nowMs });
+    expect(empty.summary.significant_pairs === 0 && empty.summary.top === null, "empty data has no findings");
+    expect(empty.diagnostics.notes.includes("no_testable_cells"), "empty data must be flagged");
+
+    const schema = JSON.parse(
+      fs.readFileSync(
+        path.join(repoRoot, "packages", "guard", "src", "runtime", "association", "contracts", "association.matrix.schema.json"),
+        "utf8"
+      )
+    );
+    expect(
+      JSON.stringify(Object.keys(matrix).sort()) === JSON.stringify([...schema.required].sort()),
+      "matrix keys must match the contract"
+    );
+
+    const gated = await runGuardInDir(repoPath, ["assoc", "matrix"]);
+    expect(gated.exitCode === 21, "assoc matrix must be license-gated");
+    expect(JSON.parse(gated.stdout).error.feature === "assoc_matrix", "gate must name the assoc_matrix feature");
+    const badCorrection = await runGuardInDir(repoPath, ["assoc", "matrix", "--correction", "fdr"]);
+    expect(badCorrection.exitCode === 2, "unknown --correction must be a usage error");
+    const badAlpha = await runGuardInDir(repoPath, ["assoc", "matrix", "--alpha=2"]);
+    expect(JSON.parse(badAlpha.stdout).error.kind === "invalid_assoc_option", "invalid --alpha kind mismatch");
+
+    const install = await installTestLicense({
+      dir: tempRoot,
+      name: "assoc_matrix",
+      edition: "pro_plus",
+      entitlements: { analytics: { drift_timeline: true, drift_compare: true, assoc_correlate: true } },
+    });
+    expect(install.exitCode === 0, "license install");
+
+    const cli = await runGuardInDir(repoPath, ["assoc", "matrix", "--window", "30d", "--lags", "3", "--correction=holm"]);
+    expect(cli.exitCode === 0, `assoc matrix must succeed (${cli.stdout})`);
+    const cliMatrix = JSON.parse(cli.stdout);
+    expect(cliMatrix.correction.method === "holm" && cliMatrix.max_lag_days === 3, "CLI options must reach the matrix");
+
+    const correlate = await runGuardInDir(repoPath, ["assoc", "correlate", "--window", "14d", "--x", "drift_unique_modules"]);
+    const bundle = JSON.parse(correlate.stdout);
+    expect(bundle.window === "14d" && bundle.metric_x === "drift_unique_modules", "assoc correlate must honour its flags");
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: assoc matrix validated.");
+}
+
+await main();
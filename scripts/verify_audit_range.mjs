@@ -0,0 +1,129 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import { runAudit } from "../packages/guard/src/runAudit.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+function commitFile(repoPath, relativePath, content, message) {
+  const filePath = path.join(repoPath, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, "utf8");
+  git(repoPath, ["add", relativePath]);
+  git(repoPath, ["commit", "-m", message]);
+  return git(repoPath, ["rev-parse", "HEAD"]);
+}
+
+function rangePolicy() {
+  return {
+    policy_version: "1.0",
+    defaults: {},
+    thresholds: {},
+    rules: [
+      {
+        id: "billing-touched",
+        enabled: true,
+        severity: "soft_block",
+        message: "billing module touched",
+        when: { modules: "any", op: "==", value: "pkg:billing" },
+      },
+    ],
+    exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+  };
+}
+
+async function auditIn(repoPath, outdir, argv, policy = rangePolicy()) {
+  const previous = process.cwd();
+  process.chdir(repoPath);
+  try {
+    return await runAudit({ argv: [...argv, `--outdir=${outdir}`], policy });
+  } finally {
+    process.chdir(previous);
+  }
+}
+
+async function main() {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-audit-range-"));
+  const repoPath = path.join(tempRoot, "repo");
+  const outdir = path.join(tempRoot, "out");
+
+  try {
+    fs.mkdirSync(repoPath, { recursive: true });
+    git(repoPath, ["init", "-b", "main"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    const forkSha = commitFile(repoPath, "README.md", "fixture\n", "baseline");
+
+    git(repoPath, ["checkout", "-b", "feature"]);
+    const firstSha = commitFile(repoPath, "packages/billing/src/invoice.js", "export const a = 1;\n", "add invoice");
+    const secondSha = commitFile(repoPath, "docs/billing.md", "one\ntwo\nthree\n", "document billing");
+
+    git(repoPath, ["checkout", "main"]);
+    commitFile(repoPath, "src/main-only.js", "export const main = true;\n", "advance main");
+
+    const result = await auditIn(repoPath, outdir, ["--base", "main", "--head", "feature"]);
+    expect(result.audit, `range audit must complete (${result.message || "no message"})`);
+    const { audit } = result;
+    expect(audit.run.git.head === secondSha, "audit head must be the resolved head SHA");
+    expect(audit.run.git.base === git(repoPath, ["rev-parse", "main"]), "audit base must be the resolved base SHA");
+    expect(audit.run.git.merge_base === forkSha, "audit must record the merge base");
+    expect(
+      audit.inputs.paths.touched_paths.join(",") === "docs/billing.md,packages/billing/src/invoice.js",
+      `merge-base diff must exclude base-only changes: ${audit.inputs.paths.touched_paths.join(",")}`
+    );
+    expect(audit.inputs.range.commit_count === 2, "range must list both feature commits");
+    expect(
+      audit.inputs.range.commits.map((commit) => commit.sha).join(",") === `${firstSha},${secondSha}`,
+      "range commits must be oldest first"
+    );
+    expect(audit.inputs.range.commits[1].signals.lines_added === 3, "per-commit breakdown must carry numstat signals");
+    expect(audit.inputs.range.commits[0].subject === "add invoice", "per-commit breakdown must carry the subject");
+    expect(audit.evaluation.verdict === "soft_block", "policy must run against the range diff");
+    expect(fs.existsSync(path.join(outdir, `audit.${secondSha}.json`)), "audit artifact must be named by head SHA");
+
+    const direct = await auditIn(repoPath, outdir, ["--base=main", "--head=feature", "--no-merge-base"]);
+    expect(direct.audit.inputs.range.merge_base_resolution === "direct", "--no-merge-base must diff base..head");
+    expect(
+      direct.audit.inputs.paths.touched_paths.includes("src/main-only.js"),
+      "direct diff must include base-only changes"
+    );
+
+    const missing = await auditIn(repoPath, outdir, ["--base", "does-not-exist"]);
+    expect(missing.exitCode === 30 && /cannot resolve --base/.test(missing.message), "unknown base must fail");
+
+    const conflict = await auditIn(repoPath, outdir, ["--staged", "--base", "main"]);
+    expect(conflict.exitCode === 2 && /cannot be combined/.test(conflict.message), "--staged with --base must fail");
+
+    const stagedHead = await auditIn(repoPath, outdir, ["--staged", "--head=feature"]);
+    expect(stagedHead.exitCode === 2 && /cannot be combined/.test(stagedHead.message), "--staged with --head must fail");
+
+    const unsafe = rangePolicy();
+    unsafe.rules[0].when = { paths: "any", op: "regex", value: "(a+)+$" };
+    const invalidPolicy = await auditIn(repoPath, outdir, ["--base", "main", "--head", "feature"], unsafe);
+    expect(
+      invalidPolicy.exitCode === 30 && /^policy is invalid: .*nested quantifiers/.test(invalidPolicy.message),
+      `an invalid policy must fail with the error exit code (${invalidPolicy.message})`
+    );
+
+    const bare = await auditIn(repoPath, outdir, []);
+    expect(bare.message === "local mode requires --staged or --base <ref>", "local mode must still require a diff source");
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: audit --base/--head range validated.");
+}
+
+await main();
@@ -0,0 +1,184 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import { runAuditReplay } from "../packages/guard/src/runAuditReplay.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args, env = {}) {
+  return execFileSync("git", args, {
+    cwd: repoPath,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "ignore"],
+    env: { ...process.env, ...env },
+  }).trim();
+}
+
+function commitFile(repoPath, relativePath, content, message, date) {
+  const filePath = path.join(repoPath, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, "utf8");
+  git(repoPath, ["add", relativePath]);
+  git(repoPath, ["commit", "-m", message], { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date });
+  return git(repoPath, ["rev-parse", "HEAD"]);
+}
+
+function replayPolicy() {
+  return {
+    policy_version: "1.0",
+    defaults: {},
+    thresholds: {},
+    rules: [
+      {
+        id: "billing-touched",
+        enabled: true,
+        severity: "soft_block",
+        message: "billing module touched",
+        when: { modules: "any", op: "==", value: "pkg:billing" },
+      },
+    ],
+    exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+  };
+}
+
+function readJsonl(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+async function replayIn(repoPath, argv, policy = replayPolicy()) {
+  const previous = process.cwd();
+  process.chdir(repoPath);
+  try {
+    return await runAuditReplay({ argv, policy });
+  } finally {
+    process.chdir(previous);
+  }
+}
+
+async function main() {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-audit-replay-"));
+  const repoPath = path.join(tempRoot, "repo");
+  const auditPath = path.join(repoPath, ".mindforge", "artifacts", "guard", "audit.jsonl");
+  const eventsPath = path.join(repoPath, ".mindforge", "drift", "events.jsonl");
+
+  try {
+    fs.mkdirSync(repoPath, { recursive: true });
+    git(repoPath, ["init", "-b", "main"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    const baseSha = commitFile(repoPath, "README.md", "fixture\n", "baseline", "2024-01-01T10:00:00Z");
+    const billingSha = commitFile(
+      repoPath,
+      "packages/billing/src/invoice.js",
+      "export const a = 1;\n",
+      "add invoice",
+      "2024-01-02T11:00:00+02:00"
+    );
+    const docsSha = commitFile(repoPath, "docs/guide.md", "one\ntwo\n", "document", "2024-01-03T12:00:00Z");
+
+    fs.writeFileSync(path.join(repoPath, "README.md"), "dirty working tree\n", "utf8");
+    const statusBefore = git(repoPath, ["status", "--porcelain", "--untracked-files=no"]);
+
+    const dry = await replayIn(repoPath, ["--since", baseSha, "--dry-run"]);
+    expect(dry.exitCode === 0, `dry run must succeed (${dry.message || ""})`);
+    expect(dry.replay.summary.commits === 2 && dry.replay.summary.replayed === 0, "dry run must not write");
+    expect(!fs.existsSync(auditPath), "dry run must not create audit.jsonl");
+
+    // An audit recorded between the two commits: backfilled lines are merged around it by ts.
+    const earlier = { ts: "2024-01-02T20:00:00.000Z", run_id: "local-1", mode: "local", verdict: "allow" };
+    fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+    fs.writeFileSync(auditPath, JSON.stringify(earlier) + "\n", "utf8");
+
+    const first = await replayIn(repoPath, ["--since", baseSha]);
+    expect(first.exitCode === 0, `replay must succeed (${first.message || ""})`);
+    expect(first.replay.kind === "audit_replay", "replay kind mismatch");
+    expect(
+      first.replay.commits.map((commit) => commit.sha).join(",") === `${billingSha},${docsSha}`,
+      "replay must walk commits oldest first, excluding --since"
+    );
+    expect(first.replay.commits[0].verdict === "soft_block", "policy must run against each commit's own diff");
+    expect(first.replay.commits[1].verdict === "allow", "docs commit must not inherit the billing diff");
+    expect(first.replay.summary.by_verdict.soft_block === 1, "summary must count verdicts");
+
+    const driftStore = path.join(repoPath, ".mindforge", "drift");
+    expect(first.replay.stores.drift_store === driftStore, "stores must name the drift store");
+    const auditLines = readJsonl(auditPath);
+    expect(auditLines.length === 3, "audit.jsonl must gain one line per commit");
+    expect(
+      auditLines.map((line) => line.run_id).join(",") === `replay:${billingSha},local-1,replay:${docsSha}`,
+      "backfilled lines must be merged in ts order"
+    );
+    expect(auditLines[0].ts === "2024-01-02T09:00:00.000Z", `audit ts must be the UTC commit time: ${auditLines[0].ts}`);
+    expect(auditLines[0].mode === "replay" && auditLines[0].git.head === billingSha, "audit line must mark the replayed commit");
+    expect(auditLines[0].spread.dominant_module === "pkg:billing", "audit line must carry Risk v1 spread");
+    expect(auditLines[0].reason_codes.join(",") === "billing-touched", "replay lines must carry reason_codes");
+    expect(auditLines[0].git.branch === null && auditLines[0].replay.ref === "HEAD", "replayed commits have no branch");
+
+    const events = readJsonl(eventsPath);
+    expect(events.length === 2, "drift events must gain one line per commit");
+    expect(events[1].ts === "2024-01-03T12:00:00.000Z", "drift event ts must be the commit time");
+    expect(events[0].module === "pkg:billing" && events[0].exit_code === 10, "drift event must mirror the audit outcome");
+    expect(events[0].identity.branch === null, "drift events of replayed commits have no branch");
+
+    const again = await replayIn(repoPath, ["--since=" + baseSha, "--until=HEAD"]);
+    expect(again.replay.summary.skipped === 2 && again.replay.summary.replayed === 0, "re-running must skip replayed commits");
+    expect(readJsonl(auditPath).length === 3 && readJsonl(eventsPath).length === 2, "re-running must not duplicate history");
+
+    expect(
+      git(repoPath, ["status", "--porcelain", "--untracked-files=no"]) === statusBefore,
+      "replay must not touch the working tree or index"
+    );
+
+    // A merged side branch, and a merge committed earlier than its first parent.
+    git(repoPath, ["checkout", "-q", "-b", "side"]);
+    const sideSha = commitFile(repoPath, "packages/billing/src/side.js", "export const s = 1;\n", "side", "2024-01-04T09:00:00Z");
+    git(repoPath, ["checkout", "-q", "main"]);
+    const mainSha = commitFile(repoPath, "src/main.js", "export const m = 1;\n", "main work", "2024-01-06T09:00:00Z");
+    const mergeDate = "2024-01-05T09:00:00Z";
+    git(repoPath, ["merge", "--no-ff", "-m", "merge side", "side"], { GIT_AUTHOR_DATE: mergeDate, GIT_COMMITTER_DATE: mergeDate });
+    const mergeSha = git(repoPath, ["rev-parse", "HEAD"]);
+
+    const merged = await replayIn(repoPath, ["--since", docsSha]);
+    expect(
+      merged.replay.commits.map((commit) => commit.sha).join(",") === `${mainSha},${mergeSha}`,
+      `replay must follow first parents only, leaving out ${sideSha}`
+    );
+    expect(merged.replay.commits[1].verdict === "soft_block", "the merge must carry its branch's changes");
+    expect(
+      readJsonl(auditPath).slice(3).map((line) => line.run_id).join(",") === `replay:${mergeSha},replay:${mainSha}`,
+      "backfilled lines must be merged in ts order even when commit times are not"
+    );
+    expect(readJsonl(eventsPath).length === 4, "side-branch commits must not add drift events");
+
+    const missing = await replayIn(repoPath, []);
+    expect(missing.exitCode === 2 && /requires --since/.test(missing.message), "--since must be required");
+    const unknown = await replayIn(repoPath, ["--since", "no-such-ref"]);
+    expect(unknown.exitCode === 30 && /cannot resolve --since/.test(unknown.message), "unknown --since must fail");
+    const unsafe = replayPolicy();
+    unsafe.rules[0].when = { paths: "any", op: "glob", value: "packages/{billing" };
+    const invalidPolicy = await replayIn(repoPath, ["--since", baseSha], unsafe);
+    expect(
+      invalidPolicy.exitCode === 30 && /^policy is invalid: .*unbalanced braces/.test(invalidPolicy.message),
+      `an invalid policy must fail with the error exit code (${invalidPolicy.message})`
+    );
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: audit replay validated.");
+}
+
+await main();
@@ -0,0 +1,119 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { runGuard } from "../packages/guard/src/runGuard.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+async function runAuthority(sub, packPath) {
+  const result = await runGuard({ argv: ["authority", sub, "--preview", "--json", "--pack", packPath] });
+  expect(result.exitCode === 0, `authority ${sub} --pack ${path.basename(packPath)} must exit 0 (${result.stdout || result.stderr})`);
+  return JSON.parse(result.stdout);
+}
+
+function writePack(tempRoot, name, basePack, mutate) {
+  const pack = structuredClone(basePack);
+  mutate(pack);
+  const packPath = path.join(tempRoot, `${name}.json`);
+  fs.writeFileSync(packPath, JSON.stringify(pack, null, 2), "utf8");
+  return packPath;
+}
+
+async function main() {
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  const repoRoot = path.resolve(__dirname, "..");
+  const basePackPath = path.join(repoRoot, "fixtures", "ai-pr-low-risk-complete", "evidence-pack.json");
+  const basePack = JSON.parse(fs.readFileSync(basePackPath, "utf8"));
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-authority-pack-"));
+
+  try {
+    const check = await runAuthority("check", basePackPath);
+    expect(check.kind === "authority_check_preview", "check kind mismatch");
+    expect(check.decision === "inside_scope", "complete pack must stay inside scope");
+    expect(check.pack_derivation.resources_checked === 2, "check must count scoped resources");
+
+    const explain = await runAuthority("explain", basePackPath);
+    expect(explain.schema_version === "guard.authority_explain_preview.v6_15", "explain schema mismatch");
+    expect(explain.constructible_current_state.constructed_from === "evidence_pack", "explain must record pack source");
+    expect(explain.state_validity_at_bind_time.verdict === "valid", "complete pack must be valid at bind time");
+    expect(explain.coverage_matrix.current_state_context_v1.fixture_backed === false, "pack mode is not fixture-backed");
+
+    const drift = await runAuthority("drift", basePackPath);
+    expect(drift.schema_version === "guard.authority_drift_preview.v6_18", "drift schema mismatch");
+    expect(drift.input_ref.kind === "evidence_pack", "drift input_ref kind mismatch");
+    expect(drift.authority_drift.status === "stable", "complete pack drift must be stable");
+    const driftRepeat = await runAuthority("drift", basePackPath);
+    expect(drift.deterministic_hash === driftRepeat.deterministic_hash, "drift hash must be deterministic");
+
+    const scopePack = writePack(tempRoot, "scope-drift", basePack, (pack) => {
+      pack.scope.changed_files.push("deploy/production.yaml");
+    });
+    const scopeCheck = await runAuthority("check", scopePack);
+    expect(scopeCheck.decision === "outside_scope", "undeclared file change must be outside scope");
+    expect(
+      scopeCheck.pack_derivation.undeclared_resources.join(",") === "deploy/production.yaml",
+      "undeclared resource must be reported"
+    );
+    const scopeDrift = await runAuthority("drift", scopePack);
+    expect(scopeDrift.execution_context.execution_scope_state === "scope_drifted", "scope state mismatch");
+    expect(scopeDrift.authority_drift.execution_time_validity === "invalid", "scope drift must invalidate");
+
+    const actorPack = writePack(tempRoot, "actor-drift", basePack, (pack) => {
+      pack.actions[1].actor = "unregistered-agent";
+    });
+    expect((await runAuthority("check", actorPack)).decision === "needs_review", "actor drift must need review");
+    const actorDrift = await runAuthority("drift", actorPack);
+    expect(actorDrift.execution_context.actor_alignment_state === "drifted", "actor alignment mismatch");
+    expect(actorDrift.authority_drift.drift_factors.join(",") === "actor_drift", "actor drift factor mismatch");
+
+    const expiredPack = writePack(tempRoot, "expired", basePack, (pack) => {
+      pack.authority.time_window.end_at = "2026-06-23T19:30:00Z";
+    });
+    const expiredExplain = await runAuthority("explain", expiredPack);
+    expect(expiredExplain.state_validity_at_bind_time.verdict === "stale", "expired window must be stale");
+    const expiredDrift = await runAuthority("drift", expiredPack);
+    expect(expiredDrift.execution_context.evidence_freshness_state === "expired", "freshness state mismatch");
+    expect(expiredDrift.authority_drift.status === "unknown", "evidence decay must leave validity unknown");
+
+    const noAuthorityPack = writePack(tempRoot, "no-authority", basePack, (pack) => {
+      pack.authority = {};
+    });
+    expect(
+      (await runAuthority("check", noAuthorityPack)).decision === "insufficient_context",
+      "missing authority must be insufficient context"
+    );
+    expect(
+      (await runAuthority("drift", noAuthorityPack)).authority_drift.status === "not_applicable",
+      "missing authority drift must be not_applicable"
+    );
+
+    const both = await runGuard({
+      argv: [
+        "authority", "check", "--preview", "--json", "--pack", basePackPath,
+        "--fixture-file", path.join(repoRoot, "fixtures", "authority", "authority-boundary.inside-scope.valid.json"),
+      ],
+    });
+    expect(both.exitCode === 2, "--pack and --fixture-file together must be a usage error");
+
+    const notAnObject = await runGuard({
+      argv: ["authority", "drift", "--preview", "--json", "--pack", path.join(repoRoot, "fixtures", "README.md")],
+    });
+    expect(notAnObject.exitCode === 30, "non-JSON pack must fail with the default error exit code");
+    expect(JSON.parse(notAnObject.stdout).error.kind === "authority_pack_invalid_json", "non-JSON pack kind mismatch");
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: authority --pack mode validated.");
+}
+
+await main();
@@ -0,0 +1,180 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import { runAudit } from "../packages/guard/src/runAudit.mjs";
+import { collectDriftEvent } from "../packages/guard/src/runtime/drift/collector.mjs";
+import { buildDriftDoctor } from "../packages/guard/src/runtime/drift/doctor.mjs";
+import {
+  buildDriftEvent,
+  DRIFT_IDENTITY_FIELDS,
+  upgradeDriftEvent,
+  validateDriftEvent,
+} from "../packages/guard/src/runtime/drift/event.mjs";
+import { compactDriftStore, readDriftEvents } from "../packages/guard/src/runtime/drift/store.mjs";
+import { runGuardInDir } from "./fixtures/guard_cli_test_helpers.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+const POLICY = {
+  policy_version: "1.0",
+  defaults: {},
+  thresholds: { lines_added_soft: 900, files_changed_hard: 16 },
+  rules: [],
+  exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+};
+
+const SCHEMA_PATH = path.resolve("packages/guard/src/runtime/drift/contracts/drift.event.v3.schema.json");
+
+function checkSchema() {
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8"));
+  expect(schema.properties.v.const === 3 && schema.additionalProperties === false, "schema must pin v3");
+  expect(
+    JSON.stringify(Object.keys(schema.properties.identity.properties)) === JSON.stringify(DRIFT_IDENTITY_FIELDS),
+    "schema identity fields must match DRIFT_IDENTITY_FIELDS"
+  );
+
+  const built = buildDriftEvent({ surface_id: "audit" }, { ts: "2025-03-01T00:00:00.000Z" });
+  expect(
+    JSON.stringify(Object.keys(built).sort()) === JSON.stringify(Object.keys(schema.properties).sort()),
+    "built events must carry every schema property"
+  );
+  expect(schema.required.every((field) => field in built), "built events must carry every required field");
+  expect(built.module === null && Object.values(built.identity).every((v) => v === null), "missing values are null");
+  expect(validateDriftEvent(built).length === 0, `built event must validate: ${validateDriftEvent(built)}`);
+
+  const bad = { ...built, identity: { ...built.identity, actor: "", tenant: "x" }, extra: 1 };
+  const errors = validateDriftEvent(bad);
+  expect(errors.includes("identity.actor must be a non-empty string or null"), "empty identity strings are rejected");
+  expect(errors.includes("identity.tenant is not allowed") && errors.includes("extra is not allowed"), "unknown fields");
+}
+
+function checkUpgrade() {
+  const v1 = { kind: "drift_event", v: 1, ts: "2024-01-02T03:04:05Z", surface: "snapshot", module: "unknown" };
+  const up1 = upgradeDriftEvent(v1);
+  expect(up1.v === 3 && up1.upgraded_from === 1 && up1.ts === v1.ts, "v1 must upgrade and keep its ts");
+  expect(up1.surface_id === "snapshot" && up1.module === "unknown", "v1 values are kept verbatim");
+
+  const v2 = { kind: "drift_event", v: 2, ts: "2025-01-01T00:00:00Z", surface_id: "audit", module: "pkg:a", exit_code: 0 };
+  const up2 = upgradeDriftEvent(v2);
+  expect(up2.upgraded_from === 2 && up2.exit_code === 0 && up2.identity.commit_sha === null, "v2 upgrade mismatch");
+
+  const v3 = buildDriftEvent({ surface_id: "audit", module: "pkg:a" });
+  expect(upgradeDriftEvent(v3) === v3, "v3 passes through unchanged");
+  expect(upgradeDriftEvent({ kind: "drift_event", v: 9, ts: v3.ts }) === null, "future versions are not guessed");
+  expect(upgradeDriftEvent({ kind: "other", v: 2 }) === null, "non drift events are rejected");
+}
+
+async function main() {
+  checkSchema();
+  checkUpgrade();
+
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-drift-event-v3-"));
+  const launchCwd = process.cwd();
+  try {
+    const repoPath = path.join(tempRoot, "repo");
+    fs.mkdirSync(repoPath, { recursive: true });
+    git(repoPath, ["init"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    fs.writeFileSync(path.join(repoPath, "README.md"), "fixture\n", "utf8");
+    git(repoPath, ["add", "."]);
+    git(repoPath, ["commit", "-m", "baseline"]);
+
+    fs.writeFileSync(path.join(repoPath, "change.txt"), "x\n", "utf8");
+    git(repoPath, ["add", "-A"]);
+    process.chdir(repoPath);
+    const audited = await runAudit({ argv: ["--staged", `--outdir=${path.join(tempRoot, "out")}`], policy: POLICY });
+    process.chdir(launchCwd);
+
+    const eventsPath = path.join(repoPath, ".mindforge", "drift", "events.jsonl");
+    const lines = fs.readFileSync(eventsPath, "utf8").trim().split("\n");
+    const written = JSON.parse(lines[lines.length - 1]);
+    expect(written.v === 3 && validateDriftEvent(written).length === 0, "audit must write valid v3 drift events");
+    expect(written.identity.commit_sha === git(repoPath, ["rev-parse", "HEAD"]), "identity must carry the commit");
+    expect(written.identity.branch === git(repoPath, ["rev-parse", "--abbrev-ref", "HEAD"]), "identity branch");
+    expect(written.identity.audit_id === audited.audit.run.run_id, "identity must link the audit run");
+
+    // Legacy lines and broken lines next to the audit's v3 line.
+    fs.appendFileSync(
+      eventsPath,
+      [
+        JSON.stringify({ kind: "drift_event", v: 1, ts: "2025-03-02T00:00:00Z", surface: "audit", module: "unknown" }),
+        JSON.stringify({ kind: "drift_event", v: 2, ts: "2025-03-03T00:00:00Z", surface_id: "audit", module: "pkg:a" }),
+        "{not json",
+        JSON.stringify({ kind: "snapshot", v: 2 }),
+        JSON.stringify({ kind: "drift_event", v: 7, ts: "2025-03-03T00:00:00Z" }),
+        JSON.stringify({ kind: "drift_event", v: 2, ts: "yesterday" }),
+        JSON.stringify({ ...written, verdict: 5 }),
+      ].join("\n") + "\n",
+      "utf8"
+    );
+    const before = fs.readFileSync(eventsPath, "utf8");
+
+    const events = readDriftEvents({ eventsPath });
+    expect(events.length === 4 && events.every((e) => e.v === 3), "reader must upgrade legacy lines on the fly");
+    expect(events[1].upgraded_from === 1 && events[2].upgraded_from === 2, "upgraded events must record the source");
+
+    const doctor = buildDriftDoctor({ eventsPath });
+    expect(doctor.kind === "drift_doctor" && !doctor.healthy, "doctor must flag an unhealthy store");
+    expect(doctor.totals.lines === 8 && doctor.totals.events === 3 && doctor.totals.malformed === 5, "doctor totals");
+    expect(doctor.versions["1"] === 1 && doctor.versions["2"] === 1 && doctor.versions["3"] === 1, "doctor versions");
+    const codes = doctor.malformed.by_code;
+    expect(
+      codes.invalid_json === 1 &&
+        codes.not_drift_event === 1 &&
+        codes.unsupported_version === 1 &&
+        codes.invalid_ts === 1 &&
+        codes.schema_invalid === 1,
+      `doctor malformed codes: ${JSON.stringify(codes)}`
+    );
+    expect(doctor.malformed.samples[0].file === "events.jsonl" && doctor.malformed.samples[0].line === 4, "sample lines");
+    expect(doctor.unknown_identity.total === 2, "legacy lines without identity must be flagged");
+    expect(
+      doctor.unknown_identity.samples.map((s) => s.line).join(",") === "2,3" &&
+        doctor.unknown_identity.samples[0].gaps.includes("module"),
+      "unknown-identity samples mismatch"
+    );
+    expect(doctor.unknown_identity.fields["identity.actor"] === 3, "per-field gaps count every event");
+    expect(fs.readFileSync(eventsPath, "utf8") === before, "doctor and reader must never rewrite stored lines");
+
+    compactDriftStore({ eventsPath });
+    const afterCompaction = buildDriftDoctor({ eventsPath });
+    expect(afterCompaction.files.every((f) => f.file.startsWith("segments/")), "doctor must scan segments");
+    expect(afterCompaction.totals.events === 3 && afterCompaction.totals.malformed === 1, "schema-invalid lines survive");
+
+    collectDriftEvent(
+      { surface_id: "audit", module: "pkg:b", identity: { actor: "dev@example.com", audit_id: "run-1" } },
+      { repoRoot: repoPath, ts: "2025-03-04T00:00:00.000Z" }
+    );
+    const hot = buildDriftDoctor({ eventsPath }).files.find((f) => f.file === "events.jsonl");
+    expect(hot.events === 1 && hot.unknown_identity === 0, "partial identity is attributable");
+
+    const json = await runGuardInDir(repoPath, ["drift", "doctor", "--format", "json"]);
+    expect(json.exitCode === 0 && JSON.parse(json.stdout).kind === "drift_doctor", "drift doctor json");
+    const text = await runGuardInDir(repoPath, ["drift", "doctor"]);
+    expect(text.exitCode === 0 && text.stdout.startsWith("Drift Doctor"), "drift doctor text");
+    expect(text.stdout.includes("schema_invalid  (mirror field must be a string or null)"), "schema detail");
+    for (const out of [json.stdout, text.stdout]) {
+      expect(!/risk|verdict|block|governance/.test(out), "doctor must respect the drift output boundary");
+    }
+  } finally {
+    process.chdir(launchCwd);
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: drift event v3 validated.");
+}
+
+await main();
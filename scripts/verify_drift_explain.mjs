@@ -0,0 +1,104 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { driftEventLine, runGuardInDir } from "./fixtures/guard_cli_test_helpers.mjs";
+
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+const RANGE = ["--since", "2025-02-01", "--until", "2025-02-08"];
+
+async function main() {
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  const repoRoot = path.resolve(__dirname, "..");
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-drift-explain-"));
+  const eventsPath = path.join(tempRoot, ".mindforge", "drift", "events.jsonl");
+
+  try {
+    fs.mkdirSync(path.dirname(eventsPath), { recursive: true });
+    const previousWeek = [
+      driftEventLine("2025-01-27T09:00:00Z", "pkg:guard"),
+      driftEventLine("2025-01-29T09:00:00Z", "pkg:kernel"),
+    ];
+    const currentWeek = [];
+    for (let day = 1; day <= 7; day += 1) {
+      const ts = `2025-02-0${day}T09:00:00Z`;
+      currentWeek.push(driftEventLine(ts, "pkg:guard"));
+      currentWeek.push(
+        driftEventLine(ts.replace("09:", "10:"), "pkg:billing", { surface_id: day % 2 ? "snapshot" : "audit" })
+      );
+    }
+    fs.writeFileSync(eventsPath, [...previousWeek, ...currentWeek, "not json"].join("\n") + "\n", "utf8");
+
+    const jsonResult = await runGuardInDir(tempRoot, ["drift", "explain", ...RANGE, "--format=json"]);
+    expect(jsonResult.exitCode === 0, `drift explain must succeed (${jsonResult.stdout})`);
+    const explain = JSON.parse(jsonResult.stdout);
+    expect(explain.kind === "drift_explain", "explain kind mismatch");
+    expect(explain.current.events === 14 && explain.previous.events === 2, "explain must count both ranges");
+    expect(explain.previous.since === "2025-01-25T00:00:00.000Z", "previous range must precede the current range");
+    expect(explain.current.density === 2 && explain.previous.density === 0.29, "explain density mismatch");
+    expect(explain.slope === 1.71, `explain slope mismatch: ${explain.slope}`);
+    expect(explain.trend === "accelerating", "explain trend mismatch");
+    expect(/above \+0\.5/.test(explain.trend_reason), "trend reason must cite the threshold");
+    expect(explain.module_growth.added.join(",") === "pkg:billing", "module growth must list added modules");
+    expect(explain.module_growth.removed.join(",") === "pkg:kernel", "module growth must list removed modules");
+    expect(
+      explain.top_modules.map((m) => `${m.module}:${m.events}:${m.events_prev}`).join(",") ===
+        "pkg:billing:7:0,pkg:guard:7:1",
+      `top modules mismatch: ${JSON.stringify(explain.top_modules)}`
+    );
+    expect(
+      explain.top_surfaces.map((s) => `${s.surface_id}:${s.events}`).join(",") === "audit:10,snapshot:4",
+      "top surfaces mismatch"
+    );
+    expect(explain.policy.affects_exit === false, "explain must stay signal-only");
+
+    const text = await runGuardInDir(tempRoot, ["drift", "explain", ...RANGE]);
+    expect(text.exitCode === 0, "text explain must succeed");
+    const fragments = ["Drift Explain", "Trend: accelerating", "Top modules:", "1. pkg:billing", "Top surfaces:"];
+    for (const fragment of fragments) {
+      expect(text.stdout.includes(fragment), `text explain must include '${fragment}'`);
+    }
+
+    const surfaceFiltered = JSON.parse(
+      (await runGuardInDir(tempRoot, ["drift", "explain", ...RANGE, "--surface", "snapshot", "--format=json"])).stdout
+    );
+    expect(
+      surfaceFiltered.current.events === 4 && surfaceFiltered.previous.events === 0,
+      "--surface must filter events"
+    );
+    expect(surfaceFiltered.filters.surface === "snapshot", "explain must echo filters");
+
+    const moduleStatus = await runGuardInDir(tempRoot, ["drift", "status", ...RANGE, "--module=pkg:gu", "--format=json"]);
+    const bundle = JSON.parse(moduleStatus.stdout);
+    expect(bundle.explain.events === 7 && bundle.explain.events_prev === 1, "--module must filter by prefix");
+    expect(bundle.filters.module === "pkg:gu", "status must echo filters");
+    const unfiltered = JSON.parse((await runGuardInDir(tempRoot, ["drift", "status", ...RANGE, "--format=json"])).stdout);
+    expect(!("filters" in unfiltered), "unfiltered status output must keep its shape");
+
+    const schema = JSON.parse(
+      fs.readFileSync(
+        path.join(repoRoot, "packages", "guard", "src", "runtime", "drift", "contracts", "drift.explain.schema.json"),
+        "utf8"
+      )
+    );
+    expect(
+      JSON.stringify(Object.keys(explain).sort()) === JSON.stringify([...schema.required].sort()),
+      "explain output keys must match the contract"
+    );
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: drift explain and filters validated.");
+}
+
+await main();
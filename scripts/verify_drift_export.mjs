@@ -0,0 +1,132 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { driftEventLine, installTestLicense, runGuardInDir } from "./fixtures/guard_cli_test_helpers.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-drift-export-"));
+process.env.HOME = tempRoot;
+process.env.USERPROFILE = tempRoot;
+
+const exportModule = await import("../packages/guard/src/runtime/drift/export.mjs");
+const { resolveDriftRange } = await import("../packages/guard/src/runtime/drift/range.mjs");
+const { buildDriftExport, renderDriftExportCsv, renderDriftExportOpenMetrics } = exportModule;
+
+const RANGE = ["--since", "2025-02-01", "--until", "2025-02-08"];
+
+async function main() {
+  const repoPath = path.join(tempRoot, "repo");
+  const eventsPath = path.join(repoPath, ".mindforge", "drift", "events.jsonl");
+
+  try {
+    fs.mkdirSync(path.dirname(eventsPath), { recursive: true });
+
+    const missing = await runGuardInDir(repoPath, ["drift", "export", ...RANGE]);
+    expect(missing.exitCode === 21, "drift export must be license-gated");
+    expect(JSON.parse(missing.stdout).error.feature === "drift_export", "gate must name the drift_export feature");
+
+    const badFormat = await runGuardInDir(repoPath, ["drift", "export", "--format", "parquet"]);
+    expect(badFormat.exitCode === 2, "unknown --format must be a usage error");
+    expect(JSON.parse(badFormat.stdout).error.kind === "invalid_export_format", "format error kind mismatch");
+
+    const install = await installTestLicense({
+      dir: tempRoot,
+      name: "drift_export",
+      edition: "pro",
+      entitlements: { analytics: { drift_timeline: true, drift_compare: false, assoc_correlate: false } },
+    });
+    expect(install.exitCode === 0, `test license must install (${install.stdout})`);
+
+    const noData = await runGuardInDir(repoPath, ["drift", "export", ...RANGE]);
+    expect(noData.exitCode === 30, "drift export without events must report missing data");
+
+    fs.writeFileSync(
+      eventsPath,
+      [
+        driftEventLine("2025-01-30T09:00:00Z", "pkg:guard"),
+        driftEventLine("2025-02-03T10:00:00Z", "pkg:guard", { risk_score: 42, verdict: "soft_block" }),
+        driftEventLine("2025-02-03T09:00:00Z", "pkg:billing", { surface_id: "snapshot", receipt_id: "r,1" }),
+        driftEventLine("2025-02-05T09:00:00Z", 'pkg:"quoted"'),
+        driftEventLine("2025-02-05T11:00:00Z", "pkg:guard"),
+        driftEventLine("2025-02-09T09:00:00Z", "pkg:guard"),
+        "not json",
+      ].join("\n") + "\n",
+      "utf8"
+    );
+
+    const jsonl = await runGuardInDir(repoPath, ["drift", "export", ...RANGE]);
+    expect(jsonl.exitCode === 0, `jsonl export must succeed (${jsonl.stdout})`);
+    expect(!/risk|verdict|block|governance/.test(jsonl.stdout), "export must respect the drift output boundary");
+    const records = jsonl.stdout.trim().split("\n").map((line) => JSON.parse(line));
+    expect(records[0].record === "export" && records[0].kind === "drift_export", "first jsonl line is the header");
+    expect(records[0].signal.events === 4 && records[0].signal.events_prev === 1, "header must carry range totals");
+    const events = records.filter((r) => r.record === "event");
+    expect(
+      events.map((e) => e.module).join(",") === 'pkg:billing,pkg:guard,pkg:"quoted",pkg:guard',
+      "events must be in range and sorted by time"
+    );
+    const timeline = records.filter((r) => r.record === "timeline");
+    expect(timeline.map((r) => `${r.ts.slice(0, 10)}:${r.events}`).join(",") === "2025-02-03:2,2025-02-05:2", "timeline");
+    const dominance = records.filter((r) => r.record === "dominance");
+    expect(dominance[0].module === "pkg:guard" && dominance[0].share === 0.5, "dominance must rank modules");
+    expect(dominance.length === 3, "dominance must cover every module");
+
+    const outFile = path.join(tempRoot, "out", "drift.prom");
+    const written = await runGuardInDir(repoPath, [
+      "drift",
+      "export",
+      ...RANGE,
+      "--format=openmetrics",
+      "--module",
+      "pkg:",
+      "--out",
+      outFile,
+    ]);
+    expect(written.exitCode === 0 && written.stdout.includes(outFile), "--out must write the export file");
+    const metrics = fs.readFileSync(outFile, "utf8");
+    expect(metrics.endsWith("# EOF\n"), "OpenMetrics output must end with # EOF");
+    expect(
+      metrics.includes('mindforge_drift_bucket_events{bucket="day",module_prefix="pkg:"} 2 1738540800'),
+      "bucket samples must carry the bucket start timestamp"
+    );
+    expect(metrics.includes("# TYPE mindforge_drift_trend stateset"), "trend must be a stateset");
+    expect(
+      metrics.includes('mindforge_drift_module_events{window="7d",module_prefix="pkg:",module="pkg:\\"quoted\\""} 1'),
+      "label values must be escaped"
+    );
+    const families = metrics.split("\n").filter((line) => line.startsWith("# TYPE")).length;
+    expect(families === metrics.split("\n").filter((line) => line.startsWith("# HELP")).length, "TYPE/HELP per family");
+
+    const columnar = JSON.parse((await runGuardInDir(repoPath, ["drift", "export", ...RANGE, "--format", "json"])).stdout);
+    expect(columnar.tables.events.length === 4, "columnar events length mismatch");
+    expect(columnar.tables.events.columns.receipt_id.join("|") === "r,1|||", "columnar receipt ids mismatch");
+    expect(columnar.tables.timeline.columns.events.join(",") === "2,2", "columnar timeline mismatch");
+
+    const data = buildDriftExport({
+      repoRoot: repoPath,
+      range: resolveDriftRange({ since: "2025-02-01", until: "2025-02-08" }).range,
+      bucket: "week",
+      nowMs: Date.parse("2025-02-10T00:00:00Z"),
+    });
+    expect(data.timeline.length === 1 && data.timeline[0].ts === "2025-02-03T00:00:00.000Z", "--bucket week mismatch");
+    const csv = renderDriftExportCsv(data).split("\r\n");
+    expect(csv[0] === "record,ts,surface_id,module,receipt_id,snapshot_id,events,unique_modules,rank,contribution,share", "csv header");
+    expect(csv.includes('event,2025-02-03T09:00:00.000Z,snapshot,pkg:billing,"r,1",,,,,,'), "csv must quote commas");
+    expect(csv.includes('dominance,,,"pkg:""quoted""",,,,,2,1,0.25'), "csv must escape quotes");
+    expect(!renderDriftExportOpenMetrics(data).includes("module_prefix"), "unfiltered metrics carry no filter labels");
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: drift export validated.");
+}
+
+await main();
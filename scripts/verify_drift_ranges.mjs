@@ -0,0 +1,135 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { analyzeDrift } from "../packages/guard/src/runtime/drift/analyzer.mjs";
+import { buildCompare } from "../packages/guard/src/runtime/drift/compare.mjs";
+import { buildTimeline } from "../packages/guard/src/runtime/drift/timeline.mjs";
+import {
+  bucketStart,
+  parseRangeSpec,
+  resolveDriftRange,
+} from "../packages/guard/src/runtime/drift/range.mjs";
+import { driftEventLine, runGuardInDir } from "./fixtures/guard_cli_test_helpers.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+async function main() {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-drift-ranges-"));
+  const eventsPath = path.join(tempRoot, ".mindforge", "drift", "events.jsonl");
+  const nowMs = Date.parse("2025-03-20T12:00:00Z");
+
+  try {
+    fs.mkdirSync(path.dirname(eventsPath), { recursive: true });
+    fs.writeFileSync(
+      eventsPath,
+      [
+        driftEventLine("2025-01-06T09:00:00Z", "pkg:guard"),
+        driftEventLine("2025-01-08T09:00:00Z", "pkg:guard"),
+        driftEventLine("2025-01-20T09:00:00Z", "pkg:kernel"),
+        driftEventLine("2025-02-03T09:00:00Z", "pkg:guard"),
+        driftEventLine("2025-02-04T09:00:00Z", "pkg:billing"),
+        driftEventLine("2025-02-05T09:00:00Z", "pkg:billing"),
+        driftEventLine("2025-03-18T09:00:00Z", "pkg:guard"),
+        driftEventLine("2025-03-19T09:00:00Z", "scripts"),
+      ].join("\n") + "\n",
+      "utf8"
+    );
+
+    const weekStart = bucketStart(Date.parse("2025-01-08T09:00:00Z"), "week");
+    expect(weekStart === "2025-01-06T00:00:00.000Z", "weeks start Monday");
+    expect(bucketStart(Date.parse("2025-02-05T09:00:00Z"), "month") === "2025-02-01T00:00:00.000Z", "month bucket");
+    expect(resolveDriftRange({ since: "2025-13-01" }).error?.includes("--since"), "invalid --since must be rejected");
+    expect(resolveDriftRange({ since: "2025-02-01", until: "2025-01-01" }).error, "inverted range must be rejected");
+    expect(parseRangeSpec("2025-01-01").error, "range spec needs both bounds");
+
+    const rolling = analyzeDrift({ eventsPath, window: "7d", nowMs });
+    expect(rolling.events_current === 2 && rolling.events_prev === 0, "rolling window behaviour must be unchanged");
+
+    // v3 events without a module (module: null) are not a module of their own.
+    const nullModulePath = path.join(tempRoot, "null-module", "events.jsonl");
+    fs.mkdirSync(path.dirname(nullModulePath), { recursive: true });
+    const v3 = (ts, module) => JSON.stringify({ kind: "drift_event", v: 3, ts, surface_id: "audit", module });
+    fs.writeFileSync(
+      nullModulePath,
+      [v3("2025-03-18T09:00:00Z", null), v3("2025-03-19T09:00:00Z", "pkg:guard")].join("\n") + "\n",
+      "utf8"
+    );
+    const withNull = analyzeDrift({ eventsPath: nullModulePath, window: "7d", nowMs });
+    expect(withNull.events_current === 2 && withNull.unique_modules === 1, "null modules must not count as modules");
+    expect(withNull.expansion === 1 && withNull.modules_added.join(",") === "pkg:guard", "null is not an added module");
+
+    const timeline = buildTimeline({
+      eventsPath,
+      bucket: "week",
+      range: resolveDriftRange({ since: "2025-01-01", until: "2025-02-01", nowMs }).range,
+    });
+    expect(
+      timeline.series.map((row) => `${row.t.slice(0, 10)}:${row.events}`).join(",") === "2025-01-06:2,2025-01-20:1",
+      `weekly timeline mismatch: ${JSON.stringify(timeline.series)}`
+    );
+    expect(timeline.range.since === "2025-01-01T00:00:00.000Z", "timeline must report its range");
+
+    const monthly = buildTimeline({
+      eventsPath,
+      bucket: "month",
+      range: resolveDriftRange({ since: "2025-01-01", nowMs }).range,
+    });
+    expect(monthly.series.map((row) => row.events).join(",") === "3,3,2", "monthly timeline mismatch");
+
+    const cycles = buildCompare({
+      eventsPath,
+      rangeA: parseRangeSpec("2025-01-01..2025-02-01").range,
+      rangeB: parseRangeSpec("2025-02-01..2025-03-01").range,
+      nowMs,
+    });
+    expect(cycles.a.events === 3 && cycles.b.events === 3, "compare --a/--b must count each range");
+    expect(cycles.delta.modules_added.join(",") === "pkg:billing", "compare must list modules added in b");
+    expect(cycles.delta.modules_removed.join(",") === "pkg:kernel", "compare must list modules gone in b");
+    expect(cycles.ranges.a.until === "2025-02-01T00:00:00.000Z", "compare must report both ranges");
+
+    const shifted = buildCompare({
+      eventsPath,
+      range: resolveDriftRange({ since: "2025-02-01", until: "2025-02-08", nowMs }).range,
+      nowMs,
+    });
+    expect(shifted.ranges.a.since === "2025-01-25T00:00:00.000Z", "baseline must precede an explicit subject range");
+    expect(shifted.b.events === 3 && shifted.a.events === 0, "explicit --since/--until compare mismatch");
+
+    const status = await runGuardInDir(tempRoot, [
+      "drift",
+      "status",
+      "--format=json",
+      "--since",
+      "2025-01-01",
+      "--until",
+      "2025-02-01",
+    ]);
+    expect(status.exitCode === 0, "drift status with a range must succeed");
+    const bundle = JSON.parse(status.stdout);
+    expect(bundle.explain.events === 3, `drift status must honour --since/--until (got ${bundle.explain.events})`);
+    expect(bundle.range.until === "2025-02-01T00:00:00.000Z", "drift status must report its range");
+
+    const badRange = await runGuardInDir(tempRoot, ["drift", "status", "--since=yesterday"]);
+    expect(badRange.exitCode === 2, "invalid --since must be a usage error");
+    expect(JSON.parse(badRange.stdout).error.kind === "invalid_drift_range", "invalid range error kind mismatch");
+
+    const badBucket = await runGuardInDir(tempRoot, ["drift", "timeline", "--bucket", "year"]);
+    expect(badBucket.exitCode === 2, "unknown --bucket must be a usage error");
+
+    const halfCompare = await runGuardInDir(tempRoot, ["drift", "compare", "--a", "2025-01-01..2025-02-01"]);
+    expect(halfCompare.exitCode === 2, "--a without --b must be a usage error");
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: drift ranges and buckets validated.");
+}
+
+await main();
@@ -0,0 +1,201 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { analyzeDrift } from "../packages/guard/src/runtime/drift/analyzer.mjs";
+import { collectDriftEvent } from "../packages/guard/src/runtime/drift/collector.mjs";
+import { resolveDriftRange } from "../packages/guard/src/runtime/drift/range.mjs";
+import {
+  compactDriftStore,
+  driftStoreExists,
+  readDriftEvents,
+} from "../packages/guard/src/runtime/drift/store.mjs";
+import { buildTimeline } from "../packages/guard/src/runtime/drift/timeline.mjs";
+import { buildDriftDailySeries } from "../packages/guard/src/runtime/association/series_from_drift_events.mjs";
+import { driftEventLine, runGuardInDir } from "./fixtures/guard_cli_test_helpers.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+async function waitFor(predicate, message, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) fail(message);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+function rangeOf(since, until) {
+  return resolveDriftRange({ since, until }).range;
+}
+
+function snapshot(eventsPath) {
+  const range = rangeOf("2025-02-20", "2025-03-06");
+  return JSON.stringify({
+    stats: analyzeDrift({ eventsPath, range }),
+    timeline: buildTimeline({ eventsPath, range, bucket: "day" }).series,
+  });
+}
+
+async function main() {
+  const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-drift-store-"));
+  const driftDir = path.join(repoPath, ".mindforge", "drift");
+  const eventsPath = path.join(driftDir, "events.jsonl");
+
+  try {
+    expect(!driftStoreExists(eventsPath), "empty store must not exist");
+    fs.mkdirSync(driftDir, { recursive: true });
+    const hotText =
+      [
+        driftEventLine("2025-03-03T10:00:00Z", "pkg:guard"),
+        driftEventLine("2025-02-25T09:00:00Z", "pkg:billing"),
+        driftEventLine("2025-03-01T08:00:00Z", "pkg:guard", { surface_id: "snapshot" }),
+        "not json",
+        driftEventLine("2025-02-24T12:00:00Z", "pkg:guard"),
+        driftEventLine("2025-03-03T09:00:00Z", "pkg:kernel"),
+        JSON.stringify({ kind: "drift_event", v: 1, ts: "2025-03-02T00:00:00Z" }),
+      ].join("\n") + "\n";
+    fs.writeFileSync(eventsPath, hotText, "utf8");
+    const before = snapshot(eventsPath);
+
+    const dry = await runGuardInDir(repoPath, ["drift", "compact", "--dry-run", "--format=json"]);
+    const dryReport = JSON.parse(dry.stdout);
+    expect(dry.exitCode === 0 && dryReport.dry_run && dryReport.rotated_events === 6, "dry run must report rotation");
+    expect(fs.existsSync(eventsPath) && !fs.existsSync(path.join(driftDir, "segments")), "dry run must not write");
+
+    const compacted = await runGuardInDir(repoPath, ["drift", "compact", "--format", "json"]);
+    const report = JSON.parse(compacted.stdout);
+    expect(compacted.exitCode === 0 && report.kind === "drift_compaction", "compaction must succeed");
+    expect(report.rotated_events === 6 && report.invalid_lines_quarantined === 1, "compaction totals mismatch");
+    const quarantinePath = path.join(driftDir, "quarantine.jsonl");
+    expect(fs.readFileSync(quarantinePath, "utf8") === "not json\n", "rejected lines must be kept in quarantine");
+    expect(report.segments.map((s) => `${s.month}:${s.events}`).join(",") === "2025-02:2,2025-03:4", "month segments");
+    expect(!fs.existsSync(eventsPath) && driftStoreExists(eventsPath), "hot file must rotate into segments");
+
+    const march = fs.readFileSync(path.join(driftDir, "segments", "2025-03.jsonl"), "utf8").trim().split("\n");
+    expect(
+      march.map((line) => JSON.parse(line).ts).join(",") ===
+        "2025-03-01T08:00:00Z,2025-03-02T00:00:00Z,2025-03-03T09:00:00Z,2025-03-03T10:00:00Z",
+      "segments must be sorted by time"
+    );
+    const index = JSON.parse(fs.readFileSync(path.join(driftDir, "segments", "index.json"), "utf8"));
+    const dayOffsets = index.segments["2025-03"].days["2025-03-03"];
+    expect(
+      dayOffsets[0] === march.slice(0, 2).join("\n").length + 1 && dayOffsets[1] === march.join("\n").length + 1,
+      "index must record the byte range of each day"
+    );
+    const rollup = JSON.parse(fs.readFileSync(path.join(driftDir, "rollups", "2025-03.json"), "utf8"));
+    expect(
+      rollup.days.map((d) => `${d.day.slice(0, 10)}:${d.events}`).join(",") === "2025-03-01:1,2025-03-02:1,2025-03-03:2",
+      "rollup days mismatch"
+    );
+    expect(rollup.days[2].modules["pkg:kernel"] === 1 && rollup.days[0].surfaces.snapshot === 1, "rollup breakdowns");
+    expect(rollup.days[1].surfaces.unknown === 1, "upgraded v1 lines without a surface roll up as unknown");
+
+    expect(snapshot(eventsPath) === before, "readers must return the same results before and after compaction");
+    const noop = compactDriftStore({ eventsPath });
+    expect(noop.rotated_events === 0 && noop.segments.every((s) => !s.rewritten), "compaction must be idempotent");
+
+    // A compaction that died after writing segments, index and quarantine but before removing
+    // the rotating file: resuming it must not add those lines a second time.
+    const readSegments = () =>
+      ["2025-02", "2025-03"].map((m) => fs.readFileSync(path.join(driftDir, "segments", `${m}.jsonl`), "utf8")).join("");
+    const segmentsBefore = readSegments();
+    fs.writeFileSync(path.join(driftDir, "events.rotating.jsonl"), hotText, "utf8");
+    const resumed = compactDriftStore({ eventsPath });
+    expect(resumed.rotated_events === 0 && resumed.invalid_lines_quarantined === 0, "resumed compaction must add nothing");
+    expect(readSegments() === segmentsBefore, "resumed compaction must not duplicate segment events");
+    expect(fs.readFileSync(quarantinePath, "utf8") === "not json\n", "resumed compaction must not duplicate quarantine lines");
+    expect(!fs.existsSync(path.join(driftDir, "events.rotating.jsonl")), "resumed compaction must remove the rotating file");
+
+    // Scribble over 2025-03-01 with same-sized bytes: reads of 2025-03-03 only touch their slice.
+    const marchPath = path.join(driftDir, "segments", "2025-03.jsonl");
+    const original = fs.readFileSync(marchPath);
+    const scribbled = Buffer.from(original);
+    scribbled.fill("x".charCodeAt(0), 0, march[0].length);
+    fs.writeFileSync(marchPath, scribbled);
+    const seeked = readDriftEvents({ eventsPath, range: rangeOf("2025-03-03", "2025-03-04") });
+    expect(seeked.map((e) => e.module).join(",") === "pkg:kernel,pkg:guard", "range reads must seek to the day slice");
+    fs.writeFileSync(marchPath, original);
+
+    collectDriftEvent(
+      { surface_id: "audit", module: "pkg:late" },
+      { repoRoot: repoPath, ts: "2025-03-03T23:00:00.000Z" }
+    );
+    const merged = readDriftEvents({ eventsPath, range: rangeOf("2025-03-03", "2025-03-04") });
+    expect(merged.length === 3 && merged[2].module === "pkg:late", "hot-file events must merge with segments");
+
+    const daily = buildDriftDailySeries({ eventsPath, window: "7d", nowMs: Date.parse("2025-03-05T12:00:00Z") });
+    const third = daily.find((d) => d.t === "2025-03-03T00:00:00.000Z");
+    expect(third.drift_events === 3 && third.drift_unique_modules === 3, "daily series must combine rollups and hot file");
+
+    // A fresh rollup is authoritative for its month; a stale one (segment changed) is ignored.
+    const rollupPath = path.join(driftDir, "rollups", "2025-02.json");
+    const tampered = JSON.parse(fs.readFileSync(rollupPath, "utf8"));
+    tampered.days[0].events = 40;
+    fs.writeFileSync(rollupPath, JSON.stringify(tampered), "utf8");
+    const fromRollup = buildDriftDailySeries({ eventsPath, window: "14d", nowMs: Date.parse("2025-03-05T12:00:00Z") });
+    expect(fromRollup.find((d) => d.t === "2025-02-24T00:00:00.000Z").drift_events === 40, "fresh rollups must be used");
+    const febPath = path.join(driftDir, "segments", "2025-02.jsonl");
+    const futureLine = JSON.stringify({ kind: "drift_event", v: 99, ts: "2025-02-27T00:00:00Z", module: "pkg:future" });
+    fs.appendFileSync(febPath, driftEventLine("2025-02-28T00:00:00Z", "pkg:x") + "\n" + futureLine + "\n");
+    const stale = buildDriftDailySeries({ eventsPath, window: "14d", nowMs: Date.parse("2025-03-05T12:00:00Z") });
+    expect(stale.find((d) => d.t === "2025-02-24T00:00:00.000Z").drift_events === 1, "stale rollups must be ignored");
+    expect(stale.find((d) => d.t === "2025-02-28T00:00:00.000Z").drift_events === 1, "stale segments are read in full");
+
+    // A held compaction lock: the collector only appends, drift compact refuses.
+    const lockPath = path.join(driftDir, "compact.lock");
+    fs.writeFileSync(lockPath, "1\n", "utf8");
+    collectDriftEvent(
+      { surface_id: "audit", module: "pkg:locked" },
+      { repoRoot: repoPath, ts: "2025-03-04T00:00:00.000Z", rotateBytes: 1 }
+    );
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    expect(fs.existsSync(eventsPath), "the collector must not compact while the lock is held");
+    const locked = await runGuardInDir(repoPath, ["drift", "compact", "--format=json"]);
+    expect(locked.exitCode === 30 && JSON.parse(locked.stdout).error.kind === "compaction_locked", "locked compact");
+    const staleAt = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(lockPath, staleAt, staleAt);
+
+    collectDriftEvent(
+      { surface_id: "audit", module: "pkg:april" },
+      { repoRoot: repoPath, ts: "2025-04-01T00:00:00.000Z", rotateBytes: 1 }
+    );
+    expect(fs.existsSync(eventsPath), "the collector must not compact inside the audit path");
+    await waitFor(
+      () => !fs.existsSync(eventsPath) && !fs.existsSync(lockPath),
+      "the collector must start a background compaction past rotateBytes"
+    );
+    expect(fs.existsSync(path.join(driftDir, "segments", "2025-04.jsonl")), "rotation must create the new month segment");
+    expect(readDriftEvents({ eventsPath }).length === 10, "no event may be lost across rotations");
+
+    // One background compaction per process: later appends past the limit do not start more.
+    collectDriftEvent(
+      { surface_id: "audit", module: "pkg:april" },
+      { repoRoot: repoPath, ts: "2025-04-02T00:00:00.000Z", rotateBytes: 1 }
+    );
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    expect(fs.existsSync(eventsPath), "a process must start at most one background compaction");
+    expect(!fs.existsSync(lockPath), "a stale lock is taken over and released");
+    expect(
+      fs.readFileSync(quarantinePath, "utf8") === `not json\n${futureLine}\n`,
+      "lines from a rewritten segment that do not upgrade (newer schema) must be quarantined, not dropped"
+    );
+
+    const text = await runGuardInDir(repoPath, ["drift", "compact"]);
+    expect(text.stdout.startsWith("Drift Compaction") && text.stdout.includes("2025-02"), "text output mismatch");
+    expect(readDriftEvents({ eventsPath }).length === 11, "the hot file must rotate on the next compaction");
+    expect(!/risk|verdict|block|governance/.test(text.stdout), "compact must respect the drift output boundary");
+  } finally {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  }
+
+  console.log("PASS: drift store validated.");
+}
+
+await main();
@@ -0,0 +1,225 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import { installTestLicense } from "./fixtures/guard_cli_test_helpers.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-enterprise-hook-"));
+process.env.HOME = tempRoot;
+process.env.USERPROFILE = tempRoot;
+
+const [{ runGuard }, { runAudit }, config, invoke, mock, sign] =
+  await Promise.all([
+    import("../packages/guard/src/runGuard.mjs"),
+    import("../packages/guard/src/runAudit.mjs"),
+    import("../packages/guard/src/hooks/hook_config.mjs"),
+    import("../packages/guard/src/hooks/hook_invoke.mjs"),
+    import("../packages/guard/src/hooks/hook_mock_server.mjs"),
+    import("../packages/guard/src/hooks/hook_sign.mjs"),
+  ]);
+const { loadHookConfig } = config;
+const { invokeEnterpriseHook } = invoke;
+const { startHookMockServer } = mock;
+const { signHookBody, verifyHookSignature } = sign;
+
+const POLICY = {
+  policy_version: "1.0",
+  defaults: {},
+  thresholds: { lines_added_soft: 900, files_changed_hard: 16 },
+  rules: [],
+  exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+};
+
+function writeHooks(repoPath, json) {
+  fs.mkdirSync(path.join(repoPath, ".mindforge"), { recursive: true });
+  fs.writeFileSync(path.join(repoPath, ".mindforge", "hooks.json"), JSON.stringify(json), "utf8");
+}
+
+function checkSignature() {
+  const body = JSON.stringify({ a: 1 });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = signHookBody({ body, timestamp, secret: "s3cret" });
+  expect(/^sha256=[0-9a-f]{64}$/.test(signature), "signature format");
+  expect(verifyHookSignature({ body, timestamp, signature, secret: "s3cret" }).ok, "valid signature must verify");
+  const tampered = verifyHookSignature({ body: body + " ", timestamp, signature, secret: "s3cret" });
+  expect(tampered.reason === "signature mismatch", "tampered body must fail");
+  const old = String(Number(timestamp) - 3600);
+  const oldSignature = signHookBody({ body, timestamp: old, secret: "s3cret" });
+  const stale = verifyHookSignature({ body, timestamp: old, signature: oldSignature, secret: "s3cret" });
+  expect(stale.reason === "stale timestamp", "stale timestamps must fail");
+  expect(verifyHookSignature({ body, secret: "s3cret" }).reason === "unsigned", "unsigned requests must fail");
+}
+
+function checkConfig(repoPath) {
+  expect(loadHookConfig({ repoRoot: repoPath }).reason === "hooks.json missing", "missing config");
+  writeHooks(repoPath, { enabled: true, type: "webhook", url: "http://127.0.0.1:1/" });
+  const legacy = loadHookConfig({ repoRoot: repoPath });
+  expect(legacy.enabled && legacy.endpoints.length === 1 && legacy.endpoints[0].retries === 0, "single url config");
+  expect(legacy.endpoints[0].secret === null, "no secret means unsigned");
+
+  process.env.MF_TEST_HOOK_SECRET = "from-env";
+  writeHooks(repoPath, {
+    enabled: true,
+    type: "webhook",
+    secret: "ENV:MF_TEST_HOOK_SECRET",
+    retries: 99,
+    endpoints: [{ name: "a", url: "http://a/" }, { url: "http://b/", secret: null, retries: 1, timeout_ms: 10 }],
+  });
+  const multi = loadHookConfig({ repoRoot: repoPath });
+  expect(multi.endpoints[0].secret === "from-env", "top-level secret is the default");
+  expect(multi.endpoints[0].retries === 5, "retries are capped");
+  expect(multi.endpoints[1].secret === null && multi.endpoints[1].name === "http://b/", "endpoint overrides");
+  expect(multi.endpoints[1].timeout_ms === 10 && multi.endpoints[1].retries === 1, "endpoint timeout and retries");
+
+  writeHooks(repoPath, { enabled: true, type: "webhook", endpoints: [{ url: "http://a/" }, {}] });
+  expect(loadHookConfig({ repoRoot: repoPath }).reason === "endpoints[1] missing url", "bad endpoint reason");
+}
+
+async function checkInvoke() {
+  const gated = await invokeEnterpriseHook({ edition: "pro_plus", config: { enabled: true, url: "http://x/" } });
+  expect(!gated.invoked && gated.reason === "non-enterprise", "non-enterprise editions never call the hook");
+
+  const blocker = await startHookMockServer({
+    port: 0,
+    status: "BLOCK",
+    reason: "needs review",
+    secret: "k1",
+    failFirst: 1,
+  });
+  const override = await startHookMockServer({ port: 0, status: "SOFT_OVERRIDE" });
+  const slow = await startHookMockServer({ port: 0, delayMs: 400 });
+  try {
+    const out = await invokeEnterpriseHook({
+      edition: "enterprise",
+      snapshot: { run_id: "r1" },
+      risk_score: 12,
+      exit_intent: 0,
+      config: {
+        enabled: true,
+        endpoints: [
+          { name: "blocker", url: blocker.url, timeout_ms: 2000, secret: "k1", retries: 1, retry_backoff_ms: 0 },
+          { name: "override", url: override.url, timeout_ms: 2000, secret: null, retries: 0 },
+          { name: "wrong-secret", url: blocker.url, timeout_ms: 2000, secret: "nope", retries: 3 },
+          { name: "slow", url: slow.url, timeout_ms: 50, secret: null, retries: 0 },
+        ],
+      },
+    });
+    expect(out.invoked && out.status === "BLOCK" && out.reason === "needs review", "the most restrictive answer wins");
+    expect(typeof out.latency_ms === "number" && typeof out.delivery === "string", "latency and delivery id");
+    const byName = Object.fromEntries(out.endpoints.map((e) => [e.name, e]));
+    expect(byName.blocker.attempts === 2 && byName.blocker.signed, "503 must be retried");
+    expect(byName.override.status === "SOFT_OVERRIDE" && !byName.override.signed, "unsigned endpoint");
+    expect(byName["wrong-secret"].reason === "http_401" && byName["wrong-secret"].attempts === 1, "4xx is final");
+    expect(byName.slow.status === "PASS" && byName.slow.error === "HOOK_TIMEOUT", "timeouts are fail-safe PASS");
+
+    const received = blocker.requests.filter((r) => r.response.code === 200);
+    expect(received.length === 1 && received[0].signature === "valid", "the receiver must verify the signature");
+    expect(received[0].delivery === out.delivery && override.requests[0].delivery === out.delivery, "one delivery id");
+    expect(received[0].payload.snapshot.run_id === "r1" && received[0].payload.risk_score === 12, "payload");
+  } finally {
+    await Promise.all([blocker.close(), override.close(), slow.close()]);
+  }
+}
+
+async function checkAudit(repoPath) {
+  const receiver = await startHookMockServer({
+    port: 0,
+    status: "BLOCK",
+    reason: "manual review",
+    secret: "audit-key",
+  });
+  const launchCwd = process.cwd();
+  try {
+    writeHooks(repoPath, { enabled: true, type: "webhook", url: receiver.url, secret: "audit-key" });
+    fs.writeFileSync(path.join(repoPath, "change.txt"), "x\n", "utf8");
+    git(repoPath, ["add", "."]);
+    const outdir = `--outdir=${path.join(tempRoot, "out")}`;
+
+    process.chdir(repoPath);
+    const community = await runAudit({ argv: ["--staged", outdir], policy: POLICY });
+    process.chdir(launchCwd);
+    expect(community.audit.hook === undefined && receiver.requests.length === 0, "community audits skip the hook");
+
+    const install = await installTestLicense({
+      dir: tempRoot,
+      name: "enterprise_hook",
+      edition: "enterprise",
+      entitlements: { analytics: { drift_timeline: true, drift_compare: true, assoc_correlate: true } },
+    });
+    expect(install.exitCode === 0, "license install");
+
+    process.chdir(repoPath);
+    const enterprise = await runAudit({ argv: ["--staged", outdir], policy: POLICY });
+    process.chdir(launchCwd);
+    const hook = enterprise.audit.hook;
+    expect(hook.invoked && hook.status === "BLOCK" && hook.reason === "manual review", "audit must record the hook");
+    expect(hook.endpoints[0].signed && receiver.requests[0].signature === "valid", "audit requests are signed");
+    expect(receiver.requests[0].payload.snapshot.run_id === enterprise.audit.run.run_id, "snapshot carries the run");
+    expect(enterprise.exitCode === 0 && enterprise.audit.evaluation.verdict === "allow", "exit follows the verdict");
+
+    const auditJsonPath = path.join(tempRoot, "out", `audit.${enterprise.audit.run.git.head}.json`);
+    const written = JSON.parse(fs.readFileSync(auditJsonPath, "utf8"));
+    expect(written.hook.status === "BLOCK" && typeof written.hook.latency_ms === "number", "audit JSON hook record");
+
+    fs.rmSync(path.join(repoPath, ".mindforge", "hooks.json"));
+    process.chdir(repoPath);
+    const unconfigured = await runAudit({ argv: ["--staged", outdir], policy: POLICY });
+    process.chdir(launchCwd);
+    expect(!unconfigured.audit.hook.invoked && unconfigured.audit.hook.reason === "hooks.json missing", "unconfigured");
+  } finally {
+    process.chdir(launchCwd);
+    await receiver.close();
+  }
+}
+
+async function checkCli() {
+  const help = await runGuard({ argv: ["hooks", "--help"] });
+  expect(help.exitCode === 0 && help.stdout.includes("guard hooks serve-mock"), "hooks help");
+  const unknown = await runGuard({ argv: ["hooks", "listen"] });
+  expect(unknown.exitCode === 2, "unknown hooks command must be a usage error");
+  const badStatus = await runGuard({ argv: ["hooks", "serve-mock", "--status", "MAYBE"] });
+  expect(badStatus.exitCode === 2 && JSON.parse(badStatus.stdout).error.kind === "invalid_hooks_option", "bad status");
+  const badPort = await runGuard({ argv: ["hooks", "serve-mock", "--port=70000"] });
+  expect(badPort.exitCode === 2, "bad port must be a usage error");
+  const emptySecret = await runGuard({ argv: ["hooks", "serve-mock", "--secret", "ENV:MF_TEST_UNSET_SECRET"] });
+  expect(emptySecret.exitCode === 2, "an empty secret must be a usage error");
+  expect((await runGuard({ argv: ["--help"] })).stdout.includes("guard hooks serve-mock"), "guard help lists hooks");
+}
+
+async function main() {
+  try {
+    const repoPath = path.join(tempRoot, "repo");
+    fs.mkdirSync(repoPath, { recursive: true });
+    git(repoPath, ["init"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    fs.writeFileSync(path.join(repoPath, "README.md"), "fixture\n", "utf8");
+    git(repoPath, ["add", "."]);
+    git(repoPath, ["commit", "-m", "baseline"]);
+
+    checkSignature();
+    checkConfig(repoPath);
+    await checkInvoke();
+    await checkAudit(repoPath);
+    await checkCli();
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: enterprise hook validated.");
+}
+
+await main();
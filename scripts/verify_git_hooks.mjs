@@ -0,0 +1,224 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync, spawnSync } from "node:child_process";
+
+import { parsePrePushInput, runGitHook } from "../packages/guard/src/hooks/git_hooks.mjs";
+import { runGuard } from "../packages/guard/src/runGuard.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+// Commands that trigger hooks: status and output instead of throwing.
+function gitRun(repoPath, args) {
+  const result = spawnSync("git", args, { cwd: repoPath, encoding: "utf8", timeout: 120000 });
+  return { status: result.status, output: `${result.stdout}${result.stderr}` };
+}
+
+function policyWith(exitCodes, extraRules = []) {
+  return {
+    policy_version: "1.0",
+    defaults: {},
+    thresholds: { lines_added_soft: 900, files_changed_hard: 16 },
+    rules: [
+      {
+        id: "touches_files",
+        enabled: true,
+        severity: "soft_block",
+        message: "files",
+        when: { metric: "files_changed", op: ">=", value: 1 },
+      },
+      ...extraRules,
+    ],
+    exit_codes: { allow: 0, soft_block: 3, hard_block: 4, error: 30, ...exitCodes },
+  };
+}
+
+// Config injected through the environment (e.g. core.hooksPath) must not leak into the fixture repos.
+const ENV_KEYS = [
+  "MINDFORGE_ACTOR",
+  "MINDFORGE_AGENT",
+  "GITHUB_ACTOR",
+  "GIT_CONFIG_COUNT",
+  "GIT_CONFIG_KEY_0",
+  "GIT_CONFIG_VALUE_0",
+  "GIT_CONFIG_PARAMETERS",
+];
+
+async function inDir(cwd, fn) {
+  const previous = process.cwd();
+  process.chdir(cwd);
+  try {
+    return await fn();
+  } finally {
+    process.chdir(previous);
+  }
+}
+
+function initRepo(repoPath) {
+  fs.mkdirSync(path.join(repoPath, ".mindforge", "config"), { recursive: true });
+  git(repoPath, ["init", "-b", "main"]);
+  git(repoPath, ["config", "user.email", "verifier@example.com"]);
+  git(repoPath, ["config", "user.name", "Verifier"]);
+  fs.writeFileSync(path.join(repoPath, "README.md"), "fixture\n", "utf8");
+  fs.writeFileSync(path.join(repoPath, ".gitignore"), ".mindforge/\n", "utf8");
+  git(repoPath, ["add", "."]);
+  git(repoPath, ["commit", "-m", "baseline"]);
+}
+
+function writePolicy(repoPath, exitCodes = {}, extraRules = []) {
+  const file = path.join(repoPath, ".mindforge", "config", "policy.json");
+  fs.writeFileSync(file, JSON.stringify(policyWith(exitCodes, extraRules)), "utf8");
+}
+
+async function checkGitManager(tempRoot) {
+  const repoPath = path.join(tempRoot, "repo");
+  initRepo(repoPath);
+  writePolicy(repoPath);
+  const guard = (argv) => inDir(repoPath, () => runGuard({ argv }));
+
+  const hooksDir = path.join(repoPath, ".git", "hooks");
+  const existing = "#!/bin/sh\necho ran >> \"$(git rev-parse --git-dir)/existing-hook.log\"\n";
+  fs.writeFileSync(path.join(hooksDir, "pre-commit"), existing, { mode: 0o755 });
+
+  const badHook = await guard(["hooks", "install", "--hook", "post-merge"]);
+  expect(badHook.exitCode === 2 && JSON.parse(badHook.stdout).error.kind === "invalid_hooks_option", "--hook");
+
+  const installed = JSON.parse((await guard(["hooks", "install"])).stdout);
+  expect(installed.ok && installed.manager === "git" && installed.hooks_dir === ".git/hooks", "git manager");
+  const preCommit = installed.hooks.find((h) => h.hook === "pre-commit");
+  expect(preCommit.action === "installed" && preCommit.chained, "existing pre-commit is chained");
+  expect(fs.readFileSync(path.join(hooksDir, "pre-commit.pre-mindforge"), "utf8") === existing, "original kept");
+  const again = JSON.parse((await guard(["hooks", "install"])).stdout);
+  expect(again.hooks.every((h) => h.action === "unchanged"), "install is idempotent");
+
+  const status = JSON.parse((await guard(["hooks", "status", "--format", "json"])).stdout);
+  expect(status.kind === "git_hooks_status" && status.hooks.every((h) => h.installed), "status json");
+  expect((await guard(["hooks", "status"])).stdout.includes("pre-commit installed, chained"), "status text");
+
+  // pre-commit: soft_block exits with the policy's soft_block code until acknowledged.
+  fs.writeFileSync(path.join(repoPath, "a.txt"), "a\n", "utf8");
+  git(repoPath, ["add", "a.txt"]);
+  const direct = await guard(["hooks", "run", "pre-commit"]);
+  expect(direct.exitCode === 3 && /soft_block \(exit 3\)/.test(direct.stderr), "hook exits with exit_codes.soft_block");
+  expect(direct.stderr.includes("guard ack --reason"), "soft_block output points at guard ack");
+  const blocked = gitRun(repoPath, ["commit", "-m", "change"]);
+  expect(blocked.status !== 0 && blocked.output.includes("mindforge-guard pre-commit: soft_block"), blocked.output);
+  const chainedLog = path.join(repoPath, ".git", "existing-hook.log");
+  expect(fs.readFileSync(chainedLog, "utf8").trim() === "ran", "chained hook runs first");
+  expect((await guard(["ack", "--reason", "reviewed"])).exitCode === 0, "ack the staged tree");
+  const committed = gitRun(repoPath, ["commit", "-m", "change"]);
+  expect(committed.status === 0 && committed.output.includes("acknowledged by ack_"), committed.output);
+
+  // pre-push: each pushed range is audited; new branches without a known base are skipped.
+  const remotePath = path.join(tempRoot, "remote.git");
+  execFileSync("git", ["init", "--bare", remotePath], { stdio: "ignore" });
+  git(repoPath, ["remote", "add", "origin", remotePath]);
+  const firstPush = gitRun(repoPath, ["push", "origin", "main"]);
+  expect(firstPush.status === 0 && firstPush.output.includes("skipped (new branch"), firstPush.output);
+  fs.writeFileSync(path.join(repoPath, "b.txt"), "b\n", "utf8");
+  git(repoPath, ["add", "b.txt"]);
+  git(repoPath, ["commit", "--no-verify", "-m", "unreviewed"]);
+  const rejected = gitRun(repoPath, ["push", "origin", "main"]);
+  expect(rejected.status !== 0 && rejected.output.includes("pre-push refs/heads/main: soft_block"), rejected.output);
+  writePolicy(repoPath, { soft_block: 0 });
+  const mapped = gitRun(repoPath, ["push", "origin", "main"]);
+  expect(mapped.status === 0 && mapped.output.includes("soft_block (exit 0)"), "exit_codes mapping is honoured");
+
+  const head = git(repoPath, ["rev-parse", "HEAD"]);
+  const zero = "0".repeat(40);
+  const parsed = parsePrePushInput(`refs/heads/x ${zero} refs/heads/x ${head}\n`, { repoRoot: repoPath });
+  expect(parsed.ranges.length === 0 && parsed.skipped.length === 0, "deleted refs are not audited");
+  const unfetched = `refs/heads/main ${head} refs/heads/main ${"f".repeat(40)}\n`;
+  const fallback = parsePrePushInput(unfetched, { repoRoot: repoPath });
+  const mergeBase = git(repoPath, ["merge-base", head, "refs/remotes/origin/main"]);
+  expect(fallback.ranges[0]?.base === mergeBase, "unfetched remote sha falls back to the merge-base");
+  const noRemote = parsePrePushInput(unfetched, { repoRoot: repoPath, remote: "elsewhere" });
+  expect(/not available locally/.test(noRemote.skipped[0]?.reason), "unfetched remote sha without a base is skipped");
+
+  // Several refs: the worst verdict decides, whatever the order.
+  const hardRule = {
+    id: "touches_two_files",
+    enabled: true,
+    severity: "hard_block",
+    message: "two files",
+    when: { metric: "files_changed", op: ">=", value: 2 },
+  };
+  writePolicy(repoPath, {}, [hardRule]);
+  const input = [
+    `refs/heads/soft ${head} refs/heads/soft ${git(repoPath, ["rev-parse", "HEAD~1"])}`,
+    `refs/heads/hard ${head} refs/heads/hard ${git(repoPath, ["rev-parse", "HEAD~2"])}`,
+  ].join("\n");
+  const worst = await inDir(repoPath, () => runGitHook({ hook: "pre-push", repoRoot: repoPath, input }));
+  expect(worst.exitCode === 4 && worst.lines.length === 2, `hard_block on a later ref wins: ${worst.lines}`);
+
+  const removed = JSON.parse((await guard(["hooks", "uninstall"])).stdout);
+  expect(removed.hooks.every((h) => h.action === "removed"), "uninstall removes both hooks");
+  expect(fs.readFileSync(path.join(hooksDir, "pre-commit"), "utf8") === existing, "uninstall restores the original");
+  expect(!fs.existsSync(path.join(hooksDir, "pre-push")), "uninstall removes pre-push");
+}
+
+async function checkHusky(tempRoot) {
+  const repoPath = path.join(tempRoot, "husky");
+  initRepo(repoPath);
+  fs.mkdirSync(path.join(repoPath, ".husky"));
+  fs.writeFileSync(path.join(repoPath, ".husky", "pre-commit"), "npm test\n", "utf8");
+  const guard = (argv) => inDir(repoPath, () => runGuard({ argv }));
+
+  const installed = JSON.parse((await guard(["hooks", "install", "--hook", "pre-commit"])).stdout);
+  expect(installed.manager === "husky" && installed.hooks[0].path === ".husky/pre-commit", "husky detected");
+  expect(/guard init/.test(installed.warnings?.[0]), "install warns when there is no policy");
+  const noPolicy = await guard(["hooks", "run", "pre-commit"]);
+  expect(noPolicy.exitCode === 0 && /skipped \(no \.mindforge/.test(noPolicy.stderr), "hooks skip without a policy");
+  const text = fs.readFileSync(path.join(repoPath, ".husky", "pre-commit"), "utf8");
+  expect(text.startsWith("npm test\n") && text.includes("npx --no-install guard hooks run pre-commit"), text);
+  expect((JSON.parse((await guard(["hooks", "install"])).stdout)).hooks[0].action === "unchanged", "idempotent");
+  await guard(["hooks", "uninstall"]);
+  expect(fs.readFileSync(path.join(repoPath, ".husky", "pre-commit"), "utf8") === "npm test\n", "husky content kept");
+  expect(!fs.existsSync(path.join(repoPath, ".husky", "pre-push")), "husky pre-push removed");
+}
+
+async function checkLefthook(tempRoot) {
+  const repoPath = path.join(tempRoot, "lefthook");
+  initRepo(repoPath);
+  fs.writeFileSync(path.join(repoPath, "lefthook.yml"), "pre-commit:\n  commands: {}\n", "utf8");
+  const guard = (argv) => inDir(repoPath, () => runGuard({ argv }));
+
+  const installed = JSON.parse((await guard(["hooks", "install"])).stdout);
+  expect(installed.manager === "lefthook" && installed.written === false, "lefthook is not rewritten");
+  expect(installed.snippet.includes("hooks run pre-push {1} {2}"), "lefthook snippet");
+  expect(!fs.existsSync(path.join(repoPath, ".git", "hooks", "pre-commit")), "git hooks left to lefthook");
+  fs.writeFileSync(path.join(repoPath, "lefthook.yml"), installed.snippet, "utf8");
+  const status = JSON.parse((await guard(["hooks", "status", "--format=json"])).stdout);
+  expect(status.hooks.every((h) => h.installed), "status reads the lefthook config");
+}
+
+async function main() {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-git-hooks-"));
+  const savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  for (const key of ENV_KEYS) delete process.env[key];
+  try {
+    await checkGitManager(tempRoot);
+    await checkHusky(tempRoot);
+    await checkLefthook(tempRoot);
+  } finally {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: git hooks installer validated.");
+}
+
+await main();
@@ -0,0 +1,183 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import { runGuard } from "../packages/guard/src/runGuard.mjs";
+import {
+  GOVERNANCE_CONSUMPTION_ARTIFACT_ORDER,
+  assertValidGovernanceActivationRecord,
+  assertValidPermitGateResult,
+} from "../packages/guard/src/runtime/governance/permit/index.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+const POLICY = {
+  policy_version: "1.0",
+  defaults: {},
+  thresholds: { lines_added_soft: 900, files_changed_hard: 16 },
+  rules: [],
+  exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+};
+
+async function inDir(cwd, fn) {
+  const previous = process.cwd();
+  process.chdir(cwd);
+  try {
+    return await fn();
+  } finally {
+    process.chdir(previous);
+  }
+}
+
+async function main() {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-governance-emit-"));
+  try {
+    const repoPath = path.join(tempRoot, "repo");
+    fs.mkdirSync(path.join(repoPath, ".mindforge", "config"), { recursive: true });
+    git(repoPath, ["init"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    fs.writeFileSync(path.join(repoPath, ".gitignore"), ".mindforge/\n", "utf8");
+    fs.writeFileSync(path.join(repoPath, "README.md"), "fixture\n", "utf8");
+    git(repoPath, ["add", "."]);
+    git(repoPath, ["commit", "-m", "baseline"]);
+    fs.writeFileSync(path.join(repoPath, "src.js"), "export const x = 1;\n", "utf8");
+    git(repoPath, ["add", "."]);
+    git(repoPath, ["commit", "-m", "change"]);
+    const policyPath = path.join(repoPath, ".mindforge", "config", "policy.json");
+    fs.writeFileSync(policyPath, JSON.stringify(POLICY), "utf8");
+
+    const guard = (argv) => inDir(repoPath, () => runGuard({ argv }));
+    const auditOut = path.join(tempRoot, "audit");
+    const flagged = path.join(tempRoot, "flagged");
+    const audited = await guard([
+      "audit",
+      ".",
+      "--base",
+      "HEAD~1",
+      "--head",
+      "HEAD",
+      `--outdir=${auditOut}`,
+      "--permit-gate",
+      `--permit-gate-out=${path.join(flagged, "permit_gate_result.json")}`,
+      `--governance-receipt-out=${path.join(flagged, "governance_receipt.json")}`,
+      `--governance-decision-record-out=${path.join(flagged, "governance_decision_record.json")}`,
+      `--governance-activation-record-out=${path.join(flagged, "governance_activation_record.json")}`,
+    ]);
+    expect(audited.exitCode === 0, `audit fixture failed: ${audited.stdout}`);
+    const auditFile = path.join(auditOut, fs.readdirSync(auditOut).find((name) => /^audit\..+\.json$/.test(name)));
+
+    const missing = await guard(["governance", "emit", "--from-audit", auditFile]);
+    expect(missing.exitCode === 2 && JSON.parse(missing.stdout).error.kind === "missing_required_input", "--out-dir");
+    const emit = (outDir, extra = []) =>
+      guard(["governance", "emit", "--from-audit", auditFile, "--out-dir", outDir, ...extra]);
+    const badSet = await emit("x", ["--artifacts", "some"]);
+    expect(badSet.exitCode === 2 && JSON.parse(badSet.stdout).error.kind === "invalid_governance_option", "set");
+    const notAudit = path.join(tempRoot, "not-audit.json");
+    fs.writeFileSync(notAudit, "{}", "utf8");
+    const rejected = await guard(["governance", "emit", "--from-audit", notAudit, "--out-dir", "x"]);
+    expect(rejected.exitCode === 30 && /not a guard audit/.test(rejected.stdout), "non-audit input");
+    expect((await guard(["governance", "replay"])).exitCode === 2, "unknown governance command");
+
+    // all: the whole permit chain plus a manifest in profile order.
+    const allDir = path.join(tempRoot, "all");
+    const emitted = await emit(allDir);
+    expect(emitted.exitCode === 0, `emit must succeed: ${emitted.stdout}`);
+    const summary = JSON.parse(emitted.stdout);
+    expect(summary.produced.length === 7 && summary.permit_gate.decision, "seven chain artifacts");
+    const manifest = readJson(path.join(allDir, "manifest.json"));
+    expect(manifest.kind === "governance_emit_manifest" && manifest.complete, "manifest is complete");
+    expect(manifest.profile.kind === "governance_consumption_profile", "manifest names the consumption profile");
+    const order = manifest.artifacts.map((entry) => entry.artifact_id).join(",");
+    expect(order === GOVERNANCE_CONSUMPTION_ARTIFACT_ORDER.join(","), "manifest follows the profile order");
+    for (const entry of manifest.artifacts.filter((e) => e.produced)) {
+      const bytes = fs.readFileSync(path.join(allDir, entry.file));
+      const digest = `sha256:${crypto.createHash("sha256").update(bytes).digest("hex")}`;
+      expect(entry.sha256 === digest, `manifest hash for ${entry.artifact_id}`);
+    }
+    const lea = manifest.artifacts.find((e) => e.artifact_id === "limited_enforcement_authority_result");
+    expect(!lea.produced && lea.omitted === "not part of the permit chain", "non-chain artifacts are listed");
+    assertValidPermitGateResult(readJson(path.join(allDir, "permit_gate_result.json")));
+    assertValidGovernanceActivationRecord(readJson(path.join(allDir, "governance_activation_record.json")));
+
+    // Same artifacts as the chained --*-out flags of guard audit.
+    for (const name of ["permit_gate_result", "governance_receipt", "governance_decision_record"]) {
+      const fromEmit = readJson(path.join(allDir, `${name}.json`));
+      const fromFlags = readJson(path.join(flagged, `${name}.json`));
+      expect(JSON.stringify(fromEmit) === JSON.stringify(fromFlags), `${name} matches guard audit output`);
+    }
+
+    // required: only what the consumption profile requires.
+    const requiredDir = path.join(tempRoot, "required");
+    const required = await guard([
+      "governance",
+      "emit",
+      `--from-audit=${auditFile}`,
+      `--out-dir=${requiredDir}`,
+      "--artifacts=required",
+    ]);
+    const requiredIds = JSON.parse(required.stdout).produced.join(",");
+    expect(requiredIds === "permit_gate_result,governance_decision_record,governance_activation_record", requiredIds);
+    expect(!fs.existsSync(path.join(requiredDir, "governance_receipt.json")), "receipt is not written");
+    const receipt = readJson(path.join(requiredDir, "manifest.json")).artifacts[1];
+    expect(receipt.omitted === "not selected by --artifacts required", "omitted artifacts say why");
+
+    // The policy must be the one the audit ran with.
+    const originalPolicy = path.join(tempRoot, "policy.original.json");
+    fs.copyFileSync(policyPath, originalPolicy);
+    fs.writeFileSync(policyPath, JSON.stringify({ ...POLICY, policy_version: "1.1" }), "utf8");
+    const drifted = await emit(path.join(tempRoot, "d"));
+    expect(drifted.exitCode === 30 && JSON.parse(drifted.stdout).error.kind === "policy_hash_mismatch", "policy hash");
+    expect(!fs.existsSync(path.join(tempRoot, "d")), "nothing is written on failure");
+    const pinned = await emit(path.join(tempRoot, "d"), ["--policy", originalPolicy]);
+    expect(pinned.exitCode === 0, "--policy selects the audited policy");
+    fs.copyFileSync(originalPolicy, policyPath);
+
+    // Tier gating follows the edition recorded in the audit, not the installed license.
+    const savedAudit = readJson(auditFile);
+    const enterpriseAudit = path.join(tempRoot, "audit.enterprise.json");
+    fs.writeFileSync(
+      enterpriseAudit,
+      JSON.stringify({ ...savedAudit, productization: { ...savedAudit.productization, edition: "enterprise" } }),
+      "utf8"
+    );
+    const enterpriseDir = path.join(tempRoot, "enterprise");
+    const fromRecorded = await guard(["governance", "emit", "--from-audit", enterpriseAudit, "--out-dir", enterpriseDir]);
+    expect(fromRecorded.exitCode === 0, `recorded edition emit: ${fromRecorded.stdout}`);
+    expect(readJson(path.join(enterpriseDir, "manifest.json")).source.edition === "enterprise", "recorded edition");
+    const noEditionAudit = path.join(tempRoot, "audit.no-edition.json");
+    fs.writeFileSync(noEditionAudit, JSON.stringify({ ...savedAudit, productization: undefined }), "utf8");
+    const noEdition = await guard(["governance", "emit", "--from-audit", noEditionAudit, "--out-dir", "x"]);
+    expect(noEdition.exitCode === 30 && /edition/.test(JSON.parse(noEdition.stdout).error.message), "no edition");
+
+    const fileInTheWay = path.join(tempRoot, "not-a-dir");
+    fs.writeFileSync(fileInTheWay, "", "utf8");
+    const badOutDir = await emit(path.join(fileInTheWay, "out"));
+    expect(
+      badOutDir.exitCode === 30 && JSON.parse(badOutDir.stdout).error.kind === "governance_emit_failed",
+      "an unwritable --out-dir is a governance_emit_failed error"
+    );
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: governance emit validated.");
+}
+
+await main();
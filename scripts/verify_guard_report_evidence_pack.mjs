@@ -0,0 +1,158 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { runGuard } from "../packages/guard/src/runGuard.mjs";
+import { buildGuardCoreVendor } from "./build_guard_core_vendor.mjs";
+
+const EXPECTED_OUTPUT_FILES = [
+  "governance-report.json",
+  "governance-report.md",
+  "governance-report.html",
+  "evidence-index.json",
+];
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function parseJsonOutput(result, label) {
+  try {
+    return JSON.parse(result.stdout || "{}");
+  } catch (error) {
+    fail(`${label} must emit valid JSON (${error.message})`);
+  }
+}
+
+async function main() {
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  const repoRoot = path.resolve(__dirname, "..");
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-report-evidence-pack-"));
+
+  try {
+    const packPath = path.join(repoRoot, "fixtures", "ai-pr-missing-tests", "evidence-pack.json");
+    const outDir = path.join(tempRoot, "all");
+    const result = await runGuard({ argv: ["report", "evidence-pack", "--pack", packPath, "--out", outDir] });
+    const summary = parseJsonOutput(result, "evidence-pack report");
+    expect(result.exitCode === 0, "evidence-pack report exit code mismatch");
+    expect(summary.ok === true, "evidence-pack report must succeed");
+    expect(summary.verdict === "require_review", "evidence-pack report verdict mismatch");
+    expect(summary.reason_codes.includes("TESTS_NOT_RUN"), "evidence-pack report must carry TESTS_NOT_RUN");
+    expect(summary.outputs.length === EXPECTED_OUTPUT_FILES.length, "default run must write every rendering");
+    for (const fileName of EXPECTED_OUTPUT_FILES) {
+      expect(fs.existsSync(path.join(outDir, fileName)), `${fileName} must be written`);
+    }
+
+    const report = JSON.parse(fs.readFileSync(path.join(outDir, "governance-report.json"), "utf8"));
+    expect(report.report_id === summary.report_id, "report JSON must match summary report_id");
+    const evidenceIndex = JSON.parse(fs.readFileSync(path.join(outDir, "evidence-index.json"), "utf8"));
+    expect(evidenceIndex.report_id === report.report_id, "evidence index must reference the report");
+    const markdown = fs.readFileSync(path.join(outDir, "governance-report.md"), "utf8");
+    expect(markdown.startsWith("# Governance Report"), "markdown rendering mismatch");
+    const html = fs.readFileSync(path.join(outDir, "governance-report.html"), "utf8");
+    expect(html.includes("<html"), "html rendering mismatch");
+
+    const repeatDir = path.join(tempRoot, "repeat");
+    await runGuard({ argv: ["report", "evidence-pack", "--pack", packPath, "--out", repeatDir] });
+    for (const fileName of EXPECTED_OUTPUT_FILES) {
+      expect(
+        fs.readFileSync(path.join(outDir, fileName), "utf8") ===
+          fs.readFileSync(path.join(repeatDir, fileName), "utf8"),
+        `${fileName} must be deterministic`
+      );
+    }
+
+    const mdOnlyDir = path.join(tempRoot, "md-only");
+    const mdOnly = await runGuard({
+      argv: ["report", "evidence-pack", "--pack", packPath, "--out", mdOnlyDir, "--format", "md,index"],
+    });
+    expect(mdOnly.exitCode === 0, "format subset exit code mismatch");
+    expect(
+      fs.readdirSync(mdOnlyDir).sort().join(",") === "evidence-index.json,governance-report.md",
+      "format subset must only write the selected renderings"
+    );
+
+    const invalidResult = await runGuard({
+      argv: ["report", "evidence-pack", "--pack", path.join(repoRoot, "package.json"), "--out", path.join(tempRoot, "bad")],
+    });
+    const invalidOutput = parseJsonOutput(invalidResult, "invalid pack");
+    expect(invalidResult.exitCode === 4, "invalid pack exit code mismatch");
+    expect(invalidOutput.error?.kind === "evidence_pack_invalid", "invalid pack error kind mismatch");
+    expect(!fs.existsSync(path.join(tempRoot, "bad")), "invalid pack must not write outputs");
+
+    expect(summary.file_integrity === null, "file integrity must stay opt-in");
+    expect(!("file_integrity" in report.evidence_coverage), "default report must not carry file_integrity");
+
+    const integrityRoot = path.join(tempRoot, "integrity");
+    fs.mkdirSync(path.join(integrityRoot, "artifacts"), { recursive: true });
+    const artifactContent = Buffer.from("unit tests passed\n", "utf8");
+    fs.writeFileSync(path.join(integrityRoot, "artifacts", "unit-test.log"), artifactContent);
+    fs.writeFileSync(path.join(integrityRoot, "artifacts", "build.log"), "tampered\n", "utf8");
+    const integrityPack = JSON.parse(fs.readFileSync(packPath, "utf8"));
+    integrityPack.artifacts = integrityPack.artifacts.slice(0, 1).map((artifact) => ({
+      ...artifact,
+      path: "artifacts/unit-test.log",
+      sha256: crypto.createHash("sha256").update(artifactContent).digest("hex"),
+      size_bytes: artifactContent.length,
+    }));
+    integrityPack.manifest.files = [
+      { path: "artifacts/build.log", sha256: "0".repeat(64), size_bytes: 9 },
+      { path: "artifacts/missing.log", sha256: "1".repeat(64), size_bytes: 1 },
+    ];
+    const integrityPackPath = path.join(integrityRoot, "evidence-pack.json");
+    fs.writeFileSync(integrityPackPath, JSON.stringify(integrityPack, null, 2), "utf8");
+
+    const integrityResult = await runGuard({
+      argv: [
+        "report", "evidence-pack", "--pack", integrityPackPath,
+        "--out", path.join(tempRoot, "integrity-out"), "--format", "json", "--verify-files",
+      ],
+    });
+    const integrityOutput = parseJsonOutput(integrityResult, "verify-files report");
+    expect(integrityResult.exitCode === 0, "verify-files exit code mismatch");
+    expect(integrityOutput.file_integrity.verified_count === 1, "matching artifact must verify");
+    expect(
+      integrityOutput.file_integrity.mismatched_refs.join(",") === "manifest:artifacts/build.log",
+      "tampered manifest file must be reported as mismatched"
+    );
+    expect(
+      integrityOutput.file_integrity.unresolved_refs.join(",") === "manifest:artifacts/missing.log",
+      "missing manifest file must be reported as unresolved"
+    );
+    expect(integrityOutput.reason_codes.includes("ARTIFACT_HASH_MISMATCH"), "hash mismatch reason code missing");
+    expect(integrityOutput.reason_codes.includes("ARTIFACT_REF_UNRESOLVED"), "unresolved reason code missing");
+    expect(integrityOutput.verdict === "require_review", "hash mismatch must require review");
+
+    const rootWithoutVerify = await runGuard({
+      argv: ["report", "evidence-pack", "--pack", packPath, "--out", outDir, "--root", repoRoot],
+    });
+    expect(rootWithoutVerify.exitCode === 2, "--root without --verify-files must be a usage error");
+
+    const badFormat = await runGuard({
+      argv: ["report", "evidence-pack", "--pack", packPath, "--out", outDir, "--format", "pdf"],
+    });
+    expect(badFormat.exitCode === 2, "unsupported format must be a usage error");
+
+    const missingOut = await runGuard({ argv: ["report", "evidence-pack", "--pack", packPath] });
+    expect(missingOut.exitCode === 2, "missing --out must be a usage error");
+
+    // The published package renders from its compiled vendor build; it must match the workspace sources.
+    const staleVendorFiles = buildGuardCoreVendor({ check: true });
+    expect(staleVendorFiles.length === 0, `guard-core vendor is stale: ${staleVendorFiles.join(", ")}`);
+    const guardPackageJson = JSON.parse(fs.readFileSync(path.join(repoRoot, "packages", "guard", "package.json"), "utf8"));
+    expect(!guardPackageJson.dependencies?.typescript, "guard must not depend on typescript at runtime");
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: guard report evidence-pack validated.");
+}
+
+await main();
@@ -0,0 +1,180 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+import { runAudit } from "../packages/guard/src/runAudit.mjs";
+import {
+  compileModuleMap,
+  evaluateAudit,
+  loadModuleMap,
+  parseCodeowners,
+  validatePolicyObject,
+} from "../packages/kernel/src/index.mjs";
+import { computeSpreadRiskV1 } from "../packages/kernel/src/risk_v1.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+function writeRepoFile(repoPath, relativePath, content) {
+  const filePath = path.join(repoPath, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, "utf8");
+}
+
+const MONOREPO_MAP = {
+  version: "1.0",
+  rules: [
+    { glob: "services/*/**", module: "svc:$1" },
+    { glob: "libs/*/**", module: "lib:$1" },
+    { glob: "apps/*/**", module: "app:$1" },
+  ],
+};
+
+function mapPolicy(moduleMap) {
+  return {
+    policy_version: "1.0",
+    defaults: {},
+    thresholds: {},
+    module_map: moduleMap,
+    rules: [
+      {
+        id: "payments-touched",
+        enabled: true,
+        severity: "soft_block",
+        message: "payments service touched",
+        when: { modules: "any", op: "==", value: "svc:payments" },
+      },
+    ],
+    exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+  };
+}
+
+async function main() {
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  const repoRoot = path.resolve(__dirname, "..");
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-module-map-"));
+  const repoPath = path.join(tempRoot, "repo");
+  const launchCwd = process.cwd();
+
+  try {
+    const paths = ["services/payments/a.ts", "services/orders/b.ts", "libs/money/c.ts", "README.md"];
+
+    const builtin = computeSpreadRiskV1(paths);
+    expect(builtin.modules_touched.join(",") === "README.md,libs,services", "builtin buckets must stay the v1 contract");
+
+    const compiled = compileModuleMap(MONOREPO_MAP);
+    const mapped = computeSpreadRiskV1(paths, { bucketOf: compiled.bucketOf });
+    expect(
+      mapped.modules_touched.join(",") === "README.md,lib:money,svc:orders,svc:payments",
+      `module map must split services/libs: ${mapped.modules_touched.join(",")}`
+    );
+    expect(mapped.entropy_norm > builtin.entropy_norm, "per-service buckets must raise spread entropy");
+    expect(/^[0-9a-f]{64}$/.test(compiled.hash), "compiled map must carry a sha256 hash");
+    expect(compileModuleMap(MONOREPO_MAP).hash === compiled.hash, "map hash must be deterministic");
+    expect(compileModuleMap(null).hash === null, "builtin bucketing has no map hash");
+
+    const ownerRules = parseCodeowners(
+      ["# owners", "*.md @org/docs", "/services/payments/ @org/payments", "services/payments/legacy/", ""].join("\n")
+    );
+    const withOwners = compileModuleMap({ version: "1.0", rules: [], codeowners: true }, { codeownersRules: ownerRules });
+    expect(withOwners.bucketOf("docs/guide.md") === "owner:@org/docs", "unanchored CODEOWNERS patterns match anywhere");
+    expect(withOwners.bucketOf("services/payments/api.ts") === "owner:@org/payments", "anchored directory pattern");
+    expect(withOwners.bucketOf("services/payments/legacy/x.ts") === "services", "owner-less lines fall through to builtin");
+    expect(withOwners.hash !== compileModuleMap({ version: "1.0", rules: [] }).hash, "CODEOWNERS rules must change the hash");
+
+    const mappedEval = evaluateAudit({
+      policy: mapPolicy(MONOREPO_MAP),
+      signals: { files_changed: 1 },
+      touched_paths: ["services/payments/a.ts"],
+      bucketOf: compiled.bucketOf,
+    });
+    expect(mappedEval.verdict === "soft_block", "modules conditions must use the module map");
+
+    const invalid = validatePolicyObject(
+      mapPolicy({
+        version: "2",
+        rules: [
+          { glob: "libs/{a", module: "x" },
+          { glob: "apps/*/**", module: "app:$2" },
+        ],
+        codeowners: 3,
+      })
+    );
+    for (const fragment of [
+      "module_map.version must be '1.0'",
+      "module_map.codeowners must be a boolean or a non-empty path",
+      "module_map.rules[0].glob is not a valid glob",
+      "module_map.rules[1].module references a '$N'",
+    ]) {
+      expect(invalid.errors.some((error) => error.startsWith(fragment)), `validation errors must include ${fragment}`);
+    }
+    expect(validatePolicyObject(mapPolicy(MONOREPO_MAP)).ok, "valid module map must pass validation");
+
+    fs.mkdirSync(repoPath, { recursive: true });
+    git(repoPath, ["init"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    writeRepoFile(repoPath, "README.md", "fixture\n");
+    git(repoPath, ["add", "."]);
+    git(repoPath, ["commit", "-m", "baseline"]);
+    for (const p of paths) writeRepoFile(repoPath, p, "export const x = 1;\n");
+    writeRepoFile(repoPath, ".github/CODEOWNERS", "/libs/ @org/platform\n");
+    git(repoPath, ["add", "-A"]);
+
+    process.chdir(repoPath);
+    const ownersMap = { ...MONOREPO_MAP, rules: MONOREPO_MAP.rules.slice(0, 1), codeowners: true };
+    const result = await runAudit({
+      argv: ["--staged", `--outdir=${path.join(tempRoot, "out")}`],
+      policy: mapPolicy(ownersMap),
+    });
+    expect(result.audit, `audit must complete (${result.message || "no message"})`);
+    const { audit } = result;
+    expect(audit.risk.spread.modules_touched.includes("owner:@org/platform"), "CODEOWNERS must feed spread buckets");
+    expect(audit.inputs.module_map.codeowners_path === ".github/CODEOWNERS", "audit must record the CODEOWNERS source");
+    const expectedHash = loadModuleMap({ policy: mapPolicy(ownersMap), repoRoot: repoPath }).hash;
+    expect(audit.inputs.module_map.hash === expectedHash, "audit must record the map hash");
+    expect(audit.evaluation.verdict === "soft_block", "policy modules condition must see mapped modules");
+
+    const historyLines = fs
+      .readFileSync(path.join(repoPath, ".mindforge", "artifacts", "guard", "audit.jsonl"), "utf8")
+      .trim()
+      .split("\n");
+    const lastEntry = JSON.parse(historyLines[historyLines.length - 1]);
+    expect(lastEntry.module_map_hash === expectedHash, "audit.jsonl must record the map hash");
+
+    const missingOwners = await runAudit({
+      argv: ["--staged", `--outdir=${path.join(tempRoot, "out")}`],
+      policy: mapPolicy({ ...MONOREPO_MAP, codeowners: "docs/OWNERS" }),
+    });
+    expect(
+      missingOwners.exitCode === 30 && /codeowners file not found/.test(missingOwners.message),
+      "explicit missing CODEOWNERS must fail"
+    );
+    process.chdir(launchCwd);
+
+    for (const file of ["module_map.mjs", "risk_v1.mjs", "policy.mjs", "conditions.mjs"]) {
+      const source = fs.readFileSync(path.join(repoRoot, "packages", "kernel", "src", file), "utf8");
+      const vendored = fs.readFileSync(path.join(repoRoot, "packages", "guard", "src", "vendor", "kernel", file), "utf8");
+      expect(source === vendored, `vendored kernel ${file} must match packages/kernel/src/${file}`);
+    }
+  } finally {
+    process.chdir(launchCwd);
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: module map bucketing validated.");
+}
+
+await main();
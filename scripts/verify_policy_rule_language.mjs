@@ -0,0 +1,134 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { evaluateAudit, regexSafetyProblem, validatePolicyObject } from "../packages/kernel/src/index.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function basePolicy(rules) {
+  return {
+    policy_version: "1.0",
+    defaults: { edition: "community" },
+    thresholds: { lines_added_soft: 50, files_changed_hard: 16 },
+    rules,
+    exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+  };
+}
+
+function rule(id, when, severity = "soft_block") {
+  return { id, enabled: true, message: `${id} hit`, severity, when };
+}
+
+const SIGNALS = { files_changed: 3, lines_added: 120, lines_deleted: 4, lines_changed_total: 124 };
+
+function hits(policy, touchedPaths, signals = SIGNALS) {
+  const result = evaluateAudit({ policy, signals, touched_paths: touchedPaths });
+  return result.reasons.map((reason) => reason.code);
+}
+
+async function main() {
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  const repoRoot = path.resolve(__dirname, "..");
+
+  const policy = basePolicy([
+    rule("legacy-any-of", { any_of: [{ metric: "lines_added", op: ">", value_ref: "thresholds.lines_added_soft" }] }),
+    rule("billing-large-change", {
+      all_of: [
+        { paths: "any", op: "glob", value: "packages/billing/**" },
+        { metric: "lines_added", op: ">", value: 50 },
+      ],
+    }, "hard_block"),
+    rule("lockfile-touched", {
+      paths: "any",
+      op: "regex",
+      value: "(^|/)(package-lock\\.json|pnpm-lock\\.yaml|yarn\\.lock)$",
+    }),
+    rule("docs-only", { paths: "all", op: "glob", value: "{docs/**,**/*.md}" }),
+    rule("outside-guard-module", {
+      not: { modules: "any", op: "in", value: ["pkg:guard", "scripts"] },
+    }),
+  ]);
+
+  const validation = validatePolicyObject(policy);
+  expect(validation.ok, `grammar policy must validate: ${validation.errors.join("; ")}`);
+
+  const billing = hits(policy, ["packages/billing/src/invoice.ts", "package-lock.json"]);
+  expect(
+    billing.join(",") === "legacy-any-of,billing-large-change,lockfile-touched,outside-guard-module",
+    `billing hits mismatch: ${billing.join(",")}`
+  );
+  const billingResult = evaluateAudit({ policy, signals: SIGNALS, touched_paths: ["packages/billing/a.ts"] });
+  expect(billingResult.verdict === "hard_block", "all_of hard_block rule must drive the verdict");
+
+  const smallBilling = hits(policy, ["packages/billing/a.ts"], { ...SIGNALS, lines_added: 10 });
+  expect(!smallBilling.includes("billing-large-change"), "all_of must require every child");
+
+  const docs = hits(policy, ["docs/guide.md", "README.md"]);
+  expect(docs.includes("docs-only"), "paths all must match when every path matches");
+  expect(!hits(policy, ["docs/guide.md", "src/a.js"]).includes("docs-only"), "paths all must fail on a non-matching path");
+  expect(!hits(policy, []).includes("docs-only"), "paths all must not hit on an empty diff");
+
+  const guardOnly = hits(policy, ["packages/guard/src/runAudit.mjs", "./scripts\\verify.mjs"]);
+  expect(!guardOnly.includes("outside-guard-module"), "not(modules in ...) must use module buckets of normalized paths");
+  const forward = evaluateAudit({ policy, signals: SIGNALS, touched_paths: ["b/x.md", "packages/billing/a.ts"] });
+  const reversed = evaluateAudit({ policy, signals: SIGNALS, touched_paths: ["packages/billing/a.ts", "b/x.md"] });
+  expect(JSON.stringify(forward) === JSON.stringify(reversed), "evaluation must not depend on path order");
+
+  const legacyOnly = evaluateAudit({ policy: basePolicy([policy.rules[0]]), signals: SIGNALS });
+  expect(legacyOnly.verdict === "soft_block", "legacy any_of rules must evaluate without touched_paths");
+
+  const invalid = validatePolicyObject(
+    basePolicy([
+      rule("bad-empty", { all_of: [] }),
+      rule("bad-mixed", { any_of: [{ metric: "lines_added", op: ">", value: 1 }], not: { metric: "files_changed", op: ">", value: 1 } }),
+      rule("bad-regex", { paths: "any", op: "regex", value: "(" }),
+      rule("bad-glob", { paths: "any", op: "glob", value: "packages/{billing" }),
+      rule("bad-quantifier", { modules: "some", op: "==", value: "pkg:guard" }),
+      rule("bad-nested", { not: { any_of: [{ metric: "lines_added", op: "~", value: 1 }] } }),
+      rule("bad-in", { modules: "any", op: "in", value: "pkg:guard" }),
+      rule("bad-redos", { paths: "any", op: "regex", value: "^(a+)+$" }),
+      rule("bad-redos-alternation", { paths: "any", op: "regex", value: "^(a|aa)+$" }),
+      rule("bad-long", { paths: "any", op: "regex", value: "a".repeat(300) }),
+    ])
+  );
+  expect(!invalid.ok, "invalid grammar must be rejected");
+  for (const fragment of [
+    "rules[0].when.all_of must be a non-empty array",
+    "rules[1].when must have exactly one of",
+    "rules[2].when.value is not a valid regex",
+    "rules[3].when.value is not a valid glob",
+    "rules[4].when.modules must be one of any, all",
+    "rules[5].when.not.any_of[0].op must be one of",
+    "rules[6].when.value must be a non-empty array of strings",
+    "rules[7].when.value is not a valid regex: nested quantifiers",
+    "rules[8].when.value is not a valid regex: quantified alternation",
+    "rules[9].when.value is not a valid regex: longer than 256 characters",
+  ]) {
+    expect(invalid.errors.some((error) => error.startsWith(fragment)), `validation errors must include ${fragment}`);
+  }
+
+  for (const pattern of ["(a|a)*b", "(\\w|\\d)+x", "((a|b)c)+$", "(?:x|y){2,}"]) {
+    expect(regexSafetyProblem(pattern) === "quantified alternation", `${pattern} must be rejected as quantified alternation`);
+  }
+  for (const pattern of ["(^|/)(a|b)$", "(a|b)?c", "(ab)+", "[a|b]+"]) {
+    expect(regexSafetyProblem(pattern) === null, `${pattern} must be accepted`);
+  }
+
+  for (const file of ["audit.mjs", "conditions.mjs", "validatePolicy.mjs"]) {
+    const source = fs.readFileSync(path.join(repoRoot, "packages", "kernel", "src", file), "utf8");
+    const vendored = fs.readFileSync(path.join(repoRoot, "packages", "guard", "src", "vendor", "kernel", file), "utf8");
+    expect(source === vendored, `vendored kernel ${file} must match packages/kernel/src/${file}`);
+  }
+
+  console.log("PASS: policy rule language validated.");
+}
+
+await main();
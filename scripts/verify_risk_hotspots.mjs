@@ -0,0 +1,145 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import { runAudit } from "../packages/guard/src/runAudit.mjs";
+import { attributeAuditRisk, buildRiskHotspots } from "../packages/guard/src/runtime/risk_hotspots.mjs";
+import { resolveDriftRange } from "../packages/guard/src/runtime/drift/range.mjs";
+import { runGuardInDir } from "./fixtures/guard_cli_test_helpers.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+function auditLine(ts, score, verdict, moduleCounts, driver = "lines") {
+  return JSON.stringify({
+    ts,
+    run_id: `run_${ts}`,
+    mode: "staged",
+    verdict,
+    risk: { v: 1, score, primary_driver: driver },
+    spread: { modules_touched: Object.keys(moduleCounts).sort(), module_counts: moduleCounts },
+  });
+}
+
+const POLICY = {
+  policy_version: "1.0",
+  defaults: {},
+  thresholds: { lines_added_soft: 900, files_changed_hard: 16 },
+  rules: [],
+  exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+};
+
+async function main() {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-risk-hotspots-"));
+  const auditPath = path.join(tempRoot, "audit.jsonl");
+  const launchCwd = process.cwd();
+
+  try {
+    const parts = attributeAuditRisk(
+      JSON.parse(auditLine("2025-03-01T00:00:00Z", 60, "allow", { services: 3, libs: 1 }))
+    );
+    expect(
+      parts.map((p) => `${p.module}:${p.share}`).join(",") === "libs:0.25,services:0.75",
+      "score must be attributed by module file share"
+    );
+    const legacy = attributeAuditRisk({ risk: { score: 40 }, spread: { modules_touched: ["a", "b"] } });
+    expect(legacy.every((p) => p.share === 0.5), "lines without module_counts must split evenly");
+
+    fs.writeFileSync(
+      auditPath,
+      [
+        // previous range (2025-02-22 .. 2025-03-01)
+        auditLine("2025-02-24T09:00:00Z", 40, "allow", { services: 1 }),
+        auditLine("2025-02-25T09:00:00Z", 50, "allow", { libs: 1 }),
+        // current range (2025-03-01 .. 2025-03-08)
+        auditLine("2025-03-02T09:00:00Z", 80, "hard_block", { services: 3, libs: 1 }, "files"),
+        auditLine("2025-03-03T09:00:00Z", 60, "soft_block", { services: 1 }, "files"),
+        auditLine("2025-03-04T09:00:00Z", 20, "allow", { docs: 2 }),
+        auditLine("2025-03-05T09:00:00Z", 90, "hard_block", { scripts: 1 }, "spread"),
+        JSON.stringify({ ts: "2025-03-06T09:00:00Z", verdict: "allow", risk: { v: 1, score: 10 } }),
+        "not json",
+      ].join("\n") + "\n",
+      "utf8"
+    );
+
+    const range = resolveDriftRange({ since: "2025-03-01", until: "2025-03-08" }).range;
+    const report = buildRiskHotspots({ auditPath, range });
+    expect(report.kind === "risk_hotspots" && report.v === 1, "hotspots kind mismatch");
+    expect(report.summary.audits === 5 && report.summary.unattributed === 1, "summary must count in-range audits");
+    expect(report.summary.hard_block_audits === 2, "summary must count hard_block audits");
+    expect(
+      report.hotspots.map((h) => `${h.module}:${h.cumulative_risk}`).join(",") === "services:120,scripts:90,libs:20,docs:20",
+      `cumulative ranking mismatch: ${JSON.stringify(report.hotspots)}`
+    );
+    const services = report.hotspots[0];
+    expect(services.peak_risk === 80 && services.mean_risk === 70, "peak and mean risk mismatch");
+    expect(services.hard_block === 1 && services.hard_block_rate === 0.5, "hard_block frequency mismatch");
+    expect(services.primary_driver === "files", "primary driver mismatch");
+    expect(services.cumulative_risk_prev === 40 && services.trend === "rising", "services trend mismatch");
+    expect(report.hotspots.find((h) => h.module === "libs").trend === "falling", "libs trend mismatch");
+    expect(report.hotspots.find((h) => h.module === "docs").trend === "new", "docs trend mismatch");
+
+    const byPeak = buildRiskHotspots({ auditPath, range, sort: "peak", top: 2 });
+    expect(byPeak.hotspots.map((h) => h.module).join(",") === "scripts,services", "peak sort / top mismatch");
+    const byBlocks = buildRiskHotspots({ auditPath, range, sort: "hard_block" });
+    expect(byBlocks.hotspots[0].module === "scripts" && byBlocks.hotspots[0].hard_block_rate === 1, "hard_block sort");
+
+    const repoPath = path.join(tempRoot, "repo");
+    fs.mkdirSync(repoPath, { recursive: true });
+    git(repoPath, ["init"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    fs.writeFileSync(path.join(repoPath, "README.md"), "fixture\n", "utf8");
+    git(repoPath, ["add", "."]);
+    git(repoPath, ["commit", "-m", "baseline"]);
+
+    const noHistory = await runGuardInDir(repoPath, ["risk", "hotspots"]);
+    expect(noHistory.exitCode === 30, "hotspots without audit history must report missing input");
+
+    for (const file of ["services/a.ts", "services/b.ts", "libs/c.ts"]) {
+      fs.mkdirSync(path.dirname(path.join(repoPath, file)), { recursive: true });
+      fs.writeFileSync(path.join(repoPath, file), "export const x = 1;\n", "utf8");
+    }
+    git(repoPath, ["add", "-A"]);
+    process.chdir(repoPath);
+    const audited = await runAudit({ argv: ["--staged", `--outdir=${path.join(tempRoot, "out")}`], policy: POLICY });
+    process.chdir(launchCwd);
+    expect(audited.audit, "fixture audit must complete");
+
+    const historyPath = path.join(repoPath, ".mindforge", "artifacts", "guard", "audit.jsonl");
+    const last = JSON.parse(fs.readFileSync(historyPath, "utf8").trim().split("\n").pop());
+    expect(last.verdict === audited.audit.evaluation.verdict, "audit.jsonl must record the verdict");
+    expect(last.spread.module_counts.services === 2 && last.spread.module_counts.libs === 1, "module_counts");
+    expect(typeof last.risk.primary_driver === "string", "audit.jsonl must record the primary driver");
+
+    const cli = await runGuardInDir(repoPath, ["risk", "hotspots", "--window", "7d", "--format=json"]);
+    expect(cli.exitCode === 0, `risk hotspots must succeed (${cli.stdout})`);
+    const cliReport = JSON.parse(cli.stdout);
+    expect(cliReport.hotspots[0].module === "services", "CLI hotspots must rank the audited modules");
+
+    const text = await runGuardInDir(repoPath, ["risk", "hotspots"]);
+    expect(text.stdout.includes("Risk Hotspots") && text.stdout.includes("1. services"), "text output mismatch");
+
+    const badSort = await runGuardInDir(repoPath, ["risk", "hotspots", "--sort", "worst"]);
+    expect(badSort.exitCode === 2, "unknown --sort must be a usage error");
+    const badWindow = await runGuardInDir(repoPath, ["risk", "hotspots", "--window=90d"]);
+    expect(JSON.parse(badWindow.stdout).error.kind === "invalid_hotspots_option", "invalid --window kind mismatch");
+  } finally {
+    process.chdir(launchCwd);
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: risk hotspots validated.");
+}
+
+await main();
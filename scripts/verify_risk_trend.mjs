@@ -0,0 +1,144 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import { installTestLicense, runGuardInDir } from "./fixtures/guard_cli_test_helpers.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+// The license lives under HOME; isolate it before guard modules load.
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-risk-trend-"));
+process.env.HOME = tempRoot;
+process.env.USERPROFILE = tempRoot;
+
+const [{ runAudit }, changepoint, riskTrend] = await Promise.all([
+  import("../packages/guard/src/runAudit.mjs"),
+  import("../packages/guard/src/analytics/changepoint.mjs"),
+  import("../packages/guard/src/runtime/risk_trend.mjs"),
+]);
+const { detectAnomalies, detectChangePoints, robustZScores } = changepoint;
+const { buildRiskTrendReport } = riskTrend;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const POLICY = {
+  policy_version: "1.0",
+  defaults: {},
+  thresholds: { lines_added_soft: 900, files_changed_hard: 16 },
+  rules: [],
+  exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+};
+
+// 12 calm days around 20, then 10 days around 60, ending yesterday.
+function auditHistory(nowMs) {
+  const today = Date.UTC(
+    new Date(nowMs).getUTCFullYear(),
+    new Date(nowMs).getUTCMonth(),
+    new Date(nowMs).getUTCDate()
+  );
+  const scores = [20, 22, 19, 21, 20, 18, 21, 20, 22, 19, 21, 20, 60, 62, 58, 61, 60, 59, 63, 60, 61, 58];
+  return scores.map((score, i) =>
+    JSON.stringify({
+      ts: new Date(today - (scores.length - i) * DAY_MS + 9 * 60 * 60 * 1000).toISOString(),
+      verdict: "allow",
+      risk: { v: 1, score },
+    })
+  );
+}
+
+async function main() {
+  const shifts = detectChangePoints([20, 21, 19, 20, 22, 20, 21, 19, 60, 61, 59, 62, 60]);
+  expect(shifts.length === 1, `one shift expected: ${JSON.stringify(shifts)}`);
+  expect(shifts[0].index === 8 && shifts[0].direction === "up", "shift must start at the first raised point");
+  expect(shifts[0].mean_after - shifts[0].mean_before > 35, "shift magnitude mismatch");
+  const down = detectChangePoints([50, 52, 49, 51, 50, 51, 20, 21, 19, 20]);
+  expect(down.length === 1 && down[0].index === 6 && down[0].direction === "down", "downward shift mismatch");
+  expect(detectChangePoints([20, 22, 19, 21, 20, 18, 21, 20, 22, 19]).length === 0, "noise must not alarm");
+  expect(detectChangePoints([20, 60]).length === 0, "too few points must not alarm");
+
+  const spike = detectAnomalies([20, 21, 19, 20, 22, 20, 95, 21]);
+  expect(spike.length === 1 && spike[0].index === 6 && spike[0].direction === "high", "spike must be flagged");
+  expect(robustZScores([5, 5, 5]).every((z) => z === 0), "constant series must score zero");
+  expect(detectAnomalies([10, 10, 10, 10, 40]).length === 1, "MAD=0 must fall back to mean absolute deviation");
+
+  const launchCwd = process.cwd();
+  try {
+    const repoPath = path.join(tempRoot, "repo");
+    fs.mkdirSync(repoPath, { recursive: true });
+    git(repoPath, ["init"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    fs.writeFileSync(path.join(repoPath, "README.md"), "fixture\n", "utf8");
+    git(repoPath, ["add", "."]);
+    git(repoPath, ["commit", "-m", "baseline"]);
+
+    const missing = await runGuardInDir(repoPath, ["risk", "trend"]);
+    expect(missing.exitCode === 30, "risk trend without audit history must report missing input");
+
+    const auditPath = path.join(repoPath, ".mindforge", "artifacts", "guard", "audit.jsonl");
+    fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+    // Rows before the window are never read past; a bad line outside it does not matter.
+    const old = JSON.stringify({ ts: new Date(Date.now() - 120 * DAY_MS).toISOString(), risk: { v: 1, score: 99 } });
+    fs.writeFileSync(auditPath, [old, "{not json", ...auditHistory(Date.now())].join("\n") + "\n", "utf8");
+
+    const plain = buildRiskTrendReport({ auditPath, window: "30d" });
+    expect(plain.kind === "risk_trend" && plain.series.length === 30, "trend must cover every day in the window");
+    expect(plain.summary.observed_days === 22 && plain.detection === undefined, "detection is opt-in");
+    expect(plain.summary.direction === "up", "coarse direction mismatch");
+
+    const cli = await runGuardInDir(repoPath, ["risk", "trend", "--window", "30d", "--detect", "--format=json"]);
+    expect(cli.exitCode === 0, `risk trend must succeed (${cli.stdout})`);
+    const report = JSON.parse(cli.stdout);
+    expect(report.detection.method.change_points.name === "cusum", "detection method mismatch");
+    expect(report.detection.change_points.length === 1, `one change point: ${JSON.stringify(report.detection)}`);
+    const change = report.detection.change_points[0];
+    expect(change.direction === "up" && change.mean_after > 55 && change.mean_before < 25, "change point levels");
+    expect(change.t === report.series.filter((d) => d.risk_events > 0)[12].t, "change point must land on day 13");
+    expect(report.detection.shifted && report.detection.last_shift.t === change.t, "last shift mismatch");
+
+    const text = await runGuardInDir(repoPath, ["risk", "trend", "--detect"]);
+    expect(text.stdout.includes("Risk Trend") && text.stdout.includes("Change points (CUSUM"), "text output");
+    expect(/ up {2}20\.\d+ -> 60\.\d+/.test(text.stdout), "text must show the level shift");
+
+    const badMetric = await runGuardInDir(repoPath, ["risk", "trend", "--metric", "vibes"]);
+    expect(badMetric.exitCode === 2, "unknown --metric must be a usage error");
+    expect(JSON.parse(badMetric.stdout).error.kind === "invalid_trend_option", "invalid --metric kind mismatch");
+    const badSub = await runGuardInDir(repoPath, ["risk", "forecast"]);
+    expect(badSub.exitCode === 2, "unknown risk subcommand must be a usage error");
+
+    fs.writeFileSync(path.join(repoPath, "change.txt"), "x\n", "utf8");
+    git(repoPath, ["add", "-A"]);
+    process.chdir(repoPath);
+    const community = await runAudit({ argv: ["--staged", `--outdir=${path.join(tempRoot, "out")}`], policy: POLICY });
+    process.chdir(launchCwd);
+    expect(community.audit.risk.trend_detection === undefined, "trend detection in audits is Pro-only");
+
+    const install = await installTestLicense({ dir: tempRoot, name: "risk_trend", edition: "pro" });
+    expect(install.exitCode === 0, `test license must install (${install.stdout})`);
+
+    process.chdir(repoPath);
+    const audited = await runAudit({ argv: ["--staged", `--outdir=${path.join(tempRoot, "out")}`], policy: POLICY });
+    process.chdir(launchCwd);
+    const detection = audited.audit.risk.trend_detection;
+    expect(detection && detection.window === "30d" && detection.shifted, "audit must carry trend detection");
+    expect(detection.change_points[0].t === change.t, "audit detection must match the CLI");
+  } finally {
+    process.chdir(launchCwd);
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: risk trend detection validated.");
+}
+
+await main();
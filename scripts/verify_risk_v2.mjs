@@ -0,0 +1,178 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import { runAudit } from "../packages/guard/src/runAudit.mjs";
+import { computeRiskV1 } from "../packages/kernel/src/risk_v1.mjs";
+import {
+  DEFAULT_RISK_PROFILE,
+  RISK_FACTOR_KINDS,
+  compileRiskProfile,
+  computeRiskV2,
+  validateRiskProfile,
+} from "../packages/kernel/src/risk_v2.mjs";
+import { validatePolicyObject } from "../packages/kernel/src/validatePolicy.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+const POLICY = {
+  policy_version: "1.0",
+  defaults: {},
+  thresholds: { lines_added_soft: 900, files_changed_hard: 16 },
+  rules: [],
+  exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+};
+
+const PAYMENTS_PROFILE = {
+  version: "2.0",
+  id: "payments",
+  factors: [
+    { id: "lines", kind: "saturate", signal: "lines_added", scale: 100, weight: 1 },
+    { id: "billing", kind: "flag", paths: ["billing/**"], weight: 3 },
+  ],
+};
+
+function joinErrors(errors) {
+  return errors.join("\n");
+}
+
+async function main() {
+  const builtin = compileRiskProfile();
+  expect(builtin.source === "builtin" && builtin.id === "default", "no profile must compile the default profile");
+  expect(/^[0-9a-f]{64}$/.test(builtin.hash), "profile hash must be sha256 hex");
+  expect(compileRiskProfile(DEFAULT_RISK_PROFILE).hash === builtin.hash, "profile hash must be deterministic");
+  expect(
+    DEFAULT_RISK_PROFILE.factors.map((f) => f.id).join(",") ===
+      "lines,files,modules,spread,sensitive_paths,test_deletions,dependency_changes",
+    "default profile factor set mismatch"
+  );
+
+  const touched_paths = ["services/auth/login.ts", "services/api.ts", "libs/util.ts", "package.json"];
+  const signals = {
+    files_changed: 4,
+    lines_added: 400,
+    tests_deleted: 1,
+    dependency_manifests_changed: 1,
+    lockfiles_changed: 1,
+  };
+  const risk = computeRiskV2({ signals, touched_paths });
+  expect(risk.v === 2 && risk.profile.id === "default" && risk.profile.hash === builtin.hash, "v2 profile summary");
+  const byId = Object.fromEntries(risk.factors.map((f) => [f.id, f]));
+  expect(byId.sensitive_paths.value === 1, "sensitive path globs must match touched paths");
+  expect(byId.sensitive_paths.matched.join(",") === "services/auth/login.ts", "matched paths must be reported");
+  expect(byId.dependency_changes.value === 2, "dependency_changes must count manifests and lockfiles");
+  expect(byId.test_deletions.value === 1 && byId.test_deletions.f > 0.6, "test deletions must raise risk");
+  expect(byId.modules.value === 2, "modules factor reads modules beyond the first");
+  const total = risk.factors.reduce((sum, f) => sum + f.contribution, 0);
+  expect(Math.abs(total - risk.score) <= 0.5, `contributions must add up to the score (${total} vs ${risk.score})`);
+  expect(risk.explain.primary_driver === "lines", `primary driver mismatch: ${risk.explain.primary_driver}`);
+  expect(computeRiskV2({ signals: {}, touched_paths: [] }).score === 0, "empty change must score 0");
+
+  const payments = compileRiskProfile(PAYMENTS_PROFILE);
+  const billing = computeRiskV2({ signals: { lines_added: 0 }, touched_paths: ["billing/invoice.ts"], profile: payments });
+  expect(billing.score === 75 && billing.explain.primary_driver === "billing", "weights must be normalised");
+  expect(payments.hash !== builtin.hash, "different profiles must hash differently");
+
+  const custom = compileRiskProfile(
+    { version: "2.0", id: "steps", factors: [{ id: "files", kind: "step", signal: "files_changed", weight: 1 }] },
+    { factorKinds: { ...RISK_FACTOR_KINDS, step: (value) => (value >= 3 ? 1 : 0.5) } }
+  );
+  expect(computeRiskV2({ signals: { files_changed: 1 }, profile: custom }).score === 50, "custom factor kinds plug in");
+
+  const errors = joinErrors(
+    validateRiskProfile({
+      version: "1.0",
+      id: "",
+      factors: [
+        { id: "a", kind: "saturate", signal: "lines_added", weight: 1 },
+        { id: "a", kind: "cubic", signal: "lines_added", weight: 1 },
+        { id: "b", kind: "flag", signal: "lines_added", paths: ["x/**"], weight: 1 },
+        { id: "c", kind: "flag", signal: "vibes", weight: -1 },
+        { id: "d", kind: "flag", paths: ["{x"], weight: 1 },
+      ],
+    })
+  );
+  for (const needle of [
+    "risk_profile.version must be '2.0'",
+    "risk_profile.id must be a non-empty string",
+    "factors[0].scale must be a positive number",
+    "factors[1].id 'a' is duplicated",
+    "factors[1].kind must be one of",
+    "factors[2] must set exactly one of 'signal' or 'paths'",
+    "factors[3].signal must be one of",
+    "factors[3].weight must be a non-negative number",
+    "factors[4].paths[0] is not a valid glob",
+  ]) {
+    expect(errors.includes(needle), `validation must report: ${needle}\n${errors}`);
+  }
+  const zero = validateRiskProfile({
+    version: "2.0",
+    id: "z",
+    factors: [{ id: "a", kind: "flag", signal: "tests_deleted", weight: 0 }],
+  });
+  expect(zero.join() === "risk_profile.factors must have a positive total weight", "zero total weight must be rejected");
+  expect(validatePolicyObject({ ...POLICY, risk_profile: PAYMENTS_PROFILE }).ok, "policy with a valid profile");
+  const badPolicy = validatePolicyObject({ ...POLICY, risk_profile: { version: "2.0" } });
+  expect(!badPolicy.ok && badPolicy.errors.some((e) => e.startsWith("risk_profile.")), "policy must validate the profile");
+
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-risk-v2-"));
+  const launchCwd = process.cwd();
+  try {
+    const repoPath = path.join(tempRoot, "repo");
+    fs.mkdirSync(repoPath, { recursive: true });
+    git(repoPath, ["init"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    fs.writeFileSync(path.join(repoPath, "README.md"), "fixture\n", "utf8");
+    git(repoPath, ["add", "."]);
+    git(repoPath, ["commit", "-m", "baseline"]);
+
+    for (const file of ["billing/invoice.ts", "libs/c.ts"]) {
+      fs.mkdirSync(path.dirname(path.join(repoPath, file)), { recursive: true });
+      fs.writeFileSync(path.join(repoPath, file), "export const x = 1;\n", "utf8");
+    }
+    git(repoPath, ["add", "-A"]);
+
+    process.chdir(repoPath);
+    const outdir = `--outdir=${path.join(tempRoot, "out")}`;
+    const audited = await runAudit({ argv: ["--staged", outdir], policy: { ...POLICY, risk_profile: PAYMENTS_PROFILE } });
+    const broken = await runAudit({
+      argv: ["--staged", outdir],
+      policy: { ...POLICY, risk_profile: { version: "2.0", id: "x", factors: [] } },
+    });
+    process.chdir(launchCwd);
+
+    const auditRisk = audited.audit.risk;
+    const v1 = computeRiskV1({ lines_added: 2, files_changed: 2, touched_paths: ["billing/invoice.ts", "libs/c.ts"] });
+    expect(auditRisk.v === 1 && auditRisk.score === v1.score, "legacy top-level risk must remain Risk v1");
+    expect(auditRisk.v1.score === v1.score && auditRisk.v1.primary_driver === v1.explain.primary_driver, "risk.v1");
+    expect(auditRisk.v2.v === 2 && auditRisk.v2.profile.id === "payments", "risk.v2 must use the policy profile");
+    expect(auditRisk.v2.explain.primary_driver === "billing", "risk.v2 must score the sensitive billing path");
+
+    const historyPath = path.join(repoPath, ".mindforge", "artifacts", "guard", "audit.jsonl");
+    const line = JSON.parse(fs.readFileSync(historyPath, "utf8").trim().split("\n").pop());
+    expect(line.risk.score === v1.score && line.risk.v2.score === auditRisk.v2.score, "audit.jsonl must carry v1 and v2");
+    expect(line.risk.v2.profile_hash === auditRisk.v2.profile.hash, "audit.jsonl must record the profile hash");
+
+    expect(broken.exitCode === 30 && broken.audit === null, "invalid risk profile must fail the audit");
+    expect(broken.message.includes("risk profile could not be loaded"), "invalid profile message mismatch");
+  } finally {
+    process.chdir(launchCwd);
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: risk v2 validated.");
+}
+
+await main();
@@ -0,0 +1,183 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { runGuard } from "../packages/guard/src/runGuard.mjs";
+import { parseSingleAgentGovernancePackPreview } from "../packages/guard/src/productization/single_agent_pack_parser_preview.mjs";
+import { parseYaml, YamlParseError } from "../packages/guard/src/productization/yaml_subset.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function expectYamlError(text, line, label) {
+  try {
+    parseYaml(text);
+  } catch (error) {
+    expect(error instanceof YamlParseError, `${label} must raise YamlParseError`);
+    expect(error.line === line, `${label} must report line ${line} (got ${error.line})`);
+    return;
+  }
+  fail(`${label} must fail to parse`);
+}
+
+function copyPack(sourceDir, targetDir, overrides) {
+  fs.cpSync(sourceDir, targetDir, { recursive: true });
+  for (const [relativePath, content] of Object.entries(overrides)) {
+    fs.writeFileSync(path.join(targetDir, relativePath), content, "utf8");
+  }
+  return targetDir;
+}
+
+const RESTYLED_ACTION_BOUNDARY = `# action boundary written with flow sequences
+allowed_actions: [summarize synthetic policy text, "route exceptions to a human reviewer"]
+prohibited_actions:
+- approve leave   # inline comment
+- 'change payroll'
+human_review_required: yes_please_not_a_bool
+escalation_required: true
+external_side_effects: none
+`;
+
+const RESTYLED_TOOLS = `---
+defaults: &tool_defaults
+    requires_human_approval: false
+    side_effect_level: none
+tools:
+    -   tool_id: handbook_lookup
+        tool_name: Handbook Lookup
+        tool_type: knowledge_lookup
+        permitted_operations: [read handbook text]
+        prohibited_operations:
+            - write policy data
+        <<: *tool_defaults
+    - { tool_id: ticket_reader, tool_name: Ticket Reader, tool_type: ticketing,
+        permitted_operations: [read ticket], prohibited_operations: [close ticket],
+        requires_human_approval: true, side_effect_level: low }
+`;
+
+async function main() {
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  const repoRoot = path.resolve(__dirname, "..");
+  const validPack = path.join(repoRoot, "fixtures", "single_agent_governance_pack_parser_preview", "valid_pack");
+  const jsonStylePack = path.join(repoRoot, "fixtures", "single_agent_governance_pack_preview", "valid_minimal_pack");
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-pack-yaml-model-"));
+
+  try {
+    const parsed = parseYaml(RESTYLED_TOOLS);
+    expect(parsed.tools.length === 2, "anchored and flow tools must both parse");
+    expect(parsed.tools[0].side_effect_level === "none", "merge key must pull in anchored defaults");
+    expect(parsed.tools[1].permitted_operations[0] === "read ticket", "multi-line flow mapping must parse");
+
+    for (const [label, text] of [
+      ["block", "__proto__:\n  polluted: true\nname: x\n"],
+      ["flow", "{__proto__: {polluted: true}, name: x}"],
+      ["merge", "base: &base\n  __proto__: {polluted: true}\nchild:\n  <<: *base\n"],
+    ]) {
+      const doc = parseYaml(text);
+      const mapping = label === "merge" ? doc.child : doc;
+      expect(Object.getPrototypeOf(mapping) === Object.prototype, `${label} __proto__ key must not replace the prototype`);
+      expect(Object.keys(mapping).includes("__proto__"), `${label} __proto__ key must be kept as data`);
+      expect(mapping.polluted === undefined && {}.polluted === undefined, `${label} __proto__ key must not leak properties`);
+    }
+    expectYamlError("tools:\n  - a\n  b: 1\n", 3, "mixed sequence and mapping");
+    expectYamlError("tools: [a, b\n", 1, "unterminated flow sequence");
+    expectYamlError("tools: *missing\n", 1, "unknown alias");
+    expectYamlError("name: x\ntools: [&]\n", 2, "flow anchor without a name");
+    expectYamlError("name: x\ntools: {a: *}\n", 2, "flow alias without a name");
+    expectYamlError("name: x\nkey: value: x\n", 2, "mapping value inside a plain scalar");
+    expectYamlError("tools: {a: b: c}\n", 1, "mapping value inside a flow plain scalar");
+
+    const validSummary = parseSingleAgentGovernancePackPreview(validPack);
+    expect(validSummary.schema_errors.length === 0, "valid_pack must not report schema errors");
+    expect(validSummary.tool_boundary_summary.tools[0].tool_id === "handbook_lookup", "tool model mismatch");
+    expect(
+      validSummary.data_source_summary.data_sources[0].sensitivity_level === "low",
+      "data source sensitivity must be modeled"
+    );
+    expect(
+      validSummary.action_boundary_summary.prohibited_actions.join(",") === "approve leave,change payroll",
+      "prohibited actions must be modeled"
+    );
+
+    const jsonStyleSummary = parseSingleAgentGovernancePackPreview(jsonStylePack);
+    expect(jsonStyleSummary.malformed_files.length === 0, "JSON-style YAML must parse");
+    expect(jsonStyleSummary.tool_boundary_summary.tool_count === 1, "JSON-style tools must be counted");
+    expect(
+      jsonStyleSummary.action_boundary_summary.allowed_action_count === 2,
+      "JSON-style allowed actions must be counted"
+    );
+
+    const restyledPack = copyPack(validPack, path.join(tempRoot, "restyled"), {
+      "action-boundary.yaml": RESTYLED_ACTION_BOUNDARY,
+      "tools.yaml": RESTYLED_TOOLS
+    });
+    const restyledSummary = parseSingleAgentGovernancePackPreview(restyledPack);
+    expect(restyledSummary.malformed_files.length === 0, "restyled pack must parse");
+    expect(restyledSummary.action_boundary_summary.allowed_action_count === 2, "flow sequence must be counted");
+    expect(restyledSummary.action_boundary_summary.prohibited_action_count === 2, "zero-indent sequence must be counted");
+    expect(restyledSummary.tool_boundary_summary.tool_count === 2, "four-space indented tools must be counted");
+    expect(
+      restyledSummary.schema_errors.join("|") ===
+        [
+          "action-boundary.yaml: human_review_required must be boolean, got string",
+          "tools.yaml: defaults is not allowed"
+        ].join("|"),
+      `restyled pack schema errors mismatch: ${restyledSummary.schema_errors.join("|")}`
+    );
+
+    const fieldErrorPack = copyPack(validPack, path.join(tempRoot, "field-errors"), {
+      "data-sources.yaml": [
+        "data_sources:",
+        "  - data_source_id: hr_policy_fixture",
+        "    data_source_name: Synthetic HR Policy Extract",
+        "    data_category: knowledge_base",
+        "    access_mode: read_only",
+        "    sensitivity_level: secret",
+        "    usage_purpose: policy question answering",
+        ""
+      ].join("\n")
+    });
+    const fieldErrorSummary = parseSingleAgentGovernancePackPreview(fieldErrorPack);
+    expect(
+      fieldErrorSummary.required_field_gaps.includes("data-sources.yaml: data_sources[0].retention_note"),
+      "missing nested field must be reported by path"
+    );
+    expect(
+      fieldErrorSummary.schema_errors.includes(
+        "data-sources.yaml: data_sources[0].sensitivity_level must be one of: low, moderate, high"
+      ),
+      "enum violation must be reported by path"
+    );
+
+    const fieldErrorCli = await runGuard({
+      argv: ["pack", "validate", "--pack", fieldErrorPack, "--preview", "--json"]
+    });
+    const fieldErrorOutput = JSON.parse(fieldErrorCli.stdout);
+    expect(fieldErrorCli.exitCode === 3, "schema violations must be reported as omissions");
+    expect(fieldErrorOutput.schema_errors.length === 1, "pack validate must surface schema errors");
+
+    const malformedPack = copyPack(validPack, path.join(tempRoot, "malformed"), {
+      "tools.yaml": "tools:\n  - tool_id: handbook_lookup\n    permitted_operations: [read\n"
+    });
+    const malformedSummary = parseSingleAgentGovernancePackPreview(malformedPack);
+    expect(malformedSummary.malformed_files.includes("tools.yaml"), "malformed YAML must be reported");
+    expect(
+      malformedSummary.parser_warnings.some((warning) => warning.includes("tools.yaml could not be parsed (line 3:")),
+      "malformed YAML warning must carry the line number"
+    );
+    expect(malformedSummary.tool_boundary_summary.present === false, "malformed YAML must not produce a tool model");
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: single-agent pack YAML model validated.");
+}
+
+await main();
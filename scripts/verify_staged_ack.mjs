@@ -0,0 +1,175 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import { findAckForTree, hasAckForTree, listAcks, writeAckForTree } from "../packages/guard/src/ackManager.mjs";
+import { runAudit } from "../packages/guard/src/runAudit.mjs";
+import { runGuard } from "../packages/guard/src/runGuard.mjs";
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function expect(condition, message) {
+  if (!condition) fail(message);
+}
+
+function git(repoPath, args) {
+  return execFileSync("git", args, { cwd: repoPath, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+}
+
+function soft(id, metric) {
+  return { id, enabled: true, severity: "soft_block", message: id, when: { metric, op: ">=", value: 1 } };
+}
+
+const POLICY = {
+  policy_version: "1.0",
+  defaults: {},
+  thresholds: { lines_added_soft: 900, files_changed_hard: 16 },
+  rules: [soft("touches_files", "files_changed"), soft("adds_lines", "lines_added")],
+  exit_codes: { allow: 0, soft_block: 10, hard_block: 20, error: 30 },
+};
+
+const HARD_POLICY = {
+  ...POLICY,
+  rules: [{ ...soft("too_many_files", "files_changed"), severity: "hard_block" }],
+};
+
+const ACTOR_ENV_KEYS = ["MINDFORGE_ACTOR", "MINDFORGE_AGENT", "GITHUB_ACTOR"];
+
+async function inDir(cwd, fn) {
+  const previous = process.cwd();
+  process.chdir(cwd);
+  try {
+    return await fn();
+  } finally {
+    process.chdir(previous);
+  }
+}
+
+function readJsonl(filePath) {
+  return fs.readFileSync(filePath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+}
+
+function stage(repoPath, name) {
+  fs.writeFileSync(path.join(repoPath, name), `${name}\n`, "utf8");
+  git(repoPath, ["add", name]);
+}
+
+async function main() {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "mindforge-staged-ack-"));
+  const savedEnv = Object.fromEntries(ACTOR_ENV_KEYS.map((key) => [key, process.env[key]]));
+  for (const key of ACTOR_ENV_KEYS) delete process.env[key];
+  try {
+    const repoPath = path.join(tempRoot, "repo");
+    fs.mkdirSync(repoPath, { recursive: true });
+    git(repoPath, ["init"]);
+    git(repoPath, ["config", "user.email", "verifier@example.com"]);
+    git(repoPath, ["config", "user.name", "Verifier"]);
+    fs.writeFileSync(path.join(repoPath, "README.md"), "fixture\n", "utf8");
+    git(repoPath, ["add", "."]);
+    git(repoPath, ["commit", "-m", "baseline"]);
+
+    const outdir = `--outdir=${path.join(tempRoot, "out")}`;
+    const audit = (policy = POLICY) => inDir(repoPath, () => runAudit({ argv: ["--staged", outdir], policy }));
+    const guard = (argv) => inDir(repoPath, () => runGuard({ argv }));
+    const auditJsonl = path.join(repoPath, ".mindforge", "artifacts", "guard", "audit.jsonl");
+    const driftEvents = path.join(repoPath, ".mindforge", "drift", "events.jsonl");
+
+    const nothingStaged = await guard(["ack", "--reason", "x"]);
+    expect(JSON.parse(nothingStaged.stdout).error.message === "nothing is staged.", "ack needs staged changes");
+
+    stage(repoPath, "a.txt");
+    const tree = git(repoPath, ["write-tree"]);
+    const beforeAudit = await guard(["ack", "--reason", "x"]);
+    expect(beforeAudit.exitCode === 2, "ack before any audit is not applicable");
+    expect(JSON.parse(beforeAudit.stdout).error.kind === "ack_not_applicable", "no audit yet");
+
+    const first = await audit();
+    expect(first.exitCode === 10 && first.audit.ack === undefined, "unacknowledged soft_block exits as soft_block");
+    expect(first.audit.run.git.staged_tree === tree, "staged audits record the staged tree");
+    const firstRow = readJsonl(auditJsonl).at(-1);
+    expect(firstRow.git.staged_tree === tree, "audit.jsonl records the staged tree");
+    expect(firstRow.reason_codes.join(",") === "touches_files,adds_lines", "audit.jsonl records the reason codes");
+
+    const noReason = await guard(["ack"]);
+    expect(noReason.exitCode === 2, "guard ack without arguments is a usage error");
+    const blankReason = await guard(["ack", "--reason", "  "]);
+    expect(JSON.parse(blankReason.stdout).error.kind === "missing_required_input", "--reason is required");
+
+    process.env.MINDFORGE_ACTOR = "alice";
+    const acked = await guard(["ack", "--reason", "reviewed by hand"]);
+    delete process.env.MINDFORGE_ACTOR;
+    expect(acked.exitCode === 0, `guard ack must succeed: ${acked.stdout}`);
+    const record = JSON.parse(acked.stdout).ack;
+    expect(record.kind === "staged_ack" && record.v === 3 && record.staged_tree === tree, "ack record shape");
+    expect(record.codes.join(",") === "adds_lines,touches_files", "ack records the acknowledged codes");
+    expect(record.identity.actor === "alice" && record.actor === "alice", "ack records the actor identity");
+    expect(record.audit_id === first.audit.run.run_id && record.reason === "reviewed by hand", "ack links the audit");
+    expect(/^\.mindforge\/acks\/\d{4}-\d{2}\/ack_.+\.json$/.test(JSON.parse(acked.stdout).file), "ack file location");
+
+    const second = await audit();
+    expect(second.exitCode === 0, "an acknowledged soft_block exits as allow");
+    expect(second.audit.evaluation.verdict === "soft_block", "evaluation itself is unchanged");
+    expect(second.audit.ack.state === "acknowledged", "audit records the acknowledged state");
+    expect(second.audit.ack.ack_id === record.ack_id, "audit records the ack id");
+    expect(readJsonl(auditJsonl).at(-1).ack.state === "acknowledged", "audit.jsonl records the ack");
+    const driftEvent = readJsonl(driftEvents).at(-1);
+    expect(driftEvent.verdict === "acknowledged" && driftEvent.exit_code === 0, "drift event records the ack");
+
+    stage(repoPath, "b.txt");
+    const otherTree = await audit();
+    expect(otherTree.exitCode === 10 && otherTree.audit.ack === undefined, "acks are bound to one staged tree");
+
+    const partial = await guard(["ack", "--reason", "only files", "--codes", "touches_files"]);
+    expect(partial.exitCode === 0, "explicit --codes");
+    const partialAudit = await audit();
+    expect(partialAudit.exitCode === 10, "a partial ack keeps the soft_block exit");
+    expect(partialAudit.audit.ack.state === "not_covered", "partial ack does not cover");
+    expect(partialAudit.audit.ack.missing_codes.join(",") === "adds_lines", "missing codes are reported");
+
+    // The policy lives outside the repo here: list must load it through --policy, not skip scope checks.
+    const noPolicy = await guard(["ack", "list", "--format", "json"]);
+    expect(noPolicy.exitCode === 30 && JSON.parse(noPolicy.stdout).error.kind === "ack_failed", "ack list needs the policy");
+    const policyFile = path.join(tempRoot, "policy.json");
+    fs.writeFileSync(policyFile, JSON.stringify(POLICY), "utf8");
+    const listed = JSON.parse((await guard(["ack", "list", "--format", "json", "--policy", policyFile])).stdout);
+    expect(listed.kind === "ack_list" && listed.acks.length === 2, "ack list json");
+    expect(listed.acks[0].current && !listed.acks[1].current, "ack list marks the current staged tree");
+    expect(listed.acks.every((ack) => ack.verification.status === "valid"), "acks are in scope of the loaded policy");
+    const text = (await guard(["ack", "list", "--policy", policyFile])).stdout;
+    expect(text.startsWith("Acks (2)") && text.includes("* = current staged tree"), "ack list text");
+
+    stage(repoPath, "c.txt");
+    const hard = await audit(HARD_POLICY);
+    expect(hard.exitCode === 20, "hard_block fixture");
+    const hardAck = await guard(["ack", "--reason", "please"]);
+    expect(JSON.parse(hardAck.stdout).error.message === "hard_block cannot be acknowledged.", "hard_block is final");
+
+    // Legacy records (no codes, no expiry) are out of scope and no longer honoured.
+    const legacyRoot = path.join(tempRoot, "legacy");
+    const legacyDir = path.join(legacyRoot, ".mindforge", "acks", "2024-01");
+    fs.mkdirSync(legacyDir, { recursive: true });
+    const legacy = { kind: "staged_ack", ts: "2024-01-02T00:00:00.000Z", actor: "local", staged_tree: "t1" };
+    fs.writeFileSync(path.join(legacyDir, "ack_2024-01-02T00-00-00-000Z.json"), JSON.stringify(legacy), "utf8");
+    const legacyFound = findAckForTree("t1", ["any_code"], { root: legacyRoot });
+    expect(legacyFound.state === "rejected", "legacy acks are not honoured");
+    const [legacyListed] = listAcks({ root: legacyRoot });
+    expect(legacyListed.ack_id === "ack_2024-01-02T00-00-00-000Z", "legacy ack ids");
+    expect(legacyListed.verification.status === "out_of_scope", "legacy acks are out of scope");
+    expect(!hasAckForTree("t1", legacyRoot) && findAckForTree("t2", [], { root: legacyRoot }) === null, "tree lookup");
+    const written = writeAckForTree("t2", "r", { codes: ["b", "a", "b"], root: legacyRoot });
+    expect(written.payload.codes.join(",") === "a,b" && written.payload.actor === "local", "codes are sorted, deduped");
+  } finally {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  console.log("PASS: staged ack workflow validated.");
+}
+
+await main();